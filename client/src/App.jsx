@@ -14,6 +14,7 @@ import Dashboard from './pages/Dashboard';
 import LeadList from './pages/leads/LeadList';
 import LeadDetail from './pages/leads/LeadDetail';
 import LeadCreate from './pages/leads/LeadCreate';
+import LeadDuplicates from './pages/leads/LeadDuplicates';
 import CampaignList from './pages/campaigns/CampaignList';
 import ConversationList from './pages/conversations/ConversationList';
 import ConversationDetail from './pages/conversations/ConversationDetail';
@@ -94,6 +95,7 @@ function App() {
         {/* Leads */}
         <Route path="leads" element={<LeadList />} />
         <Route path="leads/new" element={<LeadCreate />} />
+        <Route path="leads/duplicates" element={<LeadDuplicates />} />
         <Route path="leads/:id" element={<LeadDetail />} />
 
         {/* Campaigns */}
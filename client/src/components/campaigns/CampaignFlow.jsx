@@ -0,0 +1,55 @@
+import { Badge } from 'react-bootstrap';
+import { FaArrowDown, FaCodeBranch } from 'react-icons/fa';
+import { CONDITION_OPTIONS } from './StepConditionsEditor';
+
+const conditionLabel = (rule) => {
+  const label = CONDITION_OPTIONS.find((opt) => opt.value === rule.when)?.label || rule.when;
+  return rule.when === 'lead_status' ? `${label} ${(rule.statuses || []).join(', ')}` : label;
+};
+
+const actionLabel = (rule) => {
+  if (rule.action === 'goto') return `go to "${rule.step}"`;
+  if (rule.action === 'exit') return 'end sequence';
+  return 'skip step';
+};
+
+/**
+ * Read-only flow of a campaign's steps and their branch rules
+ * @param {Object[]} steps - Steps with name, channel label and conditions
+ * @param {string[]} exitLeadStatuses - Campaign-wide exit statuses
+ */
+function CampaignFlow({ steps, exitLeadStatuses = [] }) {
+  if (!steps?.length) return null;
+
+  return (
+    <div className="small">
+      {exitLeadStatuses.length > 0 && (
+        <div className="text-muted mb-2">
+          Every step: end sequence if lead status is {exitLeadStatuses.join(', ')}
+        </div>
+      )}
+      {steps.map((step, index) => (
+        <div key={index}>
+          <div className="border rounded px-2 py-1 bg-light">
+            <strong>Step {index + 1}</strong>
+            {step.name && <Badge bg="secondary" className="ms-2">{step.name}</Badge>}
+            {step.label && <span className="ms-2 text-muted">{step.label}</span>}
+            {(step.conditions || []).map((rule, i) => (
+              <div key={i} className="text-muted ms-3">
+                <FaCodeBranch className="me-1" />
+                If {conditionLabel(rule).toLowerCase()}, {actionLabel(rule)}
+              </div>
+            ))}
+          </div>
+          {index < steps.length - 1 && (
+            <div className="text-center text-muted">
+              <FaArrowDown />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CampaignFlow;
@@ -0,0 +1,118 @@
+import { Form, Button, Row, Col } from 'react-bootstrap';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+export const CONDITION_OPTIONS = [
+  { value: 'no_reply', label: 'No reply yet' },
+  { value: 'replied', label: 'Recipient replied' },
+  { value: 'opened_not_clicked', label: 'Previous step opened but not clicked' },
+  { value: 'opened', label: 'Previous step opened' },
+  { value: 'not_opened', label: 'Previous step not opened' },
+  { value: 'clicked', label: 'Previous step clicked' },
+  { value: 'not_clicked', label: 'Previous step not clicked' },
+  { value: 'previous_failed', label: 'Previous step failed' },
+  { value: 'previous_sent', label: 'Previous step sent' },
+  { value: 'lead_status', label: 'Lead status is' },
+];
+
+export const ACTION_OPTIONS = [
+  { value: 'skip', label: 'Skip this step' },
+  { value: 'goto', label: 'Go to step' },
+  { value: 'exit', label: 'End sequence' },
+];
+
+export const LEAD_STATUSES = ['NEW', 'CONTACTED', 'QUALIFIED', 'NEGOTIATION', 'CONVERTED', 'LOST'];
+
+const EMPTY_RULE = { when: 'replied', action: 'exit', step: '', statuses: [] };
+
+/**
+ * Branch rules for one campaign step
+ * Rules are checked in order before the step is sent; the first match wins, otherwise the step sends
+ */
+function StepConditionsEditor({ rules, stepNames, onChange }) {
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <Form.Label className="small mb-0">Conditions (checked before sending)</Form.Label>
+        <Button variant="link" size="sm" className="p-0" onClick={() => onChange([...rules, { ...EMPTY_RULE }])}>
+          <FaPlus className="me-1" /> Add condition
+        </Button>
+      </div>
+
+      {rules.map((rule, index) => (
+        <Row key={index} className="g-2 mb-2 align-items-center">
+          <Col md="auto" className="small text-muted">If</Col>
+          <Col md={4}>
+            <Form.Select
+              size="sm"
+              value={rule.when}
+              onChange={(e) => updateRule(index, { when: e.target.value })}
+            >
+              {CONDITION_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          {rule.when === 'lead_status' && (
+            <Col md={2}>
+              <Form.Select
+                size="sm"
+                value={rule.statuses?.[0] || ''}
+                onChange={(e) => updateRule(index, { statuses: e.target.value ? [e.target.value] : [] })}
+              >
+                <option value="">Status...</option>
+                {LEAD_STATUSES.map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          )}
+          <Col md="auto" className="small text-muted">then</Col>
+          <Col md={rule.action === 'goto' ? 2 : 3}>
+            <Form.Select
+              size="sm"
+              value={rule.action}
+              onChange={(e) => updateRule(index, { action: e.target.value })}
+            >
+              {ACTION_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          {rule.action === 'goto' && (
+            <Col md={2}>
+              <Form.Select
+                size="sm"
+                value={rule.step}
+                onChange={(e) => updateRule(index, { step: e.target.value })}
+              >
+                <option value="">Step...</option>
+                {stepNames.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          )}
+          <Col md="auto">
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => onChange(rules.filter((_, i) => i !== index))}
+            >
+              <FaTrash />
+            </Button>
+          </Col>
+        </Row>
+      ))}
+
+      {rules.length > 0 && stepNames.length === 0 && rules.some((rule) => rule.action === 'goto') && (
+        <Form.Text className="text-warning">Name a step to be able to jump to it.</Form.Text>
+      )}
+    </div>
+  );
+}
+
+export default StepConditionsEditor;
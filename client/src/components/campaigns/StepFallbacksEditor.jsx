@@ -0,0 +1,86 @@
+import { Form, Button, Row, Col } from 'react-bootstrap';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+const MAX_FALLBACKS = 5;
+
+/**
+ * Fallback channels for one campaign step
+ * Tried in order when the recipient can't be reached on the step's channel (e.g. no email, no Telegram chat)
+ */
+function StepFallbacksEditor({ fallbacks, channels, primaryChannelId, getTemplatesForChannel, onChange }) {
+  const updateFallback = (index, changes) => {
+    onChange(fallbacks.map((fallback, i) => (i === index ? { ...fallback, ...changes } : fallback)));
+  };
+
+  const selectChannel = (index, channelConfigId) => {
+    const matchingTemplates = getTemplatesForChannel(channelConfigId);
+    updateFallback(index, {
+      channelConfigId,
+      templateId: matchingTemplates.length === 1 ? matchingTemplates[0].id : '',
+    });
+  };
+
+  const usedChannelIds = [primaryChannelId, ...fallbacks.map((f) => f.channelConfigId)].map(String);
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <Form.Label className="small mb-0">Fallback channels (if the recipient can't be reached)</Form.Label>
+        {fallbacks.length < MAX_FALLBACKS && (
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0"
+            onClick={() => onChange([...fallbacks, { channelConfigId: '', templateId: '' }])}
+          >
+            <FaPlus className="me-1" /> Add fallback
+          </Button>
+        )}
+      </div>
+
+      {fallbacks.map((fallback, index) => (
+        <Row key={index} className="g-2 mb-2 align-items-center">
+          <Col md="auto" className="small text-muted">{index + 1}.</Col>
+          <Col md={5}>
+            <Form.Select
+              size="sm"
+              value={fallback.channelConfigId}
+              onChange={(e) => selectChannel(index, e.target.value)}
+            >
+              <option value="">Channel...</option>
+              {channels
+                .filter((ch) => String(ch.id) === String(fallback.channelConfigId) || !usedChannelIds.includes(String(ch.id)))
+                .map((ch) => (
+                  <option key={ch.id} value={ch.id}>{ch.name} ({ch.channelType})</option>
+                ))}
+            </Form.Select>
+          </Col>
+          <Col md={5}>
+            <Form.Select
+              size="sm"
+              value={fallback.templateId}
+              onChange={(e) => updateFallback(index, { templateId: e.target.value })}
+              disabled={!fallback.channelConfigId}
+            >
+              <option value="">Template...</option>
+              {getTemplatesForChannel(fallback.channelConfigId).map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md="auto">
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={() => onChange(fallbacks.filter((_, i) => i !== index))}
+            >
+              <FaTrash />
+            </Button>
+          </Col>
+        </Row>
+      ))}
+    </div>
+  );
+}
+
+export default StepFallbacksEditor;
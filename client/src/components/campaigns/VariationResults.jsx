@@ -0,0 +1,64 @@
+import { Table, Badge } from 'react-bootstrap';
+import { FaTrophy } from 'react-icons/fa';
+
+const STRATEGY_LABELS = {
+  random: 'Split evenly',
+  epsilon_greedy: 'Auto-optimize (epsilon-greedy)',
+  thompson: 'Auto-optimize (Thompson sampling)',
+};
+
+/**
+ * Per-variation results from GET /campaigns/:id/analytics
+ * @param {Object} results - { config: { strategy, metric, minSamples }, templates: [{ templateId, name, variations }] }
+ */
+function VariationResults({ results }) {
+  const { config, templates } = results;
+
+  return (
+    <>
+      <small className="text-muted d-block mb-2">
+        Template Variations: {STRATEGY_LABELS[config.strategy] || config.strategy}
+        {config.strategy !== 'random' && ` for ${config.metric}, after ${config.minSamples} sends each`}
+      </small>
+      {templates.map((template) => (
+        <div key={template.templateId} className="mb-3">
+          <div className="small fw-semibold mb-1">{template.name}</div>
+          <Table size="sm" bordered className="mb-0 small">
+            <thead>
+              <tr>
+                <th>Variation</th>
+                <th className="text-end">Sent</th>
+                <th className="text-end">Share</th>
+                <th className="text-end">Opened</th>
+                <th className="text-end">Clicked</th>
+                <th className="text-end">Replied</th>
+              </tr>
+            </thead>
+            <tbody>
+              {template.variations.map((row, index) => (
+                <tr key={row.variationId}>
+                  <td>
+                    <strong>{String.fromCharCode(65 + index)}</strong>
+                    {row.leader && (
+                      <Badge bg="success" className="ms-1"><FaTrophy className="me-1" />Leading</Badge>
+                    )}
+                    <div className="text-muted text-truncate" style={{ maxWidth: '260px' }}>
+                      {row.subject || row.preview}
+                    </div>
+                  </td>
+                  <td className="text-end">{row.sent}</td>
+                  <td className="text-end">{row.share}%</td>
+                  <td className="text-end">{row.opened} ({row.openRate}%)</td>
+                  <td className="text-end">{row.clicked} ({row.clickRate}%)</td>
+                  <td className="text-end">{row.replied} ({row.replyRate}%)</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      ))}
+    </>
+  );
+}
+
+export default VariationResults;
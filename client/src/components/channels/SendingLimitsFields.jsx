@@ -0,0 +1,192 @@
+import { Form, Row, Col } from 'react-bootstrap';
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+];
+
+export const DEFAULT_SENDING_LIMITS = {
+  dailyLimit: '',
+  hourlyLimit: '',
+  warmup: { enabled: false, startDate: '', startVolume: 20, dailyIncrease: 20 },
+  sendWindow: { enabled: false, start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] },
+};
+
+/**
+ * Merge stored channel settings.sendingLimits over the form defaults
+ */
+export function toSendingLimitsForm(sendingLimits) {
+  return {
+    ...DEFAULT_SENDING_LIMITS,
+    ...(sendingLimits || {}),
+    dailyLimit: sendingLimits?.dailyLimit ?? '',
+    hourlyLimit: sendingLimits?.hourlyLimit ?? '',
+    warmup: { ...DEFAULT_SENDING_LIMITS.warmup, ...(sendingLimits?.warmup || {}) },
+    sendWindow: { ...DEFAULT_SENDING_LIMITS.sendWindow, ...(sendingLimits?.sendWindow || {}) },
+  };
+}
+
+/**
+ * Daily/hourly caps, warm-up ramp and sending window for a channel
+ * Limits are applied by the campaign scheduler in the organization's time zone
+ */
+function SendingLimitsFields({ value, onChange }) {
+  const limits = value || DEFAULT_SENDING_LIMITS;
+
+  const update = (changes) => onChange({ ...limits, ...changes });
+  const updateWarmup = (changes) => update({ warmup: { ...limits.warmup, ...changes } });
+  const updateWindow = (changes) => update({ sendWindow: { ...limits.sendWindow, ...changes } });
+
+  const toggleDay = (day) => {
+    const days = limits.sendWindow.days || [];
+    updateWindow({ days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  return (
+    <>
+      <div className="mt-4 mb-3">
+        <hr />
+        <h6 className="text-muted">Sending Limits</h6>
+        <Form.Text className="text-muted">
+          Campaign messages over these limits or outside the sending window wait until the channel can send again.
+          Times use the organization time zone (Settings &gt; Organization).
+        </Form.Text>
+      </div>
+
+      <Row>
+        <Col md={6}>
+          <Form.Group className="mb-3">
+            <Form.Label>Daily Limit</Form.Label>
+            <Form.Control
+              type="number"
+              min={0}
+              placeholder="No limit"
+              value={limits.dailyLimit}
+              onChange={(e) => update({ dailyLimit: e.target.value })}
+            />
+          </Form.Group>
+        </Col>
+        <Col md={6}>
+          <Form.Group className="mb-3">
+            <Form.Label>Hourly Limit</Form.Label>
+            <Form.Control
+              type="number"
+              min={0}
+              placeholder="No limit"
+              value={limits.hourlyLimit}
+              onChange={(e) => update({ hourlyLimit: e.target.value })}
+            />
+          </Form.Group>
+        </Col>
+      </Row>
+
+      <Form.Check
+        type="switch"
+        id="sending-limits-warmup"
+        className="mb-2"
+        label="Warm-up ramp (for new sending accounts)"
+        checked={!!limits.warmup.enabled}
+        onChange={(e) => updateWarmup({
+          enabled: e.target.checked,
+          startDate: limits.warmup.startDate || new Date().toISOString().slice(0, 10),
+        })}
+      />
+      {limits.warmup.enabled && (
+        <Row>
+          <Col md={4}>
+            <Form.Group className="mb-3">
+              <Form.Label className="small">Start Date</Form.Label>
+              <Form.Control
+                type="date"
+                size="sm"
+                value={limits.warmup.startDate || ''}
+                onChange={(e) => updateWarmup({ startDate: e.target.value })}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3">
+              <Form.Label className="small">Messages on Day 1</Form.Label>
+              <Form.Control
+                type="number"
+                size="sm"
+                min={1}
+                value={limits.warmup.startVolume}
+                onChange={(e) => updateWarmup({ startVolume: e.target.value })}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group className="mb-3">
+              <Form.Label className="small">Daily Increase (%)</Form.Label>
+              <Form.Control
+                type="number"
+                size="sm"
+                min={0}
+                value={limits.warmup.dailyIncrease}
+                onChange={(e) => updateWarmup({ dailyIncrease: e.target.value })}
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+      )}
+
+      <Form.Check
+        type="switch"
+        id="sending-limits-window"
+        className="mb-2"
+        label="Only send during set hours"
+        checked={!!limits.sendWindow.enabled}
+        onChange={(e) => updateWindow({ enabled: e.target.checked })}
+      />
+      {limits.sendWindow.enabled && (
+        <Row className="align-items-end">
+          <Col md={3}>
+            <Form.Group className="mb-3">
+              <Form.Label className="small">From</Form.Label>
+              <Form.Control
+                type="time"
+                size="sm"
+                value={limits.sendWindow.start}
+                onChange={(e) => updateWindow({ start: e.target.value })}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={3}>
+            <Form.Group className="mb-3">
+              <Form.Label className="small">Until</Form.Label>
+              <Form.Control
+                type="time"
+                size="sm"
+                value={limits.sendWindow.end}
+                onChange={(e) => updateWindow({ end: e.target.value })}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={6}>
+            <div className="mb-3">
+              {WEEKDAYS.map((day) => (
+                <Form.Check
+                  key={day.value}
+                  inline
+                  type="checkbox"
+                  id={`sending-limits-day-${day.value}`}
+                  label={day.label}
+                  checked={(limits.sendWindow.days || []).includes(day.value)}
+                  onChange={() => toggleDay(day.value)}
+                />
+              ))}
+            </div>
+          </Col>
+        </Row>
+      )}
+    </>
+  );
+}
+
+export default SendingLimitsFields;
@@ -1,11 +1,22 @@
 import { useState, useRef } from 'react';
-import { Modal, Form, Button, Table, Alert, Badge, Spinner } from 'react-bootstrap';
-import { FaUpload, FaDownload, FaFileAlt, FaTrash } from 'react-icons/fa';
+import { Modal, Form, Button, Table, Alert, Badge, Spinner, Collapse } from 'react-bootstrap';
+import { FaUpload, FaDownload, FaFileAlt, FaTrash, FaSlidersH } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
+import ColumnMappingStep from './ColumnMappingStep';
+import UpdatePolicyFields, { DEFAULT_UPDATE_POLICY, toUpdatePolicy } from './UpdatePolicyFields';
+
+const FILE_PATTERN = /\.(json|csv|tsv|txt|xlsx)$/i;
+
+const DUPLICATE_ACTIONS = {
+  skip: 'Skip',
+  update: 'Update existing',
+  merge: 'Merge into existing',
+};
 
 const JSON_FORMAT_EXAMPLE = `[
   {
+    "id": "crm-1042",
     "name": "Company Name",
     "website": "https://example.com",
     "location": "City",
@@ -23,8 +34,12 @@ const JSON_FORMAT_EXAMPLE = `[
   }
 ]`;
 
-function AddDataSourceModal({ show, onHide, onSuccess }) {
-  const [step, setStep] = useState(1); // 1: Upload, 2: Preview, 3: Importing
+/**
+ * Import a JSON/CSV/XLSX file as a new data source, or re-upload it into an existing file
+ * source (dataSource) to refresh the leads it imported before
+ */
+function AddDataSourceModal({ show, onHide, onSuccess, dataSource = null }) {
+  const [step, setStep] = useState(1); // 1: Upload, 2: Map Columns (CSV/XLSX), 3: Preview
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const fileInputRef = useRef(null);
@@ -37,12 +52,28 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
   const [uploadResult, setUploadResult] = useState(null);
   const [selectedLeads, setSelectedLeads] = useState([]);
 
+  // What to do with records matching existing leads: default, and per record index
+  const [duplicateAction, setDuplicateAction] = useState('skip');
+  const [rowActions, setRowActions] = useState({});
+
+  // Column mapping (CSV/XLSX)
+  const [mapping, setMapping] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+
+  // How re-imports refresh leads this source imported before
+  const [updatePolicy, setUpdatePolicy] = useState(DEFAULT_UPDATE_POLICY);
+  const [showUpdatePolicy, setShowUpdatePolicy] = useState(false);
+
   const resetForm = () => {
     setStep(1);
     setName('');
     setFile(null);
     setUploadResult(null);
     setSelectedLeads([]);
+    setRowActions({});
+    setMapping(null);
+    setUpdatePolicy(DEFAULT_UPDATE_POLICY);
+    setShowUpdatePolicy(false);
     setError(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
@@ -57,13 +88,9 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
   const handleFileSelect = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
-      // Validate file type - only JSON
-      const validTypes = ['application/json', 'text/plain'];
-      const isValidType = validTypes.includes(selectedFile.type) ||
-        selectedFile.name.toLowerCase().endsWith('.json');
-
-      if (!isValidType) {
-        setError('Please select a JSON file');
+      // Validate file type - JSON, CSV or Excel
+      if (!FILE_PATTERN.test(selectedFile.name)) {
+        setError('Please select a JSON, CSV or XLSX file');
         return;
       }
 
@@ -77,8 +104,8 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
       setError(null);
 
       // Auto-set name from filename if empty
-      if (!name) {
-        const baseName = selectedFile.name.replace(/\.json$/i, '');
+      if (!name && !dataSource) {
+        const baseName = selectedFile.name.replace(FILE_PATTERN, '');
         setName(baseName);
       }
     }
@@ -90,7 +117,7 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
       return;
     }
 
-    if (!name) {
+    if (!name && !dataSource) {
       setError('Please enter a name for this data source');
       return;
     }
@@ -99,22 +126,27 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
     setError(null);
 
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const response = await api.post('/data-sources/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
-
-      const result = response.data.data;
+      const result = await uploadFile();
       setUploadResult(result);
-      setSelectedLeads(result.leads.map((_, i) => i)); // Select all by default
+      setMapping(null);
+      setUpdatePolicy(result.updatePolicy || DEFAULT_UPDATE_POLICY);
 
-      if (result.totalRecords > 0) {
+      if (result.totalRecords === 0) {
+        setError('No valid records found in the file');
+      } else if (result.columns && !result.leads) {
+        // CSV/XLSX: map columns before previewing leads
+        setMapping(result.mapping);
         setStep(2);
-        toast.success(`Parsed ${result.totalRecords} records from file`);
+        fetchProfiles();
+        if (result.matchedProfile) {
+          toast.success(`Applied saved mapping "${result.matchedProfile.name}"`);
+        }
       } else {
-        setError('No valid records found in the file');
+        setSelectedLeads(result.leads.map((_, i) => i)); // Select all by default
+        setDuplicateAction(result.duplicateAction || 'skip');
+        setRowActions({});
+        setStep(3);
+        toast.success(`Parsed ${result.totalRecords} records from file`);
       }
     } catch (err) {
       setError(err.response?.data?.error?.message || 'Failed to parse file');
@@ -123,6 +155,96 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
     }
   };
 
+  const uploadFile = async (columnMapping) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (dataSource) {
+      formData.append('dataSourceId', dataSource.id);
+    }
+    if (columnMapping) {
+      formData.append('mapping', JSON.stringify(columnMapping));
+    }
+
+    const response = await api.post('/data-sources/upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data.data;
+  };
+
+  const handleApplyMapping = async () => {
+    if (!Object.values(mapping).some(Boolean)) {
+      setError('Map at least one column');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await uploadFile(mapping);
+      setUploadResult({ ...uploadResult, ...result });
+      setSelectedLeads(result.leads.map((_, i) => i)); // Select all by default
+      setDuplicateAction(result.duplicateAction || 'skip');
+      setRowActions({});
+
+      if (result.leads.length > 0) {
+        setStep(3);
+        toast.success(`Mapped ${result.leads.length} leads from ${result.totalRows} rows`);
+      } else {
+        setError('No leads found with this mapping');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to map columns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProfiles = async () => {
+    try {
+      const response = await api.get('/data-sources/mapping-profiles');
+      setProfiles(response.data.data);
+    } catch (err) {
+      console.error('Failed to load mapping profiles', err);
+    }
+  };
+
+  const handleApplyProfile = (profile) => {
+    // Match saved columns ignoring case and punctuation
+    const normalize = (column) => column.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const saved = Object.fromEntries(
+      Object.entries(profile.mapping).map(([column, target]) => [normalize(column), target])
+    );
+    setMapping(Object.fromEntries(
+      uploadResult.columns.map((column) => [column, saved[normalize(column)] ?? ''])
+    ));
+    toast.success(`Applied mapping "${profile.name}"`);
+  };
+
+  const handleSaveProfile = async (profileName) => {
+    try {
+      await api.post('/data-sources/mapping-profiles', {
+        name: profileName,
+        mapping,
+        columns: uploadResult.columns,
+      });
+      toast.success(`Mapping saved as "${profileName}"`);
+      fetchProfiles();
+    } catch (err) {
+      toast.error(err.response?.data?.error?.message || 'Failed to save mapping');
+    }
+  };
+
+  const handleDeleteProfile = async (profileId) => {
+    try {
+      await api.delete(`/data-sources/mapping-profiles/${profileId}`);
+      toast.success('Mapping profile deleted');
+      fetchProfiles();
+    } catch (err) {
+      toast.error(err.response?.data?.error?.message || 'Failed to delete mapping');
+    }
+  };
+
   const handleImport = async () => {
     if (selectedLeads.length === 0) {
       setError('Please select at least one lead to import');
@@ -133,18 +255,25 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
     setError(null);
 
     try {
-      const leadsToImport = selectedLeads.map(i => uploadResult.leads[i]);
+      const leadsToImport = selectedLeads.map(i => (
+        rowActions[i] ? { ...uploadResult.leads[i], duplicateAction: rowActions[i] } : uploadResult.leads[i]
+      ));
 
       const response = await api.post('/data-sources/file-import', {
-        name,
+        ...(dataSource ? { dataSourceId: dataSource.id } : { name }),
         fileName: uploadResult.fileName,
         fileSize: uploadResult.fileSize,
         fileType: uploadResult.fileType,
         leads: leadsToImport,
+        duplicateAction,
+        updatePolicy: toUpdatePolicy(updatePolicy),
+        ...(mapping && { mapping }),
       });
 
-      const { imported, skipped, failed } = response.data.data;
+      const { imported, updated, unchanged, skipped, failed } = response.data.data;
       let message = `Imported ${imported} leads`;
+      if (updated > 0) message += `, ${updated} existing leads updated`;
+      if (unchanged > 0) message += `, ${unchanged} unchanged`;
       if (skipped > 0) message += `, ${skipped} duplicates skipped`;
       if (failed > 0) message += `, ${failed} failed`;
       toast.success(message);
@@ -184,8 +313,9 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
     <Modal show={show} onHide={handleClose} size="xl" backdrop="static">
       <Modal.Header closeButton>
         <Modal.Title>
-          {step === 1 && 'Import Data Source'}
-          {step === 2 && `Preview (${uploadResult?.totalRecords || 0} records)`}
+          {step === 1 && (dataSource ? `Re-upload "${dataSource.name}"` : 'Import Data Source')}
+          {step === 2 && 'Map Columns'}
+          {step === 3 && `Preview (${uploadResult?.totalRecords || 0} records)`}
         </Modal.Title>
       </Modal.Header>
 
@@ -198,23 +328,30 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
 
         {step === 1 && (
           <>
-            <Form.Group className="mb-3">
-              <Form.Label>Data Source Name *</Form.Label>
-              <Form.Control
-                type="text"
-                placeholder="e.g., NASSCOM Members, Tech Companies Q1"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-              />
-            </Form.Group>
+            {dataSource ? (
+              <Alert variant="secondary">
+                Records matching leads imported from <strong>{dataSource.name}</strong> (by external ID,
+                or the duplicate rules) refresh those leads; new records are added to this source.
+              </Alert>
+            ) : (
+              <Form.Group className="mb-3">
+                <Form.Label>Data Source Name *</Form.Label>
+                <Form.Control
+                  type="text"
+                  placeholder="e.g., NASSCOM Members, Tech Companies Q1"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </Form.Group>
+            )}
 
             <Form.Group className="mb-4">
-              <Form.Label>Upload JSON File *</Form.Label>
+              <Form.Label>Upload JSON, CSV or Excel File *</Form.Label>
               <div className="border rounded p-4 text-center bg-light">
                 <input
                   type="file"
                   ref={fileInputRef}
-                  accept=".json"
+                  accept=".json,.csv,.tsv,.txt,.xlsx"
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
@@ -255,6 +392,9 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
             </Form.Group>
 
             <Alert variant="info">
+              <strong>CSV / Excel:</strong> the first row must hold column headers. You will map
+              columns to lead, contact and custom fields in the next step.
+              <br />
               <strong>Expected JSON Format:</strong>
               <pre className="mb-0 mt-2" style={{ fontSize: '12px', whiteSpace: 'pre-wrap' }}>
                 {JSON_FORMAT_EXAMPLE}
@@ -263,7 +403,19 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
           </>
         )}
 
-        {step === 2 && uploadResult && (
+        {step === 2 && uploadResult && mapping && (
+          <ColumnMappingStep
+            uploadResult={uploadResult}
+            mapping={mapping}
+            onChange={setMapping}
+            profiles={profiles}
+            onApplyProfile={handleApplyProfile}
+            onSaveProfile={handleSaveProfile}
+            onDeleteProfile={handleDeleteProfile}
+          />
+        )}
+
+        {step === 3 && uploadResult && (
           <>
             <div className="d-flex justify-content-between align-items-center mb-3">
               <div>
@@ -274,16 +426,45 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
                   onChange={toggleAll}
                 />
               </div>
-              <div>
+              <div className="d-flex align-items-center">
+                {uploadResult.leads.some((lead) => lead.duplicate) && (
+                  <Form.Select
+                    size="sm"
+                    className="me-2"
+                    style={{ width: 'auto' }}
+                    value={duplicateAction}
+                    onChange={(e) => setDuplicateAction(e.target.value)}
+                  >
+                    {Object.entries(DUPLICATE_ACTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>Duplicates: {label}</option>
+                    ))}
+                  </Form.Select>
+                )}
                 <Badge bg="secondary" className="me-2">
                   {uploadResult.fileType}
                 </Badge>
-                <Button variant="outline-secondary" size="sm" onClick={() => setStep(1)}>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  className="me-2"
+                  onClick={() => setShowUpdatePolicy(!showUpdatePolicy)}
+                >
+                  <FaSlidersH className="me-1" /> Re-import Updates
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => setStep(mapping ? 2 : 1)}>
                   Back
                 </Button>
               </div>
             </div>
 
+            <Collapse in={showUpdatePolicy}>
+              <div>
+                <div className="border rounded p-3 mb-3">
+                  <UpdatePolicyFields value={updatePolicy} onChange={setUpdatePolicy} />
+                </div>
+              </div>
+            </Collapse>
+
             <Table striped bordered hover size="sm" style={{ fontSize: '13px' }}>
               <thead>
                 <tr>
@@ -307,6 +488,32 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
                     </td>
                     <td>
                       <strong>{lead.companyName || '-'}</strong>
+                      {lead.duplicate && (
+                        <div className="d-flex align-items-center gap-1 mt-1">
+                          <Badge
+                            bg={lead.duplicate.sameSource ? 'info' : 'warning'}
+                            text="dark"
+                            title={`Matched on ${lead.duplicate.rule}`}
+                          >
+                            {lead.duplicate.sameSource
+                              ? `Refreshes ${lead.duplicate.companyName}`
+                              : lead.duplicate.leadId ? `Duplicate of ${lead.duplicate.companyName}` : 'Repeated in file'}
+                          </Badge>
+                          <Form.Select
+                            size="sm"
+                            style={{ width: 'auto', fontSize: '12px' }}
+                            value={rowActions[index] || ''}
+                            onChange={(e) => setRowActions({ ...rowActions, [index]: e.target.value })}
+                          >
+                            <option value="">
+                              Default ({lead.duplicate.sameSource ? DUPLICATE_ACTIONS.update : DUPLICATE_ACTIONS[duplicateAction]})
+                            </option>
+                            {Object.entries(DUPLICATE_ACTIONS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </Form.Select>
+                        </div>
+                      )}
                     </td>
                     <td>
                       {lead.website ? (
@@ -321,7 +528,7 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
                         </a>
                       ) : '-'}
                     </td>
-                    <td>{lead.location || '-'}</td>
+                    <td>{lead.location || lead.customFields?.location || lead.customFields?.city || '-'}</td>
                     <td>
                       {lead.companyType && lead.companyType.length > 0 ? (
                         <div className="d-flex flex-wrap gap-1">
@@ -361,7 +568,7 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
         </Button>
 
         {step === 1 && (
-          <Button variant="primary" onClick={handleUpload} disabled={loading || !file || !name}>
+          <Button variant="primary" onClick={handleUpload} disabled={loading || !file || (!name && !dataSource)}>
             {loading ? (
               <>
                 <Spinner size="sm" className="me-2" />
@@ -377,6 +584,24 @@ function AddDataSourceModal({ show, onHide, onSuccess }) {
         )}
 
         {step === 2 && (
+          <>
+            <Button variant="outline-secondary" onClick={() => setStep(1)} disabled={loading}>
+              Back
+            </Button>
+            <Button variant="primary" onClick={handleApplyMapping} disabled={loading}>
+              {loading ? (
+                <>
+                  <Spinner size="sm" className="me-2" />
+                  Mapping...
+                </>
+              ) : (
+                'Preview Leads'
+              )}
+            </Button>
+          </>
+        )}
+
+        {step === 3 && (
           <Button
             variant="success"
             onClick={handleImport}
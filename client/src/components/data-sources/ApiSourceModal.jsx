@@ -0,0 +1,616 @@
+import { useState, useEffect } from 'react';
+import { Modal, Form, Button, Row, Col, Tabs, Tab, Alert, Table, Badge, Spinner, InputGroup } from 'react-bootstrap';
+import { FaEye, FaSave, FaPlay, FaPlus, FaTimes } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import FieldMappingEditor, { EMPTY_MAPPING, fromMapping, toMapping } from './FieldMappingEditor';
+import UpdatePolicyFields, { DEFAULT_UPDATE_POLICY, toUpdatePolicy } from './UpdatePolicyFields';
+
+const AUTH_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'bearer', label: 'Bearer token' },
+  { value: 'api_key', label: 'API key' },
+  { value: 'basic', label: 'Basic (username & password)' },
+  { value: 'oauth2', label: 'OAuth 2.0 client credentials' },
+];
+
+const PAGINATION_TYPES = [
+  { value: 'none', label: 'None (single request)' },
+  { value: 'offset', label: 'Offset / limit' },
+  { value: 'page', label: 'Page number' },
+  { value: 'cursor', label: 'Cursor or next URL' },
+  { value: 'link_header', label: 'Link header (rel="next")' },
+];
+
+const EMPTY_SECRETS = { token: '', key: '', username: '', password: '', clientId: '', clientSecret: '' };
+
+const NUMBER_FIELDS = ['limitValue', 'startPage', 'maxPages', 'maxRecords'];
+
+const toRows = (object) => Object.entries(object || {}).map(([name, value]) => ({ name, value: String(value) }));
+const fromRows = (rows) => Object.fromEntries(rows.filter((row) => row.name.trim()).map((row) => [row.name.trim(), row.value]));
+
+/**
+ * Name/value rows (query parameters, headers); secret rows show saved values as blank
+ */
+function KeyValueRows({ rows, onChange, secret = false, addLabel }) {
+  const setRow = (index, changes) => onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  return (
+    <>
+      {rows.map((row, index) => (
+        <InputGroup size="sm" className="mb-2" key={index}>
+          <Form.Control
+            value={row.name}
+            onChange={(e) => setRow(index, { name: e.target.value })}
+            placeholder="Name"
+            disabled={row.saved}
+          />
+          <Form.Control
+            type={secret ? 'password' : 'text'}
+            value={row.value}
+            onChange={(e) => setRow(index, { value: e.target.value })}
+            placeholder={row.saved ? '(saved - leave blank to keep)' : 'Value'}
+          />
+          <Button variant="outline-danger" onClick={() => onChange(rows.filter((_, i) => i !== index))}>
+            <FaTimes />
+          </Button>
+        </InputGroup>
+      ))}
+      <Button variant="outline-secondary" size="sm" onClick={() => onChange([...rows, { name: '', value: '' }])}>
+        <FaPlus className="me-1" /> {addLabel}
+      </Button>
+    </>
+  );
+}
+
+/**
+ * Create or edit an API or RSS data source: request, auth (secrets are stored encrypted and
+ * never shown again), pagination, JSONPath field mapping and schedule, with a preview of the
+ * mapped leads before saving
+ */
+function ApiSourceModal({ show, onHide, onSuccess, dataSource = null }) {
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState('request');
+
+  const [name, setName] = useState('');
+  const [type, setType] = useState('API');
+  const [url, setUrl] = useState('');
+  const [method, setMethod] = useState('GET');
+  const [queryRows, setQueryRows] = useState([]);
+  const [headerRows, setHeaderRows] = useState([]);
+  const [requestBody, setRequestBody] = useState('');
+
+  const [auth, setAuth] = useState({ type: 'none' });
+  const [secrets, setSecrets] = useState(EMPTY_SECRETS);
+  const [secretHeaderRows, setSecretHeaderRows] = useState([]);
+  const [savedSecrets, setSavedSecrets] = useState({});
+
+  const [pagination, setPagination] = useState({ type: 'none' });
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+
+  const [rateLimit, setRateLimit] = useState('');
+  const [pollingFrequency, setPollingFrequency] = useState('');
+  const [updatePolicy, setUpdatePolicy] = useState(DEFAULT_UPDATE_POLICY);
+  const [baseConfig, setBaseConfig] = useState({});
+
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!show) return;
+    resetForm();
+    if (dataSource) loadSource();
+  }, [show, dataSource]);
+
+  const resetForm = () => {
+    setTab('request');
+    setError(null);
+    setName('');
+    setType('API');
+    setUrl('');
+    setMethod('GET');
+    setQueryRows([]);
+    setHeaderRows([]);
+    setRequestBody('');
+    setAuth({ type: 'none' });
+    setSecrets(EMPTY_SECRETS);
+    setSecretHeaderRows([]);
+    setSavedSecrets({});
+    setPagination({ type: 'none' });
+    setMapping(EMPTY_MAPPING);
+    setRateLimit('');
+    setPollingFrequency('');
+    setUpdatePolicy(DEFAULT_UPDATE_POLICY);
+    setBaseConfig({});
+    setPreview(null);
+  };
+
+  const loadSource = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/data-sources/${dataSource.id}`);
+      const source = response.data.data;
+      const config = source.config || {};
+      const masked = source.maskedCredentials || {};
+
+      setName(source.name);
+      setType(source.type);
+      setUrl(source.url || '');
+      setMethod(config.method || 'GET');
+      setQueryRows(toRows(config.queryParams));
+      setHeaderRows(toRows(config.headers));
+      setRequestBody(config.body ? JSON.stringify(config.body, null, 2) : '');
+      setAuth(config.auth?.type ? config.auth : { type: 'none' });
+      setSecrets({ ...EMPTY_SECRETS, username: masked.username || '', clientId: masked.clientId || '' });
+      setSavedSecrets(masked);
+      setSecretHeaderRows((masked.headers || []).map((header) => ({ name: header, value: '', saved: true })));
+      setPagination(config.pagination || { type: 'none' });
+      setMapping(fromMapping(config.mapping || (config.fieldMapping && { root: config.dataPath, fields: config.fieldMapping })));
+      setRateLimit(source.rateLimit || '');
+      setPollingFrequency(source.pollingFrequency || '');
+      setUpdatePolicy(config.updatePolicy || DEFAULT_UPDATE_POLICY);
+      setBaseConfig(config);
+    } catch (err) {
+      toast.error('Failed to load data source');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setSecret = (field, value) => setSecrets({ ...secrets, [field]: value });
+  const setPaginationField = (field, value) => setPagination({ ...pagination, [field]: value });
+
+  const buildConfig = () => {
+    let body;
+    if (method !== 'GET' && requestBody.trim()) {
+      try {
+        body = JSON.parse(requestBody);
+      } catch {
+        throw new Error('Request body must be valid JSON');
+      }
+    }
+
+    const paginationConfig = Object.fromEntries(
+      Object.entries(pagination)
+        .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+        .map(([field, value]) => [field, NUMBER_FIELDS.includes(field) ? parseInt(value, 10) : value])
+        .filter(([, value]) => !Number.isNaN(value))
+    );
+
+    // Keeps other saved settings; the legacy dataPath/fieldMapping are replaced by mapping
+    const rest = { ...baseConfig };
+    delete rest.dataPath;
+    delete rest.fieldMapping;
+    delete rest.body;
+
+    return {
+      ...rest,
+      method,
+      queryParams: fromRows(queryRows),
+      headers: fromRows(headerRows),
+      ...(body !== undefined && { body }),
+      auth,
+      ...(type === 'API' && { pagination: paginationConfig }),
+      mapping: toMapping(mapping),
+      updatePolicy: toUpdatePolicy(updatePolicy),
+    };
+  };
+
+  // Blank secrets keep the saved values; removed secret headers are cleared
+  const buildCredentials = () => {
+    const headers = fromRows(secretHeaderRows);
+    for (const header of savedSecrets.headers || []) {
+      if (!(header in headers)) headers[header] = null;
+    }
+    return { ...secrets, headers };
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      const response = await api.post('/data-sources/preview', {
+        type,
+        url,
+        config: buildConfig(),
+        credentials: buildCredentials(),
+        rateLimit: rateLimit ? parseInt(rateLimit, 10) : null,
+        ...(dataSource && { dataSourceId: dataSource.id }),
+      });
+      setPreview(response.data.data);
+      setTab('preview');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Preview failed');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async (runAfterSave = false) => {
+    if (!name.trim() || !url.trim()) {
+      setError('Name and URL are required');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const payload = {
+        name: name.trim(),
+        url: url.trim(),
+        config: buildConfig(),
+        credentials: buildCredentials(),
+        rateLimit: rateLimit ? parseInt(rateLimit, 10) : null,
+        pollingFrequency: pollingFrequency.trim() || null,
+      };
+
+      const response = dataSource
+        ? await api.patch(`/data-sources/${dataSource.id}`, payload)
+        : await api.post('/data-sources', { ...payload, type });
+      const saved = response.data.data;
+
+      if (runAfterSave) {
+        await api.post(`/data-sources/${saved.id}/run`);
+        toast.success(`"${saved.name}" saved, run queued`);
+      } else {
+        toast.success(`"${saved.name}" saved`);
+      }
+
+      onSuccess?.();
+      onHide();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to save data source');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const secretInput = (field, label, flag) => (
+    <Form.Group className="mb-2">
+      <Form.Label className="small mb-1">{label}</Form.Label>
+      <Form.Control
+        type="password"
+        autoComplete="new-password"
+        value={secrets[field]}
+        onChange={(e) => setSecret(field, e.target.value)}
+        placeholder={savedSecrets[flag] ? '(saved - leave blank to keep)' : ''}
+      />
+    </Form.Group>
+  );
+
+  const textInput = (value, onChange, label, placeholder = '') => (
+    <Form.Group className="mb-2">
+      <Form.Label className="small mb-1">{label}</Form.Label>
+      <Form.Control value={value ?? ''} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} />
+    </Form.Group>
+  );
+
+  const paginationInput = (field, label, placeholder, number = false) => (
+    <Col md={4}>
+      <Form.Group className="mb-2">
+        <Form.Label className="small mb-1">{label}</Form.Label>
+        <Form.Control
+          type={number ? 'number' : 'text'}
+          min={number ? 0 : undefined}
+          value={pagination[field] ?? ''}
+          onChange={(e) => setPaginationField(field, e.target.value)}
+          placeholder={placeholder}
+        />
+      </Form.Group>
+    </Col>
+  );
+
+  const leadFields = preview?.results?.length
+    ? ['companyName', 'website', 'email', 'externalId'].filter((field) => preview.results.some((lead) => lead[field]))
+    : [];
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>{dataSource ? `Edit ${dataSource.name}` : 'Connect API or RSS Feed'}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body style={{ minHeight: '60vh' }}>
+        {error && <Alert variant="danger" onClose={() => setError(null)} dismissible>{error}</Alert>}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          <Tabs activeKey={tab} onSelect={setTab} className="mb-3">
+            <Tab eventKey="request" title="Request">
+              <Row>
+                <Col md={5}>
+                  {textInput(name, setName, 'Name', 'CRM companies')}
+                </Col>
+                <Col md={2}>
+                  <Form.Group className="mb-2">
+                    <Form.Label className="small mb-1">Type</Form.Label>
+                    <Form.Select value={type} onChange={(e) => setType(e.target.value)} disabled={!!dataSource}>
+                      <option value="API">JSON API</option>
+                      <option value="RSS">RSS / Atom</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                {type === 'API' && (
+                  <Col md={2}>
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small mb-1">Method</Form.Label>
+                      <Form.Select value={method} onChange={(e) => setMethod(e.target.value)}>
+                        <option value="GET">GET</option>
+                        <option value="POST">POST</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                )}
+              </Row>
+              {textInput(url, setUrl, 'URL', 'https://api.example.com/companies')}
+
+              <Row className="mt-3">
+                {type === 'API' && (
+                  <Col md={6}>
+                    <Form.Label className="small mb-1">Query Parameters</Form.Label>
+                    <KeyValueRows rows={queryRows} onChange={setQueryRows} addLabel="Parameter" />
+                  </Col>
+                )}
+                <Col md={6}>
+                  <Form.Label className="small mb-1">Headers</Form.Label>
+                  <KeyValueRows rows={headerRows} onChange={setHeaderRows} addLabel="Header" />
+                  <Form.Text className="text-muted d-block">
+                    Stored in plain text. Put API keys in the Auth tab.
+                  </Form.Text>
+                </Col>
+              </Row>
+
+              {type === 'API' && method !== 'GET' && (
+                <Form.Group className="mt-3">
+                  <Form.Label className="small mb-1">JSON Body</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={4}
+                    value={requestBody}
+                    onChange={(e) => setRequestBody(e.target.value)}
+                    style={{ fontFamily: 'monospace', fontSize: '12px' }}
+                  />
+                </Form.Group>
+              )}
+            </Tab>
+
+            <Tab eventKey="auth" title="Auth">
+              <Form.Group className="mb-3">
+                <Form.Label className="small mb-1">Authentication</Form.Label>
+                <Form.Select value={auth.type} onChange={(e) => setAuth({ ...auth, type: e.target.value })}>
+                  {AUTH_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+
+              <Row>
+                <Col md={6}>
+                  {auth.type === 'bearer' && secretInput('token', 'Token', '_hasToken')}
+
+                  {auth.type === 'api_key' && (
+                    <>
+                      <Form.Group className="mb-2">
+                        <Form.Label className="small mb-1">Send Key In</Form.Label>
+                        <Form.Select value={auth.in || 'header'} onChange={(e) => setAuth({ ...auth, in: e.target.value })}>
+                          <option value="header">Header</option>
+                          <option value="query">Query parameter</option>
+                        </Form.Select>
+                      </Form.Group>
+                      {auth.in === 'query'
+                        ? textInput(auth.paramName, (value) => setAuth({ ...auth, paramName: value }), 'Parameter Name', 'api_key')
+                        : textInput(auth.headerName, (value) => setAuth({ ...auth, headerName: value }), 'Header Name', 'X-API-Key')}
+                      {secretInput('key', 'API Key', '_hasKey')}
+                    </>
+                  )}
+
+                  {auth.type === 'basic' && (
+                    <>
+                      {textInput(secrets.username, (value) => setSecret('username', value), 'Username')}
+                      {secretInput('password', 'Password', '_hasPassword')}
+                    </>
+                  )}
+
+                  {auth.type === 'oauth2' && (
+                    <>
+                      {textInput(auth.tokenUrl, (value) => setAuth({ ...auth, tokenUrl: value }), 'Token URL', 'https://auth.example.com/oauth/token')}
+                      {textInput(secrets.clientId, (value) => setSecret('clientId', value), 'Client ID')}
+                      {secretInput('clientSecret', 'Client Secret', '_hasClientSecret')}
+                      <Row>
+                        <Col>{textInput(auth.scope, (value) => setAuth({ ...auth, scope: value }), 'Scope (optional)')}</Col>
+                        <Col>{textInput(auth.audience, (value) => setAuth({ ...auth, audience: value }), 'Audience (optional)')}</Col>
+                      </Row>
+                      <Form.Group className="mb-2">
+                        <Form.Label className="small mb-1">Send Client Credentials</Form.Label>
+                        <Form.Select value={auth.clientAuth || 'body'} onChange={(e) => setAuth({ ...auth, clientAuth: e.target.value })}>
+                          <option value="body">In the request body</option>
+                          <option value="basic">As a Basic auth header</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </>
+                  )}
+                </Col>
+
+                <Col md={6}>
+                  <Form.Label className="small mb-1">Secret Headers</Form.Label>
+                  <KeyValueRows rows={secretHeaderRows} onChange={setSecretHeaderRows} secret addLabel="Secret Header" />
+                  <Form.Text className="text-muted d-block">
+                    Credentials and secret headers are stored encrypted, only sent to the source&apos;s own host and
+                    never shown again.
+                  </Form.Text>
+                </Col>
+              </Row>
+            </Tab>
+
+            {type === 'API' && (
+              <Tab eventKey="pagination" title="Pagination">
+                <Form.Group className="mb-3">
+                  <Form.Label className="small mb-1">Pagination</Form.Label>
+                  <Form.Select value={pagination.type || 'none'} onChange={(e) => setPaginationField('type', e.target.value)}>
+                    {PAGINATION_TYPES.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+
+                <Row>
+                  {pagination.type === 'offset' && (
+                    <>
+                      {paginationInput('offsetParam', 'Offset Parameter', 'offset')}
+                      {paginationInput('limitParam', 'Limit Parameter', 'limit')}
+                      {paginationInput('limitValue', 'Page Size', '100', true)}
+                    </>
+                  )}
+                  {pagination.type === 'page' && (
+                    <>
+                      {paginationInput('pageParam', 'Page Parameter', 'page')}
+                      {paginationInput('startPage', 'First Page', '1', true)}
+                      {paginationInput('limitParam', 'Page Size Parameter', 'per_page')}
+                      {paginationInput('limitValue', 'Page Size (optional)', '', true)}
+                    </>
+                  )}
+                  {pagination.type === 'cursor' && (
+                    <>
+                      {paginationInput('cursorPath', 'Next Cursor Path', '$.meta.next_cursor')}
+                      {paginationInput('cursorParam', 'Cursor Parameter', 'cursor')}
+                      {paginationInput('hasMorePath', 'Has More Path (optional)', '$.meta.has_more')}
+                    </>
+                  )}
+                  {pagination.type !== 'none' && (
+                    <>
+                      {paginationInput('maxPages', 'Max Pages', '10', true)}
+                      {paginationInput('maxRecords', 'Max Records (optional)', '', true)}
+                      {method !== 'GET' && pagination.type !== 'link_header' && (
+                        <Col md={4}>
+                          <Form.Group className="mb-2">
+                            <Form.Label className="small mb-1">Send Parameters In</Form.Label>
+                            <Form.Select
+                              value={pagination.location || 'query'}
+                              onChange={(e) => setPaginationField('location', e.target.value)}
+                            >
+                              <option value="query">Query string</option>
+                              <option value="body">JSON body</option>
+                            </Form.Select>
+                          </Form.Group>
+                        </Col>
+                      )}
+                    </>
+                  )}
+                </Row>
+                {pagination.type === 'cursor' && (
+                  <Form.Text className="text-muted">
+                    Without a cursor parameter, a cursor that is a full URL is requested as the next page.
+                  </Form.Text>
+                )}
+              </Tab>
+            )}
+
+            <Tab eventKey="mapping" title="Field Mapping">
+              <FieldMappingEditor value={mapping} onChange={setMapping} type={type} sample={preview?.raw?.[0]} />
+            </Tab>
+
+            <Tab eventKey="schedule" title="Schedule">
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="small mb-1">Run Every</Form.Label>
+                    <Form.Control
+                      value={pollingFrequency}
+                      onChange={(e) => setPollingFrequency(e.target.value)}
+                      placeholder="e.g. 6h, 1d, 1w (empty: manual runs only)"
+                    />
+                  </Form.Group>
+                </Col>
+                {type === 'API' && (
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label className="small mb-1">Rate Limit (requests per minute)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min={1}
+                        value={rateLimit}
+                        onChange={(e) => setRateLimit(e.target.value)}
+                        placeholder="Unlimited"
+                      />
+                    </Form.Group>
+                  </Col>
+                )}
+              </Row>
+              <h6 className="mt-2">Re-run Updates</h6>
+              <UpdatePolicyFields value={updatePolicy} onChange={setUpdatePolicy} />
+            </Tab>
+
+            <Tab eventKey="preview" title="Preview" disabled={!preview}>
+              {preview && (
+                <>
+                  {preview.error && <Alert variant="danger">{preview.error}</Alert>}
+                  <div className="d-flex gap-2 mb-2">
+                    <Badge bg="secondary">{preview.count} records</Badge>
+                    <Badge bg="success">
+                      {preview.results.filter((lead) => lead.companyName || lead.email).length} importable
+                    </Badge>
+                  </div>
+                  {preview.results.length > 0 && (
+                    <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                      <Table size="sm" hover>
+                        <thead>
+                          <tr>
+                            {leadFields.map((field) => <th key={field}>{field}</th>)}
+                            <th>Other Fields</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {preview.results.map((lead, index) => {
+                            const other = Object.keys(lead).filter((field) => !leadFields.includes(field));
+                            return (
+                              <tr key={index} className={lead.companyName || lead.email ? '' : 'text-muted'}>
+                                {leadFields.map((field) => (
+                                  <td key={field} className="text-truncate" style={{ maxWidth: '200px' }}>
+                                    {String(lead[field] ?? '')}
+                                  </td>
+                                ))}
+                                <td className="small text-muted">{other.join(', ')}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </Table>
+                    </div>
+                  )}
+                  <Form.Label className="small mb-1 mt-2">Log</Form.Label>
+                  <pre className="bg-light border rounded p-2 small mb-0" style={{ maxHeight: '160px', overflow: 'auto' }}>
+                    {preview.logs?.join('\n') || 'No log.'}
+                  </pre>
+                </>
+              )}
+            </Tab>
+          </Tabs>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Cancel
+        </Button>
+        <Button variant="outline-primary" onClick={handlePreview} disabled={previewing || loading || !url}>
+          {previewing ? <Spinner size="sm" className="me-2" /> : <FaEye className="me-2" />}
+          Preview
+        </Button>
+        <Button variant="outline-primary" onClick={() => handleSave(false)} disabled={saving || loading}>
+          <FaSave className="me-2" />
+          Save
+        </Button>
+        <Button variant="primary" onClick={() => handleSave(true)} disabled={saving || loading}>
+          {saving ? <Spinner size="sm" className="me-2" /> : <FaPlay className="me-2" />}
+          Save & Run
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default ApiSourceModal;
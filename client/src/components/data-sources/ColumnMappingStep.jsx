@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { Table, Form, Button, InputGroup, Badge, Row, Col } from 'react-bootstrap';
+import { FaSave, FaTrash } from 'react-icons/fa';
+
+const CUSTOM = '__custom';
+
+/**
+ * Column-to-field mapping for CSV/XLSX uploads
+ * @param {Object} uploadResult - POST /data-sources/upload response (columns, sampleRows, targets)
+ * @param {Object} mapping - { "<column>": "<target>" }, "" skips the column
+ * @param {Object[]} profiles - Saved mapping profiles
+ */
+function ColumnMappingStep({ uploadResult, mapping, onChange, profiles, onApplyProfile, onSaveProfile, onDeleteProfile }) {
+  const { columns, sampleRows, targets, delimiter, encoding, sheetName } = uploadResult;
+  const [profileName, setProfileName] = useState(uploadResult.matchedProfile?.name || '');
+  const [selectedProfileId, setSelectedProfileId] = useState(uploadResult.matchedProfile?.id || '');
+
+  const groups = targets.reduce((acc, target) => {
+    (acc[target.group] = acc[target.group] || []).push(target);
+    return acc;
+  }, {});
+
+  const setTarget = (column, target) => onChange({ ...mapping, [column]: target });
+
+  const customKey = (column) => column.trim().replace(/[^\w$-]+/g, '_').replace(/^_+|_+$/g, '');
+
+  const samples = (column) => sampleRows
+    .map((row) => row[column])
+    .filter(Boolean)
+    .slice(0, 3)
+    .join(', ');
+
+  return (
+    <>
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <Badge bg="secondary">{uploadResult.fileType}</Badge>
+        {encoding && <Badge bg="light" text="dark">Encoding: {encoding}</Badge>}
+        {delimiter && <Badge bg="light" text="dark">Delimiter: {delimiter === '\t' ? 'Tab' : delimiter}</Badge>}
+        {sheetName && <Badge bg="light" text="dark">Sheet: {sheetName}</Badge>}
+        <Badge bg="light" text="dark">{uploadResult.totalRows} rows</Badge>
+      </div>
+
+      <Row className="mb-3 g-2">
+        <Col md={6}>
+          <InputGroup size="sm">
+            <Form.Select
+              value={selectedProfileId}
+              onChange={(e) => setSelectedProfileId(e.target.value)}
+            >
+              <option value="">Apply a saved profile...</option>
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </Form.Select>
+            <Button
+              variant="outline-primary"
+              disabled={!selectedProfileId}
+              onClick={() => {
+                const profile = profiles.find((p) => p.id === parseInt(selectedProfileId, 10));
+                if (profile) {
+                  setProfileName(profile.name);
+                  onApplyProfile(profile);
+                }
+              }}
+            >
+              Apply
+            </Button>
+            <Button
+              variant="outline-danger"
+              disabled={!selectedProfileId}
+              onClick={() => {
+                onDeleteProfile(parseInt(selectedProfileId, 10));
+                setSelectedProfileId('');
+              }}
+            >
+              <FaTrash />
+            </Button>
+          </InputGroup>
+        </Col>
+        <Col md={6}>
+          <InputGroup size="sm">
+            <Form.Control
+              placeholder="Profile name, e.g. Apollo export"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+            <Button
+              variant="outline-success"
+              disabled={!profileName.trim()}
+              onClick={() => onSaveProfile(profileName.trim())}
+            >
+              <FaSave className="me-1" /> Save Mapping
+            </Button>
+          </InputGroup>
+        </Col>
+      </Row>
+
+      <Table bordered size="sm" style={{ fontSize: '13px' }}>
+        <thead>
+          <tr>
+            <th>Column</th>
+            <th>Sample Values</th>
+            <th style={{ width: '320px' }}>Import As</th>
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map((column) => {
+            const target = mapping[column] || '';
+            const isCustom = target.startsWith('custom.');
+
+            return (
+              <tr key={column} className={target ? '' : 'text-muted'}>
+                <td><strong>{column}</strong></td>
+                <td className="text-truncate" style={{ maxWidth: '260px' }}>{samples(column) || '-'}</td>
+                <td>
+                  <Form.Select
+                    size="sm"
+                    value={isCustom ? CUSTOM : target}
+                    onChange={(e) => setTarget(
+                      column,
+                      e.target.value === CUSTOM ? `custom.${customKey(column) || 'field'}` : e.target.value
+                    )}
+                  >
+                    <option value="">Skip column</option>
+                    {Object.entries(groups).map(([group, options]) => (
+                      <optgroup key={group} label={group}>
+                        {options.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </optgroup>
+                    ))}
+                    <option value={CUSTOM}>Custom field...</option>
+                  </Form.Select>
+                  {isCustom && (
+                    <InputGroup size="sm" className="mt-1">
+                      <InputGroup.Text>customFields.</InputGroup.Text>
+                      <Form.Control
+                        value={target.slice('custom.'.length)}
+                        onChange={(e) => setTarget(column, `custom.${customKey(e.target.value)}`)}
+                      />
+                    </InputGroup>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </Table>
+      <Form.Text className="text-muted">
+        Rows with the same company name or website are imported as one lead with several contacts.
+        Industries and tags may hold several values separated by commas.
+      </Form.Text>
+    </>
+  );
+}
+
+export default ColumnMappingStep;
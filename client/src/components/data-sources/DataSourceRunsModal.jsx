@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Modal, Table, Badge, Button, Spinner } from 'react-bootstrap';
+import { FaArrowLeft } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const STATUS_COLORS = {
+  SUCCESS: 'success',
+  FAILED: 'danger',
+  RUNNING: 'warning',
+  PENDING: 'secondary',
+};
+
+/**
+ * Run history of a data source, with the log of a selected run
+ * (created, refreshed with their field changes, and skipped leads)
+ */
+function DataSourceRunsModal({ show, onHide, dataSource }) {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [loadingRun, setLoadingRun] = useState(false);
+
+  useEffect(() => {
+    if (show && dataSource) {
+      setSelectedRun(null);
+      fetchRuns();
+    }
+  }, [show, dataSource]);
+
+  const fetchRuns = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/data-sources/${dataSource.id}/runs?limit=50`);
+      setRuns(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch runs:', error);
+      toast.error('Failed to load run history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openRun = async (runId) => {
+    setLoadingRun(true);
+    try {
+      const response = await api.get(`/data-sources/${dataSource.id}/runs/${runId}`);
+      setSelectedRun(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load run log');
+    } finally {
+      setLoadingRun(false);
+    }
+  };
+
+  const duration = (run) => {
+    if (!run.startedAt || !run.completedAt) return '-';
+    const seconds = Math.round((new Date(run.completedAt) - new Date(run.startedAt)) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          {selectedRun ? `Run #${selectedRun.id}` : `Run History: ${dataSource?.name || ''}`}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body style={{ maxHeight: '70vh', overflowY: 'auto' }}>
+        {loading ? (
+          <LoadingSpinner />
+        ) : selectedRun ? (
+          <>
+            <div className="d-flex align-items-center gap-2 mb-3">
+              <Button variant="outline-secondary" size="sm" onClick={() => setSelectedRun(null)}>
+                <FaArrowLeft className="me-1" /> All Runs
+              </Button>
+              <Badge bg={STATUS_COLORS[selectedRun.status]}>{selectedRun.status}</Badge>
+              <span className="text-muted small">
+                {selectedRun.leadsFound} found, {selectedRun.leadsCreated} created, {selectedRun.leadsUpdated} updated
+              </span>
+            </div>
+            {selectedRun.errorMessage && (
+              <div className="text-danger small mb-2">{selectedRun.errorMessage}</div>
+            )}
+            <pre className="bg-light border rounded p-2 mb-0" style={{ fontSize: '12px', whiteSpace: 'pre-wrap' }}>
+              {selectedRun.logs || 'No log recorded.'}
+            </pre>
+          </>
+        ) : runs.length === 0 ? (
+          <div className="text-center py-4 text-muted">No runs yet.</div>
+        ) : (
+          <Table hover size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Run</th>
+                <th>Started</th>
+                <th>Duration</th>
+                <th className="text-end">Found</th>
+                <th className="text-end">Created</th>
+                <th className="text-end">Updated</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id}>
+                  <td>#{run.id}</td>
+                  <td>{run.startedAt ? new Date(run.startedAt).toLocaleString() : '-'}</td>
+                  <td>{duration(run)}</td>
+                  <td className="text-end">{run.leadsFound}</td>
+                  <td className="text-end">{run.leadsCreated}</td>
+                  <td className="text-end">{run.leadsUpdated}</td>
+                  <td>
+                    <Badge bg={STATUS_COLORS[run.status]} title={run.errorMessage || ''}>
+                      {run.status}
+                    </Badge>
+                  </td>
+                  <td className="text-end">
+                    <Button
+                      variant="link"
+                      size="sm"
+                      disabled={loadingRun}
+                      onClick={() => openRun(run.id)}
+                    >
+                      {loadingRun ? <Spinner size="sm" /> : 'View Log'}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+    </Modal>
+  );
+}
+
+export default DataSourceRunsModal;
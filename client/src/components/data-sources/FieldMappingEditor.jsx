@@ -0,0 +1,217 @@
+import { Form, Row, Col, Button, InputGroup, Table } from 'react-bootstrap';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+
+const LEAD_FIELDS = [
+  { value: 'companyName', label: 'Company Name' },
+  { value: 'website', label: 'Website' },
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'contactName', label: 'Contact Name' },
+  { value: 'position', label: 'Position' },
+  { value: 'industry', label: 'Industry (or list)' },
+  { value: 'size', label: 'Company Size' },
+  { value: 'tags', label: 'Tags (list)' },
+  { value: 'timezone', label: 'Time Zone' },
+  { value: 'externalId', label: 'External ID' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'city', label: 'City' },
+  { value: 'address', label: 'Address' },
+  { value: 'state', label: 'State' },
+  { value: 'country', label: 'Country' },
+  { value: 'postalCode', label: 'Postal Code' },
+];
+
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'position'];
+
+const CUSTOM = '__custom';
+
+export const EMPTY_MAPPING = { root: '', rows: [], contacts: { path: '', fields: {} } };
+
+/**
+ * Editor state from a saved mapping ({ root, fields })
+ */
+export function fromMapping(mapping = {}) {
+  const { contacts, ...fields } = mapping.fields || {};
+  return {
+    root: mapping.root || '',
+    rows: Object.entries(fields).map(([field, path]) => ({ field, path })),
+    contacts: contacts && typeof contacts === 'object'
+      ? { path: contacts.path || '', fields: contacts.fields || {} }
+      : { path: '', fields: {} },
+  };
+}
+
+/**
+ * Mapping to save: rows without a field or path are dropped
+ */
+export function toMapping(state) {
+  const fields = Object.fromEntries(
+    state.rows.filter((row) => row.field && row.path.trim()).map((row) => [row.field, row.path.trim()])
+  );
+  const contactFields = Object.fromEntries(
+    Object.entries(state.contacts.fields).filter(([, path]) => path && path.trim())
+  );
+  if (state.contacts.path.trim() && Object.keys(contactFields).length > 0) {
+    fields.contacts = { path: state.contacts.path.trim(), fields: contactFields };
+  }
+  return { ...(state.root.trim() && { root: state.root.trim() }), fields };
+}
+
+/**
+ * JSONPath field mapping for API and RSS sources: which part of the response holds the
+ * records (API only) and the path of each lead field inside a record
+ * @param {Object} value - Editor state, see fromMapping
+ * @param {Object} sample - First raw record of the last preview, shown for reference
+ */
+function FieldMappingEditor({ value, onChange, type, sample }) {
+  const used = value.rows.map((row) => row.field);
+
+  const setRow = (index, changes) => {
+    onChange({ ...value, rows: value.rows.map((row, i) => (i === index ? { ...row, ...changes } : row)) });
+  };
+
+  const removeRow = (index) => onChange({ ...value, rows: value.rows.filter((_, i) => i !== index) });
+
+  const addRow = () => {
+    const next = LEAD_FIELDS.find((field) => !used.includes(field.value));
+    onChange({ ...value, rows: [...value.rows, { field: next?.value || '', path: '' }] });
+  };
+
+  const setContactField = (field, path) => {
+    onChange({ ...value, contacts: { ...value.contacts, fields: { ...value.contacts.fields, [field]: path } } });
+  };
+
+  const isCustom = (field) => field.startsWith('custom.');
+
+  return (
+    <Row>
+      <Col md={sample ? 7 : 12}>
+        {type === 'API' && (
+          <Form.Group className="mb-3">
+            <Form.Label>Records Path</Form.Label>
+            <Form.Control
+              value={value.root}
+              onChange={(e) => onChange({ ...value, root: e.target.value })}
+              placeholder="$.data.companies"
+            />
+            <Form.Text className="text-muted">
+              Where the records are in each response. Leave empty when the response is the list itself.
+            </Form.Text>
+          </Form.Group>
+        )}
+
+        <Table size="sm" className="mb-2">
+          <thead>
+            <tr>
+              <th style={{ width: '40%' }}>Lead Field</th>
+              <th>JSONPath in the {type === 'RSS' ? 'feed item' : 'record'}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {value.rows.length === 0 && (
+              <tr>
+                <td colSpan={3} className="text-muted small">
+                  {type === 'RSS'
+                    ? 'Items map title, link, guid and summary by default.'
+                    : 'No fields mapped: records are used as they are (name, url, description and so on).'}
+                </td>
+              </tr>
+            )}
+            {value.rows.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  {isCustom(row.field) ? (
+                    <InputGroup size="sm">
+                      <InputGroup.Text>custom.</InputGroup.Text>
+                      <Form.Control
+                        value={row.field.slice('custom.'.length)}
+                        onChange={(e) => setRow(index, { field: `custom.${e.target.value.replace(/[^\w$-]+/g, '_')}` })}
+                      />
+                    </InputGroup>
+                  ) : (
+                    <Form.Select
+                      size="sm"
+                      value={row.field}
+                      onChange={(e) => setRow(index, { field: e.target.value === CUSTOM ? 'custom.field' : e.target.value })}
+                    >
+                      {LEAD_FIELDS.map((field) => (
+                        <option
+                          key={field.value}
+                          value={field.value}
+                          disabled={field.value !== row.field && used.includes(field.value)}
+                        >
+                          {field.label}
+                        </option>
+                      ))}
+                      <option value={CUSTOM}>Custom field...</option>
+                    </Form.Select>
+                  )}
+                </td>
+                <td>
+                  <Form.Control
+                    size="sm"
+                    value={row.path}
+                    onChange={(e) => setRow(index, { path: e.target.value })}
+                    placeholder="$.name"
+                  />
+                </td>
+                <td className="text-end">
+                  <Button variant="link" size="sm" className="text-danger p-0" onClick={() => removeRow(index)}>
+                    <FaTimes />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <Button variant="outline-secondary" size="sm" className="mb-3" onClick={addRow}>
+          <FaPlus className="me-1" /> Add Field
+        </Button>
+
+        <Form.Group className="mb-2">
+          <Form.Label className="small mb-1">Contacts List Path (optional)</Form.Label>
+          <Form.Control
+            size="sm"
+            value={value.contacts.path}
+            onChange={(e) => onChange({ ...value, contacts: { ...value.contacts, path: e.target.value } })}
+            placeholder="$.people"
+          />
+        </Form.Group>
+        {value.contacts.path && (
+          <Row className="g-2 mb-2">
+            {CONTACT_FIELDS.map((field) => (
+              <Col md={6} key={field}>
+                <InputGroup size="sm">
+                  <InputGroup.Text style={{ width: '80px' }}>{field}</InputGroup.Text>
+                  <Form.Control
+                    value={value.contacts.fields[field] || ''}
+                    onChange={(e) => setContactField(field, e.target.value)}
+                    placeholder={`$.${field}`}
+                  />
+                </InputGroup>
+              </Col>
+            ))}
+          </Row>
+        )}
+
+        <Form.Text className="text-muted d-block">
+          Paths like <code>$.name</code>, <code>$.address.city</code>, <code>$.tags[*].name</code> or{' '}
+          <code>$.emails[?(@.primary == true)].value</code>. Lists fill Tags and Industry; other fields take
+          the first match.
+        </Form.Text>
+      </Col>
+
+      {sample && (
+        <Col md={5}>
+          <Form.Label className="small mb-1">First record of the preview</Form.Label>
+          <pre className="bg-light border rounded p-2 small" style={{ maxHeight: '360px', overflow: 'auto' }}>
+            {JSON.stringify(sample, null, 2)}
+          </pre>
+        </Col>
+      )}
+    </Row>
+  );
+}
+
+export default FieldMappingEditor;
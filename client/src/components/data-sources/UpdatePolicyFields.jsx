@@ -0,0 +1,121 @@
+import { Form, Row, Col, Button, InputGroup } from 'react-bootstrap';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+
+export const UPDATE_POLICIES = [
+  { value: 'overwrite', label: 'Overwrite' },
+  { value: 'fill_empty', label: 'Fill empty only' },
+  { value: 'never', label: 'Never update' },
+];
+
+const POLICY_FIELDS = [
+  { value: 'companyName', label: 'Company name' },
+  { value: 'website', label: 'Website' },
+  { value: 'size', label: 'Company size' },
+  { value: 'timezone', label: 'Time zone' },
+  { value: 'tags', label: 'Tags (added)' },
+  { value: 'industries', label: 'Industries (added)' },
+  { value: 'contacts', label: 'Contacts (added)' },
+  { value: 'customFields', label: 'All custom fields' },
+];
+
+export const DEFAULT_UPDATE_POLICY = { default: 'overwrite', fields: {} };
+
+/**
+ * Policy to send to the API (drops custom field rows without a key)
+ */
+export function toUpdatePolicy(policy) {
+  return {
+    default: policy.default,
+    fields: Object.fromEntries(Object.entries(policy.fields).filter(([field]) => field !== 'custom.')),
+  };
+}
+
+/**
+ * How re-imports of a data source refresh the leads it imported before
+ * @param {Object} value - { default, fields: { "<field>" | "custom.<key>": policy } }
+ */
+function UpdatePolicyFields({ value, onChange }) {
+  const policy = value || DEFAULT_UPDATE_POLICY;
+  const customKeys = Object.keys(policy.fields).filter((field) => field.startsWith('custom.'));
+
+  const setField = (field, mode) => {
+    const fields = { ...policy.fields };
+    if (mode) fields[field] = mode;
+    else delete fields[field];
+    onChange({ ...policy, fields });
+  };
+
+  const renameCustom = (oldField, key) => {
+    const fields = Object.fromEntries(
+      Object.entries(policy.fields).map(([field, mode]) => [field === oldField ? `custom.${key}` : field, mode])
+    );
+    onChange({ ...policy, fields });
+  };
+
+  const policySelect = (field, includeDefault = true) => (
+    <Form.Select
+      size="sm"
+      value={policy.fields[field] || ''}
+      onChange={(e) => setField(field, e.target.value)}
+    >
+      {includeDefault && <option value="">Default</option>}
+      {UPDATE_POLICIES.map((option) => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </Form.Select>
+  );
+
+  return (
+    <>
+      <Form.Group className="mb-2">
+        <Form.Label className="small mb-1">Default for changed fields</Form.Label>
+        <Form.Select
+          size="sm"
+          value={policy.default}
+          onChange={(e) => onChange({ ...policy, default: e.target.value })}
+        >
+          {UPDATE_POLICIES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Form.Select>
+      </Form.Group>
+
+      <Row className="g-2 mb-2">
+        {POLICY_FIELDS.map((field) => (
+          <Col md={3} key={field.value}>
+            <Form.Label className="small mb-1">{field.label}</Form.Label>
+            {policySelect(field.value)}
+          </Col>
+        ))}
+      </Row>
+
+      {customKeys.map((field) => (
+        <InputGroup size="sm" className="mb-2" key={field}>
+          <InputGroup.Text>customFields.</InputGroup.Text>
+          <Form.Control
+            value={field.slice('custom.'.length)}
+            onChange={(e) => renameCustom(field, e.target.value.replace(/[^\w$-]+/g, '_'))}
+          />
+          {policySelect(field, false)}
+          <Button variant="outline-danger" onClick={() => setField(field, '')}>
+            <FaTimes />
+          </Button>
+        </InputGroup>
+      ))}
+      <Button
+        variant="outline-secondary"
+        size="sm"
+        disabled={customKeys.includes('custom.field')}
+        onClick={() => setField('custom.field', 'fill_empty')}
+      >
+        <FaPlus className="me-1" /> Custom Field Policy
+      </Button>
+      <Form.Text className="text-muted d-block">
+        Applies when a record matches a lead this source imported before (by external ID or the
+        duplicate rules). Tags, industries and contacts are only ever added.
+      </Form.Text>
+    </>
+  );
+}
+
+export default UpdatePolicyFields;
@@ -0,0 +1,101 @@
+import { Form, Button, Badge } from 'react-bootstrap';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+
+const MATCH_FIELDS = [
+  { value: 'domain', label: 'Website domain' },
+  { value: 'companyName', label: 'Company name' },
+  { value: 'email', label: 'Contact email' },
+  { value: 'phone', label: 'Contact phone' },
+];
+
+export const DEFAULT_DEDUPE = {
+  rules: [['domain'], ['email'], ['companyName']],
+  importAction: 'skip',
+};
+
+/**
+ * Merge stored tenant settings.dedupe over the defaults
+ */
+export function toDedupeForm(dedupe) {
+  return {
+    rules: Array.isArray(dedupe?.rules) && dedupe.rules.length > 0 ? dedupe.rules : DEFAULT_DEDUPE.rules,
+    importAction: dedupe?.importAction || DEFAULT_DEDUPE.importAction,
+  };
+}
+
+/**
+ * Duplicate lead rules: a lead duplicates another when every field of any rule matches
+ * Values are normalized first (www./https, "Inc."/"Ltd", case, phone formatting)
+ */
+function DedupeRulesFields({ value, onChange }) {
+  const dedupe = value || DEFAULT_DEDUPE;
+
+  const updateRule = (index, rule) => {
+    const rules = dedupe.rules.map((r, i) => (i === index ? rule : r)).filter((r) => r.length > 0);
+    if (rules.length > 0) onChange({ ...dedupe, rules });
+  };
+
+  const toggleField = (index, field) => {
+    const rule = dedupe.rules[index];
+    updateRule(index, rule.includes(field) ? rule.filter((f) => f !== field) : [...rule, field]);
+  };
+
+  return (
+    <>
+      <Form.Label>Duplicate Lead Rules</Form.Label>
+      {dedupe.rules.map((rule, index) => (
+        <div key={index} className="d-flex align-items-center gap-3 mb-2 border rounded px-2 py-1">
+          <Badge bg="light" text="dark">{index === 0 ? 'Match' : 'or'}</Badge>
+          {MATCH_FIELDS.map((field) => (
+            <Form.Check
+              key={field.value}
+              inline
+              type="checkbox"
+              id={`dedupe-${index}-${field.value}`}
+              label={field.label}
+              checked={rule.includes(field.value)}
+              onChange={() => toggleField(index, field.value)}
+            />
+          ))}
+          <Button
+            variant="link"
+            size="sm"
+            className="ms-auto text-danger"
+            disabled={dedupe.rules.length === 1}
+            onClick={() => updateRule(index, [])}
+          >
+            <FaTimes />
+          </Button>
+        </div>
+      ))}
+      <Button
+        variant="outline-secondary"
+        size="sm"
+        className="mb-2"
+        onClick={() => onChange({ ...dedupe, rules: [...dedupe.rules, ['companyName', 'phone']] })}
+      >
+        <FaPlus className="me-1" /> Add Rule
+      </Button>
+      <Form.Text className="text-muted d-block mb-3">
+        Checked fields in a rule must all match. A company name match is ignored when both leads have different websites.
+      </Form.Text>
+
+      <Form.Group>
+        <Form.Label>When an Import Finds a Duplicate</Form.Label>
+        <Form.Select
+          value={dedupe.importAction}
+          onChange={(e) => onChange({ ...dedupe, importAction: e.target.value })}
+        >
+          <option value="skip">Skip the record</option>
+          <option value="update">Update the existing lead (imported values win)</option>
+          <option value="merge">Merge into the existing lead (only fill empty fields)</option>
+        </Form.Select>
+        <Form.Text className="text-muted">
+          Default for file imports and scrapers; file imports can override it per record
+        </Form.Text>
+      </Form.Group>
+    </>
+  );
+}
+
+export default DedupeRulesFields;
@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col, Modal, Dropdown } from 'react-bootstrap';
+import { FaSyncAlt, FaRedo, FaBan, FaEye, FaTrash } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const JOB_TYPES = [
+  'CAMPAIGN_STEP', 'TELEGRAM_REPLY_POLL', 'WHATSAPP_REPLY_POLL', 'SCRAPE',
+  'EMAIL_SEND', 'SMS_SEND', 'CLEANUP', 'POLL', 'WEBHOOK',
+];
+
+const STATUS_COLORS = {
+  PENDING: 'info',
+  PROCESSING: 'primary',
+  COMPLETED: 'success',
+  FAILED: 'danger',
+  RETRY: 'warning',
+  CANCELLED: 'secondary',
+};
+
+const PAGE_SIZE = 25;
+
+/**
+ * Age of a date as "5m", "3h", "2d"
+ */
+const formatAge = (date) => {
+  if (!date) return '-';
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (24 * 60))}d`;
+};
+
+function JobQueuePanel() {
+  const [stats, setStats] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('FAILED');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [actionJobId, setActionJobId] = useState(null);
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [typeFilter, statusFilter, page]);
+
+  const fetchStats = async () => {
+    try {
+      const response = await api.get('/jobs/stats');
+      setStats(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch job stats:', error);
+    }
+  };
+
+  const fetchJobs = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: page.toString(), limit: PAGE_SIZE.toString() });
+      if (typeFilter) params.append('type', typeFilter);
+      if (statusFilter) params.append('status', statusFilter);
+
+      const response = await api.get(`/jobs?${params.toString()}`);
+      setJobs(response.data.data);
+      setTotalPages(response.data.meta?.pagination?.totalPages || 1);
+    } catch (error) {
+      console.error('Failed to fetch jobs:', error);
+      toast.error('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refresh = () => {
+    fetchStats();
+    fetchJobs();
+  };
+
+  const handleFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const handleAction = async (job, action) => {
+    setActionJobId(job.id);
+    try {
+      await api.post(`/jobs/${job.id}/${action}`);
+      toast.success(action === 'retry' ? 'Job queued for retry' : 'Job cancelled');
+      setSelectedJob(null);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || `Failed to ${action} job`);
+    } finally {
+      setActionJobId(null);
+    }
+  };
+
+  const handlePurge = async (statuses, label) => {
+    if (!window.confirm(`Delete all ${label} jobs${typeFilter ? ` of type ${typeFilter}` : ''}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.post('/jobs/purge', {
+        statuses,
+        ...(typeFilter && { type: typeFilter }),
+      });
+      toast.success(`Deleted ${response.data.data.deleted} jobs`);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to purge jobs');
+    }
+  };
+
+  const renderFailureRate = (stat) => {
+    if (stat.failureRate === null) return <span className="text-muted">-</span>;
+    const percent = Math.round(stat.failureRate * 100);
+    const color = percent >= 25 ? 'danger' : percent >= 5 ? 'warning' : 'success';
+    return (
+      <Badge bg={color} title={`${stat.recentFailed} failed / ${stat.recentCompleted + stat.recentFailed} finished`}>
+        {percent}%
+      </Badge>
+    );
+  };
+
+  return (
+    <>
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Queue Overview</h5>
+          <Button variant="outline-secondary" size="sm" onClick={refresh}>
+            <FaSyncAlt className="me-1" /> Refresh
+          </Button>
+        </Card.Header>
+        <Card.Body>
+          {!stats ? (
+            <div className="text-center py-4">Loading...</div>
+          ) : stats.types.length === 0 ? (
+            <div className="text-center py-4 text-muted">No jobs in the queue.</div>
+          ) : (
+            <Table hover size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Job Type</th>
+                  <th title="Pending jobs (due now)">Queued</th>
+                  <th>Running</th>
+                  <th title="Oldest pending job">Oldest</th>
+                  <th>Failed</th>
+                  <th title={`Failed share of jobs finished in the last ${stats.hours}h`}>Failure Rate ({stats.hours}h)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.types.map((stat) => (
+                  <tr
+                    key={stat.type}
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => { setTypeFilter(stat.type); setPage(1); }}
+                  >
+                    <td><code>{stat.type}</code></td>
+                    <td>
+                      {stat.pending}
+                      {stat.due > 0 && <span className="text-muted small"> ({stat.due} due)</span>}
+                    </td>
+                    <td>{stat.processing}</td>
+                    <td>{stat.pending > 0 ? formatAge(stat.oldestPendingAt) : '-'}</td>
+                    <td>{stat.failed > 0 ? <span className="text-danger">{stat.failed}</span> : 0}</td>
+                    <td>{renderFailureRate(stat)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Jobs</h5>
+          <Dropdown align="end">
+            <Dropdown.Toggle variant="outline-danger" size="sm">
+              <FaTrash className="me-1" /> Purge
+            </Dropdown.Toggle>
+            <Dropdown.Menu>
+              <Dropdown.Item onClick={() => handlePurge(['COMPLETED'], 'completed')}>Completed jobs</Dropdown.Item>
+              <Dropdown.Item onClick={() => handlePurge(['FAILED'], 'failed')}>Failed jobs</Dropdown.Item>
+              <Dropdown.Item onClick={() => handlePurge(['CANCELLED'], 'cancelled')}>Cancelled jobs</Dropdown.Item>
+              <Dropdown.Divider />
+              <Dropdown.Item onClick={() => handlePurge(['COMPLETED', 'FAILED', 'CANCELLED'], 'finished')}>
+                All finished jobs
+              </Dropdown.Item>
+            </Dropdown.Menu>
+          </Dropdown>
+        </Card.Header>
+        <Card.Body>
+          <Row className="g-2 mb-3">
+            <Col md={4}>
+              <Form.Select size="sm" value={typeFilter} onChange={handleFilter(setTypeFilter)}>
+                <option value="">All types</option>
+                {JOB_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Select size="sm" value={statusFilter} onChange={handleFilter(setStatusFilter)}>
+                <option value="">All statuses</option>
+                {Object.keys(STATUS_COLORS).map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+
+          {loading ? (
+            <div className="text-center py-4">Loading...</div>
+          ) : jobs.length === 0 ? (
+            <div className="text-center py-4 text-muted">No jobs match these filters.</div>
+          ) : (
+            <Table hover size="sm">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Type</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Scheduled</th>
+                  <th>Error</th>
+                  <th style={{ width: '120px' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map((job) => (
+                  <tr key={job.id}>
+                    <td>{job.id}</td>
+                    <td>
+                      <code>{job.type}</code>
+                      {job.tenant && <div className="small text-muted">{job.tenant.name}</div>}
+                    </td>
+                    <td><Badge bg={STATUS_COLORS[job.status]}>{job.status}</Badge></td>
+                    <td>{job.attempts}/{job.maxAttempts}</td>
+                    <td className="small">{new Date(job.scheduledAt).toLocaleString()}</td>
+                    <td className="small text-danger text-truncate" style={{ maxWidth: '220px' }} title={job.errorMessage || ''}>
+                      {job.errorMessage}
+                    </td>
+                    <td>
+                      <Button variant="outline-primary" size="sm" className="me-1" onClick={() => setSelectedJob(job)}>
+                        <FaEye />
+                      </Button>
+                      {['FAILED', 'CANCELLED'].includes(job.status) && (
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          title="Retry"
+                          disabled={actionJobId === job.id}
+                          onClick={() => handleAction(job, 'retry')}
+                        >
+                          <FaRedo />
+                        </Button>
+                      )}
+                      {job.status === 'PENDING' && (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          title="Cancel"
+                          disabled={actionJobId === job.id}
+                          onClick={() => handleAction(job, 'cancel')}
+                        >
+                          <FaBan />
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+
+          {totalPages > 1 && (
+            <div className="d-flex justify-content-between align-items-center">
+              <Button variant="outline-secondary" size="sm" disabled={page === 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </Button>
+              <span className="text-muted small">Page {page} of {totalPages}</span>
+              <Button variant="outline-secondary" size="sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>
+                Next
+              </Button>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Job Detail Modal */}
+      <Modal show={!!selectedJob} onHide={() => setSelectedJob(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Job #{selectedJob?.id} <code className="fs-6">{selectedJob?.type}</code></Modal.Title>
+        </Modal.Header>
+        {selectedJob && (
+          <Modal.Body>
+            <Row className="mb-3 small">
+              <Col md={4}>
+                <div className="text-muted">Status</div>
+                <Badge bg={STATUS_COLORS[selectedJob.status]}>{selectedJob.status}</Badge>
+              </Col>
+              <Col md={4}>
+                <div className="text-muted">Attempts</div>
+                {selectedJob.attempts}/{selectedJob.maxAttempts}
+              </Col>
+              <Col md={4}>
+                <div className="text-muted">Worker</div>
+                {selectedJob.lockedBy || '-'}
+              </Col>
+            </Row>
+            <Row className="mb-3 small">
+              <Col md={4}>
+                <div className="text-muted">Scheduled</div>
+                {new Date(selectedJob.scheduledAt).toLocaleString()}
+              </Col>
+              <Col md={4}>
+                <div className="text-muted">Started</div>
+                {selectedJob.startedAt ? new Date(selectedJob.startedAt).toLocaleString() : '-'}
+              </Col>
+              <Col md={4}>
+                <div className="text-muted">Finished</div>
+                {selectedJob.completedAt ? new Date(selectedJob.completedAt).toLocaleString() : '-'}
+              </Col>
+            </Row>
+            {selectedJob.errorMessage && (
+              <>
+                <h6>Error</h6>
+                <pre className="bg-light p-2 small text-danger" style={{ whiteSpace: 'pre-wrap' }}>
+                  {selectedJob.errorMessage}
+                </pre>
+              </>
+            )}
+            <h6>Payload</h6>
+            <pre className="bg-light p-2 small mb-0" style={{ maxHeight: '300px', overflow: 'auto' }}>
+              {JSON.stringify(selectedJob.payload, null, 2)}
+            </pre>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          {selectedJob && ['FAILED', 'CANCELLED'].includes(selectedJob.status) && (
+            <Button variant="success" onClick={() => handleAction(selectedJob, 'retry')} disabled={actionJobId === selectedJob.id}>
+              <FaRedo className="me-1" /> Retry
+            </Button>
+          )}
+          {selectedJob?.status === 'PENDING' && (
+            <Button variant="danger" onClick={() => handleAction(selectedJob, 'cancel')} disabled={actionJobId === selectedJob.id}>
+              <FaBan className="me-1" /> Cancel Job
+            </Button>
+          )}
+          <Button variant="secondary" onClick={() => setSelectedJob(null)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+}
+
+export default JobQueuePanel;
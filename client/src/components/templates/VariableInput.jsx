@@ -0,0 +1,103 @@
+import { useRef, useState } from 'react';
+import { Form, ListGroup } from 'react-bootstrap';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Text input / textarea that suggests template variables after "{{"
+ * @param {Object[]} variables - [{ name, description }] from GET /templates/variables
+ * @param {Function} onChange - Called with the new value
+ */
+function VariableInput({ variables = [], value, onChange, ...props }) {
+  const inputRef = useRef(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [range, setRange] = useState(null);
+
+  // The "{{partial" being typed just before the caret, if any
+  const updateSuggestions = (text, caret) => {
+    const match = text.slice(0, caret).match(/\{\{\s*([#\w.$-]*)$/);
+    if (!match) {
+      setSuggestions([]);
+      return;
+    }
+
+    const query = match[1].replace(/^#(if|unless)\s*/, '').toLowerCase();
+    const matches = variables
+      .filter((v) => v.name.toLowerCase().includes(query))
+      .slice(0, MAX_SUGGESTIONS);
+
+    setSuggestions(matches);
+    setActiveIndex(0);
+    setRange({ start: caret - match[1].length, end: caret });
+  };
+
+  const insert = (variable) => {
+    const after = value.slice(range.end);
+    const closing = after.trimStart().startsWith('}}') ? '' : '}}';
+    const next = value.slice(0, range.start) + variable.name + closing + after;
+    const caret = range.start + variable.name.length + closing.length;
+
+    onChange(next);
+    setSuggestions([]);
+
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insert(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  return (
+    <div className="position-relative">
+      <Form.Control
+        {...props}
+        ref={inputRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateSuggestions(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+      />
+      {suggestions.length > 0 && (
+        <ListGroup className="position-absolute w-100 shadow-sm" style={{ zIndex: 1050 }}>
+          {suggestions.map((variable, index) => (
+            <ListGroup.Item
+              key={variable.name}
+              action
+              active={index === activeIndex}
+              className="py-1 small d-flex justify-content-between"
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insert(variable);
+              }}
+            >
+              <code className={index === activeIndex ? 'text-white' : ''}>{variable.name}</code>
+              <span className={index === activeIndex ? '' : 'text-muted'}>{variable.description}</span>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </div>
+  );
+}
+
+export default VariableInput;
@@ -4,6 +4,10 @@ import { FaPlus, FaBullhorn, FaPlay, FaPause, FaTrash, FaEnvelope, FaWhatsapp, F
 import toast from 'react-hot-toast';
 import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import StepConditionsEditor, { LEAD_STATUSES } from '../../components/campaigns/StepConditionsEditor';
+import CampaignFlow from '../../components/campaigns/CampaignFlow';
+import StepFallbacksEditor from '../../components/campaigns/StepFallbacksEditor';
+import VariationResults from '../../components/campaigns/VariationResults';
 
 const STATUS_COLORS = {
   DRAFT: 'secondary',
@@ -49,6 +53,13 @@ const EMPTY_FORM = {
   name: '',
   type: 'IMMEDIATE',
   messageIntervalMinutes: 0, // Delay between sending to each recipient (in minutes)
+  businessHoursStart: '',
+  businessHoursEnd: '',
+  skipWeekends: false,
+  exitLeadStatuses: [],
+  abStrategy: 'random',
+  abMetric: 'replied',
+  abMinSamples: 50,
 };
 
 const EMPTY_STEP = {
@@ -57,6 +68,10 @@ const EMPTY_STEP = {
   delayDays: 0,
   delayHours: 0,
   delayMinutes: 0,
+  sendTime: '',
+  name: '',
+  conditions: [],
+  fallbacks: [],
 };
 
 function CampaignList() {
@@ -625,12 +640,27 @@ function CampaignList() {
         name: formData.name,
         type: formData.type,
         messageIntervalSeconds: (parseInt(formData.messageIntervalMinutes) || 0) * 60,
+        businessHoursStart: formData.businessHoursStart || null,
+        businessHoursEnd: formData.businessHoursEnd || null,
+        skipWeekends: formData.skipWeekends,
+        exitLeadStatuses: formData.exitLeadStatuses,
+        abTesting: formData.abStrategy === 'random' ? null : {
+          strategy: formData.abStrategy,
+          metric: formData.abMetric,
+          minSamples: parseInt(formData.abMinSamples) || 50,
+        },
         steps: validSteps.map((step) => ({
+          name: step.name?.trim() || null,
+          conditions: step.conditions,
+          fallbacks: (step.fallbacks || [])
+            .filter((f) => f.channelConfigId && f.templateId)
+            .map((f) => ({ channelConfigId: parseInt(f.channelConfigId), templateId: parseInt(f.templateId) })),
           channelConfigId: parseInt(step.channelConfigId),
           templateId: parseInt(step.templateId),
           delayDays: parseInt(step.delayDays) || 0,
           delayHours: parseInt(step.delayHours) || 0,
           delayMinutes: parseInt(step.delayMinutes) || 0,
+          sendTime: step.sendTime || null,
         })),
       });
       toast.success('Campaign created! Now add recipients to start it.');
@@ -1138,6 +1168,89 @@ function CampaignList() {
               </Form.Text>
             </Form.Group>
 
+            <Form.Group className="mb-4">
+              <Form.Label>
+                <FaClock className="me-1" />
+                Business Hours (recipient's local time)
+              </Form.Label>
+              <Row className="align-items-center">
+                <Col md={3}>
+                  <Form.Control
+                    type="time"
+                    value={formData.businessHoursStart}
+                    onChange={(e) => setFormData({ ...formData, businessHoursStart: e.target.value })}
+                  />
+                </Col>
+                <Col md="auto" className="text-muted">to</Col>
+                <Col md={3}>
+                  <Form.Control
+                    type="time"
+                    value={formData.businessHoursEnd}
+                    onChange={(e) => setFormData({ ...formData, businessHoursEnd: e.target.value })}
+                  />
+                </Col>
+                <Col>
+                  <Form.Check
+                    type="switch"
+                    id="campaign-skip-weekends"
+                    label="Skip weekends"
+                    checked={formData.skipWeekends}
+                    onChange={(e) => setFormData({ ...formData, skipWeekends: e.target.checked })}
+                  />
+                </Col>
+              </Row>
+              <Form.Text className="text-muted">
+                Messages due outside these hours wait for the next opening. Leave empty to send at any time.
+                The recipient's time zone comes from the contact, the lead, or a country in the lead's custom fields,
+                falling back to the organization time zone.
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-4">
+              <Form.Label>Template Variations</Form.Label>
+              <Row className="g-2">
+                <Col md={5}>
+                  <Form.Select
+                    value={formData.abStrategy}
+                    onChange={(e) => setFormData({ ...formData, abStrategy: e.target.value })}
+                  >
+                    <option value="random">Split evenly</option>
+                    <option value="epsilon_greedy">Auto-optimize (epsilon-greedy)</option>
+                    <option value="thompson">Auto-optimize (Thompson sampling)</option>
+                  </Form.Select>
+                </Col>
+                {formData.abStrategy !== 'random' && (
+                  <>
+                    <Col md={4}>
+                      <Form.Select
+                        value={formData.abMetric}
+                        onChange={(e) => setFormData({ ...formData, abMetric: e.target.value })}
+                      >
+                        <option value="replied">Optimize for replies</option>
+                        <option value="clicked">Optimize for clicks</option>
+                        <option value="opened">Optimize for opens</option>
+                      </Form.Select>
+                    </Col>
+                    <Col md={3}>
+                      <InputGroup>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          value={formData.abMinSamples}
+                          onChange={(e) => setFormData({ ...formData, abMinSamples: e.target.value })}
+                        />
+                        <InputGroup.Text>sends each</InputGroup.Text>
+                      </InputGroup>
+                    </Col>
+                  </>
+                )}
+              </Row>
+              <Form.Text className="text-muted">
+                Applies to templates with AI variations.
+                {formData.abStrategy !== 'random' && ' Variations are split evenly until each has been sent this many times, then traffic shifts toward the best performer.'}
+              </Form.Text>
+            </Form.Group>
+
             <hr />
             <div className="d-flex justify-content-between align-items-center mb-3">
               <h6 className="mb-0">Campaign Steps</h6>
@@ -1174,6 +1287,15 @@ function CampaignList() {
                     )}
                   </div>
 
+                  <Form.Group className="mb-3">
+                    <Form.Control
+                      size="sm"
+                      placeholder="Step name (optional, needed to branch to this step)"
+                      value={step.name}
+                      onChange={(e) => updateStep(index, 'name', e.target.value)}
+                    />
+                  </Form.Group>
+
                   <Row>
                     <Col md={6}>
                       <Form.Group className="mb-3">
@@ -1261,16 +1383,93 @@ function CampaignList() {
                       {(parseInt(step.delayDays) > 0 || parseInt(step.delayHours) > 0 || parseInt(step.delayMinutes) > 0) && (
                         <Col md={12}>
                           <small className="text-muted">
-                            This step will send {parseInt(step.delayDays) || 0}d {parseInt(step.delayHours) || 0}h {parseInt(step.delayMinutes) || 0}m after Step {index}.
+                            This step will send {parseInt(step.delayDays) || 0}d {parseInt(step.delayHours) || 0}h {parseInt(step.delayMinutes) || 0}m after Step {index}
+                            {step.sendTime ? `, at ${step.sendTime} recipient time` : ''}.
                           </small>
                         </Col>
                       )}
                     </Row>
                   )}
+
+                  <Row>
+                    <Col md={4}>
+                      <Form.Group className="mb-0">
+                        <Form.Label className="small">Send at (optional)</Form.Label>
+                        <Form.Control
+                          type="time"
+                          size="sm"
+                          value={step.sendTime}
+                          onChange={(e) => updateStep(index, 'sendTime', e.target.value)}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={8} className="d-flex align-items-end">
+                      <Form.Text className="text-muted">
+                        Time of day in the recipient's time zone. Delay days choose the date.
+                      </Form.Text>
+                    </Col>
+                  </Row>
+
+                  <StepFallbacksEditor
+                    fallbacks={step.fallbacks || []}
+                    channels={channels}
+                    primaryChannelId={step.channelConfigId}
+                    getTemplatesForChannel={getTemplatesForChannel}
+                    onChange={(fallbacks) => updateStep(index, 'fallbacks', fallbacks)}
+                  />
+
+                  {formData.type === 'SEQUENCE' && (
+                    <StepConditionsEditor
+                      rules={step.conditions || []}
+                      stepNames={steps.filter((_, i) => i !== index).map((st) => st.name?.trim()).filter(Boolean)}
+                      onChange={(rules) => updateStep(index, 'conditions', rules)}
+                    />
+                  )}
                 </Card.Body>
               </Card>
             ))}
 
+            {formData.type === 'SEQUENCE' && (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Label className="small">End the sequence when the lead status becomes</Form.Label>
+                  <div>
+                    {LEAD_STATUSES.map((status) => (
+                      <Form.Check
+                        key={status}
+                        inline
+                        type="checkbox"
+                        id={`exit-status-${status}`}
+                        label={status}
+                        checked={formData.exitLeadStatuses.includes(status)}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          exitLeadStatuses: e.target.checked
+                            ? [...formData.exitLeadStatuses, status]
+                            : formData.exitLeadStatuses.filter((s) => s !== status),
+                        })}
+                      />
+                    ))}
+                  </div>
+                </Form.Group>
+
+                {steps.some((step) => step.conditions?.length) || formData.exitLeadStatuses.length ? (
+                  <Card className="mb-3">
+                    <Card.Body>
+                      <h6 className="mb-2">Flow</h6>
+                      <CampaignFlow
+                        steps={steps.map((step) => ({
+                          ...step,
+                          label: channels.find((ch) => ch.id === parseInt(step.channelConfigId))?.name,
+                        }))}
+                        exitLeadStatuses={formData.exitLeadStatuses}
+                      />
+                    </Card.Body>
+                  </Card>
+                ) : null}
+              </>
+            )}
+
             {channels.length === 0 && (
               <Alert variant="warning">
                 No active channels found. Please configure a channel first in the Channels section.
@@ -2227,12 +2426,47 @@ function CampaignList() {
                                   (after {step.delayDays}d {step.delayHours}h {step.delayMinutes || 0}m)
                                 </span>
                               )}
+                              {step.sendTime && (
+                                <span className="ms-1 text-muted">at {step.sendTime}</span>
+                              )}
+                              {step.fallbacks?.length > 0 && (
+                                <span className="ms-1 text-muted">
+                                  (else {step.fallbacks
+                                    .map((f) => channels.find((ch) => ch.id === f.channelConfigId)?.name || `channel #${f.channelConfigId}`)
+                                    .join(', then ')})
+                                </span>
+                              )}
                             </Badge>
                           );
                         })}
                       </div>
                     </div>
                   )}
+
+                  {(campaignDetail.steps?.some((step) => step.conditions?.length) || campaignDetail.exitLeadStatuses?.length > 0) && (
+                    <div className="mt-3">
+                      <small className="text-muted">Flow</small>
+                      <div className="mt-1">
+                        <CampaignFlow
+                          steps={campaignDetail.steps.map((step) => ({ ...step, label: step.template?.name }))}
+                          exitLeadStatuses={campaignDetail.exitLeadStatuses || []}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {(campaignDetail.businessHoursStart || campaignDetail.skipWeekends) && (
+                    <div className="mt-3">
+                      <small className="text-muted">Business Hours (recipient time)</small>
+                      <p className="mb-0">
+                        <FaClock className="me-1" />
+                        {campaignDetail.businessHoursStart && campaignDetail.businessHoursEnd
+                          ? `${campaignDetail.businessHoursStart} - ${campaignDetail.businessHoursEnd}`
+                          : 'Any time'}
+                        {campaignDetail.skipWeekends && ', weekdays only'}
+                      </p>
+                    </div>
+                  )}
                 </Card.Body>
               </Card>
 
@@ -2318,6 +2552,12 @@ function CampaignList() {
                         </div>
                       </div>
                     )}
+
+                    {campaignAnalytics.variations?.templates?.length > 0 && (
+                      <div className="mt-4">
+                        <VariationResults results={campaignAnalytics.variations} />
+                      </div>
+                    )}
                   </Card.Body>
                 </Card>
               )}
@@ -6,6 +6,7 @@ import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import WhatsAppWebConnect from '../../components/channels/WhatsAppWebConnect';
 import TelegramConnect from '../../components/channels/TelegramConnect';
+import SendingLimitsFields, { DEFAULT_SENDING_LIMITS, toSendingLimitsForm } from '../../components/channels/SendingLimitsFields';
 
 const CHANNEL_TYPES = {
   EMAIL_SMTP: {
@@ -69,6 +70,7 @@ const CHANNEL_TYPES = {
     fields: [
       { name: 'phoneNumberId', label: 'Phone Number ID', required: true },
       { name: 'accessToken', label: 'Access Token', type: 'password', required: true },
+      { name: 'appSecret', label: 'App Secret (webhook signature)', type: 'password' },
     ],
   },
   TELEGRAM: {
@@ -82,6 +84,17 @@ const CHANNEL_TYPES = {
       { name: 'apiHash', label: 'API Hash', placeholder: 'e.g., a1b2c3d4e5f6...', required: true },
     ],
   },
+  TELEGRAM_BOT: {
+    label: 'Telegram Bot',
+    icon: FaTelegram,
+    color: 'info',
+    channelType: 'TELEGRAM',
+    provider: 'telegram-bot',
+    description: 'Send via a bot from @BotFather - contacts link their chat by opening the bot\'s /start link',
+    fields: [
+      { name: 'botToken', label: 'Bot Token', type: 'password', placeholder: 'e.g., 123456:ABC-DEF...', required: true },
+    ],
+  },
   VOICE: {
     label: 'Voice Call (Twilio)',
     icon: FaPhone,
@@ -95,13 +108,17 @@ const CHANNEL_TYPES = {
   },
 };
 
+// Telegram bot channels share the TELEGRAM channel type but have their own config
+const getTypeKey = (channel) =>
+  channel.channelType === 'TELEGRAM' && channel.provider === 'telegram-bot' ? 'TELEGRAM_BOT' : channel.channelType;
+
 function ChannelList() {
   const [channels, setChannels] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [modalStep, setModalStep] = useState(1);
   const [selectedType, setSelectedType] = useState('');
-  const [formData, setFormData] = useState({ name: '', credentials: {} });
+  const [formData, setFormData] = useState({ name: '', credentials: {}, sendingLimits: DEFAULT_SENDING_LIMITS });
   const [saving, setSaving] = useState(false);
   const [testing, setTesting] = useState(null);
   const [pollingImap, setPollingImap] = useState(null);
@@ -186,7 +203,7 @@ function ChannelList() {
     setShowModal(true);
     setModalStep(1);
     setSelectedType('');
-    setFormData({ name: '', credentials: {} });
+    setFormData({ name: '', credentials: {}, sendingLimits: DEFAULT_SENDING_LIMITS });
     setEditingChannel(null);
   };
 
@@ -197,10 +214,11 @@ function ChannelList() {
       const fullChannel = response.data.data;
 
       setEditingChannel(fullChannel);
-      setSelectedType(fullChannel.channelType);
+      setSelectedType(getTypeKey(fullChannel));
       setFormData({
         name: fullChannel.name,
         credentials: fullChannel.maskedCredentials || {}, // Pre-fill with safe values
+        sendingLimits: toSendingLimitsForm(fullChannel.settings?.sendingLimits),
       });
       setModalStep(2);
       setShowModal(true);
@@ -208,10 +226,11 @@ function ChannelList() {
       console.error('Failed to fetch channel details:', error);
       // Fallback to basic edit
       setEditingChannel(channel);
-      setSelectedType(channel.channelType);
+      setSelectedType(getTypeKey(channel));
       setFormData({
         name: channel.name,
         credentials: {},
+        sendingLimits: toSendingLimitsForm(channel.settings?.sendingLimits),
       });
       setModalStep(2);
       setShowModal(true);
@@ -222,7 +241,7 @@ function ChannelList() {
     setShowModal(false);
     setModalStep(1);
     setSelectedType('');
-    setFormData({ name: '', credentials: {} });
+    setFormData({ name: '', credentials: {}, sendingLimits: DEFAULT_SENDING_LIMITS });
     setEditingChannel(null);
   };
 
@@ -231,6 +250,7 @@ function ChannelList() {
     setFormData({
       name: CHANNEL_TYPES[type].label,
       credentials: {},
+      sendingLimits: DEFAULT_SENDING_LIMITS,
     });
   };
 
@@ -265,7 +285,10 @@ function ChannelList() {
     try {
       if (editingChannel) {
         // Update existing channel
-        const updateData = { name: formData.name };
+        const updateData = {
+          name: formData.name,
+          settings: { sendingLimits: formData.sendingLimits },
+        };
 
         // Only include credentials if any field was filled
         const hasCredentials = Object.values(formData.credentials).some(v => v !== '' && v !== undefined);
@@ -278,14 +301,17 @@ function ChannelList() {
       } else {
         // Create new channel
         const channelConfig = CHANNEL_TYPES[selectedType];
-        await api.post('/channels', {
+        const response = await api.post('/channels', {
           name: formData.name,
-          channelType: selectedType,
+          channelType: channelConfig.channelType || selectedType,
           provider: channelConfig.provider,
           credentials: formData.credentials,
-          settings: {},
+          settings: { sendingLimits: formData.sendingLimits },
         });
         toast.success('Channel created successfully');
+        if (response.data.data.webhookError) {
+          toast.error(`Webhook not registered: ${response.data.data.webhookError}`);
+        }
       }
 
       handleCloseModal();
@@ -388,6 +414,19 @@ function ChannelList() {
     fetchWhatsAppStatuses(channels);
   };
 
+  const handleRegisterWebhook = async (channel) => {
+    setTesting(channel.id);
+    try {
+      const response = await api.post(`/channels/${channel.id}/telegram-bot/webhook`);
+      toast.success(`Webhook registered for @${response.data.data.botUsername}`);
+      fetchTelegramStatuses(channels);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to register webhook');
+    } finally {
+      setTesting(null);
+    }
+  };
+
   const handleTelegramConnect = (channel) => {
     setTelegramChannel(channel);
     setShowTelegramModal(true);
@@ -427,6 +466,11 @@ function ChannelList() {
             </p>
           </Alert>
 
+          <SendingLimitsFields
+            value={formData.sendingLimits}
+            onChange={(sendingLimits) => setFormData({ ...formData, sendingLimits })}
+          />
+
           <div className="d-flex justify-content-between mt-4">
             <Button variant="outline-secondary" onClick={handleBack}>
               <FaArrowLeft className="me-2" />
@@ -508,6 +552,11 @@ function ChannelList() {
           );
         })}
 
+        <SendingLimitsFields
+          value={formData.sendingLimits}
+          onChange={(sendingLimits) => setFormData({ ...formData, sendingLimits })}
+        />
+
         <div className="d-flex justify-content-between mt-4">
           <Button variant="outline-secondary" onClick={handleBack}>
             <FaArrowLeft className="me-2" />
@@ -557,7 +606,8 @@ function ChannelList() {
             </thead>
             <tbody>
               {channels.map((channel) => {
-                const config = CHANNEL_TYPES[channel.channelType] || {};
+                const config = CHANNEL_TYPES[getTypeKey(channel)] || {};
+                const isTelegramBot = getTypeKey(channel) === 'TELEGRAM_BOT';
                 const Icon = config.icon || FaEnvelope;
                 return (
                   <tr key={channel.id}>
@@ -600,7 +650,27 @@ function ChannelList() {
                           )}
                         </Button>
                       )}
-                      {channel.channelType === 'TELEGRAM' && (
+                      {isTelegramBot && (
+                        <Button
+                          variant={telegramStatus[channel.id] === 'CONNECTED' ? 'success' : 'outline-info'}
+                          size="sm"
+                          className="me-1"
+                          onClick={() => handleRegisterWebhook(channel)}
+                          disabled={testing === channel.id}
+                          title="Register the bot's webhook"
+                        >
+                          {telegramStatus[channel.id] === 'CONNECTED' ? (
+                            <>
+                              <FaCheckCircle className="me-1" /> Webhook
+                            </>
+                          ) : (
+                            <>
+                              <FaTelegram className="me-1" /> Set Webhook
+                            </>
+                          )}
+                        </Button>
+                      )}
+                      {channel.channelType === 'TELEGRAM' && !isTelegramBot && (
                         <Button
                           variant={telegramStatus[channel.id] === 'CONNECTED' ? 'success' : 'outline-info'}
                           size="sm"
@@ -618,7 +688,7 @@ function ChannelList() {
                           )}
                         </Button>
                       )}
-                      {channel.channelType !== 'WHATSAPP_WEB' && channel.channelType !== 'TELEGRAM' && (
+                      {channel.channelType !== 'WHATSAPP_WEB' && (channel.channelType !== 'TELEGRAM' || isTelegramBot) && (
                         <Button
                           variant="outline-primary"
                           size="sm"
@@ -3,7 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Card, Badge, Button, Form, InputGroup, Row, Col } from 'react-bootstrap';
 import {
   FaArrowLeft, FaEnvelope, FaPaperPlane, FaUser, FaBuilding,
-  FaPhone, FaCheckCircle, FaTimesCircle
+  FaPhone, FaCheckCircle, FaTimesCircle, FaPaperclip
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
@@ -14,6 +14,14 @@ const STATUS_COLORS = {
   CLOSED: 'secondary',
 };
 
+const SEND_STATUS_LABELS = {
+  PENDING: 'Sending',
+  SENT: 'Sent',
+  DELIVERED: 'Delivered',
+  OPENED: 'Read',
+  FAILED: 'Failed',
+};
+
 function ConversationDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -24,13 +32,13 @@ function ConversationDetail() {
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [replyContent, setReplyContent] = useState('');
-  const [emailChannels, setEmailChannels] = useState([]);
+  const [channels, setChannels] = useState([]);
   const [selectedChannel, setSelectedChannel] = useState('');
 
   useEffect(() => {
     fetchConversation();
     fetchMessages();
-    fetchEmailChannels();
+    fetchChannels();
   }, [id]);
 
   useEffect(() => {
@@ -66,42 +74,37 @@ function ConversationDetail() {
     }
   };
 
-  const fetchEmailChannels = async () => {
+  const fetchChannels = async () => {
     try {
       const response = await api.get('/channels');
-      const channels = response.data.data.filter(
-        (ch) => ch.isActive && ['EMAIL_SMTP', 'EMAIL_API'].includes(ch.channelType)
-      );
-      setEmailChannels(channels);
-      if (channels.length > 0) {
-        setSelectedChannel(channels[0].id);
-      }
+      setChannels(response.data.data.filter((ch) => ch.isActive));
     } catch (error) {
       console.error('Failed to fetch channels:', error);
     }
   };
 
+  // Replies go out on the conversation's channel type; the server picks the last used channel by default
+  const replyChannels = channels.filter((ch) => ch.channelType === conversation?.channelType);
+
   const handleSendReply = async (e) => {
     e.preventDefault();
-    if (!replyContent.trim() || !selectedChannel) return;
+    if (!replyContent.trim()) return;
 
     setSending(true);
     try {
-      // Send via channel
-      await api.post(`/channels/${selectedChannel}/send`, {
-        contactId: conversation.contact.id,
-        leadId: conversation.leadId,
-        subject: `Re: ${getSubjectFromMessages()}`,
-        body: replyContent,
+      const response = await api.post(`/conversations/${id}/messages`, {
+        content: replyContent,
+        channelConfigId: selectedChannel ? parseInt(selectedChannel) : null,
       });
+      const message = response.data.data;
 
-      toast.success('Reply sent');
-      setReplyContent('');
-
-      // Refresh messages
-      setTimeout(() => {
-        fetchMessages();
-      }, 1000);
+      setMessages((prev) => [...prev, message]);
+      if (getSendStatus(message) === 'FAILED') {
+        toast.error(`Reply failed: ${message.metadata?.error || 'Unknown error'}`);
+      } else {
+        toast.success('Reply sent');
+        setReplyContent('');
+      }
     } catch (error) {
       console.error('Failed to send reply:', error);
       toast.error(error.response?.data?.error?.message || 'Failed to send reply');
@@ -110,6 +113,33 @@ function ConversationDetail() {
     }
   };
 
+  const handleOpenAttachment = async (message, index) => {
+    const attachment = message.attachments[index];
+    try {
+      const response = await api.get(
+        `/conversations/${id}/messages/${message.id}/attachments/${index}`,
+        { responseType: 'blob' }
+      );
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename || `attachment-${index + 1}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download attachment:', error);
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  const getSendStatus = (message) => message.contactAttempt?.status || message.metadata?.status;
+
+  const getRecipient = () => {
+    if (conversation.channelType === 'EMAIL_SMTP') return conversation.contact?.email;
+    if (conversation.channelType === 'TELEGRAM') return conversation.contact?.name || 'the contact on Telegram';
+    return conversation.contact?.phone;
+  };
+
   const getSubjectFromMessages = () => {
     // Find the first message with a subject
     const msgWithSubject = messages.find((m) => m.metadata?.subject);
@@ -235,6 +265,40 @@ function ConversationDetail() {
                           dangerouslySetInnerHTML={{ __html: message.content }}
                           style={{ wordBreak: 'break-word' }}
                         />
+                        {Array.isArray(message.attachments) && message.attachments.length > 0 && (
+                          <div className="mt-2 d-flex flex-column gap-1">
+                            {message.attachments.map((attachment, index) => (
+                              attachment.path ? (
+                                <Button
+                                  key={index}
+                                  variant="link"
+                                  size="sm"
+                                  className={`p-0 text-start ${message.direction === 'OUTBOUND' ? 'text-white' : ''}`}
+                                  onClick={() => handleOpenAttachment(message, index)}
+                                >
+                                  <FaPaperclip className="me-1" />
+                                  {attachment.filename || attachment.type}
+                                </Button>
+                              ) : attachment.url ? (
+                                <a
+                                  key={index}
+                                  href={attachment.url}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className={`small ${message.direction === 'OUTBOUND' ? 'text-white' : ''}`}
+                                >
+                                  <FaPaperclip className="me-1" />
+                                  {attachment.filename || attachment.contentType || 'Attachment'}
+                                </a>
+                              ) : (
+                                <span key={index} className="small text-muted">
+                                  <FaPaperclip className="me-1" />
+                                  {attachment.type || 'Attachment'} (unavailable)
+                                </span>
+                              )
+                            ))}
+                          </div>
+                        )}
                         <div
                           className={`small mt-2 ${
                             message.direction === 'OUTBOUND' ? 'text-white-50' : 'text-muted'
@@ -244,7 +308,28 @@ function ConversationDetail() {
                             <span className="me-2">{message.metadata.fromName}</span>
                           )}
                           {formatMessageDate(message.createdAt)}
+                          {message.direction === 'OUTBOUND' && getSendStatus(message) && (
+                            <span
+                              className="ms-2"
+                              title={message.metadata?.error || SEND_STATUS_LABELS[getSendStatus(message)]}
+                            >
+                              {getSendStatus(message) === 'FAILED' ? (
+                                <Badge bg="danger">
+                                  <FaTimesCircle className="me-1" />
+                                  {SEND_STATUS_LABELS.FAILED}
+                                </Badge>
+                              ) : (
+                                <>
+                                  <FaCheckCircle className="me-1" />
+                                  {SEND_STATUS_LABELS[getSendStatus(message)] || getSendStatus(message)}
+                                </>
+                              )}
+                            </span>
+                          )}
                         </div>
+                        {message.direction === 'OUTBOUND' && getSendStatus(message) === 'FAILED' && message.metadata?.error && (
+                          <div className="small mt-1 text-white-50">{message.metadata.error}</div>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -254,9 +339,9 @@ function ConversationDetail() {
             </Card.Body>
             <Card.Footer className="bg-white">
               <Form onSubmit={handleSendReply}>
-                {emailChannels.length === 0 ? (
+                {replyChannels.length === 0 ? (
                   <div className="text-center text-muted py-2">
-                    No email channel configured.{' '}
+                    No active {conversation.channelType.replace('_', ' ').toLowerCase()} channel configured.{' '}
                     <Link to="/channels">Configure one</Link> to send replies.
                   </div>
                 ) : (
@@ -268,7 +353,8 @@ function ConversationDetail() {
                         onChange={(e) => setSelectedChannel(e.target.value)}
                         style={{ width: '200px' }}
                       >
-                        {emailChannels.map((ch) => (
+                        <option value="">Last used channel</option>
+                        {replyChannels.map((ch) => (
                           <option key={ch.id} value={ch.id}>
                             {ch.name}
                           </option>
@@ -293,7 +379,7 @@ function ConversationDetail() {
                       </Button>
                     </InputGroup>
                     <Form.Text className="text-muted">
-                      Reply will be sent to {conversation.contact?.email}
+                      Reply will be sent to {getRecipient()}
                     </Form.Text>
                   </>
                 )}
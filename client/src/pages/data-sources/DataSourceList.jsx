@@ -1,11 +1,22 @@
 import { useState, useEffect } from 'react';
 import { Card, Table, Button, Badge, Dropdown, ButtonGroup } from 'react-bootstrap';
-import { FaPlus, FaDatabase, FaTrash, FaFileAlt, FaFileCode, FaTelegram } from 'react-icons/fa';
+import { FaPlus, FaDatabase, FaTrash, FaFileAlt, FaFileCode, FaTelegram, FaRedo, FaHistory, FaPlay, FaEdit, FaPlug } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import AddDataSourceModal from '../../components/data-sources/AddDataSourceModal';
 import TelegramImportModal from '../../components/data-sources/TelegramImportModal';
+import DataSourceRunsModal from '../../components/data-sources/DataSourceRunsModal';
+import ApiSourceModal from '../../components/data-sources/ApiSourceModal';
+
+// Sources created from uploaded files; these can be re-uploaded to refresh their leads
+const FILE_TYPES = ['JSON', 'CSV', 'XLSX'];
+
+// Sources fetched by the scraper, on their polling frequency or on demand
+const SCRAPER_TYPES = ['PLAYWRIGHT', 'API', 'RSS'];
+
+// Sources configured in the API/RSS editor
+const FEED_TYPES = ['API', 'RSS'];
 
 const TYPE_COLORS = {
   PLAYWRIGHT: 'primary',
@@ -14,11 +25,13 @@ const TYPE_COLORS = {
   MANUAL: 'secondary',
   JSON: 'warning',
   CSV: 'dark',
+  XLSX: 'success',
 };
 
 const TYPE_ICONS = {
   JSON: <FaFileCode className="me-1" />,
   CSV: <FaFileAlt className="me-1" />,
+  XLSX: <FaFileAlt className="me-1" />,
 };
 
 const STATUS_COLORS = {
@@ -33,6 +46,10 @@ function DataSourceList() {
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showTelegramModal, setShowTelegramModal] = useState(false);
+  const [reuploadSource, setReuploadSource] = useState(null);
+  const [runsSource, setRunsSource] = useState(null);
+  // API/RSS editor: true for a new source, or the source being edited
+  const [feedSource, setFeedSource] = useState(null);
 
   useEffect(() => {
     fetchSources();
@@ -65,6 +82,15 @@ function DataSourceList() {
     }
   };
 
+  const handleRun = async (source) => {
+    try {
+      await api.post(`/data-sources/${source.id}/run`);
+      toast.success(`Run of "${source.name}" queued`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to queue run');
+    }
+  };
+
   const formatFileSize = (bytes) => {
     if (!bytes) return '-';
     if (bytes < 1024) return `${bytes} B`;
@@ -95,6 +121,10 @@ function DataSourceList() {
               <FaTelegram className="me-2" />
               Import from Telegram
             </Dropdown.Item>
+            <Dropdown.Item onClick={() => setFeedSource(true)}>
+              <FaPlug className="me-2" />
+              Connect API / RSS Feed
+            </Dropdown.Item>
           </Dropdown.Menu>
         </Dropdown>
       </div>
@@ -104,7 +134,7 @@ function DataSourceList() {
           <Card.Body className="text-center py-5">
             <FaDatabase size={48} className="text-muted mb-3" />
             <h5>No data sources yet</h5>
-            <p className="text-muted">Import leads from JSON or CSV files to get started.</p>
+            <p className="text-muted">Import leads from JSON, CSV or Excel files to get started.</p>
             <Button variant="primary" onClick={() => setShowAddModal(true)}>
               Import Data
             </Button>
@@ -171,7 +201,49 @@ function DataSourceList() {
                       <Badge bg="secondary">-</Badge>
                     )}
                   </td>
-                  <td>
+                  <td className="text-nowrap">
+                    {FILE_TYPES.includes(source.type) && (
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-1"
+                        title="Re-upload file"
+                        onClick={() => setReuploadSource(source)}
+                      >
+                        <FaRedo />
+                      </Button>
+                    )}
+                    {FEED_TYPES.includes(source.type) && (
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        className="me-1"
+                        title="Edit"
+                        onClick={() => setFeedSource(source)}
+                      >
+                        <FaEdit />
+                      </Button>
+                    )}
+                    {SCRAPER_TYPES.includes(source.type) && source.url && (
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-1"
+                        title="Run now"
+                        onClick={() => handleRun(source)}
+                      >
+                        <FaPlay />
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      className="me-1"
+                      title="Run history"
+                      onClick={() => setRunsSource(source)}
+                    >
+                      <FaHistory />
+                    </Button>
                     <Button
                       variant="outline-danger"
                       size="sm"
@@ -194,6 +266,26 @@ function DataSourceList() {
         onSuccess={fetchSources}
       />
 
+      <AddDataSourceModal
+        show={!!reuploadSource}
+        dataSource={reuploadSource}
+        onHide={() => setReuploadSource(null)}
+        onSuccess={fetchSources}
+      />
+
+      <DataSourceRunsModal
+        show={!!runsSource}
+        dataSource={runsSource}
+        onHide={() => setRunsSource(null)}
+      />
+
+      <ApiSourceModal
+        show={!!feedSource}
+        dataSource={feedSource === true ? null : feedSource}
+        onHide={() => setFeedSource(null)}
+        onSuccess={fetchSources}
+      />
+
       <TelegramImportModal
         show={showTelegramModal}
         onHide={() => setShowTelegramModal(false)}
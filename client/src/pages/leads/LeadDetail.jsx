@@ -4,7 +4,7 @@ import { Card, Row, Col, Badge, Button, Tab, Tabs, ListGroup, Modal, Form } from
 import {
   FaArrowLeft, FaEdit, FaTrash, FaEnvelope, FaPhone, FaGlobe, FaBuilding, FaPlus, FaStickyNote,
   FaPaperPlane, FaEnvelopeOpen, FaMousePointer, FaReply, FaComments, FaBullhorn, FaUserPlus, FaHistory,
-  FaWhatsapp, FaLinkedin
+  FaWhatsapp, FaLinkedin, FaSms, FaTelegram
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
@@ -41,6 +41,16 @@ const ACTIVITY_CONFIG = {
   CAMPAIGN_ENROLLED: { icon: FaBullhorn, color: 'info', label: 'Added to Campaign' },
 };
 
+// Rough SMS segment count (GSM-7: 160/153 chars, otherwise UCS-2: 70/67 chars)
+const GSM_CHARS = /^[@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&'()*+,\-./0-9:;<=>?¡A-ZÄÖÑÜ§¿a-zäöñüà^{}\\[~\]|€]*$/;
+const getSmsSegments = (text) => {
+  if (!text) return 0;
+  if (GSM_CHARS.test(text)) {
+    return text.length <= 160 ? 1 : Math.ceil(text.length / 153);
+  }
+  return text.length <= 70 ? 1 : Math.ceil(text.length / 67);
+};
+
 // Get icon based on channel type for contact attempts
 const getContactAttemptIcon = (channelType) => {
   switch (channelType) {
@@ -197,6 +207,14 @@ function LeadDetail() {
   const [whatsappForm, setWhatsappForm] = useState({ channelId: '', body: '' });
   const [sendingWhatsapp, setSendingWhatsapp] = useState(false);
 
+  // SMS state
+  const [smsChannels, setSmsChannels] = useState([]);
+  const [telegramBotChannels, setTelegramBotChannels] = useState([]);
+  const [showSmsModal, setShowSmsModal] = useState(false);
+  const [smsRecipient, setSmsRecipient] = useState(null);
+  const [smsForm, setSmsForm] = useState({ channelId: '', body: '' });
+  const [sendingSms, setSendingSms] = useState(false);
+
   // Voice call state
   const [voiceChannels, setVoiceChannels] = useState([]);
   const [showCallModal, setShowCallModal] = useState(false);
@@ -260,6 +278,8 @@ function LeadDetail() {
       const channels = response.data.data.filter((ch) => ch.isActive);
       setEmailChannels(channels.filter((ch) => ['EMAIL_SMTP', 'EMAIL_API'].includes(ch.channelType)));
       setWhatsappChannels(channels.filter((ch) => ch.channelType === 'WHATSAPP_BUSINESS'));
+      setSmsChannels(channels.filter((ch) => ch.channelType === 'SMS'));
+      setTelegramBotChannels(channels.filter((ch) => ch.channelType === 'TELEGRAM' && ch.provider === 'telegram-bot'));
       setVoiceChannels(channels.filter((ch) => ch.channelType === 'VOICE'));
     } catch (error) {
       console.error('Failed to fetch channels:', error);
@@ -427,6 +447,72 @@ function LeadDetail() {
     }
   };
 
+  const copyTelegramLink = async (contact) => {
+    try {
+      const response = await api.get(
+        `/channels/${telegramBotChannels[0].id}/telegram-bot/link?contactId=${contact.id}`
+      );
+      await navigator.clipboard.writeText(response.data.data.link);
+      toast.success(
+        response.data.data.bound
+          ? 'Telegram link copied (contact is already connected)'
+          : 'Telegram link copied - send it to the contact to connect their chat'
+      );
+    } catch (error) {
+      console.error('Failed to get Telegram link:', error);
+      toast.error(error.response?.data?.error?.message || 'Failed to get Telegram link');
+    }
+  };
+
+  const openSmsModal = (contact) => {
+    if (!contact.phone) {
+      toast.error('Contact has no phone number');
+      return;
+    }
+    if (smsChannels.length === 0) {
+      toast.error('No SMS channel configured. Go to Channels to set up Twilio SMS.');
+      return;
+    }
+    setSmsRecipient(contact);
+    setSmsForm({
+      channelId: smsChannels[0]?.id || '',
+      body: '',
+    });
+    setShowSmsModal(true);
+  };
+
+  const closeSmsModal = () => {
+    setShowSmsModal(false);
+    setSmsRecipient(null);
+    setSmsForm({ channelId: '', body: '' });
+  };
+
+  const handleSendSms = async (e) => {
+    e.preventDefault();
+    if (!smsForm.channelId || !smsForm.body) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    setSendingSms(true);
+    try {
+      const response = await api.post(`/channels/${smsForm.channelId}/send`, {
+        contactId: smsRecipient.id,
+        leadId: parseInt(id),
+        body: smsForm.body,
+      });
+      const segments = response.data.data?.segments;
+      toast.success(`SMS sent to ${smsRecipient.phone}${segments > 1 ? ` (${segments} segments)` : ''}`);
+      closeSmsModal();
+      fetchActivity();
+    } catch (error) {
+      console.error('Failed to send SMS:', error);
+      toast.error(error.response?.data?.error?.message || 'Failed to send SMS');
+    } finally {
+      setSendingSms(false);
+    }
+  };
+
   const openCallModal = (contact) => {
     if (!contact.phone) {
       toast.error('Contact has no phone number');
@@ -815,6 +901,14 @@ function LeadDetail() {
                                   >
                                     <FaWhatsapp />
                                   </Button>
+                                  <Button
+                                    variant="outline-info"
+                                    size="sm"
+                                    onClick={() => openSmsModal(contact)}
+                                    title="Send SMS"
+                                  >
+                                    <FaSms />
+                                  </Button>
                                   <Button
                                     variant="outline-warning"
                                     size="sm"
@@ -825,6 +919,16 @@ function LeadDetail() {
                                   </Button>
                                 </>
                               )}
+                              {telegramBotChannels.length > 0 && (
+                                <Button
+                                  variant={contact.telegramChatId ? 'info' : 'outline-info'}
+                                  size="sm"
+                                  onClick={() => copyTelegramLink(contact)}
+                                  title={contact.telegramChatId ? 'Telegram connected - copy bot link' : 'Copy Telegram bot link'}
+                                >
+                                  <FaTelegram />
+                                </Button>
+                              )}
                               <Button
                                 variant="outline-secondary"
                                 size="sm"
@@ -1143,6 +1247,65 @@ function LeadDetail() {
         </Form>
       </Modal>
 
+      <Modal show={showSmsModal} onHide={closeSmsModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <FaSms className="me-2 text-info" />
+            Send SMS to {smsRecipient?.name || smsRecipient?.phone}
+          </Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSendSms}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>To</Form.Label>
+              <Form.Control type="text" value={smsRecipient?.phone || ''} disabled />
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Send via Channel</Form.Label>
+              <Form.Select
+                value={smsForm.channelId}
+                onChange={(e) => setSmsForm({ ...smsForm, channelId: e.target.value })}
+                required
+              >
+                {smsChannels.map((ch) => (
+                  <option key={ch.id} value={ch.id}>
+                    {ch.name}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Message</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={smsForm.body}
+                onChange={(e) => setSmsForm({ ...smsForm, body: e.target.value })}
+                placeholder="Write your SMS here..."
+                required
+              />
+              <Form.Text className="text-muted">
+                {smsForm.body.length} characters, {getSmsSegments(smsForm.body)} segment(s)
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeSmsModal}>
+              Cancel
+            </Button>
+            <Button
+              variant="info"
+              type="submit"
+              disabled={sendingSms || !smsForm.body}
+            >
+              {sendingSms ? 'Sending...' : 'Send SMS'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
       <Modal show={showCallModal} onHide={closeCallModal}>
         <Modal.Header closeButton>
           <Modal.Title>
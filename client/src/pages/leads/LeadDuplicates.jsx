@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Badge, Pagination } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaCompressArrowsAlt } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const RULE_LABELS = {
+  domain: 'Website domain',
+  companyName: 'Company name',
+  email: 'Contact email',
+  phone: 'Contact phone',
+};
+
+const ruleLabel = (rule) => rule.split('+').map((field) => RULE_LABELS[field] || field).join(' + ');
+
+function LeadDuplicates() {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  // Per group (keyed by its first lead id): { survivorId, selectedIds }
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    fetchDuplicates(1);
+  }, []);
+
+  const fetchDuplicates = async (page) => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/leads/duplicates?page=${page}&limit=20`);
+      const data = response.data.data;
+      setGroups(data);
+      setPagination(response.data.meta.pagination);
+
+      // Keep the oldest lead by default and merge all the others into it
+      setChoices(Object.fromEntries(data.map((group) => [
+        group.leads[0].id,
+        { survivorId: group.leads[0].id, selectedIds: group.leads.slice(1).map((lead) => lead.id) },
+      ])));
+    } catch (error) {
+      console.error('Failed to fetch duplicates:', error);
+      toast.error('Failed to load duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateChoice = (groupKey, changes) => {
+    setChoices((prev) => ({ ...prev, [groupKey]: { ...prev[groupKey], ...changes } }));
+  };
+
+  const setSurvivor = (group, leadId) => {
+    const groupKey = group.leads[0].id;
+    const { selectedIds } = choices[groupKey];
+    const previous = choices[groupKey].survivorId;
+    updateChoice(groupKey, {
+      survivorId: leadId,
+      selectedIds: [...selectedIds.filter((id) => id !== leadId), previous],
+    });
+  };
+
+  const toggleSelected = (groupKey, leadId) => {
+    const { selectedIds } = choices[groupKey];
+    updateChoice(groupKey, {
+      selectedIds: selectedIds.includes(leadId)
+        ? selectedIds.filter((id) => id !== leadId)
+        : [...selectedIds, leadId],
+    });
+  };
+
+  const handleMerge = async (group) => {
+    const groupKey = group.leads[0].id;
+    const { survivorId, selectedIds } = choices[groupKey];
+    const survivor = group.leads.find((lead) => lead.id === survivorId);
+
+    if (!window.confirm(`Merge ${selectedIds.length} lead(s) into "${survivor.companyName}"? The merged leads will be deleted.`)) {
+      return;
+    }
+
+    setMerging(groupKey);
+    try {
+      await api.post(`/leads/${survivorId}/merge`, { duplicateIds: selectedIds });
+      toast.success(`Merged ${selectedIds.length} lead(s) into ${survivor.companyName}`);
+      fetchDuplicates(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to merge leads');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1>Duplicate Leads</h1>
+        <Button as={Link} to="/leads" variant="outline-secondary">
+          <FaArrowLeft className="me-2" />
+          Back to Leads
+        </Button>
+      </div>
+
+      <p className="text-muted">
+        Leads matched by the duplicate rules in Settings. Pick the lead to keep: contacts, notes,
+        conversations, contact history and campaign enrollments of the merged leads move to it.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : groups.length === 0 ? (
+        <Card>
+          <Card.Body className="text-center py-5 text-muted">No duplicate leads found.</Card.Body>
+        </Card>
+      ) : (
+        <>
+          {groups.map((group) => {
+            const groupKey = group.leads[0].id;
+            const choice = choices[groupKey];
+            if (!choice) return null;
+
+            return (
+              <Card key={groupKey} className="mb-3">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <div>
+                    <strong>{group.leads.length} leads</strong>
+                    {group.rules.map((rule) => (
+                      <Badge key={rule} bg="warning" text="dark" className="ms-2">{ruleLabel(rule)}</Badge>
+                    ))}
+                  </div>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    disabled={choice.selectedIds.length === 0 || merging === groupKey}
+                    onClick={() => handleMerge(group)}
+                  >
+                    <FaCompressArrowsAlt className="me-1" />
+                    {merging === groupKey ? 'Merging...' : `Merge ${choice.selectedIds.length}`}
+                  </Button>
+                </Card.Header>
+                <Table size="sm" className="mb-0" hover>
+                  <thead>
+                    <tr>
+                      <th style={{ width: '60px' }}>Keep</th>
+                      <th style={{ width: '60px' }}>Merge</th>
+                      <th>Company</th>
+                      <th>Primary Contact</th>
+                      <th className="text-end">Contacts</th>
+                      <th className="text-end">Conversations</th>
+                      <th>Source</th>
+                      <th>Created</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.leads.map((lead) => (
+                      <tr key={lead.id} className={lead.id === choice.survivorId ? 'table-success' : ''}>
+                        <td>
+                          <Form.Check
+                            type="radio"
+                            name={`survivor-${groupKey}`}
+                            checked={lead.id === choice.survivorId}
+                            onChange={() => setSurvivor(group, lead.id)}
+                          />
+                        </td>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            disabled={lead.id === choice.survivorId}
+                            checked={choice.selectedIds.includes(lead.id)}
+                            onChange={() => toggleSelected(groupKey, lead.id)}
+                          />
+                        </td>
+                        <td>
+                          <Link to={`/leads/${lead.id}`}><strong>{lead.companyName}</strong></Link>
+                          {lead.website && <div className="small text-muted">{lead.website}</div>}
+                        </td>
+                        <td>
+                          {lead.contacts?.[0] ? (
+                            <>
+                              <div>{lead.contacts[0].name || '-'}</div>
+                              <div className="small text-muted">{lead.contacts[0].email || lead.contacts[0].phone}</div>
+                            </>
+                          ) : (
+                            <span className="text-muted">No contacts</span>
+                          )}
+                        </td>
+                        <td className="text-end">{lead._count?.contacts || 0}</td>
+                        <td className="text-end">{lead._count?.conversations || 0}</td>
+                        <td>{lead.source?.name || 'Manual'}</td>
+                        <td>{new Date(lead.createdAt).toLocaleDateString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card>
+            );
+          })}
+
+          {pagination.totalPages > 1 && (
+            <div className="d-flex justify-content-between align-items-center">
+              <span className="text-muted">{pagination.total} duplicate groups</span>
+              <Pagination className="mb-0">
+                <Pagination.Prev
+                  disabled={pagination.page === 1}
+                  onClick={() => fetchDuplicates(pagination.page - 1)}
+                />
+                <Pagination.Item active>{pagination.page}</Pagination.Item>
+                <Pagination.Next
+                  disabled={pagination.page === pagination.totalPages}
+                  onClick={() => fetchDuplicates(pagination.page + 1)}
+                />
+              </Pagination>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LeadDuplicates;
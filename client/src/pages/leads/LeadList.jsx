@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Card, Table, Button, Form, Row, Col, Badge, Pagination } from 'react-bootstrap';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
-import { FaPlus, FaSearch, FaEye, FaFilter, FaTrash, FaUsers } from 'react-icons/fa';
+import { FaPlus, FaSearch, FaEye, FaFilter, FaTrash, FaUsers, FaClone } from 'react-icons/fa';
 import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 
@@ -105,10 +105,16 @@ function LeadList() {
     <div>
       <div className="page-header">
         <h1>Leads</h1>
-        <Button as={Link} to="/leads/new" variant="primary">
-          <FaPlus className="me-2" />
-          Add Lead
-        </Button>
+        <div className="d-flex gap-2">
+          <Button as={Link} to="/leads/duplicates" variant="outline-secondary">
+            <FaClone className="me-2" />
+            Duplicates
+          </Button>
+          <Button as={Link} to="/leads/new" variant="primary">
+            <FaPlus className="me-2" />
+            Add Lead
+          </Button>
+        </div>
       </div>
 
       <Card className="mb-4">
@@ -6,11 +6,18 @@ import toast from 'react-hot-toast';
 import api from '../../services/api';
 import useAuthStore from '../../store/authStore';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import JobQueuePanel from '../../components/settings/JobQueuePanel';
+import DedupeRulesFields, { toDedupeForm } from '../../components/settings/DedupeRulesFields';
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? ['UTC', ...Intl.supportedValuesOf('timeZone').filter((tz) => tz !== 'UTC')]
+  : ['UTC'];
 
 function Settings() {
   const { user, setUser } = useAuthStore();
   const [loading, setLoading] = useState(true);
   const [tenant, setTenant] = useState(null);
+  const [dedupe, setDedupe] = useState(toDedupeForm());
   const [activeTab, setActiveTab] = useState('profile');
 
   // Positions state
@@ -74,12 +81,15 @@ function Settings() {
 
       // Get tenant settings if admin
       if (['TENANT_ADMIN', 'SUPER_ADMIN'].includes(user?.role)) {
-        const response = await api.get('/auth/me');
-        if (response.data.user?.tenant) {
-          setTenant(response.data.user.tenant);
+        const response = await api.get('/tenants/current');
+        const currentTenant = response.data.data;
+        if (currentTenant) {
+          setTenant(currentTenant);
           tenantForm.reset({
-            name: response.data.user.tenant.name,
+            name: currentTenant.name,
+            timezone: currentTenant.settings?.timezone || 'UTC',
           });
+          setDedupe(toDedupeForm(currentTenant.settings?.dedupe));
         }
       }
     } catch (error) {
@@ -317,7 +327,10 @@ function Settings() {
 
   const onTenantSubmit = async (data) => {
     try {
-      await api.put('/tenants/current', data);
+      await api.put('/tenants/current', {
+        name: data.name,
+        settings: { timezone: data.timezone, dedupe },
+      });
       toast.success('Organization settings updated');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Update failed');
@@ -364,6 +377,11 @@ function Settings() {
                       </Nav.Link>
                     </Nav.Item>
                   )}
+                  {['TENANT_ADMIN', 'SUPER_ADMIN'].includes(user?.role) && (
+                    <Nav.Item>
+                      <Nav.Link eventKey="jobs">Background Jobs</Nav.Link>
+                    </Nav.Item>
+                  )}
                   <Nav.Item>
                     <Nav.Link eventKey="notifications">Notifications</Nav.Link>
                   </Nav.Item>
@@ -472,6 +490,20 @@ function Settings() {
                             {...tenantForm.register('name', { required: true })}
                           />
                         </Form.Group>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Time Zone</Form.Label>
+                          <Form.Select {...tenantForm.register('timezone')}>
+                            {TIME_ZONES.map((tz) => (
+                              <option key={tz} value={tz}>{tz}</option>
+                            ))}
+                          </Form.Select>
+                          <Form.Text className="text-muted">
+                            Used for channel sending limits and sending windows
+                          </Form.Text>
+                        </Form.Group>
+                        <div className="mb-3">
+                          <DedupeRulesFields value={dedupe} onChange={setDedupe} />
+                        </div>
                         <Button type="submit" variant="primary">
                           Save Changes
                         </Button>
@@ -777,6 +809,13 @@ function Settings() {
                 </Tab.Pane>
               )}
 
+              {/* Background Jobs Tab */}
+              {['TENANT_ADMIN', 'SUPER_ADMIN'].includes(user?.role) && (
+                <Tab.Pane eventKey="jobs" mountOnEnter unmountOnExit>
+                  <JobQueuePanel />
+                </Tab.Pane>
+              )}
+
               {/* Notifications Tab */}
               <Tab.Pane eventKey="notifications">
                 <Card>
@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
-import { Card, Table, Button, Badge, Modal, Form, Spinner, Alert, Accordion } from 'react-bootstrap';
+import { Card, Table, Button, Badge, Modal, Form, Spinner, Alert, Accordion, Row, Col } from 'react-bootstrap';
 import { FaPlus, FaFileAlt, FaEdit, FaTrash, FaEnvelope, FaWhatsapp, FaPhone, FaSms, FaTelegram, FaRobot, FaMagic, FaTimes } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import VariableInput from '../../components/templates/VariableInput';
 
 const CHANNEL_TYPES = [
   { value: 'EMAIL_SMTP', label: 'Email', icon: FaEnvelope, color: 'primary' },
@@ -34,6 +35,10 @@ const EMPTY_FORM = {
   useAi: false,
   aiPrompt: '',
   variations: [],
+  strictVariables: false,
+  whatsappTemplateName: '',
+  whatsappTemplateLanguage: 'en_US',
+  whatsappTemplateParams: '',
 };
 
 function TemplateList() {
@@ -43,6 +48,7 @@ function TemplateList() {
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [formData, setFormData] = useState(EMPTY_FORM);
   const [saving, setSaving] = useState(false);
+  const [variables, setVariables] = useState([]);
 
   // AI state
   const [aiStatus, setAiStatus] = useState({ configured: false, checking: true });
@@ -53,8 +59,18 @@ function TemplateList() {
   useEffect(() => {
     fetchTemplates();
     checkAiStatus();
+    fetchVariables();
   }, []);
 
+  const fetchVariables = async () => {
+    try {
+      const response = await api.get('/templates/variables');
+      setVariables(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch template variables:', error);
+    }
+  };
+
   const checkAiStatus = async () => {
     try {
       const response = await api.get('/ai/status');
@@ -91,6 +107,10 @@ function TemplateList() {
           useAi: fullTemplate.useAi || false,
           aiPrompt: fullTemplate.aiPrompt || '',
           variations: fullTemplate.variations || [],
+          strictVariables: fullTemplate.strictVariables || false,
+          whatsappTemplateName: fullTemplate.whatsappTemplateName || '',
+          whatsappTemplateLanguage: fullTemplate.whatsappTemplateLanguage || 'en_US',
+          whatsappTemplateParams: (fullTemplate.whatsappTemplateParams || []).join('\n'),
         });
       } catch (error) {
         console.error('Failed to fetch template details:', error);
@@ -168,8 +188,18 @@ function TemplateList() {
         useAi: formData.useAi,
         aiPrompt: formData.useAi ? formData.aiPrompt : null,
         variations: formData.useAi ? formData.variations : [],
+        strictVariables: formData.strictVariables,
       };
 
+      if (formData.channelType === 'WHATSAPP_BUSINESS') {
+        const hasMetaTemplate = !!formData.whatsappTemplateName.trim();
+        payload.whatsappTemplateName = hasMetaTemplate ? formData.whatsappTemplateName.trim() : null;
+        payload.whatsappTemplateLanguage = hasMetaTemplate ? formData.whatsappTemplateLanguage.trim() || 'en_US' : null;
+        payload.whatsappTemplateParams = hasMetaTemplate
+          ? formData.whatsappTemplateParams.split(/[\n,]/).map((p) => p.trim()).filter(Boolean)
+          : null;
+      }
+
       if (editingTemplate) {
         await api.patch(`/templates/${editingTemplate.id}`, payload);
         toast.success('Template updated');
@@ -447,20 +477,22 @@ function TemplateList() {
                           {needsSubject && (
                             <Form.Group className="mb-3">
                               <Form.Label>Subject</Form.Label>
-                              <Form.Control
+                              <VariableInput
                                 type="text"
+                                variables={variables}
                                 value={variation.subject || ''}
-                                onChange={(e) => updateVariation(index, 'subject', e.target.value)}
+                                onChange={(value) => updateVariation(index, 'subject', value)}
                               />
                             </Form.Group>
                           )}
                           <Form.Group className="mb-3">
                             <Form.Label>Message</Form.Label>
-                            <Form.Control
+                            <VariableInput
                               as="textarea"
                               rows={4}
+                              variables={variables}
                               value={variation.body}
-                              onChange={(e) => updateVariation(index, 'body', e.target.value)}
+                              onChange={(value) => updateVariation(index, 'body', value)}
                             />
                           </Form.Group>
                           <Button
@@ -485,10 +517,11 @@ function TemplateList() {
                 {needsSubject && (
                   <Form.Group className="mb-3">
                     <Form.Label>Subject</Form.Label>
-                    <Form.Control
+                    <VariableInput
                       type="text"
+                      variables={variables}
                       value={formData.subject}
-                      onChange={(e) => setFormData({ ...formData, subject: e.target.value })}
+                      onChange={(value) => setFormData({ ...formData, subject: value })}
                       placeholder="Email subject line"
                     />
                     <Form.Text className="text-muted">
@@ -499,20 +532,97 @@ function TemplateList() {
 
                 <Form.Group className="mb-3">
                   <Form.Label>Message Body</Form.Label>
-                  <Form.Control
+                  <VariableInput
                     as="textarea"
                     rows={10}
+                    variables={variables}
                     value={formData.body}
-                    onChange={(e) => setFormData({ ...formData, body: e.target.value })}
+                    onChange={(value) => setFormData({ ...formData, body: value })}
                     placeholder="Write your message here..."
                     required={!formData.useAi}
                   />
                   <Form.Text className="text-muted">
-                    Available variables: {'{{contact.name}}'}, {'{{contact.email}}'}, {'{{contact.phone}}'}, {'{{contact.position}}'}, {'{{lead.company_name}}'}, {'{{lead.website}}'}, {'{{lead.industry}}'}, {'{{current_date}}'}, {'{{unsubscribe_link}}'}
+                    Type {'{{'} to pick a variable: contact, lead (including industries, tags and your custom fields
+                    as {'{{lead.custom.field_name}}'}), assignee, sender, {'{{current_date}}'} and {'{{unsubscribe_link}}'}.
                   </Form.Text>
                 </Form.Group>
               </>
             )}
+
+            <Card className="mb-3">
+              <Card.Body className="small">
+                <div className="text-muted mb-2">
+                  <div>Fallback: {'{{contact.first_name | default: "there"}}'}</div>
+                  <div>Filters: capitalize, titlecase, upcase, downcase, trim, truncate: 40</div>
+                  <div>Conditions: {'{{#if lead.website}}...{{else}}...{{/if}}'}, {'{{#if lead.industry == "Retail"}}...{{/if}}'}</div>
+                  <div>Spintax: {'{Hi|Hello|Hey}'} picks one option per message</div>
+                </div>
+                <Form.Check
+                  type="switch"
+                  id="strictVariables"
+                  label="Strict mode: don't send campaign messages with missing variables"
+                  checked={formData.strictVariables}
+                  onChange={(e) => setFormData({ ...formData, strictVariables: e.target.checked })}
+                />
+                <Form.Text className="text-muted">
+                  Variables without a default that have no value mark the message as failed instead of sending a blank.
+                </Form.Text>
+              </Card.Body>
+            </Card>
+
+            {/* Approved Meta template for WhatsApp Business */}
+            {formData.channelType === 'WHATSAPP_BUSINESS' && (
+              <Card className="mb-3">
+                <Card.Header className="bg-light">
+                  <FaWhatsapp className="me-2 text-success" />
+                  Approved WhatsApp Template
+                </Card.Header>
+                <Card.Body>
+                  <p className="small text-muted">
+                    WhatsApp only allows free-form messages within 24 hours of the contact's last reply.
+                    Outside that window the approved template below is sent instead.
+                  </p>
+                  <Row>
+                    <Col md={8}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Template Name</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={formData.whatsappTemplateName}
+                          onChange={(e) => setFormData({ ...formData, whatsappTemplateName: e.target.value })}
+                          placeholder="e.g. intro_followup"
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Language</Form.Label>
+                        <Form.Control
+                          type="text"
+                          value={formData.whatsappTemplateLanguage}
+                          onChange={(e) => setFormData({ ...formData, whatsappTemplateLanguage: e.target.value })}
+                          placeholder="en_US"
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  <Form.Group>
+                    <Form.Label>Parameters (in order)</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={3}
+                      value={formData.whatsappTemplateParams}
+                      onChange={(e) => setFormData({ ...formData, whatsappTemplateParams: e.target.value })}
+                      placeholder={'contact.first_name\nlead.company_name'}
+                      disabled={!formData.whatsappTemplateName.trim()}
+                    />
+                    <Form.Text className="text-muted">
+                      One variable per line - the first fills {'{{1}}'} in the approved template, the second {'{{2}}'}, and so on.
+                    </Form.Text>
+                  </Form.Group>
+                </Card.Body>
+              </Card>
+            )}
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={closeModal}>
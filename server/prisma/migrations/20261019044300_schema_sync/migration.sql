@@ -0,0 +1,326 @@
+/*
+  Brings the migration history in line with the schema the series started from: the init
+  migration predates industries, positions, notes, template variations and the Telegram and
+  WhatsApp prospect tables, plus several columns.
+
+  Warnings:
+  - The `industry` column on `leads` is replaced by the `industries` and `lead_industries` tables.
+    Existing values are copied over before the column is dropped.
+*/
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `position_id` INTEGER NULL,
+    ADD COLUMN `linkedin_url` VARCHAR(500) NULL,
+    ADD COLUMN `source` VARCHAR(100) NULL,
+    ADD INDEX `contacts_position_id_idx`(`position_id`);
+
+-- AlterTable
+ALTER TABLE `data_sources` MODIFY `type` ENUM('PLAYWRIGHT', 'API', 'RSS', 'MANUAL', 'JSON', 'CSV', 'TELEGRAM') NOT NULL,
+    MODIFY `url` VARCHAR(1000) NULL,
+    MODIFY `config` JSON NULL,
+    ADD COLUMN `file_name` VARCHAR(255) NULL,
+    ADD COLUMN `file_size` INTEGER NULL,
+    ADD COLUMN `record_count` INTEGER NULL,
+    ADD COLUMN `created_by` INTEGER NULL,
+    ADD INDEX `data_sources_created_by_idx`(`created_by`);
+
+-- AlterTable
+ALTER TABLE `channel_configs` ADD COLUMN `created_by` INTEGER NULL,
+    ADD INDEX `channel_configs_created_by_idx`(`created_by`);
+
+-- AlterTable
+ALTER TABLE `templates` ADD COLUMN `use_ai` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `ai_prompt` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `campaigns` ADD COLUMN `message_interval_seconds` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `scheduled_at` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `campaign_steps` ADD COLUMN `delay_minutes` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `campaign_recipients` MODIFY `lead_id` INTEGER NULL,
+    MODIFY `contact_id` INTEGER NULL,
+    ADD COLUMN `prospect_id` INTEGER NULL,
+    ADD COLUMN `whatsapp_prospect_id` INTEGER NULL,
+    ADD COLUMN `metadata` JSON NULL,
+    ADD INDEX `campaign_recipients_prospect_id_idx`(`prospect_id`),
+    ADD INDEX `campaign_recipients_whatsapp_prospect_id_idx`(`whatsapp_prospect_id`),
+    ADD UNIQUE INDEX `campaign_recipients_campaign_id_prospect_id_key`(`campaign_id`, `prospect_id`),
+    ADD UNIQUE INDEX `campaign_recipients_campaign_id_whatsapp_prospect_id_key`(`campaign_id`, `whatsapp_prospect_id`);
+
+-- AlterTable
+ALTER TABLE `job_queue` MODIFY `type` ENUM('SCRAPE', 'CAMPAIGN_STEP', 'POLL', 'WEBHOOK', 'CLEANUP', 'EMAIL_SEND', 'SMS_SEND', 'TELEGRAM_REPLY_POLL', 'WHATSAPP_REPLY_POLL') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `industries` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `industries_tenant_id_name_key`(`tenant_id`, `name`),
+    INDEX `industries_tenant_id_idx`(`tenant_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `positions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `positions_tenant_id_name_key`(`tenant_id`, `name`),
+    INDEX `positions_tenant_id_idx`(`tenant_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `lead_industries` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `lead_id` INTEGER NOT NULL,
+    `industry_id` INTEGER NOT NULL,
+
+    UNIQUE INDEX `lead_industries_lead_id_industry_id_key`(`lead_id`, `industry_id`),
+    INDEX `lead_industries_lead_id_idx`(`lead_id`),
+    INDEX `lead_industries_industry_id_idx`(`industry_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `notes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `lead_id` INTEGER NOT NULL,
+    `content` TEXT NOT NULL,
+    `created_by` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `notes_tenant_id_idx`(`tenant_id`),
+    INDEX `notes_lead_id_idx`(`lead_id`),
+    INDEX `notes_created_by_idx`(`created_by`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `template_variations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `template_id` INTEGER NOT NULL,
+    `subject` VARCHAR(500) NULL,
+    `body` LONGTEXT NOT NULL,
+    `sort_order` INTEGER NOT NULL DEFAULT 0,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `template_variations_template_id_idx`(`template_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `telegram_prospect_groups` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `channel_config_id` INTEGER NOT NULL,
+    `name` VARCHAR(255) NOT NULL,
+    `telegram_group_id` VARCHAR(100) NOT NULL,
+    `telegram_group_name` VARCHAR(255) NULL,
+    `prospect_count` INTEGER NOT NULL DEFAULT 0,
+    `created_by` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `telegram_prospect_groups_tenant_id_channel_config_id_telegram_group_id_key`(`tenant_id`, `channel_config_id`, `telegram_group_id`),
+    INDEX `telegram_prospect_groups_tenant_id_idx`(`tenant_id`),
+    INDEX `telegram_prospect_groups_channel_config_id_idx`(`channel_config_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `telegram_prospects` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `group_id` INTEGER NOT NULL,
+    `telegram_user_id` VARCHAR(100) NOT NULL,
+    `first_name` VARCHAR(255) NULL,
+    `last_name` VARCHAR(255) NULL,
+    `username` VARCHAR(255) NULL,
+    `phone` VARCHAR(50) NULL,
+    `access_hash` VARCHAR(255) NULL,
+    `status` ENUM('PENDING', 'MESSAGED', 'REPLIED', 'CONVERTED') NOT NULL DEFAULT 'PENDING',
+    `last_messaged_at` DATETIME(3) NULL,
+    `last_replied_at` DATETIME(3) NULL,
+    `converted_lead_id` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `telegram_prospects_tenant_id_group_id_telegram_user_id_key`(`tenant_id`, `group_id`, `telegram_user_id`),
+    INDEX `telegram_prospects_tenant_id_idx`(`tenant_id`),
+    INDEX `telegram_prospects_group_id_idx`(`group_id`),
+    INDEX `telegram_prospects_status_idx`(`status`),
+    INDEX `telegram_prospects_converted_lead_id_idx`(`converted_lead_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `telegram_prospect_messages` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `prospect_id` INTEGER NOT NULL,
+    `direction` ENUM('INBOUND', 'OUTBOUND') NOT NULL,
+    `content` TEXT NOT NULL,
+    `telegram_msg_id` VARCHAR(100) NULL,
+    `campaign_id` INTEGER NULL,
+    `sent_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `telegram_prospect_messages_prospect_id_idx`(`prospect_id`),
+    INDEX `telegram_prospect_messages_campaign_id_idx`(`campaign_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `whatsapp_prospect_groups` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `channel_config_id` INTEGER NOT NULL,
+    `name` VARCHAR(255) NOT NULL,
+    `whatsapp_group_id` VARCHAR(100) NOT NULL,
+    `whatsapp_group_name` VARCHAR(255) NULL,
+    `prospect_count` INTEGER NOT NULL DEFAULT 0,
+    `created_by` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `whatsapp_prospect_groups_tenant_id_channel_config_id_whatsapp_group_id_key`(`tenant_id`, `channel_config_id`, `whatsapp_group_id`),
+    INDEX `whatsapp_prospect_groups_tenant_id_idx`(`tenant_id`),
+    INDEX `whatsapp_prospect_groups_channel_config_id_idx`(`channel_config_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `whatsapp_prospects` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `group_id` INTEGER NOT NULL,
+    `whatsapp_user_id` VARCHAR(100) NOT NULL,
+    `name` VARCHAR(255) NULL,
+    `phone` VARCHAR(50) NULL,
+    `is_admin` BOOLEAN NOT NULL DEFAULT false,
+    `status` ENUM('PENDING', 'MESSAGED', 'REPLIED', 'CONVERTED') NOT NULL DEFAULT 'PENDING',
+    `last_messaged_at` DATETIME(3) NULL,
+    `last_replied_at` DATETIME(3) NULL,
+    `converted_lead_id` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `whatsapp_prospects_tenant_id_group_id_whatsapp_user_id_key`(`tenant_id`, `group_id`, `whatsapp_user_id`),
+    INDEX `whatsapp_prospects_tenant_id_idx`(`tenant_id`),
+    INDEX `whatsapp_prospects_group_id_idx`(`group_id`),
+    INDEX `whatsapp_prospects_status_idx`(`status`),
+    INDEX `whatsapp_prospects_converted_lead_id_idx`(`converted_lead_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `whatsapp_prospect_messages` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `prospect_id` INTEGER NOT NULL,
+    `direction` ENUM('INBOUND', 'OUTBOUND') NOT NULL,
+    `content` TEXT NOT NULL,
+    `whatsapp_msg_id` VARCHAR(100) NULL,
+    `campaign_id` INTEGER NULL,
+    `sent_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `whatsapp_prospect_messages_prospect_id_idx`(`prospect_id`),
+    INDEX `whatsapp_prospect_messages_campaign_id_idx`(`campaign_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `industries` ADD CONSTRAINT `industries_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `lead_industries` ADD CONSTRAINT `lead_industries_industry_id_fkey` FOREIGN KEY (`industry_id`) REFERENCES `industries`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `lead_industries` ADD CONSTRAINT `lead_industries_lead_id_fkey` FOREIGN KEY (`lead_id`) REFERENCES `leads`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `contacts` ADD CONSTRAINT `contacts_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notes` ADD CONSTRAINT `notes_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notes` ADD CONSTRAINT `notes_lead_id_fkey` FOREIGN KEY (`lead_id`) REFERENCES `leads`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notes` ADD CONSTRAINT `notes_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `data_sources` ADD CONSTRAINT `data_sources_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `channel_configs` ADD CONSTRAINT `channel_configs_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `template_variations` ADD CONSTRAINT `template_variations_template_id_fkey` FOREIGN KEY (`template_id`) REFERENCES `templates`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `campaign_recipients` ADD CONSTRAINT `campaign_recipients_prospect_id_fkey` FOREIGN KEY (`prospect_id`) REFERENCES `telegram_prospects`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `campaign_recipients` ADD CONSTRAINT `campaign_recipients_whatsapp_prospect_id_fkey` FOREIGN KEY (`whatsapp_prospect_id`) REFERENCES `whatsapp_prospects`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospect_groups` ADD CONSTRAINT `telegram_prospect_groups_channel_config_id_fkey` FOREIGN KEY (`channel_config_id`) REFERENCES `channel_configs`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospect_groups` ADD CONSTRAINT `telegram_prospect_groups_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospects` ADD CONSTRAINT `telegram_prospects_converted_lead_id_fkey` FOREIGN KEY (`converted_lead_id`) REFERENCES `leads`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospects` ADD CONSTRAINT `telegram_prospects_group_id_fkey` FOREIGN KEY (`group_id`) REFERENCES `telegram_prospect_groups`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospect_messages` ADD CONSTRAINT `telegram_prospect_messages_campaign_id_fkey` FOREIGN KEY (`campaign_id`) REFERENCES `campaigns`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `telegram_prospect_messages` ADD CONSTRAINT `telegram_prospect_messages_prospect_id_fkey` FOREIGN KEY (`prospect_id`) REFERENCES `telegram_prospects`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospect_groups` ADD CONSTRAINT `whatsapp_prospect_groups_channel_config_id_fkey` FOREIGN KEY (`channel_config_id`) REFERENCES `channel_configs`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospect_groups` ADD CONSTRAINT `whatsapp_prospect_groups_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospects` ADD CONSTRAINT `whatsapp_prospects_converted_lead_id_fkey` FOREIGN KEY (`converted_lead_id`) REFERENCES `leads`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospects` ADD CONSTRAINT `whatsapp_prospects_group_id_fkey` FOREIGN KEY (`group_id`) REFERENCES `whatsapp_prospect_groups`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospect_messages` ADD CONSTRAINT `whatsapp_prospect_messages_campaign_id_fkey` FOREIGN KEY (`campaign_id`) REFERENCES `campaigns`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `whatsapp_prospect_messages` ADD CONSTRAINT `whatsapp_prospect_messages_prospect_id_fkey` FOREIGN KEY (`prospect_id`) REFERENCES `whatsapp_prospects`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move lead industries to industries/lead_industries
+INSERT IGNORE INTO `industries` (`tenant_id`, `name`)
+SELECT DISTINCT `tenant_id`, LEFT(TRIM(`industry`), 100) FROM `leads`
+WHERE `industry` IS NOT NULL AND TRIM(`industry`) <> '';
+
+INSERT IGNORE INTO `lead_industries` (`lead_id`, `industry_id`)
+SELECT `leads`.`id`, `industries`.`id` FROM `leads`
+JOIN `industries` ON `industries`.`tenant_id` = `leads`.`tenant_id` AND `industries`.`name` = LEFT(TRIM(`leads`.`industry`), 100);
+
+-- AlterTable
+ALTER TABLE `leads` DROP COLUMN `industry`;
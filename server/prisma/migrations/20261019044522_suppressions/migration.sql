@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `suppressions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `type` ENUM('EMAIL', 'PHONE', 'TELEGRAM', 'WHATSAPP') NOT NULL,
+    `value` VARCHAR(255) NOT NULL,
+    `reason` ENUM('UNSUBSCRIBED', 'BOUNCED', 'COMPLAINT', 'MANUAL', 'IMPORTED') NOT NULL DEFAULT 'MANUAL',
+    `note` VARCHAR(500) NULL,
+    `campaign_id` INTEGER NULL,
+    `contact_id` INTEGER NULL,
+    `created_by` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `suppressions_tenant_id_type_value_key`(`tenant_id`, `type`, `value`),
+    INDEX `suppressions_tenant_id_idx`(`tenant_id`),
+    INDEX `suppressions_reason_idx`(`reason`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `suppressions` ADD CONSTRAINT `suppressions_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `email_invalid` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `email_invalid_at` DATETIME(3) NULL;
+
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `templates` ADD COLUMN `whatsapp_template_name` VARCHAR(512) NULL,
+    ADD COLUMN `whatsapp_template_language` VARCHAR(20) NULL,
+    ADD COLUMN `whatsapp_template_params` JSON NULL;
+
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `telegram_chat_id` VARCHAR(50) NULL,
+    ADD INDEX `contacts_telegram_chat_id_idx`(`telegram_chat_id`);
+
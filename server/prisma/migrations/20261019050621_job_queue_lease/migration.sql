@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `job_queue` ADD COLUMN `locked_by` VARCHAR(100) NULL,
+    ADD COLUMN `locked_until` DATETIME(3) NULL,
+    ADD COLUMN `dedupe_key` VARCHAR(191) NULL,
+    ADD INDEX `job_queue_locked_until_idx`(`locked_until`),
+    ADD INDEX `job_queue_status_scheduled_at_idx`(`status`, `scheduled_at`),
+    ADD UNIQUE INDEX `job_queue_type_dedupe_key_key`(`type`, `dedupe_key`);
+
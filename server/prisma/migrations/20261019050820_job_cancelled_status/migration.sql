@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `job_queue` MODIFY `status` ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'RETRY', 'CANCELLED') NOT NULL DEFAULT 'PENDING';
+
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `contact_attempts` ADD INDEX `contact_attempts_channel_config_id_created_at_idx`(`channel_config_id`, `created_at`);
+
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `leads` ADD COLUMN `timezone` VARCHAR(64) NULL;
+
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `timezone` VARCHAR(64) NULL;
+
+-- AlterTable
+ALTER TABLE `campaigns` ADD COLUMN `business_hours_start` VARCHAR(5) NULL,
+    ADD COLUMN `business_hours_end` VARCHAR(5) NULL,
+    ADD COLUMN `skip_weekends` BOOLEAN NOT NULL DEFAULT false;
+
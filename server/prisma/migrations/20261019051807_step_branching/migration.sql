@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `campaigns` ADD COLUMN `exit_lead_statuses` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `campaign_steps` ADD COLUMN `name` VARCHAR(100) NULL,
+    ADD COLUMN `conditions` JSON NULL;
+
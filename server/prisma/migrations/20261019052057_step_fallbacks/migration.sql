@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `campaign_steps` ADD COLUMN `fallbacks` JSON NULL;
+
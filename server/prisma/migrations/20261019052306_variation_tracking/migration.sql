@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE `campaigns` ADD COLUMN `ab_testing` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `contact_attempts` ADD COLUMN `variation_id` INTEGER NULL,
+    ADD INDEX `contact_attempts_variation_id_idx`(`variation_id`);
+
+-- AddForeignKey
+ALTER TABLE `contact_attempts` ADD CONSTRAINT `contact_attempts_variation_id_fkey` FOREIGN KEY (`variation_id`) REFERENCES `template_variations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
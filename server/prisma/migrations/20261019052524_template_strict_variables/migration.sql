@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `templates` ADD COLUMN `strict_variables` BOOLEAN NOT NULL DEFAULT false;
+
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `data_sources` MODIFY `type` ENUM('PLAYWRIGHT', 'API', 'RSS', 'MANUAL', 'JSON', 'CSV', 'XLSX', 'TELEGRAM') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `import_mapping_profiles` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenant_id` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `mapping` JSON NOT NULL,
+    `columns` JSON NULL,
+    `created_by` INTEGER NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `import_mapping_profiles_tenant_id_name_key`(`tenant_id`, `name`),
+    INDEX `import_mapping_profiles_tenant_id_idx`(`tenant_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `import_mapping_profiles` ADD CONSTRAINT `import_mapping_profiles_tenant_id_fkey` FOREIGN KEY (`tenant_id`) REFERENCES `tenants`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
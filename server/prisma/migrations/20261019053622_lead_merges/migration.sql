@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `leads` ADD COLUMN `merged_into_id` INTEGER NULL;
+
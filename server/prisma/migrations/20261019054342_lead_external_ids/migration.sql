@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `leads` ADD COLUMN `external_id` VARCHAR(255) NULL,
+    DROP INDEX `leads_source_id_idx`,
+    ADD INDEX `leads_source_id_external_id_idx`(`source_id`, `external_id`);
+
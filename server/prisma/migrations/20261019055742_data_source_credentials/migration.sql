@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `data_sources` ADD COLUMN `credentials` JSON NULL;
+
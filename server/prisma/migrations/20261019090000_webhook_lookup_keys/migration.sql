@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `phone_key` VARCHAR(20) NULL,
+    ADD INDEX `contacts_tenant_id_phone_key_idx`(`tenant_id`, `phone_key`);
+
+-- AlterTable
+ALTER TABLE `channel_configs` ADD COLUMN `external_id` VARCHAR(100) NULL,
+    DROP INDEX `channel_configs_channel_type_idx`,
+    ADD INDEX `channel_configs_channel_type_external_id_idx`(`channel_type`, `external_id`);
+
+-- Backfill phone keys (same as utils/lookupKeys.js phoneKey: last 8 digits of the normalized number)
+UPDATE `contacts`
+SET `phone_key` = NULLIF(RIGHT(REGEXP_REPLACE(REGEXP_REPLACE(TRIM(`phone`), '^00', ''), '[^0-9]', ''), 8), '')
+WHERE `phone` IS NOT NULL;
+
+-- channel_configs.external_id is derived from encrypted credentials and is filled in by the
+-- application the first time a webhook arrives (see SmsService.backfillExternalIds)
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `job_queue` ADD COLUMN `channel_config_id` INTEGER NULL,
+    ADD INDEX `job_queue_channel_config_id_type_created_at_idx`(`channel_config_id`, `type`, `created_at`);
+
+-- Backfill from the payload of existing campaign step jobs
+UPDATE `job_queue`
+SET `channel_config_id` = CAST(JSON_EXTRACT(`payload`, '$.channelConfigId') AS UNSIGNED)
+WHERE `type` = 'CAMPAIGN_STEP'
+  AND JSON_TYPE(JSON_EXTRACT(`payload`, '$.channelConfigId')) = 'INTEGER';
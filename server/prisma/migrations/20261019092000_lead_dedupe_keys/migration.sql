@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `leads` ADD COLUMN `domain_key` VARCHAR(255) NULL,
+    ADD COLUMN `name_key` VARCHAR(255) NULL,
+    ADD INDEX `leads_tenant_id_domain_key_idx`(`tenant_id`, `domain_key`),
+    ADD INDEX `leads_tenant_id_name_key_idx`(`tenant_id`, `name_key`);
+
+-- AlterTable
+ALTER TABLE `contacts` ADD COLUMN `email_key` VARCHAR(255) NULL,
+    ADD INDEX `contacts_tenant_id_email_key_idx`(`tenant_id`, `email_key`);
+
+-- Backfill email keys (same as utils/lookupKeys.js emailKey)
+UPDATE `contacts`
+SET `email_key` = LOWER(TRIM(`email`))
+WHERE `email` LIKE '%@%';
+
+-- leads.domain_key and leads.name_key follow normalization rules that don't translate to SQL
+-- (accent folding, legal suffixes); they are filled in by the application before the first
+-- dedupe lookup of each tenant (see LeadDedupeService.backfillKeys)
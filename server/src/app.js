@@ -31,6 +31,10 @@ const telegramRoutes = require('./routes/telegram');
 const telegramProspectsRoutes = require('./routes/telegramProspects');
 const whatsappProspectsRoutes = require('./routes/whatsappProspects');
 const aiRoutes = require('./routes/ai');
+const trackingRoutes = require('./routes/tracking');
+const unsubscribeRoutes = require('./routes/unsubscribe');
+const suppressionRoutes = require('./routes/suppressions');
+const jobRoutes = require('./routes/jobs');
 
 // Initialize express app
 const app = express();
@@ -53,7 +57,13 @@ app.use(cors({
 }));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around so webhooks can verify provider signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -129,6 +139,10 @@ app.use('/api/v1/telegram', telegramRoutes);
 app.use('/api/v1/telegram-prospects', telegramProspectsRoutes);
 app.use('/api/v1/whatsapp-prospects', whatsappProspectsRoutes);
 app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/track', trackingRoutes);
+app.use('/api/v1/unsubscribe', unsubscribeRoutes);
+app.use('/api/v1/suppressions', suppressionRoutes);
+app.use('/api/v1/jobs', jobRoutes);
 
 // Serve static files in production
 if (config.env === 'production') {
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { syncLookupKeys } = require('../utils/lookupKeys');
 
 const prisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development'
@@ -7,6 +8,9 @@ const prisma = new PrismaClient({
     : ['error'],
 });
 
+// Keep indexed lookup keys (e.g. contacts.phone_key) in sync with the columns they derive from
+prisma.$use((params, next) => next(syncLookupKeys(params)));
+
 // Handle connection events
 prisma.$connect()
   .then(() => {
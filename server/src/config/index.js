@@ -44,9 +44,16 @@ module.exports = {
   // Email - API Providers
   mandrill: {
     apiKey: process.env.MANDRILL_API_KEY,
+    webhookKey: process.env.MANDRILL_WEBHOOK_KEY,
+    webhookUrl: process.env.MANDRILL_WEBHOOK_URL, // Defaults to APP_URL + webhook path
   },
   sendgrid: {
     apiKey: process.env.SENDGRID_API_KEY,
+    webhookPublicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY,
+  },
+  ses: {
+    // Comma-separated SNS topic ARNs allowed to post SES events (required for the SES webhook)
+    topicArns: (process.env.SES_SNS_TOPIC_ARNS || '').split(',').map(s => s.trim()).filter(Boolean),
   },
 
   // Twilio
@@ -62,6 +69,7 @@ module.exports = {
     accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
     phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
     webhookVerifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN,
+    appSecret: process.env.WHATSAPP_APP_SECRET, // Signs webhook payloads (X-Hub-Signature-256)
   },
 
   // Telegram
@@ -79,6 +87,15 @@ module.exports = {
     pollInterval: parseInt(process.env.JOB_POLL_INTERVAL, 10) || 30000, // 30 seconds (was 5s)
     concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 5,
     timeout: parseInt(process.env.JOB_TIMEOUT, 10) || 300000, // 5 minutes
+    leaseGrace: parseInt(process.env.JOB_LEASE_GRACE, 10) || 60000, // Lease = timeout + grace
+    // Per-type limits per worker, e.g. "SCRAPE=1,CAMPAIGN_STEP=10"
+    typeConcurrency: Object.fromEntries(
+      (process.env.JOB_TYPE_CONCURRENCY || '')
+        .split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([type, limit]) => type && parseInt(limit, 10) > 0)
+        .map(([type, limit]) => [type.toUpperCase(), parseInt(limit, 10)])
+    ),
   },
 
   // Scraping
@@ -87,6 +104,11 @@ module.exports = {
     headless: process.env.SCRAPER_HEADLESS !== 'false',
     timeout: parseInt(process.env.SCRAPER_TIMEOUT, 10) || 30000,
     concurrency: parseInt(process.env.SCRAPER_CONCURRENCY, 10) || 2,
+    // Limits for tenant scripts, which run in a sandboxed child process
+    scriptTimeout: parseInt(process.env.SCRAPER_SCRIPT_TIMEOUT, 10) || 120000, // 2 minutes
+    scriptCpuTime: parseInt(process.env.SCRAPER_SCRIPT_CPU_TIME, 10) || 30000, // CPU ms
+    scriptMemory: parseInt(process.env.SCRAPER_SCRIPT_MEMORY, 10) || 128, // MB heap
+    scriptMaxCalls: parseInt(process.env.SCRAPER_SCRIPT_MAX_CALLS, 10) || 5000, // page calls per run
   },
 
   // OpenAI
@@ -4,6 +4,7 @@ const prisma = require('./config/database');
 const { initializeWorkers, initializeCronJobs } = require('./workers');
 const logger = require('./utils/logger');
 const telegramService = require('./services/telegram.service');
+const telegramBotService = require('./services/telegramBot.service');
 const { decrypt } = require('./utils/encryption');
 
 const PORT = config.port || 5000;
@@ -17,6 +18,7 @@ async function autoReconnectTelegramChannels() {
     const telegramChannels = await prisma.channelConfig.findMany({
       where: {
         channelType: 'TELEGRAM',
+        provider: { not: telegramBotService.provider }, // Bot API channels have no session
         isActive: true,
       },
     });
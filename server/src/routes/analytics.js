@@ -122,6 +122,29 @@ router.get(
       byChannel[stat.channelType].total += stat._count;
     });
 
+    // Opens/clicks are tracked as timestamps rather than statuses
+    const engagementWhere = addTenantFilter(req, {
+      createdAt: { gte: startDate, lte: endDate },
+    });
+    const [opened, clicked] = await Promise.all([
+      prisma.contactAttempt.groupBy({
+        by: ['channelType'],
+        where: { ...engagementWhere, openedAt: { not: null } },
+        _count: true,
+      }),
+      prisma.contactAttempt.groupBy({
+        by: ['channelType'],
+        where: { ...engagementWhere, clickedAt: { not: null } },
+        _count: true,
+      }),
+    ]);
+    opened.forEach((stat) => {
+      if (byChannel[stat.channelType]) byChannel[stat.channelType].OPENED = stat._count;
+    });
+    clicked.forEach((stat) => {
+      if (byChannel[stat.channelType]) byChannel[stat.channelType].CLICKED = stat._count;
+    });
+
     return success(res, {
       period: { startDate, endDate },
       byChannel,
@@ -5,16 +5,42 @@ const { authenticate } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/rbac');
 const { requireTenant, addTenantFilter, getTenantId } = require('../middleware/tenant');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
 const { success, paginated, noContent, created } = require('../utils/response');
 const logger = require('../utils/logger');
+const sendingLimitsService = require('../services/sendingLimits.service');
+const campaignScheduleService = require('../services/campaignSchedule.service');
+const campaignBranchingService = require('../services/campaignBranching.service');
+const campaignChannelService = require('../services/campaignChannel.service');
+const variationTestingService = require('../services/variationTesting.service');
 
 const router = express.Router();
 
 router.use(authenticate);
 router.use(requireTenant);
 
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const LEAD_STATUSES = ['NEW', 'CONTACTED', 'QUALIFIED', 'NEGOTIATION', 'CONVERTED', 'LOST'];
+
+// Recipient-local business hours, shared by create and update
+const scheduleValidators = [
+  body('businessHoursStart').optional({ nullable: true, checkFalsy: true }).matches(TIME_OF_DAY).withMessage('Use HH:MM'),
+  body('businessHoursEnd').optional({ nullable: true, checkFalsy: true }).matches(TIME_OF_DAY).withMessage('Use HH:MM'),
+  body('skipWeekends').optional().isBoolean().toBoolean(),
+  body('exitLeadStatuses').optional({ nullable: true }).isArray(),
+  body('exitLeadStatuses.*').isIn(LEAD_STATUSES),
+];
+
+const abTestingValidators = [
+  body('abTesting').optional({ nullable: true }).isObject(),
+  body('abTesting.strategy').optional().isIn(variationTestingService.strategies),
+  body('abTesting.metric').optional().isIn(variationTestingService.metrics),
+  body('abTesting.minSamples').optional().isInt({ min: 1, max: 100000 }).toInt(),
+  body('abTesting.epsilon').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+];
+
 /**
  * @route   GET /api/v1/campaigns
  * @desc    List campaigns
@@ -87,18 +113,46 @@ router.post(
     body('targetFilter').optional().isObject(),
     body('steps').optional().isArray(),
     body('messageIntervalSeconds').optional().isInt({ min: 0 }).toInt(),
+    ...scheduleValidators,
+    ...abTestingValidators,
+    body('steps.*.sendTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_OF_DAY).withMessage('Use HH:MM'),
+    body('steps.*.name').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('steps.*.conditions').optional({ nullable: true }).isArray(),
+    body('steps.*.fallbacks').optional({ nullable: true }).isArray({ max: 5 }),
+    body('steps.*.fallbacks.*.channelConfigId').isInt().toInt(),
+    body('steps.*.fallbacks.*.templateId').isInt().toInt(),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { name, type, targetFilter, steps, messageIntervalSeconds } = req.body;
+    const {
+      name, type, targetFilter, steps, messageIntervalSeconds,
+      businessHoursStart, businessHoursEnd, skipWeekends, exitLeadStatuses, abTesting,
+    } = req.body;
     const tenantId = getTenantId(req);
 
     // If steps provided, fetch channel configs to get channelType
     let stepsData = undefined;
     if (steps?.length) {
-      const channelConfigIds = [...new Set(steps.map(s => s.channelConfigId))];
+      // Step names are branch targets, so they must be unique within the campaign
+      const stepNames = steps.map(step => step.name).filter(Boolean);
+      if (new Set(stepNames).size !== stepNames.length) {
+        throw AppError.badRequest('Step names must be unique within a campaign');
+      }
+
+      const stepConditions = steps.map((step, idx) => {
+        try {
+          return campaignBranchingService.normalizeRules(step.conditions, stepNames);
+        } catch (error) {
+          throw AppError.badRequest(`Step ${idx + 1}: ${error.message}`);
+        }
+      });
+
+      const channelConfigIds = [...new Set(steps.flatMap(s => [
+        s.channelConfigId,
+        ...(s.fallbacks || []).map(f => f.channelConfigId),
+      ]))];
       const channelConfigs = await prisma.channelConfig.findMany({
-        where: { id: { in: channelConfigIds } },
+        where: { id: { in: channelConfigIds }, tenantId },
         select: { id: true, channelType: true },
       });
       const channelTypeMap = channelConfigs.reduce((acc, ch) => {
@@ -106,16 +160,30 @@ router.post(
         return acc;
       }, {});
 
+      // Fallback channels are tried in order when the recipient can't be reached on the step's channel
+      const stepFallbacks = steps.map((step, idx) => (step.fallbacks || []).map((fallback) => {
+        if (!channelTypeMap[fallback.channelConfigId]) {
+          throw AppError.badRequest(`Step ${idx + 1}: fallback channel not found`);
+        }
+        if (fallback.channelConfigId === step.channelConfigId) {
+          throw AppError.badRequest(`Step ${idx + 1}: fallback channel is the step's own channel`);
+        }
+        return { channelConfigId: fallback.channelConfigId, templateId: fallback.templateId };
+      }));
+
       stepsData = {
         create: steps.map((step, idx) => ({
           stepOrder: idx + 1,
+          name: step.name || null,
           channelType: channelTypeMap[step.channelConfigId],
           channelConfigId: step.channelConfigId,
           templateId: step.templateId,
           delayDays: step.delayDays || 0,
           delayHours: step.delayHours || 0,
           delayMinutes: step.delayMinutes || 0,
-          sendTime: step.sendTime,
+          sendTime: step.sendTime || null,
+          conditions: stepConditions[idx].length ? stepConditions[idx] : undefined,
+          fallbacks: stepFallbacks[idx].length ? stepFallbacks[idx] : undefined,
         })),
       };
     }
@@ -127,6 +195,11 @@ router.post(
         type,
         targetFilter,
         messageIntervalSeconds: messageIntervalSeconds || 0,
+        businessHoursStart: businessHoursStart || null,
+        businessHoursEnd: businessHoursEnd || null,
+        skipWeekends: !!skipWeekends,
+        exitLeadStatuses: exitLeadStatuses?.length ? exitLeadStatuses : undefined,
+        abTesting: abTesting ? variationTestingService.getConfig(abTesting) : undefined,
         createdById: req.user.id,
         steps: stepsData,
       },
@@ -184,9 +257,11 @@ router.get(
 router.patch(
   '/:id',
   requirePermission('campaigns:update'),
-  [param('id').isInt().toInt(), validate],
+  [param('id').isInt().toInt(), ...scheduleValidators, ...abTestingValidators, validate],
   asyncHandler(async (req, res) => {
-    const { name, targetFilter } = req.body;
+    const {
+      name, targetFilter, businessHoursStart, businessHoursEnd, skipWeekends, exitLeadStatuses, abTesting,
+    } = req.body;
 
     const existing = await prisma.campaign.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
@@ -203,6 +278,11 @@ router.patch(
       data: {
         ...(name && { name }),
         ...(targetFilter && { targetFilter }),
+        ...(businessHoursStart !== undefined && { businessHoursStart: businessHoursStart || null }),
+        ...(businessHoursEnd !== undefined && { businessHoursEnd: businessHoursEnd || null }),
+        ...(skipWeekends !== undefined && { skipWeekends }),
+        ...(exitLeadStatuses !== undefined && { exitLeadStatuses: exitLeadStatuses?.length ? exitLeadStatuses : Prisma.DbNull }),
+        ...(abTesting !== undefined && { abTesting: abTesting ? variationTestingService.getConfig(abTesting) : Prisma.DbNull }),
       },
       include: { steps: true },
     });
@@ -615,7 +695,10 @@ router.post(
     const campaign = await prisma.campaign.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
       include: {
-        steps: { orderBy: { stepOrder: 'asc' } },
+        steps: {
+          include: { channelConfig: { select: { id: true, settings: true } } },
+          orderBy: { stepOrder: 'asc' },
+        },
         _count: { select: { recipients: true } },
       },
     });
@@ -650,15 +733,31 @@ router.post(
         campaignId: campaign.id,
         status: 'PENDING',
       },
-      select: { id: true },
+      select: {
+        id: true,
+        contact: { select: { timezone: true } },
+        lead: { select: { timezone: true, customFields: true } },
+      },
+    });
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: campaign.tenantId },
+      select: { settings: true },
     });
 
-    // Update recipients with staggered nextActionAt based on messageIntervalSeconds
+    // Update recipients with staggered nextActionAt based on messageIntervalSeconds,
+    // then moved to the first step's send time / business hours in each recipient's time zone
     const intervalMs = (campaign.messageIntervalSeconds || 0) * 1000;
 
     for (let i = 0; i < pendingRecipientsToUpdate.length; i++) {
       const recipient = pendingRecipientsToUpdate[i];
-      const staggeredTime = new Date(baseNextActionAt.getTime() + (i * intervalMs));
+      const staggeredTime = campaignScheduleService.getStepTime({
+        step: campaign.steps[0],
+        campaign,
+        timeZone: campaignScheduleService.getRecipientTimeZone(recipient, tenant?.settings?.timezone),
+        from: new Date(baseNextActionAt.getTime() + (i * intervalMs)),
+        applyDelay: false,
+      });
 
       await prisma.campaignRecipient.update({
         where: { id: recipient.id },
@@ -685,7 +784,11 @@ router.post(
     });
 
     // Auto-trigger: Queue jobs for all pending recipients
-    const pendingRecipients = await prisma.campaignRecipient.findMany({
+    // Channels with sending limits, and steps with fallback channels, are left to the campaign
+    // scheduler, which picks each recipient's channel and queues within budget
+    const firstStep = campaign.steps[0];
+    const leaveToScheduler = sendingLimitsService.isLimited(firstStep.channelConfig) || !!firstStep.fallbacks?.length;
+    const pendingRecipients = leaveToScheduler ? [] : await prisma.campaignRecipient.findMany({
       where: {
         campaignId: campaign.id,
         status: 'PENDING',
@@ -701,10 +804,12 @@ router.post(
         await queueService.addJob('CAMPAIGN_STEP', {
           recipientId: recipient.id,
           campaignId: campaign.id,
+          channelConfigId: firstStep.channelConfigId,
         }, {
           tenantId: campaign.tenantId,
           priority: 0,
           scheduledAt: recipient.nextActionAt, // Respect scheduled time for each recipient
+          channelConfigId: firstStep.channelConfigId,
         });
       }
 
@@ -920,11 +1025,22 @@ router.get(
   asyncHandler(async (req, res) => {
     const campaign = await prisma.campaign.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
+      include: { steps: { select: { templateId: true, fallbacks: true }, orderBy: { stepOrder: 'asc' } } },
     });
 
     if (!campaign) throw AppError.notFound('Campaign not found');
 
-    const [recipientStats, attemptStats] = await Promise.all([
+    // Templates sent by any step, including fallback channels, for the variation results
+    const templateIds = [...new Set(campaign.steps.flatMap(step => [
+      step.templateId,
+      ...(step.fallbacks || []).map(f => f.templateId),
+    ]))];
+    const templates = await prisma.template.findMany({
+      where: { id: { in: templateIds } },
+      include: { variations: { orderBy: { sortOrder: 'asc' } } },
+    });
+
+    const [recipientStats, attemptStats, variations] = await Promise.all([
       prisma.campaignRecipient.groupBy({
         by: ['status'],
         where: { campaignId: req.params.id },
@@ -935,6 +1051,7 @@ router.get(
         where: { campaignId: req.params.id },
         _count: true,
       }),
+      variationTestingService.getReport(campaign, templates),
     ]);
 
     const totalRecipients = await prisma.campaignRecipient.count({
@@ -951,6 +1068,7 @@ router.get(
         acc[s.status] = s._count;
         return acc;
       }, {}),
+      variations,
     });
   })
 );
@@ -993,6 +1111,8 @@ router.post(
       include: {
         lead: true,
         contact: true,
+        prospect: true,
+        whatsappProspect: true,
       },
       take: 50, // Process max 50 at a time
     });
@@ -1008,19 +1128,41 @@ router.post(
     const queueService = require('../services/queue.service');
 
     // Queue jobs for each recipient
+    // Recipients on channels with sending limits wait for the campaign scheduler instead
+    const stepOptions = new Map();
+    let deferred = 0;
     for (const recipient of pendingRecipients) {
+      const step = campaign.steps.find(s => s.stepOrder === recipient.currentStep);
+      let channel = step?.channelConfig;
+
+      if (step?.fallbacks) {
+        if (!stepOptions.has(step.id)) {
+          stepOptions.set(step.id, await campaignChannelService.getOptions(step, { includeTemplates: false }));
+        }
+        channel = campaignChannelService.select(stepOptions.get(step.id), recipient).option.channelConfig || channel;
+      }
+
+      if (sendingLimitsService.isLimited(channel)) {
+        deferred++;
+        continue;
+      }
+
       await queueService.addJob('CAMPAIGN_STEP', {
         recipientId: recipient.id,
         campaignId: campaign.id,
+        channelConfigId: channel?.id,
       }, {
         tenantId: campaign.tenantId,
         priority: 1, // High priority for manual trigger
+        channelConfigId: channel?.id,
       });
     }
 
     return success(res, {
-      message: `Triggered ${pendingRecipients.length} recipients for processing`,
-      processed: pendingRecipients.length,
+      message: `Triggered ${pendingRecipients.length - deferred} recipients for processing`
+        + (deferred ? ` (${deferred} left to the scheduler because of channel sending limits)` : ''),
+      processed: pendingRecipients.length - deferred,
+      deferred,
       note: 'Messages will be sent with 5-30 second delays for WhatsApp Web',
     });
   })
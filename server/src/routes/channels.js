@@ -14,9 +14,45 @@ const logger = require('../utils/logger');
 const imapPollerService = require('../services/imapPoller.service');
 const whatsappWebService = require('../services/whatsappWeb.service');
 const telegramService = require('../services/telegram.service');
+const smsService = require('../services/sms.service');
+const whatsappBusinessService = require('../services/whatsappBusiness.service');
+const telegramBotService = require('../services/telegramBot.service');
 
 const router = express.Router();
 
+/**
+ * Provider-side ID inbound webhooks are routed by (ChannelConfig.externalId)
+ * @param {string} channelType - ChannelType
+ * @param {Object} credentials - Decrypted channel credentials
+ * @returns {string|null}
+ */
+function getExternalId(channelType, credentials) {
+  switch (channelType) {
+    case 'SMS':
+      return smsService.getExternalId(credentials);
+    case 'WHATSAPP_BUSINESS':
+      return whatsappBusinessService.getExternalId(credentials);
+    default:
+      return null;
+  }
+}
+
+// Shape of settings.sendingLimits (see services/sendingLimits.service.js)
+const sendingLimitsValidators = [
+  body('settings.sendingLimits').optional().isObject(),
+  body('settings.sendingLimits.dailyLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0 }).toInt(),
+  body('settings.sendingLimits.hourlyLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0 }).toInt(),
+  body('settings.sendingLimits.warmup.enabled').optional().isBoolean(),
+  body('settings.sendingLimits.warmup.startDate').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('settings.sendingLimits.warmup.startVolume').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+  body('settings.sendingLimits.warmup.dailyIncrease').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 500 }).toFloat(),
+  body('settings.sendingLimits.sendWindow.enabled').optional().isBoolean(),
+  body('settings.sendingLimits.sendWindow.start').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Use HH:MM'),
+  body('settings.sendingLimits.sendWindow.end').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Use HH:MM'),
+  body('settings.sendingLimits.sendWindow.days').optional().isArray(),
+  body('settings.sendingLimits.sendWindow.days.*').isInt({ min: 0, max: 6 }).toInt(),
+];
+
 router.use(authenticate);
 router.use(requireTenant);
 
@@ -76,11 +112,21 @@ router.post(
     body('provider').trim().isLength({ min: 1, max: 50 }),
     body('credentials').isObject(),
     body('settings').optional().isObject(),
+    ...sendingLimitsValidators,
     validate,
   ],
   asyncHandler(async (req, res) => {
     const { name, channelType, provider, credentials, settings } = req.body;
 
+    const isTelegramBot = channelType === 'TELEGRAM' && provider === telegramBotService.provider;
+    if (isTelegramBot) {
+      try {
+        await telegramBotService.callApi(credentials.botToken, 'getMe');
+      } catch (error) {
+        throw AppError.badRequest(`Invalid Telegram bot token: ${error.message}`);
+      }
+    }
+
     // Encrypt credentials before storing
     const encryptedCredentials = encrypt(JSON.stringify(credentials));
 
@@ -91,6 +137,7 @@ router.post(
         channelType,
         provider,
         credentials: { encrypted: encryptedCredentials },
+        externalId: getExternalId(channelType, credentials),
         settings: settings || {},
         createdById: req.user.id,
       },
@@ -105,6 +152,17 @@ router.post(
       },
     });
 
+    // Point the bot's webhook at this channel (can be retried from the channel list)
+    if (isTelegramBot) {
+      try {
+        const { botUsername } = await telegramBotService.setup({ ...channel, credentials: { encrypted: encryptedCredentials } });
+        channel.settings = { ...(channel.settings || {}), botUsername };
+      } catch (error) {
+        logger.warn('Failed to register Telegram bot webhook', { channelId: channel.id, error: error.message });
+        channel.webhookError = error.message;
+      }
+    }
+
     return created(res, channel);
   })
 );
@@ -172,7 +230,12 @@ router.get(
 router.patch(
   '/:id',
   requirePermission('channels:update'),
-  [param('id').isInt().toInt(), validate],
+  [
+    param('id').isInt().toInt(),
+    body('settings').optional().isObject(),
+    ...sendingLimitsValidators,
+    validate,
+  ],
   asyncHandler(async (req, res) => {
     const { name, credentials, settings, isActive } = req.body;
 
@@ -184,7 +247,8 @@ router.patch(
 
     const updateData = {};
     if (name) updateData.name = name;
-    if (settings) updateData.settings = settings;
+    // Merge settings by top-level key so saving one group (e.g. sending limits) keeps the others
+    if (settings) updateData.settings = { ...(existing.settings || {}), ...settings };
     if (isActive !== undefined) updateData.isActive = isActive;
     if (credentials) {
       // Merge new credentials with existing ones (don't replace entirely)
@@ -209,6 +273,7 @@ router.patch(
       }
 
       updateData.credentials = { encrypted: encrypt(JSON.stringify(mergedCredentials)) };
+      updateData.externalId = getExternalId(existing.channelType, mergedCredentials);
     }
 
     const channel = await prisma.channelConfig.update({
@@ -225,6 +290,16 @@ router.patch(
       },
     });
 
+    // A new bot token needs its webhook registered again
+    if (credentials && telegramBotService.isBotChannel(existing)) {
+      try {
+        await telegramBotService.setup({ ...existing, ...updateData });
+      } catch (error) {
+        logger.warn('Failed to register Telegram bot webhook', { channelId: existing.id, error: error.message });
+        channel.webhookError = error.message;
+      }
+    }
+
     return success(res, channel);
   })
 );
@@ -437,8 +512,26 @@ router.post(
         logger.error('Failed to initiate test call', { channelId: channel.id, error: error.message });
         throw AppError.badRequest(`Failed to initiate test call: ${error.message}`);
       }
+    } else if (telegramBotService.isBotChannel(channel)) {
+      const result = await telegramBotService.send(
+        credentials,
+        recipient,
+        message || 'This is a test message from BlazeHexa Leads.'
+      );
+
+      if (!result.success) {
+        throw AppError.badRequest(`Failed to send Telegram message: ${result.error}`);
+      }
+
+      return success(res, {
+        success: true,
+        message: 'Test Telegram message sent successfully',
+        messageId: result.messageId,
+        channelType: channel.channelType,
+        recipient,
+      });
     } else {
-      // For other channel types (SMS, Telegram, etc.)
+      // For other channel types (MTProto Telegram, etc.)
       throw AppError.badRequest(`Testing not yet implemented for channel type: ${channel.channelType}`);
     }
   })
@@ -446,7 +539,7 @@ router.post(
 
 /**
  * @route   POST /api/v1/channels/:id/send
- * @desc    Send message to a contact using channel (Email or WhatsApp)
+ * @desc    Send message to a contact using channel (Email, SMS, WhatsApp or Voice)
  * @access  Private
  */
 router.post(
@@ -472,13 +565,13 @@ router.post(
     if (!channel) throw AppError.notFound('Channel not found or inactive');
 
     // Verify it's a supported channel type
-    const supportedTypes = ['EMAIL_SMTP', 'EMAIL_API', 'WHATSAPP_BUSINESS', 'VOICE'];
+    const supportedTypes = ['EMAIL_SMTP', 'EMAIL_API', 'SMS', 'WHATSAPP_BUSINESS', 'VOICE'];
     if (!supportedTypes.includes(channel.channelType)) {
       throw AppError.badRequest(`Sending not supported for channel type: ${channel.channelType}`);
     }
 
-    // Body is required for email and WhatsApp, optional for voice
-    if (['EMAIL_SMTP', 'EMAIL_API', 'WHATSAPP_BUSINESS'].includes(channel.channelType) && !messageBody) {
+    // Body is required for email, SMS and WhatsApp, optional for voice
+    if (['EMAIL_SMTP', 'EMAIL_API', 'SMS', 'WHATSAPP_BUSINESS'].includes(channel.channelType) && !messageBody) {
       throw AppError.badRequest('Message body is required');
     }
 
@@ -674,6 +767,7 @@ router.post(
             direction: 'OUTBOUND',
             status: 'SENT',
             content: messageBody,
+            externalId: result.messages?.[0]?.id,
             sentAt: new Date(),
           },
         });
@@ -706,6 +800,50 @@ router.post(
       }
     }
 
+    // Send SMS via Twilio
+    if (channel.channelType === 'SMS') {
+      if (!contact.phone) throw AppError.badRequest('Contact has no phone number');
+
+      let result;
+      try {
+        result = await smsService.send(credentials, contact.phone, messageBody);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      await prisma.contactAttempt.create({
+        data: {
+          tenantId,
+          leadId,
+          contactId,
+          channelConfigId: channel.id,
+          channelType: channel.channelType,
+          direction: 'OUTBOUND',
+          status: result.success ? 'SENT' : 'FAILED',
+          content: messageBody,
+          externalId: result.messageId || null,
+          metadata: { ...(result.metadata || {}), ...(result.error && { error: result.error }) },
+          sentAt: result.success ? new Date() : null,
+        },
+      });
+
+      if (!result.success) {
+        logger.error('Failed to send SMS', { channelId: channel.id, contactId, error: result.error });
+        throw AppError.badRequest(`Failed to send SMS: ${result.error}`);
+      }
+
+      logger.info('SMS sent to contact', { channelId: channel.id, contactId, leadId, sid: result.messageId });
+
+      return success(res, {
+        success: true,
+        message: 'SMS sent successfully',
+        messageId: result.messageId,
+        segments: result.metadata.segments,
+        encoding: result.metadata.encoding,
+        recipient: smsService.formatNumber(contact.phone),
+      });
+    }
+
     // Make voice call via Twilio
     if (channel.channelType === 'VOICE') {
       if (!contact.phone) throw AppError.badRequest('Contact has no phone number');
@@ -1368,6 +1506,23 @@ router.get(
       throw AppError.badRequest('Channel is not Telegram type');
     }
 
+    // Bot channels are "connected" when the bot's webhook points at us
+    if (telegramBotService.isBotChannel(channel)) {
+      try {
+        const credentials = telegramBotService.getCredentials(channel);
+        const info = await telegramBotService.callApi(credentials.botToken, 'getWebhookInfo');
+        return success(res, {
+          status: info.url === telegramBotService.getWebhookUrl(channel) ? 'CONNECTED' : 'DISCONNECTED',
+          botUsername: channel.settings?.botUsername,
+          webhookUrl: info.url,
+          pendingUpdates: info.pending_update_count,
+          lastError: info.last_error_message,
+        });
+      } catch (error) {
+        return success(res, { status: 'DISCONNECTED', message: error.message });
+      }
+    }
+
     const tenantId = getTenantId(req);
 
     // Get credentials
@@ -1564,4 +1719,77 @@ router.delete(
   })
 );
 
+// ===========================================
+// TELEGRAM Bot Channel Routes
+// ===========================================
+
+/**
+ * @route   POST /api/v1/channels/:id/telegram-bot/webhook
+ * @desc    (Re-)register the bot's webhook with Telegram
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/telegram-bot/webhook',
+  requirePermission('channels:update'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const channel = await prisma.channelConfig.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!channel) throw AppError.notFound('Channel config not found');
+
+    if (!telegramBotService.isBotChannel(channel)) {
+      throw AppError.badRequest('Channel is not a Telegram bot channel');
+    }
+
+    try {
+      const result = await telegramBotService.setup(channel);
+      return success(res, { ...result, message: 'Telegram webhook registered' });
+    } catch (error) {
+      throw AppError.badRequest(`Failed to register Telegram webhook: ${error.message}`);
+    }
+  })
+);
+
+/**
+ * @route   GET /api/v1/channels/:id/telegram-bot/link
+ * @desc    Get the /start deep link that binds a contact's Telegram chat to the bot
+ * @access  Private
+ */
+router.get(
+  '/:id/telegram-bot/link',
+  requirePermission('channels:read'),
+  [
+    param('id').isInt().toInt(),
+    query('contactId').isInt().toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const channel = await prisma.channelConfig.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!channel) throw AppError.notFound('Channel config not found');
+
+    if (!telegramBotService.isBotChannel(channel)) {
+      throw AppError.badRequest('Channel is not a Telegram bot channel');
+    }
+
+    const contact = await prisma.contact.findFirst({
+      where: addTenantFilter(req, { id: req.query.contactId }),
+      select: { id: true, leadId: true, telegramChatId: true },
+    });
+
+    if (!contact) throw AppError.notFound('Contact not found');
+
+    const link = telegramBotService.getDeepLink(channel, contact);
+    if (!link) {
+      throw AppError.badRequest('Bot username unknown - register the webhook first');
+    }
+
+    return success(res, { link, bound: !!contact.telegramChatId });
+  })
+);
+
 module.exports = router;
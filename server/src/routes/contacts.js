@@ -7,6 +7,7 @@ const { requireTenant, addTenantFilter, getTenantId } = require('../middleware/t
 const { asyncHandler } = require('../middleware/errorHandler');
 const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
+const { isValidTimeZone } = require('../utils/timezone');
 const { success, noContent, created } = require('../utils/response');
 
 const router = express.Router();
@@ -29,10 +30,11 @@ router.post(
     body('phone').optional({ values: 'falsy' }),
     body('position').optional({ values: 'falsy' }),
     body('isPrimary').optional().isBoolean(),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Unknown time zone'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { leadId, name, email, phone, position, isPrimary } = req.body;
+    const { leadId, name, email, phone, position, isPrimary, timezone } = req.body;
     const tenantId = getTenantId(req);
 
     // Verify lead exists and belongs to tenant
@@ -61,6 +63,7 @@ router.post(
         phone,
         position,
         isPrimary: isPrimary || false,
+        timezone: timezone || null,
       },
     });
 
@@ -110,10 +113,11 @@ router.patch(
     body('phone').optional({ values: 'falsy' }),
     body('position').optional({ values: 'falsy' }),
     body('isPrimary').optional().isBoolean(),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Unknown time zone'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { name, email, phone, position, isPrimary } = req.body;
+    const { name, email, phone, position, isPrimary, timezone } = req.body;
 
     const existing = await prisma.contact.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
@@ -139,6 +143,7 @@ router.patch(
         ...(phone !== undefined && { phone }),
         ...(position !== undefined && { position }),
         ...(isPrimary !== undefined && { isPrimary }),
+        ...(timezone !== undefined && { timezone: timezone || null }),
       },
     });
 
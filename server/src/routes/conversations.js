@@ -1,13 +1,16 @@
+const path = require('path');
 const express = require('express');
-const { param, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/rbac');
 const { requireTenant, addTenantFilter } = require('../middleware/tenant');
 const { asyncHandler } = require('../middleware/errorHandler');
 const prisma = require('../config/database');
+const config = require('../config');
 const AppError = require('../utils/AppError');
-const { success, paginated } = require('../utils/response');
+const { success, created, paginated, error: errorResponse } = require('../utils/response');
+const conversationService = require('../services/conversation.service');
 
 const router = express.Router();
 
@@ -117,6 +120,9 @@ router.get(
     const [messages, total] = await Promise.all([
       prisma.message.findMany({
         where: { conversationId: req.params.id },
+        include: {
+          contactAttempt: { select: { id: true, status: true, sentAt: true, deliveredAt: true, openedAt: true } },
+        },
         orderBy: { createdAt: 'desc' },
         skip,
         take: limit,
@@ -129,6 +135,50 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/v1/conversations/:id/messages/:messageId/attachments/:index
+ * @desc    Download a stored message attachment (e.g. inbound WhatsApp media)
+ * @access  Private
+ */
+router.get(
+  '/:id/messages/:messageId/attachments/:index',
+  requirePermission('leads:read'),
+  [
+    param('id').isInt().toInt(),
+    param('messageId').isInt().toInt(),
+    param('index').isInt({ min: 0 }).toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const conversation = await prisma.conversation.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!conversation) throw AppError.notFound('Conversation not found');
+
+    const message = await prisma.message.findFirst({
+      where: { id: req.params.messageId, conversationId: req.params.id },
+    });
+
+    const attachment = Array.isArray(message?.attachments) ? message.attachments[req.params.index] : null;
+    if (!attachment?.path) throw AppError.notFound('Attachment not found');
+
+    // Attachment paths are relative to the storage root - never serve anything outside it
+    const storageRoot = path.resolve(config.storagePath);
+    const filePath = path.resolve(storageRoot, attachment.path);
+    if (!filePath.startsWith(storageRoot + path.sep)) {
+      throw AppError.notFound('Attachment not found');
+    }
+
+    res.type(attachment.mimeType || 'application/octet-stream');
+    return res.download(filePath, attachment.filename || path.basename(filePath), (err) => {
+      if (err && !res.headersSent) {
+        errorResponse(res, 'NOT_FOUND', 'Attachment file not found', 404);
+      }
+    });
+  })
+);
+
 /**
  * @route   PATCH /api/v1/conversations/:id
  * @desc    Update conversation status
@@ -166,15 +216,21 @@ router.patch(
 
 /**
  * @route   POST /api/v1/conversations/:id/messages
- * @desc    Send reply in conversation
+ * @desc    Send reply in conversation through the conversation's channel
  * @access  Private
  */
 router.post(
   '/:id/messages',
   requirePermission('leads:update'),
-  [param('id').isInt().toInt(), validate],
+  [
+    param('id').isInt().toInt(),
+    body('content').trim().notEmpty().withMessage('Message content is required'),
+    body('subject').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('channelConfigId').optional({ nullable: true }).isInt().toInt(),
+    validate,
+  ],
   asyncHandler(async (req, res) => {
-    const { content, channelConfigId } = req.body;
+    const { content, subject, channelConfigId } = req.body;
 
     const conversation = await prisma.conversation.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
@@ -182,24 +238,15 @@ router.post(
 
     if (!conversation) throw AppError.notFound('Conversation not found');
 
-    // Create message
-    const message = await prisma.message.create({
-      data: {
-        conversationId: req.params.id,
-        direction: 'OUTBOUND',
-        content,
-      },
+    // A failed send is still recorded - the message carries status FAILED and the error
+    const message = await conversationService.sendReply(conversation, {
+      content,
+      subject,
+      channelConfigId,
+      userId: req.user.id,
     });
 
-    // Update conversation
-    await prisma.conversation.update({
-      where: { id: req.params.id },
-      data: { lastMessageAt: new Date() },
-    });
-
-    // TODO: Actually send the message via the channel
-
-    return success(res, message, 201);
+    return created(res, message);
   })
 );
 
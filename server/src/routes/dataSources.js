@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { chromium } = require('playwright');
-const RSSParser = require('rss-parser');
+const { Prisma } = require('@prisma/client');
 const multer = require('multer');
 const { validate } = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
@@ -12,24 +12,43 @@ const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
 const { success, paginated, noContent, created } = require('../utils/response');
 const logger = require('../utils/logger');
-const industryService = require('../services/industry.service');
+const leadImportService = require('../services/leadImport.service');
+const leadDedupeService = require('../services/leadDedupe.service');
+const leadUpsertService = require('../services/leadUpsert.service');
+const dataSourceRunService = require('../services/dataSourceRun.service');
+const scraperService = require('../services/scraper.service');
+const scriptSandboxService = require('../services/scriptSandbox.service');
+const queueService = require('../services/queue.service');
+const apiSourceService = require('../services/apiSource.service');
 
 // Configure multer for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max
   fileFilter: (req, file, cb) => {
-    const allowedMimes = ['application/json', 'text/plain'];
-    if (allowedMimes.includes(file.mimetype) || file.originalname.match(/\.json$/i)) {
+    if (leadImportService.getFileType(file.originalname) || file.mimetype === 'application/json') {
       cb(null, true);
     } else {
-      cb(new AppError('Only JSON files are allowed', 400), false);
+      cb(new AppError('Only JSON, CSV and XLSX files are allowed', 400), false);
     }
   },
 });
 
 const MAX_LEADS_PER_UPLOAD = 10000;
 
+// Data source types created by file uploads
+const FILE_SOURCE_TYPES = ['JSON', 'CSV', 'XLSX'];
+
+// Sources whose config (auth, pagination, mapping) and credentials are handled by apiSource.service
+const FEED_SOURCE_TYPES = ['API', 'RSS'];
+
+// Preview runs stop after this many pages/leads
+const PREVIEW_MAX_PAGES = 3;
+const PREVIEW_MAX_LEADS = 100;
+
+// Hours, days, weeks or months between scheduled runs (see parseFrequency in workers)
+const POLLING_FREQUENCY = /^\d+[hdwm]$/i;
+
 const router = express.Router();
 
 router.use(authenticate);
@@ -46,7 +65,7 @@ router.get(
   [
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-    query('type').optional().isIn(['PLAYWRIGHT', 'API', 'RSS', 'MANUAL', 'JSON', 'CSV']),
+    query('type').optional().isIn(['PLAYWRIGHT', 'API', 'RSS', 'MANUAL', 'JSON', 'CSV', 'XLSX']),
     query('isActive').optional().isBoolean().toBoolean(),
     validate,
   ],
@@ -104,12 +123,22 @@ router.post(
     body('type').isIn(['PLAYWRIGHT', 'API', 'RSS', 'MANUAL']),
     body('url').isURL(),
     body('config').isObject(),
-    body('rateLimit').optional().isInt({ min: 1 }),
-    body('pollingFrequency').optional(),
+    body('credentials').optional().isObject(),
+    body('rateLimit').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('pollingFrequency').optional({ values: 'null' }).matches(POLLING_FREQUENCY)
+      .withMessage('Polling frequency must look like 6h, 1d, 2w or 1m'),
+    ...updatePolicyValidators('config.updatePolicy'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { name, type, url, config, proxyConfig, rateLimit, pollingFrequency } = req.body;
+    const { name, type, url, proxyConfig, rateLimit, pollingFrequency } = req.body;
+
+    // Secrets posted in config.auth are moved to the encrypted credentials
+    const { config, secrets } = apiSourceService.splitSecrets(req.body.config);
+    assertValidSourceConfig(type, config);
+    const credentials = apiSourceService.encryptCredentials(
+      apiSourceService.mergeCredentials(secrets, req.body.credentials)
+    );
 
     const source = await prisma.dataSource.create({
       data: {
@@ -118,6 +147,7 @@ router.post(
         type,
         url,
         config,
+        ...(credentials && { credentials }),
         proxyConfig,
         rateLimit,
         pollingFrequency,
@@ -125,7 +155,82 @@ router.post(
       },
     });
 
-    return created(res, source);
+    return created(res, toSourceResponse(source));
+  })
+);
+
+/**
+ * @route   GET /api/v1/data-sources/mapping-profiles
+ * @desc    List saved CSV/XLSX column mapping profiles
+ * @access  Private
+ */
+router.get(
+  '/mapping-profiles',
+  requirePermission('sources:read'),
+  asyncHandler(async (req, res) => {
+    const profiles = await prisma.importMappingProfile.findMany({
+      where: addTenantFilter(req, {}),
+      orderBy: { name: 'asc' },
+    });
+
+    return success(res, profiles);
+  })
+);
+
+/**
+ * @route   POST /api/v1/data-sources/mapping-profiles
+ * @desc    Save a column mapping profile (replaces a profile with the same name)
+ * @access  Private
+ */
+router.post(
+  '/mapping-profiles',
+  requirePermission('sources:create'),
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }),
+    body('mapping').isObject(),
+    body('columns').optional().isArray({ max: 500 }),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const { name, mapping } = req.body;
+    const tenantId = getTenantId(req);
+
+    if (!tenantId) {
+      throw AppError.badRequest('Tenant ID is required for mapping profiles');
+    }
+
+    assertValidMapping(mapping);
+    const columns = req.body.columns || Object.keys(mapping);
+
+    const profile = await prisma.importMappingProfile.upsert({
+      where: { tenantId_name: { tenantId, name } },
+      create: { tenantId, name, mapping, columns, createdById: req.user.id },
+      update: { mapping, columns },
+    });
+
+    return created(res, profile);
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/data-sources/mapping-profiles/:id
+ * @desc    Delete a column mapping profile
+ * @access  Private
+ */
+router.delete(
+  '/mapping-profiles/:id',
+  requirePermission('sources:delete'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const profile = await prisma.importMappingProfile.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!profile) throw AppError.notFound('Mapping profile not found');
+
+    await prisma.importMappingProfile.delete({ where: { id: profile.id } });
+
+    return noContent(res);
   })
 );
 
@@ -148,7 +253,7 @@ router.get(
 
     if (!source) throw AppError.notFound('Data source not found');
 
-    return success(res, source);
+    return success(res, toSourceResponse(source));
   })
 );
 
@@ -160,9 +265,18 @@ router.get(
 router.patch(
   '/:id',
   requirePermission('sources:update'),
-  [param('id').isInt().toInt(), validate],
+  [
+    param('id').isInt().toInt(),
+    body('config').optional().isObject(),
+    body('credentials').optional({ values: 'null' }).isObject(),
+    body('rateLimit').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('pollingFrequency').optional({ values: 'null' }).matches(POLLING_FREQUENCY)
+      .withMessage('Polling frequency must look like 6h, 1d, 2w or 1m'),
+    ...updatePolicyValidators('config.updatePolicy'),
+    validate,
+  ],
   asyncHandler(async (req, res) => {
-    const { name, url, config, proxyConfig, rateLimit, pollingFrequency, isActive } = req.body;
+    const { name, url, proxyConfig, rateLimit, pollingFrequency, isActive } = req.body;
 
     const existing = await prisma.dataSource.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
@@ -170,12 +284,26 @@ router.patch(
 
     if (!existing) throw AppError.notFound('Data source not found');
 
+    const { config, secrets } = apiSourceService.splitSecrets(req.body.config);
+    if (config) assertValidSourceConfig(existing.type, config);
+
+    // Credentials merge into the saved ones (null clears them), also picking up secrets
+    // the previous config still held in plain text
+    let credentials;
+    if (config || req.body.credentials !== undefined) {
+      const merged = req.body.credentials === null
+        ? {}
+        : apiSourceService.mergeCredentials(apiSourceService.getCredentials(existing), { ...secrets, ...req.body.credentials });
+      credentials = apiSourceService.encryptCredentials(merged) || Prisma.DbNull;
+    }
+
     const source = await prisma.dataSource.update({
       where: { id: req.params.id },
       data: {
         ...(name && { name }),
         ...(url && { url }),
         ...(config && { config }),
+        ...(credentials !== undefined && { credentials }),
         ...(proxyConfig !== undefined && { proxyConfig }),
         ...(rateLimit !== undefined && { rateLimit }),
         ...(pollingFrequency !== undefined && { pollingFrequency }),
@@ -183,7 +311,7 @@ router.patch(
       },
     });
 
-    return success(res, source);
+    return success(res, toSourceResponse(source));
   })
 );
 
@@ -224,18 +352,19 @@ router.post(
     });
 
     if (!source) throw AppError.notFound('Data source not found');
+    if (!scraperService.sourceTypes.includes(source.type)) {
+      throw AppError.badRequest(`${source.type} sources can't be run, re-upload the file instead`);
+    }
+    if (!source.url) throw AppError.badRequest('Data source has no URL to scrape');
 
-    // Create a job to run the scraper
-    const job = await prisma.jobQueue.create({
-      data: {
-        tenantId: source.tenantId,
-        type: 'SCRAPE',
-        payload: { dataSourceId: source.id },
-        priority: 1,
-      },
+    // Shares the scheduler's key, so a run already queued or running is returned instead
+    const job = await queueService.addJob('SCRAPE', { dataSourceId: source.id }, {
+      tenantId: source.tenantId,
+      priority: 1,
+      dedupeKey: `source:${source.id}`,
     });
 
-    return success(res, { message: 'Scrape job queued', jobId: job.id });
+    return success(res, { message: 'Scrape job queued', jobId: job?.id ?? null });
   })
 );
 
@@ -271,6 +400,18 @@ router.get(
         orderBy: { createdAt: 'desc' },
         skip,
         take: limit,
+        select: {
+          id: true,
+          dataSourceId: true,
+          status: true,
+          leadsFound: true,
+          leadsCreated: true,
+          leadsUpdated: true,
+          errorMessage: true,
+          startedAt: true,
+          completedAt: true,
+          createdAt: true,
+        },
       }),
       prisma.dataSourceRun.count({ where: { dataSourceId: req.params.id } }),
     ]);
@@ -279,9 +420,37 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/v1/data-sources/:id/runs/:runId
+ * @desc    Get a run with its log
+ * @access  Private
+ */
+router.get(
+  '/:id/runs/:runId',
+  requirePermission('sources:read'),
+  [param('id').isInt().toInt(), param('runId').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const source = await prisma.dataSource.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!source) throw AppError.notFound('Data source not found');
+
+    const run = await prisma.dataSourceRun.findFirst({
+      where: { id: req.params.runId, dataSourceId: source.id },
+    });
+
+    if (!run) throw AppError.notFound('Run not found');
+
+    return success(res, run);
+  })
+);
+
 /**
  * @route   POST /api/v1/data-sources/preview
- * @desc    Preview scraper results without saving (for testing scripts)
+ * @desc    Preview scraper results without saving (for testing scripts and API/RSS mappings)
+ *          API/RSS previews use the posted config and credentials, plus the saved credentials
+ *          of `dataSourceId` when editing a source, and return the first raw records in `raw`
  * @access  Private
  */
 router.post(
@@ -291,27 +460,43 @@ router.post(
     body('url').isURL(),
     body('type').isIn(['PLAYWRIGHT', 'API', 'RSS']),
     body('script').optional().isString(),
+    body('config').optional().isObject(),
+    body('credentials').optional().isObject(),
+    body('rateLimit').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('dataSourceId').optional().isInt().toInt(),
     validate,
   ],
   asyncHandler(async (req, res) => {
     const { url, type, script } = req.body;
+    const log = createPreviewLog();
     let results = [];
+    let raw;
     let error = null;
 
+    let feedSource = null;
+    if (FEED_SOURCE_TYPES.includes(type)) {
+      feedSource = await getPreviewSource(req);
+    }
+
     try {
       if (type === 'PLAYWRIGHT') {
-        results = await previewPlaywrightScraper(url, script);
-      } else if (type === 'API') {
-        results = await previewApiScraper(url, req.body.config);
-      } else if (type === 'RSS') {
-        results = await previewRssScraper(url);
+        results = await previewPlaywrightScraper(url, script, log);
+      } else {
+        ({ results, raw } = await previewFeedSource(type, feedSource, log));
       }
     } catch (err) {
       logger.error('Preview scraper failed', { error: err.message });
+      log.error(err.message);
       error = err.message;
     }
 
-    return success(res, { results, error, count: results.length });
+    return success(res, {
+      results,
+      error,
+      count: results.length,
+      logs: log.lines,
+      ...(feedSource && { raw: raw || [] }),
+    });
   })
 );
 
@@ -329,10 +514,12 @@ router.post(
     body('type').isIn(['PLAYWRIGHT', 'API', 'RSS']),
     body('script').optional().isString(),
     body('leads').isArray({ min: 1 }),
+    body('duplicateAction').optional().isIn(leadDedupeService.duplicateActions),
+    ...updatePolicyValidators('updatePolicy'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { name, url, type, script, leads } = req.body;
+    const { name, url, type, script, leads, updatePolicy } = req.body;
     let tenantId = getTenantId(req);
 
     // Ensure tenantId is available (required for import)
@@ -350,80 +537,24 @@ router.post(
         name,
         type,
         url,
-        config: { script: { code: script } },
+        config: { script: { code: script }, ...(updatePolicy && { updatePolicy }) },
         isActive: true,
         createdById: req.user?.id,
       },
     });
 
-    // Import leads
-    let imported = 0;
-    let skipped = 0;
-
-    for (const leadData of leads) {
-      // Check for duplicates
-      const existing = await prisma.lead.findFirst({
-        where: {
-          tenantId,
-          OR: [
-            leadData.companyName ? { companyName: leadData.companyName } : {},
-            leadData.website ? { website: leadData.website } : {},
-          ].filter(o => Object.keys(o).length > 0),
-        },
-      });
-
-      if (existing) {
-        skipped++;
-        continue;
-      }
-
-      // Create lead - store extra fields in customFields
-      const customFields = {
-        ...(leadData.customFields || {}),
-        ...(leadData.notes && { notes: leadData.notes }),
-        ...(leadData.city && { city: leadData.city }),
-        ...(leadData.address && { address: leadData.address }),
-        ...(leadData.state && { state: leadData.state }),
-        ...(leadData.country && { country: leadData.country }),
-      };
-
-      const lead = await prisma.lead.create({
-        data: {
-          tenantId,
-          sourceId: dataSource.id,
-          createdById: req.user?.id,
-          companyName: leadData.companyName || 'Unknown Company',
-          website: leadData.website || null,
-          industry: leadData.industry || null,
-          size: leadData.size || null,
-          status: 'NEW',
-          tags: leadData.tags || [],
-          customFields: Object.keys(customFields).length > 0 ? customFields : {},
-        },
-      });
-
-      // Create contact if provided
-      if (leadData.email || leadData.phone || leadData.contactName) {
-        await prisma.contact.create({
-          data: {
-            tenantId,
-            leadId: lead.id,
-            name: leadData.contactName || null,
-            email: leadData.email,
-            phone: leadData.phone,
-            position: leadData.position,
-            isPrimary: true,
-          },
-        });
-      }
-
-      imported++;
-    }
+    const result = await importLeads(dataSource, leads, {
+      userId: req.user?.id,
+      duplicateAction: req.body.duplicateAction,
+    });
 
     return created(res, {
       dataSource,
-      imported,
-      skipped,
+      runId: result.run.id,
+      imported: result.counts.created,
+      updated: result.counts.updated,
+      unchanged: result.counts.unchanged,
+      skipped: result.counts.skipped,
       total: leads.length,
     });
   })
@@ -431,7 +562,9 @@ router.post(
 
 /**
  * @route   POST /api/v1/data-sources/upload
- * @desc    Upload and parse JSON file for preview
+ * @desc    Upload and parse a JSON, CSV or XLSX file for preview
+ *          CSV/XLSX uploads return their columns and a suggested mapping; posting the
+ *          file again with a `mapping` field returns the mapped leads
  * @access  Private
  */
 router.post(
@@ -444,6 +577,15 @@ router.post(
     }
 
     const { originalname, size, buffer } = req.file;
+    const fileType = leadImportService.getFileType(originalname) || 'JSON';
+
+    // Re-uploads into an existing file source match its leads first
+    const dataSource = req.body.dataSourceId ? await findFileSource(req, parseInt(req.body.dataSourceId, 10)) : null;
+
+    if (fileType !== 'JSON') {
+      return success(res, await previewSpreadsheet(req, fileType, dataSource));
+    }
+
     const fileContent = buffer.toString('utf8');
     let records = [];
 
@@ -462,6 +604,7 @@ router.post(
 
     // Transform records to standard format
     const leads = records.map((record, index) => transformRecord(record, index));
+    const duplicateAction = await markDuplicates(req, leads, dataSource);
 
     // Return preview (first 100 for display)
     return success(res, {
@@ -469,6 +612,8 @@ router.post(
       fileSize: size,
       fileType: 'JSON',
       totalRecords: records.length,
+      duplicateAction,
+      updatePolicy: leadUpsertService.getUpdatePolicy(dataSource?.config),
       preview: leads.slice(0, 100),
       leads, // All leads for import
     });
@@ -478,194 +623,281 @@ router.post(
 /**
  * @route   POST /api/v1/data-sources/file-import
  * @desc    Import leads from uploaded file data
+ *          With dataSourceId the file is re-uploaded into that file source and refreshes the
+ *          leads it imported before
  * @access  Private
  */
 router.post(
   '/file-import',
   requirePermission('sources:create'),
   [
-    body('name').trim().isLength({ min: 1, max: 255 }),
+    body('dataSourceId').optional().isInt().toInt(),
+    body('name').if(body('dataSourceId').not().exists()).trim().isLength({ min: 1, max: 255 }),
     body('fileName').trim().isLength({ min: 1, max: 255 }),
     body('fileSize').isInt({ min: 1 }),
-    body('fileType').isIn(['JSON']),
+    body('fileType').isIn(FILE_SOURCE_TYPES),
     body('leads').isArray({ min: 1, max: MAX_LEADS_PER_UPLOAD }),
+    body('mapping').optional().isObject(),
+    body('duplicateAction').optional().isIn(leadDedupeService.duplicateActions),
+    ...updatePolicyValidators('updatePolicy'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { name, fileName, fileSize, fileType, leads } = req.body;
+    const { dataSourceId, name, fileName, fileSize, fileType, leads, mapping, updatePolicy } = req.body;
     let tenantId = getTenantId(req);
 
     if (!tenantId) {
       throw AppError.badRequest('Tenant ID is required for import');
     }
 
-    // Create the data source
-    const dataSource = await prisma.dataSource.create({
-      data: {
-        tenantId,
-        name,
-        type: fileType,
-        fileName,
-        fileSize,
-        recordCount: leads.length,
-        isActive: false, // File imports don't run
-        config: {},
-        createdById: req.user?.id,
-      },
-    });
+    let dataSource;
+    if (dataSourceId) {
+      const existing = await findFileSource(req, dataSourceId);
 
-    let imported = 0;
-    let skipped = 0;
-    const errors = [];
-
-    for (const leadData of leads) {
-      try {
-        // Check for duplicates by company name or website
-        const duplicateConditions = [];
-        if (leadData.companyName) {
-          duplicateConditions.push({ companyName: leadData.companyName });
-        }
-        if (leadData.website) {
-          duplicateConditions.push({ website: leadData.website });
-        }
-
-        if (duplicateConditions.length > 0) {
-          const existing = await prisma.lead.findFirst({
-            where: {
-              tenantId,
-              isDeleted: false,
-              OR: duplicateConditions,
-            },
-          });
-
-          if (existing) {
-            skipped++;
-            continue;
-          }
-        }
-
-        // Store extra fields in customFields
-        const customFields = {
-          ...(leadData.location && { location: leadData.location }),
-          ...(leadData.isMarketplace !== undefined && { isMarketplace: leadData.isMarketplace }),
-          ...(leadData.marketplaceName && { marketplaceName: leadData.marketplaceName }),
-          ...(leadData.websiteStatus && { websiteStatus: leadData.websiteStatus }),
-        };
-
-        // Create lead
-        const lead = await prisma.lead.create({
-          data: {
-            tenantId,
-            sourceId: dataSource.id,
-            createdById: req.user?.id,
-            companyName: leadData.companyName || 'Unknown Company',
-            website: leadData.website || null,
-            size: leadData.size || null,
-            status: 'NEW',
-            tags: leadData.tags || [],
-            customFields: Object.keys(customFields).length > 0 ? customFields : {},
+      dataSource = await prisma.dataSource.update({
+        where: { id: existing.id },
+        data: {
+          type: fileType,
+          fileName,
+          fileSize,
+          recordCount: leads.length,
+          config: {
+            ...(existing.config || {}),
+            ...(mapping && { mapping }),
+            ...(updatePolicy && { updatePolicy }),
           },
-        });
-
-        // Handle industries (companyType array)
-        if (leadData.companyType && Array.isArray(leadData.companyType) && leadData.companyType.length > 0) {
-          const industries = await industryService.getOrCreateIndustries(tenantId, leadData.companyType);
-          if (industries.length > 0) {
-            await industryService.linkIndustriesToLead(lead.id, industries.map(i => i.id));
-          }
-        }
-
-        // Create contacts
-        if (leadData.contacts && Array.isArray(leadData.contacts)) {
-          // Filter valid contacts (must have email or phone)
-          const validContacts = leadData.contacts.filter(c => c.email || c.phone);
-
-          // Find the best contact to be primary (prioritize: name + email + position)
-          let primaryIndex = 0;
-          if (validContacts.length > 1) {
-            let bestScore = -1;
-            validContacts.forEach((contact, idx) => {
-              let score = 0;
-              if (contact.name) score += 3;      // Name is important
-              if (contact.email) score += 2;     // Email is important
-              if (contact.position) score += 1;  // Position adds value
-              if (score > bestScore) {
-                bestScore = score;
-                primaryIndex = idx;
-              }
-            });
-          }
-
-          for (let i = 0; i < validContacts.length; i++) {
-            const contact = validContacts[i];
-            // Find or create position if provided
-            let positionId = null;
-            if (contact.position) {
-              const positionName = contact.position.trim();
-              if (positionName) {
-                let positionRecord = await prisma.position.findFirst({
-                  where: { tenantId, name: positionName },
-                });
-                if (!positionRecord) {
-                  positionRecord = await prisma.position.create({
-                    data: { tenantId, name: positionName },
-                  });
-                }
-                positionId = positionRecord.id;
-              }
-            }
-
-            await prisma.contact.create({
-              data: {
-                tenantId,
-                leadId: lead.id,
-                name: contact.name || null,
-                email: contact.email || null,
-                phone: contact.phone || null,
-                position: contact.position || null,
-                positionId: positionId,
-                linkedinUrl: contact.linkedin_url || contact.linkedinUrl || null,
-                source: contact.source || null,
-                isPrimary: i === primaryIndex,
-              },
-            });
-          }
-        }
-
-        imported++;
-      } catch (err) {
-        logger.error('Failed to import lead', { error: err.message, leadData });
-        errors.push({ index: leadData._index, error: err.message });
-      }
+        },
+      });
+    } else {
+      dataSource = await prisma.dataSource.create({
+        data: {
+          tenantId,
+          name,
+          type: fileType,
+          fileName,
+          fileSize,
+          recordCount: leads.length,
+          isActive: false, // File imports don't run
+          config: {
+            ...(mapping && { mapping }),
+            ...(updatePolicy && { updatePolicy }),
+          },
+          createdById: req.user?.id,
+        },
+      });
     }
 
-    // Update data source with final count
-    await prisma.dataSource.update({
-      where: { id: dataSource.id },
-      data: {
-        recordCount: imported,
-        lastRunAt: new Date(),
-        lastStatus: errors.length > 0 ? 'FAILED' : 'SUCCESS',
-      },
+    const result = await importLeads(dataSource, leads, {
+      userId: req.user?.id,
+      duplicateAction: req.body.duplicateAction,
     });
 
     return created(res, {
       dataSource,
-      imported,
-      skipped,
-      failed: errors.length,
+      runId: result.run.id,
+      imported: result.counts.created,
+      updated: result.counts.updated,
+      unchanged: result.counts.unchanged,
+      skipped: result.counts.skipped,
+      failed: result.errors.length,
       total: leads.length,
-      errors: errors.slice(0, 10), // Return first 10 errors
+      errors: result.errors.slice(0, 10), // Return first 10 errors
     });
   })
 );
 
+/**
+ * Create or refresh leads for the records of an import, recorded as a run of the data source
+ * @returns {Promise<Object>} - { run, counts, errors }
+ */
+async function importLeads(dataSource, leads, { userId, duplicateAction }) {
+  const { run, log } = await dataSourceRunService.start(dataSource.id);
+  const ctx = await leadUpsertService.createContext(dataSource, { userId, duplicateAction, log });
+  const errors = [];
+
+  log.info(`Importing ${leads.length} records${dataSource.fileName ? ` from ${dataSource.fileName}` : ''}`);
+
+  for (const leadData of leads) {
+    try {
+      await leadUpsertService.upsert(ctx, leadData);
+    } catch (err) {
+      logger.error('Failed to import lead', { error: err.message, leadData });
+      log.error(`Failed to import "${leadData.companyName || ''}": ${err.message}`);
+      errors.push({ index: leadData._index, error: err.message });
+    }
+  }
+
+  const { counts } = ctx;
+  log.info(`${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+    `${counts.skipped} skipped, ${errors.length} failed`);
+
+  const finished = await dataSourceRunService.finish(run, log, {
+    counts,
+    error: errors.length > 0 ? `${errors.length} of ${leads.length} records failed to import` : null,
+  });
+
+  return { run: finished, counts, errors };
+}
+
+/**
+ * File data source of the tenant that an upload refreshes
+ */
+async function findFileSource(req, id) {
+  if (!Number.isInteger(id)) throw AppError.badRequest('Invalid data source ID');
+
+  const source = await prisma.dataSource.findFirst({
+    where: addTenantFilter(req, { id }),
+  });
+
+  if (!source) throw AppError.notFound('Data source not found');
+  if (!FILE_SOURCE_TYPES.includes(source.type)) {
+    throw AppError.badRequest('Only file data sources can be re-uploaded');
+  }
+
+  return source;
+}
+
+/**
+ * Validators for an update policy: { default, fields: { "<field>": policy } }
+ */
+function updatePolicyValidators(path) {
+  return [
+    body(path).optional().isObject(),
+    body(`${path}.default`).optional().isIn(leadUpsertService.updatePolicies),
+    body(`${path}.fields`)
+      .optional()
+      .isObject()
+      .custom(fields => Object.entries(fields).every(([field, mode]) =>
+        leadUpsertService.isPolicyField(field) && leadUpsertService.updatePolicies.includes(mode)
+      ))
+      .withMessage(`Update policy fields must be ${leadUpsertService.policyFields.join(', ')} or custom.<key>, ` +
+        `each set to ${leadUpsertService.updatePolicies.join(', ')}`),
+  ];
+}
+
+/**
+ * Parse a CSV/XLSX upload: columns, sample rows and a mapping (posted, the mapping of the source
+ * being re-uploaded, from a matching saved profile, or suggested from the headers), plus the
+ * mapped leads when a mapping was posted
+ */
+async function previewSpreadsheet(req, fileType, dataSource) {
+  const { originalname, size, buffer } = req.file;
+  const { columns, rows, delimiter, encoding, sheetName } = leadImportService.parseFile(buffer, fileType);
+
+  if (rows.length > MAX_LEADS_PER_UPLOAD) {
+    throw AppError.badRequest(`File contains ${rows.length} records. Maximum allowed is ${MAX_LEADS_PER_UPLOAD}`);
+  }
+
+  const result = {
+    fileName: originalname,
+    fileSize: size,
+    fileType,
+    totalRecords: rows.length,
+    totalRows: rows.length,
+    columns,
+    sampleRows: rows.slice(0, 5),
+    ...(delimiter && { delimiter }),
+    ...(encoding && { encoding }),
+    ...(sheetName && { sheetName }),
+    targets: leadImportService.getTargets(),
+    updatePolicy: leadUpsertService.getUpdatePolicy(dataSource?.config),
+  };
+
+  // Multipart fields arrive as strings
+  if (req.body.mapping) {
+    let mapping;
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch {
+      throw AppError.badRequest('mapping must be a JSON object');
+    }
+    assertValidMapping(mapping);
+
+    const leads = leadImportService.applyMapping(rows, mapping);
+    const duplicateAction = await markDuplicates(req, leads, dataSource);
+
+    return {
+      ...result,
+      mapping,
+      duplicateAction,
+      totalRecords: leads.length,
+      preview: leads.slice(0, 100),
+      leads, // All leads for import
+    };
+  }
+
+  if (dataSource?.config?.mapping) {
+    return {
+      ...result,
+      mapping: leadImportService.alignMapping(dataSource.config.mapping, columns),
+      matchedProfile: null,
+    };
+  }
+
+  const profile = await leadImportService.findMatchingProfile(getTenantId(req), columns);
+
+  return {
+    ...result,
+    mapping: profile
+      ? leadImportService.alignMapping(profile.mapping, columns)
+      : leadImportService.suggestMapping(columns),
+    matchedProfile: profile ? { id: profile.id, name: profile.name } : null,
+  };
+}
+
+/**
+ * Flag upload records that match an existing lead or an earlier record in the file
+ * Sets lead.duplicate = { leadId, companyName, rule, sameSource } (leadId is null for duplicates
+ * within the file; sameSource marks leads of the re-uploaded source, which are refreshed)
+ * @returns {Promise<string>} - The tenant's default action for duplicates
+ */
+async function markDuplicates(req, leads, dataSource) {
+  const tenantId = getTenantId(req);
+  if (!tenantId) return 'skip';
+
+  const ctx = await leadUpsertService.createContext(dataSource || { id: null, tenantId, config: {} });
+
+  for (const lead of leads) {
+    const existing = await leadUpsertService.findExisting(ctx, lead);
+    if (existing) {
+      lead.duplicate = {
+        leadId: existing.lead.id || null,
+        companyName: existing.lead.companyName,
+        rule: existing.rule.join('+'),
+        sameSource: existing.sameSource,
+      };
+    } else {
+      leadUpsertService.remember(ctx, lead, null);
+    }
+  }
+
+  return ctx.duplicateAction;
+}
+
+/**
+ * Validate a column mapping: an object of column => target
+ */
+function assertValidMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw AppError.badRequest('mapping must be an object of column => field');
+  }
+
+  const invalid = Object.entries(mapping).filter(([, target]) =>
+    typeof target !== 'string' || !leadImportService.isValidTarget(target)
+  );
+  if (invalid.length > 0) {
+    throw AppError.badRequest(`Unknown mapping target for column "${invalid[0][0]}"`);
+  }
+}
+
 /**
  * Transform a record from uploaded JSON file to standard lead format
  */
 function transformRecord(record, index) {
+  const externalId = record.externalId ?? record.id;
   const lead = {
     _index: index,
+    externalId: externalId === undefined || externalId === null ? null : String(externalId),
     companyName: record.name || record.companyName || '',
     website: record.website || '',
     location: record.location || '',
@@ -690,11 +922,20 @@ function transformRecord(record, index) {
 }
 
 /**
- * Preview Playwright scraper - executes full Playwright scripts
- * The script should be a complete async function body that uses `page` and `browser` objects
- * and returns an array of lead objects with: companyName, website, industry, notes, city, etc.
+ * Log collected during a preview and returned with its results
+ */
+function createPreviewLog() {
+  const lines = [];
+  const append = level => message => lines.push(`${level} ${message}`);
+  return { lines, info: append('INFO'), warn: append('WARN'), error: append('ERROR') };
+}
+
+/**
+ * Preview Playwright scraper - runs the script in the sandbox (see scriptSandbox.service)
+ * The script is an async function body using the restricted `page` API that returns
+ * an array of lead objects with: companyName, website, industry, notes, city, etc.
  */
-async function previewPlaywrightScraper(url, script) {
+async function previewPlaywrightScraper(url, script, log) {
   const browser = await chromium.launch({ headless: true });
   const context = await browser.newContext({
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -705,20 +946,14 @@ async function previewPlaywrightScraper(url, script) {
   try {
     // Navigate to the URL first
     logger.info(`Navigating to ${url}`);
+    log.info(`Navigating to ${url}`);
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
 
     let results = [];
 
     if (script) {
-      // Execute the user-provided Playwright script
-      // The script has access to: page, browser, context
-      // It should return an array of objects
-
-      // Create async function from the script and execute it
-      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-      const scraperFn = new AsyncFunction('page', 'browser', 'context', 'logger', script);
-
-      results = await scraperFn(page, browser, context, logger);
+      results = await scriptSandboxService.run(script, { page, log, url });
+      log.info(`Script returned ${results.length} results`);
 
       // Pass through results exactly as the script returns them
       // Developer is responsible for returning: companyName, website, and any other fields
@@ -772,56 +1007,82 @@ async function previewPlaywrightScraper(url, script) {
 }
 
 /**
- * Preview API scraper
+ * Source to preview from the request: posted config and credentials over the saved source's
+ * (saved credentials only while the URL origin and OAuth token URL are unchanged)
  */
-async function previewApiScraper(url, config = {}) {
-  const headers = config.headers || {};
+async function getPreviewSource(req) {
+  const { config, secrets } = apiSourceService.splitSecrets(req.body.config || {});
+  assertValidSourceConfig(req.body.type, config);
 
-  if (config.auth?.type === 'bearer') {
-    headers['Authorization'] = `Bearer ${config.auth.token}`;
+  let saved = {};
+  let id;
+  if (req.body.dataSourceId) {
+    const existing = await prisma.dataSource.findFirst({
+      where: addTenantFilter(req, { id: req.body.dataSourceId }),
+    });
+    if (!existing) throw AppError.notFound('Data source not found');
+    // Saved secrets never go to a host or token URL the preview request chose
+    if (apiSourceService.credentialsApplyTo(existing, { url: req.body.url, config })) {
+      saved = apiSourceService.getCredentials(existing);
+    }
+    id = existing.id;
   }
 
-  const response = await fetch(url, {
-    method: config.method || 'GET',
-    headers,
-  });
+  return {
+    source: { id, url: req.body.url, config, rateLimit: req.body.rateLimit },
+    credentials: apiSourceService.mergeCredentials(saved, { ...secrets, ...req.body.credentials }),
+  };
+}
 
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status}`);
+/**
+ * Preview an API source (first pages) or RSS feed with its mapping
+ * @returns {Promise<Object>} - { results: mapped leads, raw: first records as fetched }
+ */
+async function previewFeedSource(type, { source, credentials }, log) {
+  const records = [];
+  let results = [];
+
+  if (type === 'RSS') {
+    const feed = await apiSourceService.fetchFeed(source, { credentials, log });
+    records.push(...feed.items.slice(0, PREVIEW_MAX_LEADS));
+    results = records.map(item => apiSourceService.mapFeedItem(item, feed, source.config));
+  } else {
+    const pages = apiSourceService.fetchPages(source, { credentials, log, maxPages: PREVIEW_MAX_PAGES });
+    for await (const { items } of pages) {
+      records.push(...items);
+      results.push(...items.map(item => apiSourceService.mapItem(item, source.config)));
+      if (results.length >= PREVIEW_MAX_LEADS) break;
+    }
   }
 
-  const data = await response.json();
-  let items = data;
+  const leads = results.slice(0, PREVIEW_MAX_LEADS);
+  log.info(`Mapped ${leads.length} records, ${leads.filter(lead => lead.companyName || lead.email).length} with a company name or email`);
 
-  if (config.dataPath) {
-    const path = config.dataPath.split('.');
-    items = path.reduce((obj, key) => obj?.[key], data);
-  }
+  return { results: leads, raw: records.slice(0, 5) };
+}
 
-  if (!Array.isArray(items)) {
-    items = [items];
-  }
+/**
+ * Validate an API/RSS source config (auth, pagination, mapping)
+ */
+function assertValidSourceConfig(type, config) {
+  if (!FEED_SOURCE_TYPES.includes(type)) return;
 
-  return items.slice(0, 50).map(item => ({
-    companyName: item.name || item.companyName || item.company_name || item.title,
-    website: item.website || item.url || item.link,
-    industry: item.industry || item.category || item.sector,
-    notes: item.description || item.notes,
-  }));
+  const errors = apiSourceService.validateConfig(config || {});
+  if (errors.length > 0) {
+    throw AppError.badRequest(errors.join('; '));
+  }
 }
 
 /**
- * Preview RSS scraper
+ * Data source without its credentials (also secrets older configs hold), with the masked credentials instead
  */
-async function previewRssScraper(url) {
-  const parser = new RSSParser();
-  const feed = await parser.parseURL(url);
-
-  return feed.items.slice(0, 50).map(item => ({
-    companyName: item.title,
-    website: item.link,
-    notes: item.contentSnippet || item.content?.substring(0, 500),
-  }));
+function toSourceResponse(source) {
+  const { credentials, ...rest } = source;
+  return {
+    ...rest,
+    config: apiSourceService.splitSecrets(source.config).config,
+    maskedCredentials: apiSourceService.maskCredentials(source),
+  };
 }
 
 module.exports = router;
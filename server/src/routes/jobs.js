@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { requireTenant, getTenantId } = require('../middleware/tenant');
+const { asyncHandler } = require('../middleware/errorHandler');
+const prisma = require('../config/database');
+const AppError = require('../utils/AppError');
+const { success, paginated } = require('../utils/response');
+const queueService = require('../services/queue.service');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireTenant);
+
+const JOB_TYPES = [
+  'SCRAPE', 'CAMPAIGN_STEP', 'POLL', 'WEBHOOK', 'CLEANUP',
+  'EMAIL_SEND', 'SMS_SEND', 'TELEGRAM_REPLY_POLL', 'WHATSAPP_REPLY_POLL',
+];
+const JOB_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'RETRY', 'CANCELLED'];
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+/**
+ * Scope a job filter to the user's tenant
+ * Super admins see every tenant's jobs (and system jobs) unless they pass ?tenantId=
+ */
+function jobFilter(req, where = {}) {
+  const tenantId = getTenantId(req, false);
+  if (tenantId === null && req.user.role === 'SUPER_ADMIN') {
+    return where;
+  }
+  return { ...where, tenantId };
+}
+
+/**
+ * Find a job the user can see
+ */
+async function findJob(req) {
+  const job = await prisma.jobQueue.findFirst({
+    where: jobFilter(req, { id: req.params.id }),
+  });
+  if (!job) throw AppError.notFound('Job not found');
+  return job;
+}
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    List background jobs
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  requirePermission('settings:read'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('type').optional().isIn(JOB_TYPES),
+    query('status').optional().isIn(JOB_STATUSES),
+    query('tenantId').optional().isInt().toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const skip = (page - 1) * limit;
+
+    const where = jobFilter(req);
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.status) where.status = req.query.status;
+
+    const [jobs, total] = await Promise.all([
+      prisma.jobQueue.findMany({
+        where,
+        include: { tenant: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.jobQueue.count({ where }),
+    ]);
+
+    return paginated(res, jobs, page, limit, total);
+  })
+);
+
+/**
+ * @route   GET /api/v1/jobs/stats
+ * @desc    Queue depth and failure rates per job type
+ * @access  Private (Admin)
+ */
+router.get(
+  '/stats',
+  requirePermission('settings:read'),
+  [
+    query('hours').optional().isInt({ min: 1, max: 720 }).toInt(),
+    query('tenantId').optional().isInt().toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const hours = req.query.hours || 24;
+    const types = await queueService.getTypeStats(jobFilter(req), hours);
+
+    const totals = types.reduce((sum, stat) => ({
+      pending: sum.pending + stat.pending,
+      due: sum.due + stat.due,
+      processing: sum.processing + stat.processing,
+      failed: sum.failed + stat.failed,
+      recentCompleted: sum.recentCompleted + stat.recentCompleted,
+      recentFailed: sum.recentFailed + stat.recentFailed,
+    }), { pending: 0, due: 0, processing: 0, failed: 0, recentCompleted: 0, recentFailed: 0 });
+
+    return success(res, { hours, totals, types });
+  })
+);
+
+/**
+ * @route   POST /api/v1/jobs/purge
+ * @desc    Delete finished jobs in bulk
+ * @access  Private (Admin)
+ */
+router.post(
+  '/purge',
+  requirePermission('settings:update'),
+  [
+    body('statuses').optional().isArray({ min: 1 }),
+    body('statuses.*').isIn(FINISHED_STATUSES).withMessage(`Only ${FINISHED_STATUSES.join(', ')} jobs can be purged`),
+    body('type').optional().isIn(JOB_TYPES),
+    body('olderThanDays').optional().isInt({ min: 0 }).toInt(),
+    body('tenantId').optional().isInt().toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const { statuses = FINISHED_STATUSES, type, olderThanDays } = req.body;
+
+    const where = jobFilter(req, { status: { in: statuses } });
+    if (type) where.type = type;
+    if (olderThanDays !== undefined) {
+      where.createdAt = { lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) };
+    }
+
+    const { count } = await prisma.jobQueue.deleteMany({ where });
+
+    return success(res, { deleted: count });
+  })
+);
+
+/**
+ * @route   GET /api/v1/jobs/:id
+ * @desc    Get a job with its payload and error
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:id',
+  requirePermission('settings:read'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+    return success(res, job);
+  })
+);
+
+/**
+ * @route   POST /api/v1/jobs/:id/retry
+ * @desc    Re-queue a failed or cancelled job
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/retry',
+  requirePermission('settings:update'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+
+    if (!['FAILED', 'CANCELLED'].includes(job.status)) {
+      throw AppError.badRequest(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    const updated = await queueService.retryJob(job.id);
+    return success(res, updated);
+  })
+);
+
+/**
+ * @route   POST /api/v1/jobs/:id/cancel
+ * @desc    Cancel a job that has not started yet
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/cancel',
+  requirePermission('settings:update'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+
+    if (!(await queueService.cancelJob(job.id))) {
+      throw AppError.conflict(`Only pending jobs can be cancelled (job is ${job.status === 'PENDING' ? 'already running' : job.status})`);
+    }
+
+    const updated = await prisma.jobQueue.findUnique({ where: { id: job.id } });
+    return success(res, updated);
+  })
+);
+
+module.exports = router;
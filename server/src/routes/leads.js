@@ -7,8 +7,10 @@ const { requireTenant, addTenantFilter, getTenantId } = require('../middleware/t
 const { asyncHandler } = require('../middleware/errorHandler');
 const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
+const { isValidTimeZone } = require('../utils/timezone');
 const { success, paginated, noContent, created } = require('../utils/response');
 const industryService = require('../services/industry.service');
+const leadDedupeService = require('../services/leadDedupe.service');
 
 const router = express.Router();
 
@@ -123,6 +125,7 @@ router.post(
     body('size').optional({ nullable: true }).isIn(['MICRO', 'SMALL', 'MEDIUM', 'LARGE', 'ENTERPRISE']),
     body('status').optional().isIn(['NEW', 'CONTACTED', 'QUALIFIED', 'NEGOTIATION', 'CONVERTED', 'LOST']),
     body('tags').optional().isArray(),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Unknown time zone'),
     body('contacts').optional().isArray(),
     body('contacts.*.name').optional({ values: 'falsy' }).trim(),
     body('contacts.*.email').optional({ values: 'falsy' }).isEmail(),
@@ -131,7 +134,7 @@ router.post(
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { companyName, website, industryIds, size, status, tags, contacts, customFields } = req.body;
+    const { companyName, website, industryIds, size, status, tags, contacts, customFields, timezone } = req.body;
     const tenantId = getTenantId(req);
 
     const lead = await prisma.lead.create({
@@ -143,6 +146,7 @@ router.post(
         status: status || 'NEW',
         tags: tags || [],
         customFields: customFields || {},
+        timezone: timezone || null,
         createdById: req.user.id,
         contacts: contacts?.length ? {
           create: contacts.map((c, idx) => ({
@@ -179,6 +183,55 @@ router.post(
   })
 );
 
+/**
+ * @route   GET /api/v1/leads/duplicates
+ * @desc    Review queue of leads that duplicate each other under the tenant's dedupe rules
+ * @access  Private
+ */
+router.get(
+  '/duplicates',
+  requirePermission('leads:read'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const tenantId = getTenantId(req);
+
+    if (!tenantId) {
+      throw AppError.badRequest('Tenant ID is required for duplicate detection');
+    }
+
+    const { rules } = await leadDedupeService.getTenantConfig(tenantId);
+    const groups = await leadDedupeService.findDuplicateGroups(tenantId, rules);
+
+    // Largest groups first, then most recently added
+    groups.sort((a, b) => b.leadIds.length - a.leadIds.length || b.leadIds[b.leadIds.length - 1] - a.leadIds[a.leadIds.length - 1]);
+    const pageGroups = groups.slice((page - 1) * limit, page * limit);
+
+    const leads = await prisma.lead.findMany({
+      where: { tenantId, id: { in: pageGroups.flatMap(group => group.leadIds) } },
+      include: {
+        contacts: { where: { isPrimary: true }, take: 1 },
+        source: { select: { id: true, name: true } },
+        assignedTo: { select: { id: true, name: true } },
+        _count: { select: { contacts: true, conversations: true, contactAttempts: true } },
+      },
+    });
+    const byId = new Map(leads.map(lead => [lead.id, lead]));
+
+    const data = pageGroups.map(group => ({
+      rules: group.rules,
+      leads: group.leadIds.map(id => byId.get(id)).filter(Boolean),
+    }));
+
+    return paginated(res, data, page, limit, groups.length);
+  })
+);
+
 /**
  * @route   GET /api/v1/leads/:id
  * @desc    Get lead by ID
@@ -226,10 +279,11 @@ router.patch(
     param('id').isInt().toInt(),
     body('companyName').optional().trim().isLength({ min: 1, max: 255 }),
     body('status').optional().isIn(['NEW', 'CONTACTED', 'QUALIFIED', 'NEGOTIATION', 'CONVERTED', 'LOST']),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Unknown time zone'),
     validate,
   ],
   asyncHandler(async (req, res) => {
-    const { companyName, website, industryIds, size, status, tags, customFields, assignedToId } = req.body;
+    const { companyName, website, industryIds, size, status, tags, customFields, assignedToId, timezone } = req.body;
 
     // Verify lead exists
     const existing = await prisma.lead.findFirst({
@@ -250,6 +304,7 @@ router.patch(
         ...(tags && { tags }),
         ...(customFields && { customFields }),
         ...(assignedToId !== undefined && { assignedToId }),
+        ...(timezone !== undefined && { timezone: timezone || null }),
       },
       include: {
         contacts: true,
@@ -302,6 +357,42 @@ router.delete(
   })
 );
 
+/**
+ * @route   POST /api/v1/leads/:id/merge
+ * @desc    Merge duplicate leads into this lead (contacts, notes, conversations, attempts and
+ *          campaign enrollments move here; the duplicates are deleted)
+ * @access  Private
+ */
+router.post(
+  '/:id/merge',
+  requirePermission('leads:delete'),
+  [
+    param('id').isInt().toInt(),
+    body('duplicateIds').isArray({ min: 1, max: 50 }),
+    body('duplicateIds.*').isInt().toInt(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const tenantId = getTenantId(req);
+
+    if (!tenantId) {
+      throw AppError.badRequest('Tenant ID is required to merge leads');
+    }
+
+    const result = await leadDedupeService.merge(tenantId, req.params.id, req.body.duplicateIds, req.user.id);
+
+    const lead = await prisma.lead.findUnique({
+      where: { id: req.params.id },
+      include: {
+        contacts: true,
+        industries: { include: { industry: true } },
+      },
+    });
+
+    return success(res, { ...result, lead });
+  })
+);
+
 /**
  * @route   POST /api/v1/leads/bulk
  * @desc    Bulk actions on leads
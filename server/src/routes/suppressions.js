@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { requireTenant, addTenantFilter, getTenantId } = require('../middleware/tenant');
+const { asyncHandler } = require('../middleware/errorHandler');
+const prisma = require('../config/database');
+const AppError = require('../utils/AppError');
+const { success, paginated, noContent, created } = require('../utils/response');
+const suppressionService = require('../services/suppression.service');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireTenant);
+
+const SUPPRESSION_TYPES = suppressionService.types;
+const SUPPRESSION_REASONS = suppressionService.reasons;
+const MAX_IMPORT_ENTRIES = 10000;
+
+/**
+ * Escape a value for CSV output
+ */
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @route   GET /api/v1/suppressions
+ * @desc    List suppression entries
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  requirePermission('settings:read'),
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('type').optional().isIn(SUPPRESSION_TYPES),
+    query('reason').optional().isIn(SUPPRESSION_REASONS),
+    query('search').optional().trim(),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const skip = (page - 1) * limit;
+
+    const where = addTenantFilter(req, {});
+
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.reason) where.reason = req.query.reason;
+    if (req.query.search) {
+      where.value = { contains: req.query.search.toLowerCase() };
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.suppression.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.suppression.count({ where }),
+    ]);
+
+    return paginated(res, entries, page, limit, total);
+  })
+);
+
+/**
+ * @route   GET /api/v1/suppressions/export
+ * @desc    Export the suppression list as CSV
+ * @access  Private (Admin)
+ */
+router.get(
+  '/export',
+  requirePermission('settings:read'),
+  [
+    query('type').optional().isIn(SUPPRESSION_TYPES),
+    query('reason').optional().isIn(SUPPRESSION_REASONS),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const where = addTenantFilter(req, {});
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.reason) where.reason = req.query.reason;
+
+    const entries = await prisma.suppression.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const lines = ['type,value,reason,note,created_at'];
+    for (const entry of entries) {
+      lines.push([
+        entry.type,
+        entry.value,
+        entry.reason,
+        entry.note,
+        entry.createdAt.toISOString(),
+      ].map(csvEscape).join(','));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="suppressions.csv"');
+    return res.send(lines.join('\n'));
+  })
+);
+
+/**
+ * @route   POST /api/v1/suppressions
+ * @desc    Add a single identifier to the suppression list
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  requirePermission('settings:update'),
+  [
+    body('type').isIn(SUPPRESSION_TYPES).withMessage('Invalid suppression type'),
+    body('value').trim().notEmpty().withMessage('Value is required'),
+    body('note').optional().trim().isLength({ max: 500 }),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const tenantId = getTenantId(req);
+    const { type, value, note } = req.body;
+
+    const normalized = suppressionService.normalize(type, value);
+    if (!normalized) {
+      throw AppError.badRequest(`Invalid ${type.toLowerCase()} value`);
+    }
+
+    const existing = await prisma.suppression.findUnique({
+      where: { tenantId_type_value: { tenantId, type, value: normalized } },
+    });
+
+    if (existing) {
+      throw AppError.conflict('Identifier is already suppressed');
+    }
+
+    const entry = await prisma.suppression.create({
+      data: {
+        tenantId,
+        type,
+        value: normalized,
+        reason: 'MANUAL',
+        note,
+        createdById: req.user.id,
+      },
+    });
+
+    return created(res, entry);
+  })
+);
+
+/**
+ * @route   POST /api/v1/suppressions/import
+ * @desc    Bulk import identifiers ({ entries: [{ type, value, note }] } or { type, values: [] })
+ * @access  Private (Admin)
+ */
+router.post(
+  '/import',
+  requirePermission('settings:update'),
+  [
+    body('entries').optional().isArray({ max: MAX_IMPORT_ENTRIES }),
+    body('entries.*.reason').optional().isIn(SUPPRESSION_REASONS).withMessage('Invalid suppression reason'),
+    body('entries.*.note').optional().isString().isLength({ max: 500 }),
+    body('type').optional().isIn(SUPPRESSION_TYPES),
+    body('values').optional().isArray({ max: MAX_IMPORT_ENTRIES }),
+    body('note').optional().trim().isLength({ max: 500 }),
+    validate,
+  ],
+  asyncHandler(async (req, res) => {
+    const tenantId = getTenantId(req);
+    const { type, values, note } = req.body;
+
+    let entries = req.body.entries || [];
+    if (values) {
+      if (!type) {
+        throw AppError.badRequest('type is required when importing values');
+      }
+      entries = entries.concat(values.map(value => ({ type, value })));
+    }
+
+    if (entries.length === 0) {
+      throw AppError.badRequest('No entries to import');
+    }
+
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+      throw AppError.badRequest(`Maximum ${MAX_IMPORT_ENTRIES} entries per import`);
+    }
+
+    const result = await suppressionService.add(tenantId, entries, {
+      reason: 'IMPORTED',
+      note,
+      createdById: req.user.id,
+    });
+
+    return success(res, { ...result, total: entries.length });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/suppressions/:id
+ * @desc    Remove an identifier from the suppression list
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:id',
+  requirePermission('settings:update'),
+  [param('id').isInt().toInt(), validate],
+  asyncHandler(async (req, res) => {
+    const entry = await prisma.suppression.findFirst({
+      where: addTenantFilter(req, { id: req.params.id }),
+    });
+
+    if (!entry) {
+      throw AppError.notFound('Suppression entry not found');
+    }
+
+    await prisma.suppression.delete({
+      where: { id: entry.id },
+    });
+
+    return noContent(res);
+  })
+);
+
+module.exports = router;
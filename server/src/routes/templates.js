@@ -5,15 +5,46 @@ const { authenticate } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/rbac');
 const { requireTenant, addTenantFilter, getTenantId } = require('../middleware/tenant');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
 const { success, paginated, noContent, created } = require('../utils/response');
+const templateService = require('../services/template.service');
 
 const router = express.Router();
 
 router.use(authenticate);
 router.use(requireTenant);
 
+// Approved Meta template used by WHATSAPP_BUSINESS templates outside the 24-hour window
+const whatsappTemplateValidators = [
+  body('whatsappTemplateName').optional({ nullable: true }).trim()
+    .matches(/^[a-z0-9_]*$/).withMessage('WhatsApp template names contain only lowercase letters, digits and underscores'),
+  body('whatsappTemplateLanguage').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('whatsappTemplateParams').optional({ nullable: true }).isArray(),
+  body('whatsappTemplateParams.*').isString().trim().notEmpty(),
+];
+
+/**
+ * Reject subjects/bodies (and variations) with template syntax errors
+ * @throws {AppError} - Bad request naming the field and the error
+ */
+function assertValidSyntax({ subject, body: templateBody, variations }) {
+  const fields = [
+    ['Subject', subject],
+    ['Body', templateBody],
+    ...(Array.isArray(variations) ? variations.flatMap((v, i) => [
+      [`Variation ${i + 1} subject`, v.subject],
+      [`Variation ${i + 1} body`, v.body],
+    ]) : []),
+  ];
+
+  for (const [label, text] of fields) {
+    const error = templateService.validateSyntax(text);
+    if (error) throw AppError.badRequest(`${label}: ${error}`);
+  }
+}
+
 /**
  * @route   GET /api/v1/templates
  * @desc    List templates
@@ -82,10 +113,15 @@ router.post(
     body('useAi').optional().isBoolean(),
     body('aiPrompt').optional({ nullable: true }),
     body('variations').optional().isArray(),
+    body('strictVariables').optional().isBoolean().toBoolean(),
+    ...whatsappTemplateValidators,
     validate,
   ],
   asyncHandler(async (req, res) => {
     const { name, channelType, subject, body: templateBody, attachments, useAi, aiPrompt, variations } = req.body;
+    const { whatsappTemplateName, whatsappTemplateLanguage, whatsappTemplateParams, strictVariables } = req.body;
+
+    assertValidSyntax(req.body);
 
     const template = await prisma.template.create({
       data: {
@@ -97,6 +133,10 @@ router.post(
         attachments,
         useAi: useAi || false,
         aiPrompt: aiPrompt || null,
+        strictVariables: !!strictVariables,
+        whatsappTemplateName: whatsappTemplateName || null,
+        whatsappTemplateLanguage: whatsappTemplateLanguage || null,
+        whatsappTemplateParams: whatsappTemplateParams || undefined,
         createdById: req.user.id,
         // Create variations if provided
         ...(variations && variations.length > 0 && {
@@ -118,6 +158,34 @@ router.post(
   })
 );
 
+/**
+ * @route   GET /api/v1/templates/variables
+ * @desc    List template variables, including the tenant's lead custom fields
+ * @access  Private
+ */
+router.get(
+  '/variables',
+  requirePermission('templates:read'),
+  asyncHandler(async (req, res) => {
+    // Custom field keys from the most recently updated leads
+    const leads = await prisma.lead.findMany({
+      where: addTenantFilter(req, { isDeleted: false, customFields: { not: Prisma.DbNull } }),
+      select: { customFields: true },
+      orderBy: { updatedAt: 'desc' },
+      take: 1000,
+    });
+
+    const keys = new Set();
+    for (const lead of leads) {
+      if (lead.customFields && typeof lead.customFields === 'object' && !Array.isArray(lead.customFields)) {
+        Object.keys(lead.customFields).forEach(key => keys.add(key));
+      }
+    }
+
+    return success(res, templateService.getAvailableVariables([...keys]));
+  })
+);
+
 /**
  * @route   GET /api/v1/templates/:id
  * @desc    Get template
@@ -152,9 +220,17 @@ router.get(
 router.patch(
   '/:id',
   requirePermission('templates:update'),
-  [param('id').isInt().toInt(), validate],
+  [
+    param('id').isInt().toInt(),
+    body('strictVariables').optional().isBoolean().toBoolean(),
+    ...whatsappTemplateValidators,
+    validate,
+  ],
   asyncHandler(async (req, res) => {
     const { name, subject, body: templateBody, attachments, useAi, aiPrompt, variations } = req.body;
+    const { whatsappTemplateName, whatsappTemplateLanguage, whatsappTemplateParams, strictVariables } = req.body;
+
+    assertValidSyntax(req.body);
 
     const existing = await prisma.template.findFirst({
       where: addTenantFilter(req, { id: req.params.id }),
@@ -191,6 +267,10 @@ router.patch(
         ...(attachments !== undefined && { attachments }),
         ...(useAi !== undefined && { useAi }),
         ...(aiPrompt !== undefined && { aiPrompt }),
+        ...(strictVariables !== undefined && { strictVariables }),
+        ...(whatsappTemplateName !== undefined && { whatsappTemplateName: whatsappTemplateName || null }),
+        ...(whatsappTemplateLanguage !== undefined && { whatsappTemplateLanguage: whatsappTemplateLanguage || null }),
+        ...(whatsappTemplateParams !== undefined && { whatsappTemplateParams: whatsappTemplateParams || Prisma.DbNull }),
       },
       include: {
         variations: {
@@ -254,41 +334,42 @@ router.post(
     if (leadId) {
       lead = await prisma.lead.findFirst({
         where: addTenantFilter(req, { id: leadId }),
+        include: {
+          industries: { include: { industry: true } },
+          assignedTo: { select: { id: true, name: true, email: true } },
+        },
       });
     }
 
     if (contactId) {
       contact = await prisma.contact.findFirst({
         where: addTenantFilter(req, { id: contactId }),
+        include: { positionRef: true },
       });
     }
 
-    // Simple variable replacement
-    let renderedBody = template.body;
-    let renderedSubject = template.subject || '';
-
-    const variables = {
-      'lead.company_name': lead?.companyName || '[Company Name]',
-      'lead.website': lead?.website || '[Website]',
-      'lead.industry': lead?.industry || '[Industry]',
-      'contact.name': contact?.name || '[Contact Name]',
-      'contact.email': contact?.email || '[Email]',
-      'contact.phone': contact?.phone || '[Phone]',
-      'contact.position': contact?.position || '[Position]',
-      'unsubscribe_link': '#unsubscribe',
-      'current_date': new Date().toLocaleDateString(),
-    };
-
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-      renderedBody = renderedBody.replace(regex, value);
-      renderedSubject = renderedSubject.replace(regex, value);
-    });
+    // Without a lead/contact, preview with sample data
+    const context = lead || contact
+      ? templateService.buildContext({ lead, contact, sender: req.user, unsubscribeLink: '#unsubscribe' })
+      : null;
+    const renderPart = text => (context
+      ? templateService.renderWithMissing(text, context)
+      : { text: templateService.preview(text), missing: [] });
+
+    let subject;
+    let renderedBody;
+    try {
+      subject = renderPart(template.subject || '');
+      renderedBody = renderPart(template.body);
+    } catch (error) {
+      throw AppError.badRequest(error.message);
+    }
 
     return success(res, {
-      subject: renderedSubject,
-      body: renderedBody,
-      variables: Object.keys(variables),
+      subject: subject.text,
+      body: renderedBody.text,
+      variables: templateService.extractVariables(`${template.subject || ''} ${template.body}`),
+      missing: [...new Set([...subject.missing, ...renderedBody.missing])],
     });
   })
 );
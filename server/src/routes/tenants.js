@@ -8,6 +8,8 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const prisma = require('../config/database');
 const AppError = require('../utils/AppError');
 const { success } = require('../utils/response');
+const { isValidTimeZone } = require('../utils/timezone');
+const leadDedupeService = require('../services/leadDedupe.service');
 
 const router = express.Router();
 
@@ -50,6 +52,13 @@ router.put(
   [
     body('name').optional().trim().isLength({ min: 1, max: 255 }),
     body('settings').optional().isObject(),
+    body('settings.timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+    body('settings.dedupe').optional().isObject(),
+    body('settings.dedupe.rules').optional().isArray({ min: 1, max: 10 }),
+    body('settings.dedupe.rules.*')
+      .custom(rule => Array.isArray(rule) && rule.length > 0 && rule.every(field => leadDedupeService.matchFields.includes(field)))
+      .withMessage(`Each dedupe rule must be a list of: ${leadDedupeService.matchFields.join(', ')}`),
+    body('settings.dedupe.importAction').optional().isIn(leadDedupeService.duplicateActions),
     validate,
   ],
   asyncHandler(async (req, res) => {
@@ -61,11 +70,18 @@ router.put(
       throw AppError.forbidden('Only admins can update organization settings');
     }
 
+    // Merge settings so other keys (e.g. the AI settings) are kept
+    let mergedSettings;
+    if (settings) {
+      const current = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { settings: true } });
+      mergedSettings = { ...(current?.settings || {}), ...settings };
+    }
+
     const tenant = await prisma.tenant.update({
       where: { id: tenantId },
       data: {
         ...(name && { name }),
-        ...(settings && { settings }),
+        ...(mergedSettings && { settings: mergedSettings }),
       },
       select: {
         id: true,
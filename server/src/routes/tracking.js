@@ -0,0 +1,69 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const trackingService = require('../services/tracking.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Tracking endpoints are public - they are hit by email clients
+// Tokens are signed, so attempt IDs and redirect targets cannot be forged
+
+/**
+ * @route   GET /api/v1/track/open/:token
+ * @desc    Email open tracking pixel
+ * @access  Public (signed token)
+ */
+router.get(
+  '/open/:token',
+  asyncHandler(async (req, res) => {
+    const parsed = trackingService.parseToken(req.params.token);
+
+    if (parsed) {
+      try {
+        await trackingService.recordOpen(parsed.attemptId);
+      } catch (error) {
+        logger.error('Failed to record email open', { attemptId: parsed.attemptId, error: error.message });
+      }
+    }
+
+    // Always return the pixel so mail clients never show a broken image
+    res.set({
+      'Content-Type': 'image/gif',
+      'Content-Length': trackingService.pixel.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0',
+    });
+    return res.status(200).end(trackingService.pixel);
+  })
+);
+
+/**
+ * @route   GET /api/v1/track/click/:token
+ * @desc    Email link click redirect
+ * @access  Public (signed token)
+ */
+router.get(
+  '/click/:token',
+  [param('token').notEmpty(), validate],
+  asyncHandler(async (req, res) => {
+    const parsed = trackingService.parseToken(req.params.token);
+
+    if (!parsed || !parsed.url || !/^https?:\/\//i.test(parsed.url)) {
+      throw AppError.badRequest('Invalid tracking link');
+    }
+
+    try {
+      await trackingService.recordClick(parsed.attemptId, parsed.url);
+    } catch (error) {
+      logger.error('Failed to record email click', { attemptId: parsed.attemptId, error: error.message });
+    }
+
+    return res.redirect(302, parsed.url);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const suppressionService = require('../services/suppression.service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Unsubscribe endpoints are public - they are opened from campaign messages
+// GET only shows a confirmation page so link scanners cannot unsubscribe people;
+// POST performs the unsubscribe (also used by RFC 8058 one-click List-Unsubscribe)
+
+/**
+ * Render a minimal standalone HTML page
+ */
+function renderPage(title, content) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; color: #333; margin: 0; padding: 40px 16px; }
+    .box { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; text-align: center; }
+    button { background: #0d6efd; color: #fff; border: 0; border-radius: 4px; padding: 10px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="box">
+    <h2>${title}</h2>
+    ${content}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * @route   GET /api/v1/unsubscribe/:token
+ * @desc    Unsubscribe confirmation page
+ * @access  Public (signed token)
+ */
+router.get(
+  '/:token',
+  asyncHandler(async (req, res) => {
+    const parsed = suppressionService.parseUnsubscribeToken(req.params.token);
+
+    if (!parsed) {
+      return res.status(400).send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    return res.send(renderPage(
+      'Unsubscribe',
+      `<p>Click below to stop receiving messages from us.</p>
+    <form method="POST" action="${req.baseUrl}/${encodeURIComponent(req.params.token)}">
+      <button type="submit">Unsubscribe</button>
+    </form>`
+    ));
+  })
+);
+
+/**
+ * @route   POST /api/v1/unsubscribe/:token
+ * @desc    Unsubscribe a campaign recipient and suppress their identifiers
+ * @access  Public (signed token)
+ */
+router.post(
+  '/:token',
+  asyncHandler(async (req, res) => {
+    let result = null;
+
+    try {
+      result = await suppressionService.unsubscribe(req.params.token);
+    } catch (error) {
+      logger.error('Failed to process unsubscribe', { error: error.message });
+      return res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+    }
+
+    if (!result) {
+      return res.status(400).send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    return res.send(renderPage('You have been unsubscribed', '<p>You will no longer receive messages from us.</p>'));
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,35 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const prisma = require('../config/database');
+const config = require('../config');
 const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
 const { success } = require('../utils/response');
+const emailWebhookService = require('../services/emailWebhook.service');
+const smsService = require('../services/sms.service');
+const whatsappBusinessService = require('../services/whatsappBusiness.service');
+const telegramBotService = require('../services/telegramBot.service');
 
 const router = express.Router();
 
 // Webhooks are public endpoints - no auth required
 // They should verify signatures from the providers
 
+/**
+ * @route   GET /api/v1/webhooks/email/:provider
+ * @desc    URL check when a Mandrill webhook is added (sent as HEAD, which Express serves from GET)
+ * @access  Public
+ */
+router.get(
+  '/email/:provider',
+  (req, res) => {
+    if (!['mandrill', 'mailchimp'].includes(req.params.provider)) {
+      throw AppError.notFound('Unknown email provider');
+    }
+    return success(res, { received: true });
+  }
+);
+
 /**
  * @route   POST /api/v1/webhooks/email/:provider
  * @desc    Email provider webhooks (delivery status, bounces, etc.)
@@ -16,31 +37,65 @@ const router = express.Router();
  */
 router.post(
   '/email/:provider',
+  // SES delivers events via SNS with a text/plain content type
+  express.text({ type: 'text/plain', limit: '1mb' }),
   asyncHandler(async (req, res) => {
     const { provider } = req.params;
-    const payload = req.body;
-
-    logger.info('Email webhook received', { provider, payload });
-
-    // TODO: Verify webhook signature based on provider
-    // TODO: Process events and update contact_attempts
+    let events = [];
 
     switch (provider) {
       case 'sendgrid':
-        // Handle SendGrid events
+        if (!emailWebhookService.verifySendGrid(req)) {
+          throw AppError.unauthorized('Invalid webhook signature');
+        }
+        events = emailWebhookService.parseSendGrid(req.body);
         break;
       case 'mailchimp':
       case 'mandrill':
-        // Handle Mandrill events
+        // Mandrill pings the URL without events when the webhook is created
+        if (!req.body?.mandrill_events) {
+          return success(res, { received: true });
+        }
+        if (!emailWebhookService.verifyMandrill(req)) {
+          throw AppError.unauthorized('Invalid webhook signature');
+        }
+        events = emailWebhookService.parseMandrill(req.body);
         break;
-      case 'ses':
-        // Handle AWS SES events
+      case 'ses': {
+        let message;
+        try {
+          message = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        } catch (error) {
+          throw AppError.badRequest('Invalid SNS message');
+        }
+
+        if (!(await emailWebhookService.verifySns(message))) {
+          throw AppError.unauthorized('Invalid webhook signature');
+        }
+
+        if (message.Type === 'SubscriptionConfirmation') {
+          await emailWebhookService.confirmSnsSubscription(message);
+          return success(res, { confirmed: true });
+        }
+
+        if (message.Type === 'Notification') {
+          try {
+            events = emailWebhookService.parseSes(JSON.parse(message.Message));
+          } catch (error) {
+            throw AppError.badRequest('Invalid SES notification');
+          }
+        }
         break;
+      }
       default:
         logger.warn('Unknown email provider webhook', { provider });
+        throw AppError.notFound('Unknown email provider');
     }
 
-    return success(res, { received: true });
+    const result = await emailWebhookService.processEvents(events);
+    logger.info('Email webhook processed', { provider, events: events.length, ...result });
+
+    return success(res, { received: true, ...result });
   })
 );
 
@@ -53,39 +108,34 @@ router.post(
   '/twilio',
   asyncHandler(async (req, res) => {
     const payload = req.body;
-
-    logger.info('Twilio webhook received', { payload });
-
-    // TODO: Verify Twilio signature
-    // TODO: Handle different event types
-
-    const { MessageSid, MessageStatus, From, To, Body } = payload;
+    const { AccountSid, MessageSid, MessageStatus, From, To, Body } = payload;
+
+    // Incoming messages are addressed to our number, status callbacks are sent from it
+    const isInbound = Body !== undefined && (!MessageStatus || MessageStatus === 'received');
+    const match = await smsService.findChannel(AccountSid, isInbound ? To : From);
+
+    if (!match || !smsService.verifySignature(
+      smsService.resolveCredentials(match.credentials).authToken,
+      smsService.getWebhookUrl(req),
+      payload,
+      req.get('X-Twilio-Signature')
+    )) {
+      logger.warn('Twilio webhook rejected: invalid signature', { AccountSid, MessageSid });
+      throw AppError.forbidden('Invalid Twilio signature');
+    }
 
     if (MessageStatus) {
-      // Delivery status update
-      logger.info('SMS delivery status', { MessageSid, MessageStatus });
-
-      // Update contact attempt
-      if (MessageSid) {
-        await prisma.contactAttempt.updateMany({
-          where: { externalId: MessageSid },
-          data: {
-            status: MessageStatus === 'delivered' ? 'DELIVERED' :
-                   MessageStatus === 'failed' ? 'FAILED' : 'SENT',
-            deliveredAt: MessageStatus === 'delivered' ? new Date() : undefined,
-          },
-        });
-      }
+      // Later parts of a long text report under the first part's SID (see SmsService.send)
+      await smsService.handleStatus(payload, req.query.messageSid);
     }
 
-    if (Body && From) {
-      // Incoming SMS
-      logger.info('Incoming SMS', { From, Body });
-      // TODO: Create inbound message, link to conversation
+    if (isInbound && From) {
+      logger.info('Incoming SMS', { From, To, MessageSid, channelId: match.channel.id });
+      await smsService.handleInbound(match.channel, payload);
     }
 
     // Twilio expects TwiML response or empty 200
-    return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    return res.status(200).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
   })
 );
 
@@ -101,7 +151,7 @@ router.get(
     const token = req.query['hub.verify_token'];
     const challenge = req.query['hub.challenge'];
 
-    const verifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+    const verifyToken = config.whatsapp.webhookVerifyToken;
 
     if (mode === 'subscribe' && token === verifyToken) {
       logger.info('WhatsApp webhook verified');
@@ -121,33 +171,46 @@ router.post(
   '/whatsapp',
   asyncHandler(async (req, res) => {
     const payload = req.body;
+    const changes = (payload.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .filter(change => change.field === 'messages' && change.value);
+
+    const phoneNumberIds = [...new Set(
+      changes.map(change => change.value.metadata?.phone_number_id).filter(Boolean).map(String)
+    )];
+    const candidates = await whatsappBusinessService.findChannels(phoneNumberIds);
+    const signature = req.get('X-Hub-Signature-256');
+
+    // A change is only trusted when it is signed with the app secret of the channel it is addressed to
+    const channels = new Map();
+    for (const [phoneNumberId, matches] of candidates) {
+      const match = whatsappBusinessService.findSignedChannel(matches, req.rawBody, signature);
+      if (match) channels.set(phoneNumberId, match);
+    }
 
-    logger.info('WhatsApp webhook received', { payload: JSON.stringify(payload) });
-
-    // TODO: Verify webhook signature
-    // TODO: Process message status updates and incoming messages
-
-    // Process entries
-    if (payload.entry) {
-      for (const entry of payload.entry) {
-        if (entry.changes) {
-          for (const change of entry.changes) {
-            if (change.value.statuses) {
-              // Message status update
-              for (const status of change.value.statuses) {
-                logger.info('WhatsApp message status', status);
-                // TODO: Update contact attempt
-              }
-            }
-            if (change.value.messages) {
-              // Incoming message
-              for (const message of change.value.messages) {
-                logger.info('Incoming WhatsApp message', message);
-                // TODO: Create inbound message
-              }
-            }
-          }
-        }
+    if (channels.size === 0 && !whatsappBusinessService.verifySignature(req.rawBody, signature, config.whatsapp.appSecret)) {
+      logger.warn('WhatsApp webhook rejected: invalid signature', { phoneNumberIds });
+      throw AppError.unauthorized('Invalid WhatsApp signature');
+    }
+
+    for (const change of changes) {
+      const { metadata, statuses = [], messages = [], contacts = [] } = change.value;
+
+      const match = channels.get(String(metadata?.phone_number_id));
+      if (!match) {
+        logger.warn('WhatsApp change skipped: unknown phone number ID or not signed by its channel', {
+          phoneNumberId: metadata?.phone_number_id,
+        });
+        continue;
+      }
+
+      for (const status of statuses) {
+        await whatsappBusinessService.handleStatus(match.channel, status);
+      }
+
+      for (const message of messages) {
+        logger.info('Incoming WhatsApp message', { from: message.from, id: message.id, type: message.type, channelId: match.channel.id });
+        await whatsappBusinessService.handleInbound(match.channel, match.credentials, message, contacts);
       }
     }
 
@@ -156,28 +219,26 @@ router.post(
 );
 
 /**
- * @route   POST /api/v1/webhooks/telegram
- * @desc    Telegram bot webhooks
- * @access  Public
+ * @route   POST /api/v1/webhooks/telegram/:channelId
+ * @desc    Telegram Bot API webhooks (messages, /start deep links, button clicks)
+ * @access  Public (verified by X-Telegram-Bot-Api-Secret-Token)
  */
 router.post(
-  '/telegram',
+  '/telegram/:channelId',
   asyncHandler(async (req, res) => {
-    const payload = req.body;
-
-    logger.info('Telegram webhook received', { payload });
-
-    // TODO: Process Telegram updates
-    // - message: incoming message
-    // - callback_query: button clicks
-    // - etc.
-
-    if (payload.message) {
-      const { chat, text, from } = payload.message;
-      logger.info('Incoming Telegram message', { chatId: chat.id, from, text });
-      // TODO: Link to contact, create conversation message
+    const channelId = parseInt(req.params.channelId, 10);
+    const channel = Number.isInteger(channelId)
+      ? await prisma.channelConfig.findFirst({ where: { id: channelId, isActive: true } })
+      : null;
+
+    if (!channel || !telegramBotService.isBotChannel(channel) ||
+      !telegramBotService.verifyWebhook(channel, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+      logger.warn('Telegram webhook rejected: unknown channel or invalid secret', { channelId: req.params.channelId });
+      throw AppError.unauthorized('Invalid Telegram webhook secret');
     }
 
+    await telegramBotService.handleUpdate(channel, req.body);
+
     return success(res, { received: true });
   })
 );
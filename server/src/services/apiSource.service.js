@@ -0,0 +1,598 @@
+const RSSParser = require('rss-parser');
+const config = require('../config');
+const logger = require('../utils/logger');
+const jsonPath = require('../utils/jsonPath');
+const { encrypt, decrypt, hash } = require('../utils/encryption');
+
+const AUTH_TYPES = ['none', 'bearer', 'api_key', 'basic', 'oauth2'];
+const PAGINATION_TYPES = ['none', 'offset', 'page', 'cursor', 'link_header'];
+
+// Secrets kept encrypted in DataSource.credentials, never in config
+const SECRET_FIELDS = ['token', 'key', 'username', 'password', 'clientId', 'clientSecret'];
+
+// Lead fields a mapping can fill; "custom.<key>" fills Lead.customFields and "contacts" maps a list
+const MAPPING_FIELDS = [
+  'companyName', 'website', 'email', 'phone', 'contactName', 'position', 'industry', 'size',
+  'tags', 'timezone', 'externalId', 'notes', 'city', 'address', 'state', 'country', 'postalCode',
+];
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'position'];
+const LIST_FIELDS = ['tags', 'industry'];
+
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES = 100;
+const DEFAULT_PAGE_SIZE = 100;
+
+const MAX_RETRIES = 3;
+const MAX_RETRY_DELAY = 60000;
+const MAX_REDIRECTS = 5;
+
+// OAuth tokens are refreshed this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fetching and mapping for API and RSS data sources
+ *
+ * A source is { id, url, config, rateLimit } with config:
+ * - method, headers, queryParams, body: the request (headers here are stored in plain text)
+ * - auth: { type, headerName, paramName, in, tokenUrl, scope, audience, clientAuth }, whose
+ *   secrets (token, key, username, password, clientId, clientSecret) and secret headers are in
+ *   the encrypted credentials
+ * - pagination: { type, offsetParam, limitParam, limitValue, pageParam, startPage, cursorParam,
+ *   cursorPath, hasMorePath, location, maxPages, maxRecords }
+ * - mapping: { root, fields: { leadField: JSONPath } } (legacy dataPath/fieldMapping still work)
+ * rateLimit is the most requests per minute.
+ */
+class ApiSourceService {
+  constructor() {
+    this.rssParser = new RSSParser();
+    this.tokens = new Map();
+    this.authTypes = AUTH_TYPES;
+    this.paginationTypes = PAGINATION_TYPES;
+    this.mappingFields = MAPPING_FIELDS;
+  }
+
+  // ==================== Credentials ====================
+
+  /**
+   * Decrypted credentials of a source, falling back to secrets saved in config.auth before they were encrypted
+   * @returns {Object} - { token, key, username, password, clientId, clientSecret, headers }
+   */
+  getCredentials(dataSource) {
+    const legacy = {};
+    for (const field of SECRET_FIELDS) {
+      if (dataSource.config?.auth?.[field]) legacy[field] = dataSource.config.auth[field];
+    }
+
+    const encrypted = dataSource.credentials?.encrypted;
+    if (!encrypted) return legacy;
+
+    try {
+      return { ...legacy, ...JSON.parse(decrypt(encrypted)) };
+    } catch (err) {
+      logger.warn('Failed to decrypt data source credentials', { dataSourceId: dataSource.id });
+      return legacy;
+    }
+  }
+
+  /**
+   * Merge credential updates: empty strings keep the saved value, null removes it
+   * Secret headers merge the same way by header name
+   */
+  mergeCredentials(existing, updates = {}) {
+    const merged = { ...existing };
+    for (const [field, value] of Object.entries(updates || {})) {
+      if (value === null) delete merged[field];
+      else if (field === 'headers' && typeof value === 'object') merged.headers = this.mergeCredentials(existing.headers || {}, value);
+      else if (value !== '' && value !== undefined) merged[field] = value;
+    }
+    return merged;
+  }
+
+  /**
+   * Value for DataSource.credentials
+   */
+  encryptCredentials(credentials) {
+    const hasValues = Object.values(credentials).some(value =>
+      value && (typeof value !== 'object' || Object.keys(value).length > 0));
+    return hasValues ? { encrypted: encrypt(JSON.stringify(credentials)) } : null;
+  }
+
+  /**
+   * Move secrets posted in config.auth out of the config
+   * @returns {Object} - { config, secrets }
+   */
+  splitSecrets(sourceConfig) {
+    if (!sourceConfig?.auth) return { config: sourceConfig, secrets: {} };
+
+    const auth = { ...sourceConfig.auth };
+    const secrets = {};
+    for (const field of SECRET_FIELDS) {
+      if (auth[field] !== undefined) {
+        secrets[field] = auth[field];
+        delete auth[field];
+      }
+    }
+    return { config: { ...sourceConfig, auth }, secrets };
+  }
+
+  /**
+   * Whether a saved source's credentials may be used for an edited copy of it (previews):
+   * only while it points at the same origin and, for OAuth, the same token URL
+   * @param {Object} savedSource - Saved DataSource
+   * @param {Object} source - { url, config } as posted
+   * @returns {boolean}
+   */
+  credentialsApplyTo(savedSource, source) {
+    const origin = this.getOrigin(source.url);
+    if (!origin || origin !== this.getOrigin(savedSource.url)) return false;
+
+    if (source.config?.auth?.type !== 'oauth2') return true;
+    return !!source.config.auth.tokenUrl && source.config.auth.tokenUrl === savedSource.config?.auth?.tokenUrl;
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Credentials safe to show: identifiers, and which secrets are set
+   */
+  maskCredentials(dataSource) {
+    const credentials = this.getCredentials(dataSource);
+    return {
+      ...(credentials.username && { username: credentials.username }),
+      ...(credentials.clientId && { clientId: credentials.clientId }),
+      _hasToken: !!credentials.token,
+      _hasKey: !!credentials.key,
+      _hasPassword: !!credentials.password,
+      _hasClientSecret: !!credentials.clientSecret,
+      headers: Object.keys(credentials.headers || {}),
+    };
+  }
+
+  // ==================== Validation ====================
+
+  /**
+   * Problems with an API/RSS source config
+   * @returns {string[]}
+   */
+  validateConfig(sourceConfig = {}) {
+    const errors = [];
+    const { auth, pagination, mapping } = sourceConfig;
+
+    if (auth?.type && !AUTH_TYPES.includes(auth.type)) {
+      errors.push(`auth.type must be one of ${AUTH_TYPES.join(', ')}`);
+    }
+    if (auth?.type === 'oauth2' && !/^https?:\/\//i.test(auth.tokenUrl || '')) {
+      errors.push('auth.tokenUrl is required for OAuth client credentials');
+    }
+
+    if (pagination?.type && !PAGINATION_TYPES.includes(pagination.type)) {
+      errors.push(`pagination.type must be one of ${PAGINATION_TYPES.join(', ')}`);
+    }
+    if (pagination?.type === 'cursor' && !pagination.cursorPath) {
+      errors.push('pagination.cursorPath is required for cursor pagination');
+    }
+    for (const field of ['maxPages', 'maxRecords', 'limitValue', 'startPage']) {
+      if (pagination?.[field] !== undefined && pagination[field] !== null && !(Number.isInteger(pagination[field]) && pagination[field] >= 0)) {
+        errors.push(`pagination.${field} must be a whole number`);
+      }
+    }
+    for (const field of ['cursorPath', 'hasMorePath']) {
+      const error = pagination?.[field] && jsonPath.validate(pagination[field]);
+      if (error) errors.push(`pagination.${field}: ${error}`);
+    }
+
+    if (mapping?.root) {
+      const error = jsonPath.validate(mapping.root);
+      if (error) errors.push(`mapping.root: ${error}`);
+    }
+    for (const [field, expression] of Object.entries(mapping?.fields || {})) {
+      if (field === 'contacts' && expression && typeof expression === 'object') {
+        const pathError = jsonPath.validate(expression.path);
+        if (pathError) errors.push(`mapping.fields.contacts.path: ${pathError}`);
+        for (const [contactField, contactExpression] of Object.entries(expression.fields || {})) {
+          if (!CONTACT_FIELDS.includes(contactField)) errors.push(`Unknown contact field "${contactField}"`);
+          const error = jsonPath.validate(contactExpression);
+          if (error) errors.push(`mapping.fields.contacts.${contactField}: ${error}`);
+        }
+        continue;
+      }
+      if (!MAPPING_FIELDS.includes(field) && !/^custom\.[\w$-]+$/.test(field)) {
+        errors.push(`Unknown lead field "${field}"`);
+      }
+      const error = jsonPath.validate(expression);
+      if (error) errors.push(`mapping.fields.${field}: ${error}`);
+    }
+
+    return errors;
+  }
+
+  // ==================== Requests ====================
+
+  /**
+   * Request client for one run or preview of a source: auth, rate limit and retries
+   * @param {Object} source - { id, url, config, rateLimit }
+   * @param {Object} options - { credentials, log }
+   */
+  createClient(source, { credentials, log }) {
+    const auth = source.config?.auth || {};
+    const interval = source.rateLimit > 0 ? Math.ceil(60000 / source.rateLimit) : 0;
+    const origin = new URL(source.url).origin;
+    const sendsCredentials = (auth.type && auth.type !== 'none')
+      || Object.keys(credentials.headers || {}).length > 0
+      || Object.keys(source.config?.headers || {}).length > 0;
+    let lastRequestAt = 0;
+
+    const request = async (url, init = {}, attempt = 0, refreshedToken = false, redirects = 0) => {
+      const target = new URL(url);
+      // Credentials only ever go to the source's own host; sources without any may redirect anywhere
+      if (sendsCredentials && target.origin !== origin) throw new Error(`Refusing to send credentials to ${target.origin}`);
+
+      const headers = { Accept: 'application/json', ...source.config?.headers, ...credentials.headers, ...init.headers };
+      await this.applyAuth(auth, credentials, target, headers, log);
+
+      const wait = lastRequestAt + interval - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestAt = Date.now();
+
+      // Redirects are followed here so each hop goes through the origin check above
+      const response = await fetch(target, {
+        ...init,
+        headers,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.scraper.timeout),
+      });
+
+      const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+      if (location) {
+        if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects from ${target.pathname}`);
+        return request(new URL(location, target).toString(), this.getRedirectInit(response.status, init), attempt, refreshedToken, redirects + 1);
+      }
+
+      if (response.status === 401 && auth.type === 'oauth2' && !refreshedToken) {
+        this.tokens.delete(this.getTokenKey(auth, credentials));
+        return request(url, init, attempt, true, redirects);
+      }
+
+      if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+        const delay = this.getRetryDelay(response, attempt);
+        log.warn(`${response.status} from ${target.pathname}, retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+        return request(url, init, attempt + 1, refreshedToken, redirects);
+      }
+
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+      }
+
+      return response;
+    };
+
+    return { request };
+  }
+
+  /**
+   * Request to repeat at a redirect's location: 303, and 301/302 after a POST, become a GET
+   */
+  getRedirectInit(status, init) {
+    const method = (init.method || 'GET').toUpperCase();
+    if (status !== 303 && !([301, 302].includes(status) && method === 'POST')) return init;
+
+    const { 'Content-Type': contentType, ...headers } = init.headers || {};
+    return { ...init, method: 'GET', headers, body: undefined };
+  }
+
+  /**
+   * Delay before retrying a 429/5xx: Retry-After when given, else exponential backoff
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get('retry-after');
+    let delay = 1000 * 2 ** attempt;
+    if (retryAfter) {
+      delay = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : new Date(retryAfter).getTime() - Date.now();
+    }
+    return Math.min(Math.max(delay || 0, 0), MAX_RETRY_DELAY);
+  }
+
+  async applyAuth(auth, credentials, url, headers, log) {
+    switch (auth.type) {
+      case 'bearer':
+        if (credentials.token) headers.Authorization = `Bearer ${credentials.token}`;
+        break;
+      case 'api_key':
+        if (!credentials.key) break;
+        if (auth.in === 'query') url.searchParams.set(auth.paramName || 'api_key', credentials.key);
+        else headers[auth.headerName || 'X-API-Key'] = credentials.key;
+        break;
+      case 'basic':
+        headers.Authorization = `Basic ${Buffer.from(`${credentials.username || ''}:${credentials.password || ''}`).toString('base64')}`;
+        break;
+      case 'oauth2':
+        headers.Authorization = `Bearer ${await this.getAccessToken(auth, credentials, log)}`;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Token cache key; includes a hash of the secret so changed credentials get a new token
+   */
+  getTokenKey(auth, credentials) {
+    return hash([auth.tokenUrl, auth.scope, auth.audience, credentials.clientId, credentials.clientSecret].join('\n'));
+  }
+
+  /**
+   * OAuth client credentials access token, cached until shortly before it expires
+   * The client secret is only sent to the token URL's origin: redirects are not followed
+   */
+  async getAccessToken(auth, credentials, log) {
+    const key = this.getTokenKey(auth, credentials);
+    const cached = this.tokens.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+    const tokenUrl = new URL(auth.tokenUrl);
+    if (!['http:', 'https:'].includes(tokenUrl.protocol)) throw new Error('auth.tokenUrl must be an http(s) URL');
+
+    const params = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (auth.scope) params.set('scope', auth.scope);
+    if (auth.audience) params.set('audience', auth.audience);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (auth.clientAuth === 'basic') {
+      headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(credentials.clientId || '')}:${encodeURIComponent(credentials.clientSecret || '')}`).toString('base64')}`;
+    } else {
+      params.set('client_id', credentials.clientId || '');
+      params.set('client_secret', credentials.clientSecret || '');
+    }
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers,
+      body: params,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.scraper.timeout),
+    });
+
+    const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+    if (location) {
+      const redirectOrigin = this.getOrigin(new URL(location, tokenUrl)) || location;
+      throw new Error(`OAuth token request redirected to ${redirectOrigin}; set auth.tokenUrl to the final URL`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      throw new Error(`OAuth token request failed: ${data.error_description || data.error || response.status}`);
+    }
+
+    log.info('Obtained OAuth access token');
+    const expiresIn = (parseInt(data.expires_in, 10) || 3600) * 1000;
+    this.tokens.set(key, { token: data.access_token, expiresAt: Date.now() + expiresIn - TOKEN_EXPIRY_MARGIN });
+    return data.access_token;
+  }
+
+  // ==================== API sources ====================
+
+  /**
+   * Fetch the pages of an API source
+   * @param {Object} source - { id, url, config, rateLimit }
+   * @param {Object} options - { credentials, log, maxPages }
+   * @yields {Object} - { items, data, page }
+   */
+  async *fetchPages(source, { credentials, log, maxPages = null }) {
+    const apiConfig = source.config || {};
+    const pagination = apiConfig.pagination || {};
+    const type = pagination.type || 'none';
+    const client = this.createClient(source, { credentials, log });
+
+    const pageLimit = Math.min(maxPages || pagination.maxPages || DEFAULT_MAX_PAGES, MAX_PAGES);
+    const pageSize = pagination.limitValue || DEFAULT_PAGE_SIZE;
+    let offset = 0;
+    let pageNumber = pagination.startPage ?? 1;
+    let cursor = null;
+    let nextUrl = null;
+    let records = 0;
+
+    for (let page = 1; page <= pageLimit; page++) {
+      const params = {};
+      if (type === 'offset') {
+        params[pagination.offsetParam || 'offset'] = offset;
+        params[pagination.limitParam || 'limit'] = pageSize;
+      } else if (type === 'page') {
+        params[pagination.pageParam || 'page'] = pageNumber;
+        if (pagination.limitValue) params[pagination.limitParam || 'per_page'] = pagination.limitValue;
+      } else if (type === 'cursor' && cursor !== null && !nextUrl) {
+        params[pagination.cursorParam || 'cursor'] = cursor;
+      }
+
+      const { data, response } = await this.requestPage(client, source, { params, nextUrl, location: pagination.location });
+      const items = this.getItems(data, apiConfig);
+      log.info(`Page ${page}: ${items.length} items`);
+
+      yield { items, data, page };
+
+      records += items.length;
+      if (items.length === 0 || (pagination.maxRecords && records >= pagination.maxRecords)) break;
+
+      if (type === 'offset') {
+        if (items.length < pageSize) break;
+        offset += items.length;
+      } else if (type === 'page') {
+        if (pagination.limitValue && items.length < pagination.limitValue) break;
+        pageNumber++;
+      } else if (type === 'cursor') {
+        if (pagination.hasMorePath && !jsonPath.value(data, pagination.hasMorePath)) break;
+        const next = jsonPath.value(data, pagination.cursorPath);
+        if (next === undefined || next === null || next === '' || next === cursor) break;
+        // A cursor holding the next page's URL is followed as is
+        if (!pagination.cursorParam && /^https?:\/\//i.test(String(next))) nextUrl = String(next);
+        cursor = next;
+      } else if (type === 'link_header') {
+        const next = this.getNextLink(response.headers.get('link'));
+        if (!next) break;
+        nextUrl = new URL(next, source.url).toString();
+      } else {
+        break;
+      }
+
+      if (page === pageLimit) log.warn(`Stopped after ${pageLimit} pages`);
+    }
+  }
+
+  async requestPage(client, source, { params, nextUrl, location }) {
+    const apiConfig = source.config || {};
+    const method = (apiConfig.method || 'GET').toUpperCase();
+    const url = new URL(nextUrl || source.url);
+    const inBody = method !== 'GET' && location === 'body';
+
+    if (!nextUrl) {
+      for (const [name, value] of Object.entries(apiConfig.queryParams || {})) {
+        url.searchParams.set(name, value);
+      }
+    }
+    if (!inBody) {
+      for (const [name, value] of Object.entries(params)) url.searchParams.set(name, value);
+    }
+
+    const body = method === 'GET' ? undefined : JSON.stringify({ ...apiConfig.body, ...(inBody && params) });
+    const response = await client.request(url.toString(), {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body,
+    });
+
+    try {
+      return { data: await response.json(), response };
+    } catch {
+      throw new Error('Response is not valid JSON');
+    }
+  }
+
+  /**
+   * URL of rel="next" in a Link header
+   */
+  getNextLink(header) {
+    if (!header) return null;
+    const next = header.split(',').find(part => /rel="?next"?/i.test(part));
+    return next?.match(/<([^>]+)>/)?.[1] || null;
+  }
+
+  /**
+   * Records of a response: the mapping root's matches (an array match is used as the list)
+   */
+  getItems(data, apiConfig) {
+    const root = apiConfig.mapping?.root || apiConfig.dataPath;
+    let items = data;
+
+    if (root) {
+      const matches = jsonPath.query(data, root);
+      items = matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+    }
+
+    return (Array.isArray(items) ? items : [items]).filter(item => item && typeof item === 'object');
+  }
+
+  /**
+   * Lead data of an API record
+   * Without mapped fields the record is used as is, with common names (name, url, ...) filled in
+   */
+  mapItem(item, apiConfig) {
+    const fields = apiConfig.mapping?.fields || apiConfig.fieldMapping || {};
+    let leadData;
+
+    if (Object.keys(fields).length > 0) {
+      leadData = this.applyFields(item, fields);
+    } else {
+      leadData = {
+        ...item,
+        companyName: item.companyName || item.company_name || item.name || item.title,
+        website: item.website || item.url || item.link,
+        industry: item.industry || item.category || item.sector,
+        notes: item.notes || item.description,
+      };
+    }
+
+    // Records keep their API id as external ID unless the mapping sets one
+    if ((leadData.externalId === undefined || leadData.externalId === null) && item.id !== undefined) {
+      leadData.externalId = item.id;
+    }
+
+    return leadData;
+  }
+
+  /**
+   * Evaluate mapped fields against a record
+   */
+  applyFields(item, fields) {
+    const leadData = {};
+
+    for (const [field, expression] of Object.entries(fields)) {
+      if (field === 'contacts' && expression && typeof expression === 'object') {
+        const list = expression.path ? [].concat(jsonPath.value(item, expression.path) ?? []) : [];
+        leadData.contacts = list.filter(entry => entry && typeof entry === 'object').map(entry =>
+          Object.fromEntries(Object.entries(expression.fields || {})
+            .map(([contactField, path]) => [contactField, this.toScalar(jsonPath.value(entry, path))])));
+        continue;
+      }
+
+      const raw = jsonPath.value(item, expression);
+      const value = LIST_FIELDS.includes(field) ? raw : this.toScalar(raw);
+      if (value === undefined) continue;
+
+      if (field.startsWith('custom.')) {
+        leadData.customFields = { ...leadData.customFields, [field.slice('custom.'.length)]: value };
+      } else if (field === 'industry' && Array.isArray(value)) {
+        leadData.companyType = value;
+      } else {
+        leadData[field] = value;
+      }
+    }
+
+    return leadData;
+  }
+
+  toScalar(value) {
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  // ==================== RSS sources ====================
+
+  /**
+   * Fetch and parse a feed, with the source's auth
+   */
+  async fetchFeed(source, { credentials, log }) {
+    const client = this.createClient(source, { credentials, log });
+    const response = await client.request(source.url, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+    });
+    const feed = await this.rssParser.parseString(await response.text());
+    log.info(`Feed "${feed.title || source.url}": ${feed.items.length} items`);
+    return feed;
+  }
+
+  /**
+   * Lead data of a feed item: title/link/summary, overridden by mapped fields
+   */
+  mapFeedItem(item, feed, rssConfig = {}) {
+    const leadData = {
+      externalId: item.guid || item.link,
+      companyName: item.title,
+      website: item.link,
+      notes: item.contentSnippet || item.content,
+      source: `RSS: ${feed.title}`,
+    };
+
+    const fields = rssConfig.mapping?.fields || rssConfig.fieldMapping || {};
+    return { ...leadData, ...this.applyFields(item, fields) };
+  }
+}
+
+module.exports = new ApiSourceService();
@@ -0,0 +1,179 @@
+const prisma = require('../config/database');
+
+// Conditions a step rule can test, evaluated against the recipient's progress so far
+const CONDITIONS = {
+  replied: 'Recipient replied',
+  no_reply: 'No reply yet',
+  opened: 'Previous step opened',
+  not_opened: 'Previous step not opened',
+  clicked: 'Previous step clicked',
+  not_clicked: 'Previous step not clicked',
+  opened_not_clicked: 'Previous step opened but not clicked',
+  previous_failed: 'Previous step failed',
+  previous_sent: 'Previous step sent',
+  lead_status: 'Lead status is',
+};
+
+// skip: move on to the next step; exit: end the sequence; goto: jump to a named step
+const ACTIONS = ['skip', 'exit', 'goto'];
+
+const FAILED_STATUSES = ['FAILED', 'BOUNCED'];
+
+/**
+ * Campaign branching
+ * Steps carry ordered rules ({ when, action, step }) that are checked before the step is sent.
+ * The first rule that matches decides what happens instead of sending; no match means send.
+ */
+class CampaignBranchingService {
+  constructor() {
+    this.conditions = CONDITIONS;
+    this.actions = ACTIONS;
+  }
+
+  /**
+   * Validate and normalize a step's rules
+   * @param {Array} rules - Rules as submitted
+   * @param {string[]} stepNames - Names of the campaign's steps, for goto targets
+   * @returns {Object[]} - Normalized rules
+   * @throws {Error} - With a message describing the first invalid rule
+   */
+  normalizeRules(rules, stepNames = []) {
+    if (!rules) return [];
+    if (!Array.isArray(rules)) throw new Error('Step conditions must be a list');
+
+    return rules.map((rule, index) => {
+      const label = `Condition ${index + 1}`;
+      if (!CONDITIONS[rule?.when]) throw new Error(`${label}: unknown condition "${rule?.when}"`);
+      if (!ACTIONS.includes(rule.action)) throw new Error(`${label}: unknown action "${rule.action}"`);
+
+      const normalized = { when: rule.when, action: rule.action };
+
+      if (rule.when === 'lead_status') {
+        if (!Array.isArray(rule.statuses) || rule.statuses.length === 0) {
+          throw new Error(`${label}: choose at least one lead status`);
+        }
+        normalized.statuses = rule.statuses;
+      }
+
+      if (rule.action === 'goto') {
+        if (!rule.step || !stepNames.includes(rule.step)) {
+          throw new Error(`${label}: "${rule.step || ''}" is not the name of a step in this campaign`);
+        }
+        normalized.step = rule.step;
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * Whether the recipient has replied during this campaign
+   * Covers replies matched to a campaign attempt and inbound messages in the contact's conversations
+   */
+  async hasReplied(recipient) {
+    if (recipient.status === 'REPLIED') return true;
+    if (!recipient.contactId) return false;
+
+    const [repliedAttempt, inboundMessage] = await Promise.all([
+      prisma.contactAttempt.findFirst({
+        where: { campaignId: recipient.campaignId, contactId: recipient.contactId, repliedAt: { not: null } },
+        select: { id: true },
+      }),
+      prisma.message.findFirst({
+        where: {
+          direction: 'INBOUND',
+          createdAt: { gte: recipient.createdAt },
+          conversation: { contactId: recipient.contactId },
+        },
+        select: { id: true },
+      }),
+    ]);
+
+    return !!(repliedAttempt || inboundMessage);
+  }
+
+  /**
+   * Gather what the rules can test
+   * @param {Object} recipient - Campaign recipient with lead
+   * @returns {Promise<Object>} - { replied, lastStep, attempt, leadStatus }
+   */
+  async getFacts(recipient) {
+    const lastStep = recipient.metadata?.lastStep || null;
+    const attempt = lastStep?.attemptId
+      ? await prisma.contactAttempt.findUnique({
+        where: { id: lastStep.attemptId },
+        select: { status: true, openedAt: true, clickedAt: true, repliedAt: true },
+      })
+      : null;
+
+    return {
+      replied: !!attempt?.repliedAt || await this.hasReplied(recipient),
+      lastStep,
+      attempt,
+      leadStatus: recipient.lead?.status || null,
+    };
+  }
+
+  /**
+   * Test one rule
+   */
+  matches(rule, facts) {
+    const { lastStep, attempt } = facts;
+    const opened = !!(attempt?.openedAt || attempt?.clickedAt);
+    const clicked = !!attempt?.clickedAt;
+    const failed = !!lastStep && (!lastStep.success || FAILED_STATUSES.includes(attempt?.status));
+
+    switch (rule.when) {
+      case 'replied': return facts.replied;
+      case 'no_reply': return !facts.replied;
+      case 'opened': return opened;
+      case 'not_opened': return !!lastStep && !opened;
+      case 'clicked': return clicked;
+      case 'not_clicked': return !!lastStep && !clicked;
+      case 'opened_not_clicked': return opened && !clicked;
+      case 'previous_failed': return failed;
+      case 'previous_sent': return !!lastStep && !failed;
+      case 'lead_status': return (rule.statuses || []).includes(facts.leadStatus);
+      default: return false;
+    }
+  }
+
+  /**
+   * Decide whether a step should be sent
+   * @param {Object} recipient - Campaign recipient with campaign (and its steps) and lead
+   * @param {Object} step - Step about to be sent
+   * @returns {Promise<Object|null>} - null to send, otherwise { action, target, reason }
+   */
+  async resolve(recipient, step) {
+    const exitStatuses = recipient.campaign.exitLeadStatuses || [];
+    if (recipient.lead && exitStatuses.includes(recipient.lead.status)) {
+      return { action: 'exit', reason: `Lead status is ${recipient.lead.status}` };
+    }
+
+    const rules = Array.isArray(step.conditions) ? step.conditions : [];
+    if (rules.length === 0) return null;
+
+    const facts = await this.getFacts(recipient);
+
+    for (const rule of rules) {
+      if (!this.matches(rule, facts)) continue;
+
+      const reason = rule.when === 'lead_status'
+        ? `${CONDITIONS[rule.when]} ${rule.statuses.join(', ')}`
+        : CONDITIONS[rule.when];
+
+      if (rule.action === 'goto') {
+        const target = recipient.campaign.steps.find(s => s.name === rule.step);
+        // A jump to a step that no longer exists, or to itself, is ignored
+        if (!target || target.id === step.id) continue;
+        return { action: 'goto', target, reason };
+      }
+
+      return { action: rule.action, reason };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new CampaignBranchingService();
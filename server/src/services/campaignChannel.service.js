@@ -0,0 +1,123 @@
+const prisma = require('../config/database');
+const telegramBotService = require('./telegramBot.service');
+
+/**
+ * Campaign channel selection
+ * A step sends on its own channel/template, or on the first of its fallbacks
+ * (CampaignStep.fallbacks: [{ channelConfigId, templateId }]) the recipient can be reached on
+ */
+class CampaignChannelService {
+  /**
+   * Why a recipient cannot be reached on a channel
+   * @param {Object} channel - ChannelConfig
+   * @param {Object} recipient - Campaign recipient with contact, lead, prospect and whatsappProspect
+   * @returns {string|null} - Reason, or null when the recipient is reachable
+   */
+  getUnreachableReason(channel, recipient) {
+    if (!channel) return 'Channel not found';
+    if (!channel.isActive) return 'Channel is inactive';
+
+    const { contact, lead, prospect, whatsappProspect } = recipient;
+
+    switch (channel.channelType) {
+      case 'EMAIL_SMTP':
+      case 'EMAIL_API':
+        if (!contact?.email) return 'Contact has no email';
+        if (contact.emailInvalid) return 'Contact email is invalid';
+        return null;
+
+      case 'SMS':
+      case 'VOICE':
+      case 'WHATSAPP_BUSINESS':
+        return contact?.phone ? null : 'Contact has no phone';
+
+      case 'WHATSAPP_WEB':
+        if (whatsappProspect) return null;
+        return contact?.phone ? null : 'Contact has no phone';
+
+      case 'TELEGRAM':
+        if (prospect) return null;
+        if (telegramBotService.isBotChannel(channel)) {
+          return telegramBotService.getChatId(contact, lead) ? null : 'Contact has not started the Telegram bot';
+        }
+        return lead?.customFields?.telegramId || lead?.customFields?.telegramUsername
+          ? null
+          : 'Lead has no Telegram ID or username';
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Channel/template options for a step, primary first
+   * Fallback channels and templates are loaded; the primary uses the step's own relations
+   * @param {Object} step - Campaign step with channelConfig and template
+   * @param {Object} options - { includeTemplates } to load fallback templates (with variations)
+   * @returns {Promise<Object[]>} - [{ channelConfig, template }]
+   */
+  async getOptions(step, { includeTemplates = true } = {}) {
+    const fallbacks = Array.isArray(step.fallbacks) ? step.fallbacks : [];
+    const primary = { channelConfig: step.channelConfig, template: step.template };
+    if (fallbacks.length === 0) return [primary];
+
+    const channelIds = fallbacks.map(f => f.channelConfigId);
+    const templateIds = fallbacks.map(f => f.templateId);
+
+    const [channels, templates] = await Promise.all([
+      prisma.channelConfig.findMany({ where: { id: { in: channelIds } } }),
+      includeTemplates
+        ? prisma.template.findMany({ where: { id: { in: templateIds } }, include: { variations: true } })
+        : [],
+    ]);
+
+    return [
+      primary,
+      ...fallbacks.map(f => ({
+        channelConfig: channels.find(c => c.id === f.channelConfigId) || null,
+        template: templates.find(t => t.id === f.templateId) || null,
+      })),
+    ];
+  }
+
+  /**
+   * Pick the first option the recipient is reachable on
+   * Falls back to the primary option when none is, so the send fails with the channel's own error
+   * @param {Object[]} options - From getOptions
+   * @param {Object} recipient - Campaign recipient
+   * @returns {Object} - { option, index, skipped: [{ channelConfigId, reason }] }
+   */
+  select(options, recipient) {
+    const skipped = [];
+
+    for (let index = 0; index < options.length; index++) {
+      const option = options[index];
+      const reason = this.getUnreachableReason(option.channelConfig, recipient);
+      if (!reason) return { option, index, skipped };
+      skipped.push({ channelConfigId: option.channelConfig?.id || null, reason });
+    }
+
+    return { option: options[0], index: 0, skipped };
+  }
+
+  /**
+   * The step as it will be sent on the selected option
+   * @param {Object} step - Campaign step
+   * @param {Object} option - { channelConfig, template }
+   * @returns {Object} - Step with channelConfig/channelType/template swapped in
+   */
+  applyOption(step, option) {
+    if (!option.channelConfig || option.channelConfig.id === step.channelConfigId) return step;
+
+    return {
+      ...step,
+      channelConfigId: option.channelConfig.id,
+      channelConfig: option.channelConfig,
+      channelType: option.channelConfig.channelType,
+      templateId: option.template?.id ?? step.templateId,
+      template: option.template || step.template,
+    };
+  }
+}
+
+module.exports = new CampaignChannelService();
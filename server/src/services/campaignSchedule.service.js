@@ -0,0 +1,205 @@
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  nextTimeInWindow,
+} = require('../utils/timezone');
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Used when a step has no delay configured
+const DEFAULT_STEP_DELAY_MINUTES = 24 * 60;
+
+// Country (ISO 3166 alpha-2) to time zone. Countries spanning several zones use the most populous one.
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai', AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna', AU: 'Australia/Sydney',
+  BD: 'Asia/Dhaka', BE: 'Europe/Brussels', BG: 'Europe/Sofia', BR: 'America/Sao_Paulo',
+  CA: 'America/Toronto', CH: 'Europe/Zurich', CL: 'America/Santiago', CN: 'Asia/Shanghai',
+  CO: 'America/Bogota', CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen',
+  EE: 'Europe/Tallinn', EG: 'Africa/Cairo', ES: 'Europe/Madrid', FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris', GB: 'Europe/London', GR: 'Europe/Athens', HK: 'Asia/Hong_Kong',
+  HR: 'Europe/Zagreb', HU: 'Europe/Budapest', ID: 'Asia/Jakarta', IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata', IT: 'Europe/Rome', JP: 'Asia/Tokyo',
+  KE: 'Africa/Nairobi', KR: 'Asia/Seoul', LK: 'Asia/Colombo', LT: 'Europe/Vilnius',
+  LU: 'Europe/Luxembourg', LV: 'Europe/Riga', MA: 'Africa/Casablanca', MX: 'America/Mexico_City',
+  MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland', PE: 'America/Lima', PH: 'Asia/Manila', PK: 'Asia/Karachi',
+  PL: 'Europe/Warsaw', PT: 'Europe/Lisbon', QA: 'Asia/Qatar', RO: 'Europe/Bucharest',
+  RS: 'Europe/Belgrade', RU: 'Europe/Moscow', SA: 'Asia/Riyadh', SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore', SI: 'Europe/Ljubljana', SK: 'Europe/Bratislava', TH: 'Asia/Bangkok',
+  TR: 'Europe/Istanbul', TW: 'Asia/Taipei', UA: 'Europe/Kyiv', US: 'America/New_York',
+  VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg',
+};
+
+// Country names and aliases seen in imports
+const COUNTRY_NAMES = {
+  'united states': 'US', 'united states of america': 'US', usa: 'US', america: 'US',
+  'united kingdom': 'GB', uk: 'GB', 'great britain': 'GB', england: 'GB', scotland: 'GB', wales: 'GB',
+  'united arab emirates': 'AE', uae: 'AE', 'south korea': 'KR', korea: 'KR', 'south africa': 'ZA',
+  'new zealand': 'NZ', 'saudi arabia': 'SA', 'czech republic': 'CZ', czechia: 'CZ', 'hong kong': 'HK',
+  'sri lanka': 'LK', argentina: 'AR', austria: 'AT', australia: 'AU', bangladesh: 'BD', belgium: 'BE',
+  bulgaria: 'BG', brazil: 'BR', canada: 'CA', switzerland: 'CH', chile: 'CL', china: 'CN',
+  colombia: 'CO', germany: 'DE', denmark: 'DK', estonia: 'EE', egypt: 'EG', spain: 'ES',
+  finland: 'FI', france: 'FR', greece: 'GR', croatia: 'HR', hungary: 'HU', indonesia: 'ID',
+  ireland: 'IE', israel: 'IL', india: 'IN', italy: 'IT', japan: 'JP', kenya: 'KE', lithuania: 'LT',
+  luxembourg: 'LU', latvia: 'LV', morocco: 'MA', mexico: 'MX', malaysia: 'MY', nigeria: 'NG',
+  netherlands: 'NL', 'the netherlands': 'NL', holland: 'NL', norway: 'NO', peru: 'PE',
+  philippines: 'PH', pakistan: 'PK', poland: 'PL', portugal: 'PT', qatar: 'QA', romania: 'RO',
+  serbia: 'RS', russia: 'RU', sweden: 'SE', singapore: 'SG', slovenia: 'SI', slovakia: 'SK',
+  thailand: 'TH', turkey: 'TR', 'türkiye': 'TR', taiwan: 'TW', ukraine: 'UA', vietnam: 'VN',
+};
+
+// customFields keys checked for a time zone / country, in order
+const TIMEZONE_FIELDS = ['timezone', 'timeZone', 'time_zone', 'tz'];
+const COUNTRY_FIELDS = ['country', 'countryCode', 'country_code', 'Country'];
+
+/**
+ * Campaign scheduling
+ * Works out when a campaign step should reach a recipient: step delays, the step's
+ * send time of day and the campaign's business hours, all in the recipient's local time
+ */
+class CampaignScheduleService {
+  /**
+   * Map a country name or ISO code to a time zone
+   * @param {string} country - e.g. "DE", "Germany"
+   * @returns {string|null}
+   */
+  getCountryTimeZone(country) {
+    if (!country || typeof country !== 'string') return null;
+    const value = country.trim();
+    const code = value.length === 2 ? value.toUpperCase() : COUNTRY_NAMES[value.toLowerCase()];
+    return COUNTRY_TIMEZONES[code] || null;
+  }
+
+  /**
+   * Time zone to schedule a recipient in
+   * Contact time zone, then the lead's, then a time zone or country in lead custom fields,
+   * then the tenant's time zone
+   * @param {Object} recipient - Campaign recipient with contact and lead
+   * @param {string} fallback - Tenant time zone
+   * @returns {string}
+   */
+  getRecipientTimeZone(recipient, fallback) {
+    const customFields = recipient.lead?.customFields || {};
+
+    const candidates = [
+      recipient.contact?.timezone,
+      recipient.lead?.timezone,
+      ...TIMEZONE_FIELDS.map(field => customFields[field]),
+    ];
+    const explicit = candidates.find(isValidTimeZone);
+    if (explicit) return explicit;
+
+    for (const field of COUNTRY_FIELDS) {
+      const timeZone = this.getCountryTimeZone(customFields[field]);
+      if (timeZone) return timeZone;
+    }
+
+    return resolveTimeZone(fallback);
+  }
+
+  /**
+   * Business-hours window for a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {Object|null} - { start, end, days } in minutes after midnight, or null when any time is fine
+   */
+  getBusinessWindow(campaign) {
+    const start = parseTimeOfDay(campaign.businessHoursStart);
+    const end = parseTimeOfDay(campaign.businessHoursEnd);
+    const hasHours = start !== null && end !== null && start < end;
+
+    if (!hasHours && !campaign.skipWeekends) return null;
+
+    return {
+      start: hasHours ? start : 0,
+      end: hasHours ? end : 24 * 60,
+      days: campaign.skipWeekends ? WEEKDAYS : ALL_DAYS,
+    };
+  }
+
+  /**
+   * Move a time forward into the campaign's business hours
+   * @param {Date} date - Proposed send time
+   * @param {Object} campaign - Campaign
+   * @param {string} timeZone - Recipient time zone
+   * @returns {Date}
+   */
+  applyBusinessHours(date, campaign, timeZone) {
+    const window = this.getBusinessWindow(campaign);
+    if (!window) return date;
+    return nextTimeInWindow(date, timeZone, window) || date;
+  }
+
+  /**
+   * Set a time to the step's send time of day, on the same local date
+   * Rolls over to the next day when that time has already passed
+   * @param {Date} date - Proposed send time
+   * @param {string} sendTime - "HH:MM"
+   * @param {string} timeZone - Recipient time zone
+   * @param {Date} notBefore - Earliest acceptable time
+   * @returns {Date}
+   */
+  applySendTime(date, sendTime, timeZone, notBefore) {
+    const minutes = parseTimeOfDay(sendTime);
+    if (minutes === null) return date;
+
+    const p = getZonedParts(date, timeZone);
+    let result = zonedTimeToUtc({
+      year: p.year, month: p.month, day: p.day, hour: Math.floor(minutes / 60), minute: minutes % 60,
+    }, timeZone);
+
+    if (result < notBefore) {
+      result = zonedTimeToUtc({
+        year: p.year, month: p.month, day: p.day + 1, hour: Math.floor(minutes / 60), minute: minutes % 60,
+      }, timeZone);
+    }
+
+    return result;
+  }
+
+  /**
+   * When a step should be sent to a recipient
+   * With a send time, delay days pick the local date and delay hours/minutes are a minimum wait,
+   * so "2 days at 09:30" lands at 09:30 two days later whatever time the previous step went out
+   * @param {Object} options
+   * @param {Object} options.step - Campaign step
+   * @param {Object} options.campaign - Campaign
+   * @param {string} options.timeZone - Recipient time zone
+   * @param {Date} options.from - Time the delay counts from (previous send, or campaign start)
+   * @param {boolean} options.applyDelay - False for the first step, which has no delay
+   * @returns {Date}
+   */
+  getStepTime({ step, campaign, timeZone, from = new Date(), applyDelay = true }) {
+    let date = from;
+    let notBefore = from;
+
+    if (applyDelay) {
+      const dayMinutes = (step.delayDays || 0) * 24 * 60;
+      const timeMinutes = (step.delayHours || 0) * 60 + (step.delayMinutes || 0);
+      date = new Date(from.getTime() + (dayMinutes + timeMinutes || DEFAULT_STEP_DELAY_MINUTES) * 60 * 1000);
+      notBefore = new Date(from.getTime() + timeMinutes * 60 * 1000);
+    }
+
+    if (step.sendTime) {
+      date = this.applySendTime(date, step.sendTime, timeZone, notBefore);
+    }
+
+    const adjusted = this.applyBusinessHours(date, campaign, timeZone);
+
+    // Pushed to another day (e.g. past a weekend): keep the send time there if it is within hours
+    if (step.sendTime && adjusted > date) {
+      const retimed = this.applySendTime(adjusted, step.sendTime, timeZone, adjusted);
+      const sameDay = retimed.getTime() - adjusted.getTime() < 24 * 60 * 60 * 1000;
+      if (sameDay && this.applyBusinessHours(retimed, campaign, timeZone).getTime() === retimed.getTime()) {
+        return retimed;
+      }
+    }
+
+    return adjusted;
+  }
+}
+
+module.exports = new CampaignScheduleService();
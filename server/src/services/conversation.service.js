@@ -0,0 +1,286 @@
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const { decrypt } = require('../utils/encryption');
+const emailService = require('./email.service');
+const smsService = require('./sms.service');
+const whatsappBusinessService = require('./whatsappBusiness.service');
+const whatsappWebService = require('./whatsappWeb.service');
+const telegramService = require('./telegram.service');
+const telegramBotService = require('./telegramBot.service');
+
+// How many message IDs to carry in an email References header
+const MAX_REFERENCES = 20;
+
+/**
+ * Conversation service
+ * Sends agent replies through the channel a conversation runs on
+ */
+class ConversationService {
+  /**
+   * Decrypt channel credentials
+   */
+  getCredentials(channel) {
+    const encryptedData = channel.credentials?.encrypted;
+    if (encryptedData) {
+      return JSON.parse(decrypt(encryptedData));
+    }
+    return channel.credentials || {};
+  }
+
+  /**
+   * Pick the channel to reply on
+   * An explicit channel wins; otherwise the channel the conversation last used,
+   * then the channel the contact was last contacted from, then any active channel of the type
+   * @param {Object} conversation - Conversation
+   * @param {number} channelConfigId - Optional channel chosen by the agent
+   * @returns {Promise<Object|null>} - ChannelConfig
+   */
+  async resolveChannel(conversation, channelConfigId = null) {
+    const where = {
+      tenantId: conversation.tenantId,
+      channelType: conversation.channelType,
+      isActive: true,
+    };
+
+    if (channelConfigId) {
+      return prisma.channelConfig.findFirst({ where: { ...where, id: channelConfigId } });
+    }
+
+    const candidates = [];
+
+    const messages = await prisma.message.findMany({
+      where: { conversationId: conversation.id },
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      select: { metadata: true },
+    });
+    const fromMessage = messages.find(m => m.metadata?.channelConfigId);
+    if (fromMessage) candidates.push(fromMessage.metadata.channelConfigId);
+
+    const lastAttempt = await prisma.contactAttempt.findFirst({
+      where: {
+        tenantId: conversation.tenantId,
+        contactId: conversation.contactId,
+        channelType: conversation.channelType,
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { channelConfigId: true },
+    });
+    if (lastAttempt) candidates.push(lastAttempt.channelConfigId);
+
+    for (const id of candidates) {
+      const channel = await prisma.channelConfig.findFirst({ where: { ...where, id: parseInt(id) } });
+      if (channel) return channel;
+    }
+
+    return prisma.channelConfig.findFirst({ where, orderBy: { createdAt: 'asc' } });
+  }
+
+  /**
+   * Build subject and threading headers for an email reply
+   * Replies to the latest inbound email (or latest email we sent) so clients keep the thread
+   * @param {Object[]} messages - Conversation messages, oldest first
+   * @returns {Object} - { subject, inReplyTo, references }
+   */
+  getEmailThread(messages) {
+    const withIds = messages.filter(m => m.metadata?.messageId);
+    const inbound = withIds.filter(m => m.direction === 'INBOUND');
+    const parent = inbound[inbound.length - 1] || withIds[withIds.length - 1];
+
+    if (!parent) {
+      const lastSubject = [...messages].reverse().find(m => m.metadata?.subject)?.metadata.subject;
+      return { subject: lastSubject };
+    }
+
+    const parentReferences = parent.metadata.references;
+    const references = [
+      ...(Array.isArray(parentReferences) ? parentReferences : (parentReferences ? String(parentReferences).split(/\s+/) : [])),
+      ...withIds.map(m => m.metadata.messageId),
+    ].filter(Boolean);
+
+    return {
+      subject: parent.metadata.subject,
+      inReplyTo: parent.metadata.messageId,
+      references: [...new Set(references)].slice(-MAX_REFERENCES),
+    };
+  }
+
+  /**
+   * Prefix a subject with "Re:" unless it already has one
+   */
+  replySubject(subject) {
+    if (!subject) return 'Re: (No Subject)';
+    return /^re:/i.test(subject.trim()) ? subject : `Re: ${subject}`;
+  }
+
+  /**
+   * Send a reply through a channel
+   * @returns {Promise<Object>} - { success, messageId, error, metadata }
+   */
+  async dispatch(channel, credentials, { attempt, conversation, contact, lead, content, subject, thread }) {
+    switch (channel.channelType) {
+      case 'EMAIL_SMTP': {
+        if (!contact.email) {
+          return { success: false, error: 'Contact has no email' };
+        }
+        try {
+          return await emailService.sendSmtp(credentials, {
+            to: contact.email,
+            subject,
+            body: content,
+            ...emailService.getThreadingOptions(credentials, attempt.id),
+            ...(thread.inReplyTo && {
+              inReplyTo: thread.inReplyTo,
+              references: thread.references,
+            }),
+          });
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      }
+
+      case 'SMS':
+        return smsService.send(credentials, contact.phone, content);
+
+      case 'WHATSAPP_BUSINESS':
+        return whatsappBusinessService.send(credentials, contact, {
+          tenantId: conversation.tenantId,
+          body: content,
+        });
+
+      case 'WHATSAPP_WEB':
+        if (!contact.phone) {
+          return { success: false, error: 'Contact has no phone' };
+        }
+        return whatsappWebService.sendMessage(conversation.tenantId, channel.id, contact.phone, content);
+
+      case 'TELEGRAM': {
+        if (telegramBotService.isBotChannel(channel)) {
+          return telegramBotService.send(credentials, telegramBotService.getChatId(contact, lead), content);
+        }
+
+        const userId = lead?.customFields?.telegramId || lead?.customFields?.telegramUsername;
+        if (!userId) {
+          return { success: false, error: 'Contact has no Telegram ID or username' };
+        }
+        const sessionKey = await telegramService.ensureConnected(conversation.tenantId, credentials);
+        if (!sessionKey) {
+          return { success: false, error: 'Telegram not connected. Please reconnect.' };
+        }
+        return telegramService.sendMessage(sessionKey, userId, content);
+      }
+
+      default:
+        return { success: false, error: `Replies are not supported for ${channel.channelType}` };
+    }
+  }
+
+  /**
+   * Send an agent reply in a conversation
+   * Records an outbound message linked to a contact attempt, sends it and stores the result
+   * @param {Object} conversation - Conversation
+   * @param {Object} options - { content, subject, channelConfigId, userId }
+   * @returns {Promise<Object>} - Message with its contact attempt
+   */
+  async sendReply(conversation, { content, subject = null, channelConfigId = null, userId = null }) {
+    const channel = await this.resolveChannel(conversation, channelConfigId);
+    if (!channel) {
+      throw AppError.badRequest(channelConfigId
+        ? `Channel not found, inactive or not a ${conversation.channelType} channel`
+        : `No active ${conversation.channelType} channel configured`);
+    }
+
+    const [contact, lead, messages] = await Promise.all([
+      prisma.contact.findUnique({ where: { id: conversation.contactId } }),
+      prisma.lead.findUnique({ where: { id: conversation.leadId } }),
+      prisma.message.findMany({
+        where: { conversationId: conversation.id },
+        orderBy: { createdAt: 'asc' },
+        select: { direction: true, metadata: true },
+      }),
+    ]);
+
+    let thread = {};
+    if (channel.channelType === 'EMAIL_SMTP') {
+      thread = this.getEmailThread(messages);
+      subject = subject || this.replySubject(thread.subject);
+    }
+
+    const attempt = await prisma.contactAttempt.create({
+      data: {
+        tenantId: conversation.tenantId,
+        leadId: conversation.leadId,
+        contactId: conversation.contactId,
+        channelType: channel.channelType,
+        channelConfigId: channel.id,
+        status: 'PENDING',
+        subject,
+        content,
+        metadata: { conversationId: conversation.id, sentById: userId },
+      },
+    });
+
+    let sendResult;
+    try {
+      const credentials = this.getCredentials(channel);
+      sendResult = await this.dispatch(channel, credentials, { attempt, conversation, contact, lead, content, subject, thread });
+    } catch (error) {
+      sendResult = { success: false, error: error.message };
+    }
+
+    const status = sendResult.success ? 'SENT' : 'FAILED';
+    const now = new Date();
+
+    await prisma.contactAttempt.update({
+      where: { id: attempt.id },
+      data: {
+        status,
+        externalId: sendResult.messageId ? String(sendResult.messageId) : null,
+        sentAt: sendResult.success ? now : null,
+        metadata: {
+          ...attempt.metadata,
+          ...(sendResult.metadata || {}),
+          messageId: sendResult.messageId,
+          error: sendResult.error,
+        },
+      },
+    });
+
+    const message = await prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        contactAttemptId: attempt.id,
+        direction: 'OUTBOUND',
+        content,
+        metadata: {
+          subject,
+          channelConfigId: channel.id,
+          sentById: userId,
+          status,
+          ...(sendResult.messageId && { messageId: String(sendResult.messageId) }),
+          ...(thread.inReplyTo && { inReplyTo: thread.inReplyTo, references: thread.references }),
+          ...(sendResult.error && { error: sendResult.error }),
+        },
+      },
+      include: {
+        contactAttempt: { select: { id: true, status: true, sentAt: true, deliveredAt: true, openedAt: true } },
+      },
+    });
+
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { lastMessageAt: now },
+    });
+
+    if (sendResult.success) {
+      logger.info('Conversation reply sent', { conversationId: conversation.id, channelId: channel.id, messageId: sendResult.messageId });
+    } else {
+      logger.warn('Conversation reply failed', { conversationId: conversation.id, channelId: channel.id, error: sendResult.error });
+    }
+
+    return message;
+  }
+}
+
+module.exports = new ConversationService();
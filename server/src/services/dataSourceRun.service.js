@@ -0,0 +1,129 @@
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+// Log lines kept per run; later lines are counted but dropped
+const MAX_LOG_LINES = 5000;
+
+// Minimum time between writes of the log while a run is in progress
+const FLUSH_INTERVAL = 2000;
+
+/**
+ * Log of a data source run, written to DataSourceRun.logs while the run progresses
+ */
+class RunLog {
+  constructor(runId) {
+    this.runId = runId;
+    this.lines = [];
+    this.dropped = 0;
+    this.lastFlush = 0;
+    this.pending = null;
+  }
+
+  info(message) {
+    this.append('INFO', message);
+  }
+
+  warn(message) {
+    this.append('WARN', message);
+  }
+
+  error(message) {
+    this.append('ERROR', message);
+  }
+
+  append(level, message) {
+    if (this.lines.length >= MAX_LOG_LINES) {
+      this.dropped++;
+      return;
+    }
+
+    this.lines.push(`[${new Date().toISOString()}] ${level} ${message}`);
+
+    if (Date.now() - this.lastFlush >= FLUSH_INTERVAL && !this.pending) {
+      this.pending = this.flush().finally(() => {
+        this.pending = null;
+      });
+    }
+  }
+
+  toString() {
+    const text = this.lines.join('\n');
+    return this.dropped > 0 ? `${text}\n... ${this.dropped} more lines not logged` : text;
+  }
+
+  /**
+   * Write the log so far to the run
+   */
+  async flush() {
+    this.lastFlush = Date.now();
+    try {
+      await prisma.dataSourceRun.update({
+        where: { id: this.runId },
+        data: { logs: this.toString() },
+      });
+    } catch (err) {
+      logger.warn('Failed to write data source run log', { runId: this.runId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Data source runs: one DataSourceRun per scraper run or file import, with lead counts and a log
+ */
+class DataSourceRunService {
+  /**
+   * Create a RUNNING run
+   * @param {number} dataSourceId - Data source ID
+   * @returns {Promise<Object>} - { run, log }
+   */
+  async start(dataSourceId) {
+    const run = await prisma.dataSourceRun.create({
+      data: {
+        dataSourceId,
+        status: 'RUNNING',
+        startedAt: new Date(),
+      },
+    });
+
+    return { run, log: new RunLog(run.id) };
+  }
+
+  /**
+   * Complete a run and the data source's last run status
+   * @param {Object} run - DataSourceRun
+   * @param {RunLog} log - Its log
+   * @param {Object} result - { counts: { found, created, updated }, error }
+   * @returns {Promise<Object>} - Updated run
+   */
+  async finish(run, log, { counts, error = null }) {
+    const status = error ? 'FAILED' : 'SUCCESS';
+    if (error) log.error(error);
+
+    // Let an in-progress write finish so it can't overwrite the final log
+    if (log.pending) await log.pending;
+
+    const completedAt = new Date();
+    const [finished] = await Promise.all([
+      prisma.dataSourceRun.update({
+        where: { id: run.id },
+        data: {
+          status,
+          leadsFound: counts.found,
+          leadsCreated: counts.created,
+          leadsUpdated: counts.updated,
+          errorMessage: error,
+          logs: log.toString(),
+          completedAt,
+        },
+      }),
+      prisma.dataSource.update({
+        where: { id: run.dataSourceId },
+        data: { lastRunAt: completedAt, lastStatus: status },
+      }),
+    ]);
+
+    return finished;
+  }
+}
+
+module.exports = new DataSourceRunService();
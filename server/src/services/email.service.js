@@ -1,6 +1,10 @@
 const nodemailer = require('nodemailer');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { hmac } = require('../utils/encryption');
+
+// Reply token carried in campaign Message-IDs and plus-addressed Reply-To addresses: sb<attemptId>x<signature>
+const REPLY_TOKEN_PATTERN = /(?:^|[^a-z0-9])sb(\d+)x([0-9a-f]{10})(?![0-9a-f])/gi;
 
 class EmailService {
   constructor() {
@@ -113,6 +117,122 @@ class EmailService {
     }
   }
 
+  /**
+   * Send using decrypted EMAIL_SMTP channel credentials
+   * @param {Object} credentials - { host, port, secure, user, pass, from }
+   * @param {Object} mail - Nodemailer message (to, subject, body, headers, messageId, inReplyTo, references)
+   * @returns {Promise<Object>} - { success, messageId }
+   */
+  async sendSmtp(credentials, { body, html, ...mail }) {
+    const transporter = nodemailer.createTransport({
+      host: credentials.host,
+      port: credentials.port || 587,
+      secure: credentials.secure || false,
+      auth: {
+        user: credentials.user,
+        pass: credentials.pass,
+      },
+    });
+
+    const result = await transporter.sendMail({
+      from: credentials.from || credentials.user,
+      html: html || this.formatHtml(body),
+      text: body, // Also include plain text version
+      ...mail,
+    });
+
+    return { success: true, messageId: result.messageId };
+  }
+
+  /**
+   * Extract the bare address from a "Name <user@domain>" string
+   */
+  getAddress(value) {
+    if (!value) return null;
+    const match = String(value).match(/<([^>]+)>/);
+    const address = (match ? match[1] : String(value)).trim().toLowerCase();
+    return address.includes('@') ? address : null;
+  }
+
+  /**
+   * Signed token identifying a contact attempt in reply headers
+   * Lowercase hex so it survives mail servers that fold the case of addresses
+   */
+  getReplyToken(attemptId) {
+    const signature = Buffer.from(hmac(`email-reply:${attemptId}`), 'base64url').toString('hex').slice(0, 10);
+    return `sb${attemptId}x${signature}`;
+  }
+
+  /**
+   * Message-ID and Reply-To for an outbound email so replies resolve to the exact attempt
+   * The Message-ID comes back in In-Reply-To/References; the plus-addressed Reply-To
+   * survives clients that drop those headers. Reply-To is only set when the channel
+   * reads its mailbox over IMAP - otherwise nothing would pick the reply up.
+   * @param {Object} credentials - EMAIL_SMTP channel credentials
+   * @param {number} attemptId - Contact attempt ID
+   * @returns {Object} - { messageId, replyTo } nodemailer options
+   */
+  getThreadingOptions(credentials, attemptId) {
+    const token = this.getReplyToken(attemptId);
+    const fromAddress = this.getAddress(credentials.from) || this.getAddress(credentials.user);
+    const domain = fromAddress ? fromAddress.split('@')[1] : 'salesbook.local';
+
+    const options = { messageId: `<${token}@${domain}>` };
+
+    const mailbox = this.getAddress(credentials.imapUser) || fromAddress;
+    if (credentials.imapEnabled && mailbox) {
+      const [local, mailboxDomain] = mailbox.split('@');
+      options.replyTo = `${local.split('+')[0]}+${token}@${mailboxDomain}`;
+    }
+
+    return options;
+  }
+
+  /**
+   * Find contact attempt IDs in reply headers/addresses (In-Reply-To, References, To, Cc)
+   * Only tokens with a valid signature are returned, in the order they were found
+   * @param {string[]} values - Header values and addresses
+   * @returns {number[]} - Attempt IDs
+   */
+  parseReplyTokens(values) {
+    const ids = [];
+    for (const value of values) {
+      if (!value) continue;
+      for (const match of String(value).matchAll(REPLY_TOKEN_PATTERN)) {
+        const attemptId = parseInt(match[1]);
+        if (this.getReplyToken(attemptId) === `sb${match[1]}x${match[2].toLowerCase()}` && !ids.includes(attemptId)) {
+          ids.push(attemptId);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Format a plain text body as HTML - converts newlines to <br> and wraps in a document
+   * Bodies that already contain HTML are returned unchanged
+   */
+  formatHtml(body) {
+    if (/<[a-z][\s\S]*>/i.test(body)) {
+      return body;
+    }
+
+    const formattedBody = body
+      .replace(/\r\n/g, '\n')  // Normalize line endings
+      .replace(/\n/g, '<br>\n'); // Convert to HTML breaks
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #333;">
+  ${formattedBody}
+</body>
+</html>`;
+  }
+
   /**
    * Send via SendGrid API
    * @param {string} apiKey - SendGrid API key
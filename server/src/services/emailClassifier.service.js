@@ -0,0 +1,188 @@
+// Senders used by mail servers for delivery status notifications
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster|mail-daemon|mailerdaemon|bounces?)@/i;
+
+const BOUNCE_SUBJECTS = [
+  /undeliver(able|ed)/i,
+  /delivery status notification/i,
+  /delivery (has )?failed/i,
+  /mail delivery (failed|failure|subsystem)/i,
+  /returned mail/i,
+  /failure notice/i,
+  /could not be delivered/i,
+  /non[- ]?delivery/i,
+];
+
+const OUT_OF_OFFICE_PATTERNS = [
+  /out of (the )?office/i,
+  /\bOOO\b/,
+  /automatic reply/i,
+  /auto[- ]?reply/i,
+  /on (annual |parental |maternity |paternity |sick )?(vacation|holiday|leave)/i,
+  /away from (the office|my desk|email)/i,
+  /(currently|presently) (out|away|travelling|traveling)/i,
+  /limited access to (my )?e-?mail/i,
+  /abwesenheit/i,
+  /réponse automatique|absent du bureau/i,
+  /fuera de la oficina|respuesta automática/i,
+];
+
+// Reply and forward prefixes, including common localised ones
+const REPLY_SUBJECT = /^\s*(re|fwd?|aw|wg|sv|vs|tr|rif|antw)\s*(\[\d+\])?\s*:/i;
+
+// Phrases that introduce the date an out-of-office sender is back
+const RETURN_DATE_PATTERN = /\b(?:until|till|through|back (?:in the office )?on|back on|return(?:ing)?(?: to the office)? on|returning|back)\s+(?:on\s+)?([^\n;()]{3,40})/gi;
+
+const WEEKDAYS = /\b(mon|tues?|wed(nes)?|thu(rs?)?|fri|sat(ur)?|sun)(day)?\b,?/gi;
+
+// "12 November 2026", "November 12, 2026", "12/11/2026" - numeric dates are read the way Date parses them (US order)
+const DATE_TEXT = /\d{1,2}\s+[a-z]{3,9}\.?(?:\s+\d{4})?|[a-z]{3,9}\.?\s+\d{1,2}(?:,?\s+\d{4})?|\d{1,2}[/.-]\d{1,2}(?:[/.-]\d{2,4})?/i;
+
+// Out-of-office return dates further out than this are treated as unknown
+const MAX_RETURN_DAYS = 90;
+
+/**
+ * Email classifier
+ * Tells genuine replies apart from bounces (DSNs), out-of-office notices and other auto-replies
+ */
+class EmailClassifierService {
+  /**
+   * Read a header from a mailparser result as text
+   */
+  getHeader(parsed, name) {
+    const value = parsed.headers?.get(name);
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'string') return value;
+    if (value.value) return String(value.value);
+    if (value.text) return String(value.text);
+    return String(value);
+  }
+
+  /**
+   * Text of attached DSN/original-message parts
+   */
+  getReportParts(parsed) {
+    return (parsed.attachments || [])
+      .filter(a => /^(message\/(delivery-status|rfc822|global-delivery-status|global)|text\/rfc822-headers)$/i.test(a.contentType))
+      .map(a => ({
+        contentType: a.contentType.toLowerCase(),
+        text: Buffer.isBuffer(a.content) ? a.content.toString('utf8') : String(a.content || ''),
+      }));
+  }
+
+  /**
+   * Classify an inbound email
+   * @param {Object} parsed - mailparser result
+   * @returns {Object} - { type: 'reply' | 'bounce' | 'out_of_office' | 'auto_reply', ...details }
+   *   bounce: { hard, status, recipient, reason, originalMessageIds, originalText }
+   *   out_of_office: { returnAt }
+   */
+  classify(parsed) {
+    const bounce = this.parseBounce(parsed);
+    if (bounce) return bounce;
+
+    const subject = parsed.subject || '';
+    const text = (parsed.text || '').slice(0, 2000);
+
+    const autoSubmitted = this.getHeader(parsed, 'auto-submitted');
+    const precedence = this.getHeader(parsed, 'precedence') || this.getHeader(parsed, 'x-precedence');
+    const isAuto = (autoSubmitted && autoSubmitted.toLowerCase() !== 'no')
+      || !!this.getHeader(parsed, 'x-autoreply')
+      || !!this.getHeader(parsed, 'x-autorespond')
+      || /^(auto_reply|bulk|junk)$/i.test(precedence || '');
+
+    // Without auto-reply headers only a fresh subject counts: human replies keep the campaign subject after "Re:"
+    const trustSubject = isAuto || !REPLY_SUBJECT.test(subject);
+    const looksOutOfOffice = (trustSubject && OUT_OF_OFFICE_PATTERNS.some(pattern => pattern.test(subject)))
+      || (isAuto && OUT_OF_OFFICE_PATTERNS.some(pattern => pattern.test(text)));
+
+    if (looksOutOfOffice) {
+      return { type: 'out_of_office', returnAt: this.parseReturnDate(text) };
+    }
+
+    if (isAuto) {
+      return { type: 'auto_reply' };
+    }
+
+    return { type: 'reply' };
+  }
+
+  /**
+   * Parse a delivery status notification (RFC 3464 multipart/report or a plain-text bounce)
+   * @returns {Object|null} - Bounce details, or null if the email is not a bounce
+   */
+  parseBounce(parsed) {
+    const contentType = parsed.headers?.get('content-type');
+    const isReport = contentType?.value?.toLowerCase() === 'multipart/report'
+      && /delivery-status/i.test(contentType.params?.['report-type'] || '');
+    const fromAddress = parsed.from?.value?.[0]?.address || '';
+    const looksLikeBounce = BOUNCE_SENDERS.test(fromAddress) && BOUNCE_SUBJECTS.some(pattern => pattern.test(parsed.subject || ''));
+
+    if (!isReport && !looksLikeBounce) return null;
+
+    const parts = this.getReportParts(parsed);
+    const dsn = parts.find(p => p.contentType.includes('delivery-status'))?.text || '';
+    const original = parts.filter(p => !p.contentType.includes('delivery-status')).map(p => p.text).join('\n');
+    // Plain-text bounces quote the DSN fields and original headers in the body
+    const body = parsed.text || '';
+    const source = dsn || body;
+
+    const action = (source.match(/^Action:\s*(\S+)/im) || [])[1]?.toLowerCase();
+    const status = (source.match(/^Status:\s*([245]\.\d{1,3}\.\d{1,3})/im) || source.match(/\b([45]\.\d{1,3}\.\d{1,3})\b/) || [])[1];
+    const recipient = (source.match(/^(?:Final|Original)-Recipient:\s*(?:rfc822;)?\s*<?([^\s<>]+@[^\s<>]+)>?/im) || [])[1];
+    const diagnostic = (source.match(/^Diagnostic-Code:\s*(?:smtp;)?\s*(.+(?:\n[ \t].+)*)/im) || [])[1];
+
+    // "delayed" notices are informational - the server keeps retrying
+    if (action === 'delayed' || action === 'relayed' || action === 'delivered' || action === 'expanded') {
+      return { type: 'auto_reply', dsnAction: action };
+    }
+
+    const originalText = original || body;
+    const originalMessageIds = [...originalText.matchAll(/^Message-ID:\s*(<[^>\s]+>)/gim)].map(m => m[1]);
+
+    return {
+      type: 'bounce',
+      // Without a status code, a failure notice from a mailer daemon is permanent
+      hard: status ? status.startsWith('5') : true,
+      status: status || null,
+      recipient: recipient ? recipient.toLowerCase() : null,
+      reason: (diagnostic || parsed.subject || 'Bounced').replace(/\s+/g, ' ').trim().slice(0, 500),
+      originalMessageIds,
+      originalText,
+    };
+  }
+
+  /**
+   * Find the "back on ..." date in an out-of-office message
+   * @param {string} text - Plain text body
+   * @returns {Date|null} - Return date, if one could be read and is in the near future
+   */
+  parseReturnDate(text, now = new Date()) {
+    for (const match of text.matchAll(RETURN_DATE_PATTERN)) {
+      const dateText = match[1]
+        .replace(WEEKDAYS, '')
+        .replace(/(\d+)(st|nd|rd|th)\b/gi, '$1')
+        .replace(/\s+/g, ' ')
+        .match(DATE_TEXT);
+      if (!dateText) continue;
+
+      const candidate = dateText[0].replace(/\./g, ' ').trim();
+
+      const hasYear = /\b\d{4}\b/.test(candidate);
+      const date = new Date(hasYear ? candidate : `${candidate} ${now.getFullYear()}`);
+      if (Number.isNaN(date.getTime())) continue;
+
+      if (!hasYear && date < now) {
+        date.setFullYear(date.getFullYear() + 1);
+      }
+
+      const maxDate = new Date(now.getTime() + MAX_RETURN_DAYS * 24 * 60 * 60 * 1000);
+      if (date > now && date < maxDate) {
+        return date;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new EmailClassifierService();
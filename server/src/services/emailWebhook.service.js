@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const trackingService = require('./tracking.service');
+const suppressionService = require('./suppression.service');
+
+// SNS signing certificates are only accepted from AWS-owned hosts
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Reject signed SendGrid payloads older than this (replay protection)
+const SENDGRID_MAX_AGE_SECONDS = 10 * 60;
+
+/**
+ * Email provider webhook service
+ * Verifies provider signatures and normalizes SendGrid, Mandrill and SES events into
+ * { provider, type, hard, email, messageId, attemptId, timestamp, url, reason }
+ * where type is one of: delivered, bounce, complaint, open, click, dropped, unsubscribe
+ */
+class EmailWebhookService {
+  constructor() {
+    this.snsCertCache = new Map();
+  }
+
+  // ==========================================
+  // SendGrid
+  // ==========================================
+
+  /**
+   * Verify a SendGrid Signed Event Webhook request (ECDSA P-256)
+   * @param {Object} req - Express request (needs rawBody)
+   * @returns {boolean}
+   */
+  verifySendGrid(req) {
+    const publicKey = config.sendgrid.webhookPublicKey;
+    if (!publicKey) {
+      logger.warn('SendGrid webhook rejected: SENDGRID_WEBHOOK_PUBLIC_KEY not configured');
+      return false;
+    }
+
+    const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+    const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+    if (!signature || !timestamp || !req.rawBody) return false;
+
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > SENDGRID_MAX_AGE_SECONDS) {
+      return false;
+    }
+
+    try {
+      const key = crypto.createPublicKey({
+        key: Buffer.from(publicKey.replace(/-----[^-]+-----|\s/g, ''), 'base64'),
+        format: 'der',
+        type: 'spki',
+      });
+      return crypto.verify(
+        'sha256',
+        Buffer.concat([Buffer.from(timestamp), req.rawBody]),
+        key,
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      logger.error('SendGrid signature verification error', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Normalize SendGrid events
+   * @param {Array} payload - SendGrid event array
+   * @returns {Array} - Normalized events
+   */
+  parseSendGrid(payload) {
+    const events = Array.isArray(payload) ? payload : [];
+    const typeMap = {
+      delivered: 'delivered',
+      bounce: 'bounce',
+      dropped: 'dropped',
+      open: 'open',
+      click: 'click',
+      spamreport: 'complaint',
+      unsubscribe: 'unsubscribe',
+      group_unsubscribe: 'unsubscribe',
+    };
+
+    return events
+      .filter(event => typeMap[event.event])
+      .map(event => ({
+        provider: 'sendgrid',
+        type: typeMap[event.event],
+        // SendGrid reports soft bounces as type "blocked"
+        hard: event.event === 'bounce' && event.type !== 'blocked',
+        email: event.email,
+        messageId: event['smtp-id'] || event.sg_message_id,
+        attemptId: event.attempt_id,
+        timestamp: event.timestamp ? new Date(event.timestamp * 1000) : new Date(),
+        url: event.url,
+        reason: event.reason || event.response,
+      }));
+  }
+
+  // ==========================================
+  // Mandrill
+  // ==========================================
+
+  /**
+   * Verify X-Mandrill-Signature (HMAC-SHA1 of URL + sorted POST params)
+   * @param {Object} req - Express request (urlencoded body)
+   * @returns {boolean}
+   */
+  verifyMandrill(req) {
+    const webhookKey = config.mandrill.webhookKey;
+    if (!webhookKey) {
+      logger.warn('Mandrill webhook rejected: MANDRILL_WEBHOOK_KEY not configured');
+      return false;
+    }
+
+    const signature = req.get('X-Mandrill-Signature');
+    if (!signature) return false;
+
+    const url = config.mandrill.webhookUrl ||
+      `${config.appUrl.replace(/\/$/, '')}/api/v1/webhooks/email/${req.params.provider}`;
+
+    let signedData = url;
+    for (const key of Object.keys(req.body || {}).sort()) {
+      signedData += key + req.body[key];
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha1', webhookKey).update(signedData).digest('base64'));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Normalize Mandrill events
+   * @param {Object} body - Form body with mandrill_events JSON string
+   * @returns {Array} - Normalized events
+   */
+  parseMandrill(body) {
+    let events = [];
+    try {
+      events = JSON.parse(body?.mandrill_events || '[]');
+    } catch (error) {
+      logger.warn('Invalid mandrill_events payload', { error: error.message });
+      return [];
+    }
+
+    const typeMap = {
+      delivered: 'delivered',
+      hard_bounce: 'bounce',
+      soft_bounce: 'bounce',
+      reject: 'dropped',
+      open: 'open',
+      click: 'click',
+      spam: 'complaint',
+      unsub: 'unsubscribe',
+    };
+
+    return events
+      .filter(event => typeMap[event.event])
+      .map(event => ({
+        provider: 'mandrill',
+        type: typeMap[event.event],
+        hard: event.event === 'hard_bounce',
+        email: event.msg?.email,
+        messageId: event.msg?._id,
+        attemptId: event.msg?.metadata?.attempt_id,
+        timestamp: event.ts ? new Date(event.ts * 1000) : new Date(),
+        url: event.url,
+        reason: event.msg?.bounce_description || event.msg?.diag,
+      }));
+  }
+
+  // ==========================================
+  // Amazon SES (via SNS)
+  // ==========================================
+
+  /**
+   * Verify an SNS message signature against the AWS signing certificate
+   * @param {Object} message - Parsed SNS message
+   * @returns {Promise<boolean>}
+   */
+  async verifySns(message) {
+    if (!message?.Signature || !message.SigningCertURL) return false;
+
+    // Any AWS account can sign SNS messages, so only topics on the allow-list are accepted
+    if (config.ses.topicArns.length === 0) {
+      logger.warn('SES webhook rejected: SES_SNS_TOPIC_ARNS not configured');
+      return false;
+    }
+
+    if (!config.ses.topicArns.includes(message.TopicArn)) {
+      logger.warn('SES webhook rejected: unexpected SNS topic', { topicArn: message.TopicArn });
+      return false;
+    }
+
+    let certUrl;
+    try {
+      certUrl = new URL(message.SigningCertURL);
+    } catch (error) {
+      return false;
+    }
+    if (certUrl.protocol !== 'https:' || !SNS_CERT_HOST.test(certUrl.hostname)) {
+      return false;
+    }
+
+    const fields = message.Type === 'Notification'
+      ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+      : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+    let stringToSign = '';
+    for (const field of fields) {
+      if (message[field] !== undefined) {
+        stringToSign += `${field}\n${message[field]}\n`;
+      }
+    }
+
+    try {
+      const cert = await this.getSnsCertificate(certUrl.toString());
+      const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+      return crypto.createVerify(algorithm).update(stringToSign, 'utf8').verify(cert, message.Signature, 'base64');
+    } catch (error) {
+      logger.error('SNS signature verification error', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Fetch (and cache) an SNS signing certificate
+   */
+  async getSnsCertificate(url) {
+    if (this.snsCertCache.has(url)) {
+      return this.snsCertCache.get(url);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch SNS certificate: ${response.status}`);
+    }
+
+    const cert = await response.text();
+    this.snsCertCache.set(url, cert);
+    return cert;
+  }
+
+  /**
+   * Confirm an SNS subscription by visiting the SubscribeURL
+   * @param {Object} message - Verified SubscriptionConfirmation message
+   */
+  async confirmSnsSubscription(message) {
+    const url = new URL(message.SubscribeURL);
+    if (url.protocol !== 'https:' || !SNS_CERT_HOST.test(url.hostname)) {
+      throw new Error('Invalid SNS SubscribeURL');
+    }
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+      throw new Error(`SNS subscription confirmation failed: ${response.status}`);
+    }
+
+    logger.info('SES SNS subscription confirmed', { topicArn: message.TopicArn });
+  }
+
+  /**
+   * Normalize an SES event notification (SNS Message body)
+   * @param {Object} notification - Parsed SES notification
+   * @returns {Array} - Normalized events
+   */
+  parseSes(notification) {
+    const eventType = notification?.eventType || notification?.notificationType;
+    const mail = notification?.mail || {};
+    const base = {
+      provider: 'ses',
+      messageId: mail.commonHeaders?.messageId || mail.messageId,
+      attemptId: mail.tags?.attempt_id?.[0],
+      timestamp: new Date(),
+    };
+
+    switch (eventType) {
+      case 'Delivery':
+        return (notification.delivery?.recipients || mail.destination || []).map(email => ({
+          ...base,
+          type: 'delivered',
+          email,
+          timestamp: new Date(notification.delivery?.timestamp || Date.now()),
+        }));
+      case 'Bounce': {
+        const bounce = notification.bounce || {};
+        return (bounce.bouncedRecipients || []).map(recipient => ({
+          ...base,
+          type: 'bounce',
+          hard: bounce.bounceType === 'Permanent',
+          email: recipient.emailAddress,
+          reason: recipient.diagnosticCode || [bounce.bounceType, bounce.bounceSubType].filter(Boolean).join('/'),
+          timestamp: new Date(bounce.timestamp || Date.now()),
+        }));
+      }
+      case 'Complaint': {
+        const complaint = notification.complaint || {};
+        return (complaint.complainedRecipients || []).map(recipient => ({
+          ...base,
+          type: 'complaint',
+          email: recipient.emailAddress,
+          reason: complaint.complaintFeedbackType,
+          timestamp: new Date(complaint.timestamp || Date.now()),
+        }));
+      }
+      case 'Reject':
+        return [{ ...base, type: 'dropped', email: mail.destination?.[0], reason: notification.reject?.reason }];
+      case 'Open':
+        return [{ ...base, type: 'open', email: mail.destination?.[0] }];
+      case 'Click':
+        return [{ ...base, type: 'click', email: mail.destination?.[0], url: notification.click?.link }];
+      default:
+        return [];
+    }
+  }
+
+  // ==========================================
+  // Event processing
+  // ==========================================
+
+  /**
+   * Find the contact attempt an event refers to
+   * Prefers the attempt ID we embed in provider headers, falls back to the message ID
+   */
+  async findAttempt(event) {
+    const attemptId = parseInt(event.attemptId, 10);
+    if (attemptId) {
+      const attempt = await prisma.contactAttempt.findUnique({ where: { id: attemptId } });
+      if (attempt) return attempt;
+    }
+
+    if (!event.messageId) return null;
+
+    const bare = String(event.messageId).replace(/^<|>$/g, '');
+    return prisma.contactAttempt.findFirst({
+      where: { externalId: { in: [bare, `<${bare}>`] } },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Apply normalized events to contact attempts
+   * @param {Array} events - Normalized events
+   * @returns {Promise<Object>} - { processed, unmatched }
+   */
+  async processEvents(events) {
+    let processed = 0;
+    let unmatched = 0;
+
+    for (const event of events) {
+      try {
+        const attempt = await this.findAttempt(event);
+        if (!attempt) {
+          unmatched++;
+          logger.debug('Email event did not match any contact attempt', {
+            provider: event.provider,
+            type: event.type,
+            messageId: event.messageId,
+          });
+          continue;
+        }
+
+        await this.applyEvent(attempt, event);
+        processed++;
+      } catch (error) {
+        logger.error('Failed to process email event', {
+          provider: event.provider,
+          type: event.type,
+          error: error.message,
+        });
+      }
+    }
+
+    return { processed, unmatched };
+  }
+
+  /**
+   * Apply a single event to its contact attempt
+   */
+  async applyEvent(attempt, event) {
+    const metadata = attempt.metadata || {};
+
+    switch (event.type) {
+      case 'delivered':
+        await prisma.contactAttempt.update({
+          where: { id: attempt.id },
+          data: {
+            // Never downgrade a bounced/failed attempt
+            ...(['PENDING', 'SENT'].includes(attempt.status) && { status: 'DELIVERED' }),
+            deliveredAt: attempt.deliveredAt || event.timestamp,
+          },
+        });
+        break;
+
+      case 'open':
+        await trackingService.recordOpen(attempt.id);
+        break;
+
+      case 'click':
+        await trackingService.recordClick(attempt.id, event.url);
+        break;
+
+      case 'bounce':
+        await prisma.contactAttempt.update({
+          where: { id: attempt.id },
+          data: {
+            status: 'BOUNCED',
+            metadata: {
+              ...metadata,
+              bounce: {
+                provider: event.provider,
+                hard: !!event.hard,
+                reason: event.reason,
+                at: event.timestamp.toISOString(),
+              },
+            },
+          },
+        });
+        if (event.hard) {
+          await this.stopContact(attempt, 'BOUNCED', event);
+        }
+        break;
+
+      case 'complaint':
+        await prisma.contactAttempt.update({
+          where: { id: attempt.id },
+          data: {
+            metadata: {
+              ...metadata,
+              complaint: {
+                provider: event.provider,
+                reason: event.reason,
+                at: event.timestamp.toISOString(),
+              },
+            },
+          },
+        });
+        await this.stopContact(attempt, 'COMPLAINT', event);
+        break;
+
+      case 'dropped':
+        await prisma.contactAttempt.update({
+          where: { id: attempt.id },
+          data: {
+            status: 'FAILED',
+            metadata: { ...metadata, error: event.reason || 'Dropped by provider' },
+          },
+        });
+        break;
+
+      case 'unsubscribe':
+        await this.stopContact(attempt, 'UNSUBSCRIBED', event);
+        break;
+    }
+
+    logger.info('Email event applied', {
+      provider: event.provider,
+      type: event.type,
+      attemptId: attempt.id,
+    });
+  }
+
+  /**
+   * Stop campaigns for the attempt's contact and suppress the address
+   * Hard bounces also flag the contact's email as invalid
+   * @param {Object} attempt - ContactAttempt
+   * @param {string} reason - SuppressionReason (BOUNCED, COMPLAINT, UNSUBSCRIBED)
+   * @param {Object} event - Normalized event
+   */
+  async stopContact(attempt, reason, event) {
+    const contact = await prisma.contact.findUnique({ where: { id: attempt.contactId } });
+    const email = event.email || contact?.email;
+
+    if (contact && ['BOUNCED', 'COMPLAINT'].includes(reason) && !contact.emailInvalid) {
+      await prisma.contact.update({
+        where: { id: contact.id },
+        data: { emailInvalid: true, emailInvalidAt: new Date() },
+      });
+    }
+
+    if (email) {
+      await suppressionService.add(attempt.tenantId, [{ type: 'EMAIL', value: email }], {
+        reason,
+        note: event.reason ? String(event.reason).slice(0, 500) : `${event.provider} ${event.type}`,
+        campaignId: attempt.campaignId,
+        contactId: attempt.contactId,
+      });
+    }
+
+    if (attempt.campaignId) {
+      await prisma.campaignRecipient.updateMany({
+        where: {
+          campaignId: attempt.campaignId,
+          contactId: attempt.contactId,
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+        },
+        data: {
+          status: reason === 'BOUNCED' ? 'FAILED' : 'UNSUBSCRIBED',
+          nextActionAt: null,
+        },
+      });
+    }
+
+    logger.info('Stopped campaign contact after email event', {
+      attemptId: attempt.id,
+      contactId: attempt.contactId,
+      reason,
+    });
+  }
+}
+
+module.exports = new EmailWebhookService();
@@ -3,6 +3,32 @@ const { simpleParser } = require('mailparser');
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
 const { decrypt } = require('../utils/encryption');
+const emailService = require('./email.service');
+const emailClassifier = require('./emailClassifier.service');
+const emailWebhookService = require('./emailWebhook.service');
+
+// Personal mailbox providers - a shared domain here says nothing about the sender's company
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com', 'gmx.com',
+  'gmx.de', 'web.de', 'mail.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'zoho.com', 'qq.com', '163.com',
+];
+
+// Campaign steps are held this long after an out-of-office reply without a readable return date
+const OUT_OF_OFFICE_DELAY_DAYS = 3;
+
+/**
+ * Hostname of a lead website without "www."
+ */
+const getHostname = (website) => {
+  if (!website) return null;
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
 
 class ImapPollerService {
   constructor() {
@@ -158,28 +184,26 @@ class ImapPollerService {
       return;
     }
 
-    // Find contact by email in this tenant (case-insensitive search)
-    logger.info(`Looking for contact with email: ${fromEmail} in tenant ${channel.tenantId}`);
+    // Bounces and auto-replies update the original attempt but never count as replies
+    const classification = emailClassifier.classify(parsed);
+    if (classification.type !== 'reply') {
+      logger.info(`Email from ${fromEmail} classified as ${classification.type}`);
+      await this.handleAutomatedEmail(channel, parsed, classification);
+      await this.markAsSeen(connection, message);
+      this.processedMessageIds.add(messageId);
+      return;
+    }
 
-    // Get all contacts and do case-insensitive match in JS (SQLite doesn't support mode: 'insensitive' well)
-    const allContacts = await prisma.contact.findMany({
-      where: {
-        tenantId: channel.tenantId,
-      },
-      include: {
-        lead: true,
-      },
-    });
+    // Resolve the outbound attempt this is a reply to (reply tokens, then stored Message-IDs)
+    const attempt = await this.findRepliedAttempt(channel.tenantId, parsed);
+    if (attempt) {
+      logger.info(`Email is a reply to attempt ${attempt.id} (campaign ${attempt.campaignId || '-'}, step ${attempt.campaignStepId || '-'})`);
+    }
 
-    const contact = allContacts.find(c => c.email && c.email.toLowerCase() === fromEmail.toLowerCase());
+    const contact = await this.resolveContact(channel.tenantId, fromEmail, fromName, attempt);
 
     if (!contact) {
-      // Log available contacts for debugging (already fetched above)
-      const contactEmails = allContacts.map(c => c.email).filter(Boolean);
-      logger.info(`No matching contact found for ${fromEmail}. Available contacts (${contactEmails.length}): ${JSON.stringify(contactEmails.slice(0, 10))}`);
-      logger.info(`Tip: Make sure the contact's email in the system matches the sender's email exactly`);
-      // Optionally: Could create unknown contact or log to a separate table
-      // For now, mark as seen and skip
+      logger.info(`No matching contact or lead found for ${fromEmail}, skipping`);
       await this.markAsSeen(connection, message);
       this.processedMessageIds.add(messageId);
       return;
@@ -233,13 +257,18 @@ class ImapPollerService {
     const newMessage = await prisma.message.create({
       data: {
         conversationId: conversation.id,
+        contactAttemptId: attempt?.id,
         direction: 'INBOUND',
         content: htmlBody || textBody,
         metadata: {
           messageId,
+          inReplyTo: parsed.inReplyTo,
+          references: parsed.references,
+          ...(attempt?.campaignId && { campaignId: attempt.campaignId, stepId: attempt.campaignStepId }),
           subject,
           fromName,
           fromEmail,
+          channelConfigId: channel.id,
           receivedAt: receivedDate.toISOString(),
         },
       },
@@ -264,27 +293,286 @@ class ImapPollerService {
       });
     }
 
-    // Check if there's a campaign recipient for this contact and mark as REPLIED
-    const campaignRecipient = await prisma.campaignRecipient.findFirst({
+    await this.markReplied(contact, attempt, receivedDate);
+
+    // Mark email as seen
+    await this.markAsSeen(connection, message);
+    this.processedMessageIds.add(messageId);
+
+    logger.info(`Successfully processed inbound email from ${fromEmail} -> conversation ${conversation.id}`);
+  }
+
+  /**
+   * Find the outbound email attempt an inbound email replies to
+   * Signed reply tokens (our Message-ID in In-Reply-To/References, or the plus-addressed
+   * Reply-To in To/Cc) identify it exactly; Message-IDs stored on older attempts are the fallback
+   * @param {number} tenantId - Tenant ID
+   * @param {Object} parsed - mailparser result
+   * @returns {Promise<Object|null>} - ContactAttempt with contact
+   */
+  async findRepliedAttempt(tenantId, parsed) {
+    const references = [
+      parsed.inReplyTo,
+      ...[].concat(parsed.references || []).reverse(),
+    ].filter(Boolean);
+
+    const recipients = [parsed.to, parsed.cc]
+      .flatMap(field => [].concat(field || []))
+      .flatMap(field => field.value || [])
+      .map(address => address.address);
+    const deliveredTo = ['delivered-to', 'x-original-to']
+      .flatMap(header => [].concat(parsed.headers?.get(header) || []))
+      .map(value => (typeof value === 'string' ? value : value?.text));
+
+    return this.findAttempt(tenantId, [...references, ...recipients, ...deliveredTo], references);
+  }
+
+  /**
+   * Find an outbound email attempt by reply tokens, then by stored Message-ID
+   * @param {number} tenantId - Tenant ID
+   * @param {string[]} tokenValues - Headers/addresses/text that may carry a reply token
+   * @param {string[]} messageIds - Message-IDs that may match an attempt's externalId
+   * @returns {Promise<Object|null>} - ContactAttempt with contact
+   */
+  async findAttempt(tenantId, tokenValues, messageIds) {
+    const attemptIds = emailService.parseReplyTokens(tokenValues);
+    for (const id of attemptIds) {
+      const attempt = await prisma.contactAttempt.findFirst({
+        where: { id, tenantId },
+        include: { contact: true },
+      });
+      if (attempt) return attempt;
+    }
+
+    if (messageIds.length === 0) return null;
+
+    return prisma.contactAttempt.findFirst({
       where: {
-        contactId: contact.id,
+        tenantId,
+        channelType: 'EMAIL_SMTP',
+        direction: 'OUTBOUND',
+        externalId: { in: messageIds },
+      },
+      include: { contact: true },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Latest campaign email sent to a contact - the best guess when an email carries no thread headers
+   */
+  async findLatestCampaignAttempt(contactId) {
+    return prisma.contactAttempt.findFirst({
+      where: {
+        contactId,
+        channelType: 'EMAIL_SMTP',
+        direction: 'OUTBOUND',
+        campaignId: { not: null },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Apply a bounce, out-of-office or other auto-reply to the attempt it answers
+   * None of these become conversation messages or count as replies
+   * @param {Object} channel - ChannelConfig the email arrived on
+   * @param {Object} parsed - mailparser result
+   * @param {Object} classification - emailClassifier.classify() result
+   */
+  async handleAutomatedEmail(channel, parsed, classification) {
+    const tenantId = channel.tenantId;
+    const receivedDate = parsed.date || new Date();
+    const references = [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+
+    if (classification.type === 'bounce') {
+      let attempt = await this.findAttempt(
+        tenantId,
+        [classification.originalText, ...references],
+        [...classification.originalMessageIds, ...references]
+      );
+
+      if (!attempt && classification.recipient) {
+        attempt = await prisma.contactAttempt.findFirst({
+          where: {
+            tenantId,
+            channelType: 'EMAIL_SMTP',
+            direction: 'OUTBOUND',
+            contact: { email: classification.recipient },
+          },
+          orderBy: { createdAt: 'desc' },
+        });
+      }
+
+      if (!attempt) {
+        logger.info(`Bounce for ${classification.recipient || 'unknown recipient'} did not match any attempt`);
+        return;
+      }
+
+      await emailWebhookService.applyEvent(attempt, {
+        provider: 'imap',
+        type: 'bounce',
+        hard: classification.hard,
+        reason: [classification.status, classification.reason].filter(Boolean).join(' '),
+        email: classification.recipient,
+        timestamp: receivedDate,
+      });
+      return;
+    }
+
+    const fromEmail = parsed.from?.value?.[0]?.address?.toLowerCase();
+    let attempt = await this.findRepliedAttempt(tenantId, parsed);
+    if (!attempt) {
+      const contact = await prisma.contact.findFirst({ where: { tenantId, email: fromEmail } });
+      attempt = contact ? await this.findLatestCampaignAttempt(contact.id) : null;
+    }
+
+    if (!attempt) {
+      logger.info(`Ignoring ${classification.type} from ${fromEmail} - no matching attempt`);
+      return;
+    }
+
+    const autoReply = {
+      type: classification.type,
+      subject: parsed.subject || null,
+      receivedAt: receivedDate.toISOString(),
+      ...(classification.returnAt && { returnAt: classification.returnAt.toISOString() }),
+    };
+    await prisma.contactAttempt.update({
+      where: { id: attempt.id },
+      data: { metadata: { ...(attempt.metadata || {}), autoReply } },
+    });
+
+    if (classification.type !== 'out_of_office' || !attempt.campaignId) {
+      logger.info(`Recorded ${classification.type} on attempt ${attempt.id}`);
+      return;
+    }
+
+    // Hold the next step until the contact is back
+    const resumeAt = classification.returnAt
+      || new Date(receivedDate.getTime() + OUT_OF_OFFICE_DELAY_DAYS * 24 * 60 * 60 * 1000);
+
+    const recipient = await prisma.campaignRecipient.findFirst({
+      where: {
+        campaignId: attempt.campaignId,
+        contactId: attempt.contactId,
         status: { in: ['PENDING', 'IN_PROGRESS'] },
+        nextActionAt: { not: null },
       },
     });
 
-    if (campaignRecipient) {
+    if (recipient && recipient.nextActionAt < resumeAt) {
       await prisma.campaignRecipient.update({
-        where: { id: campaignRecipient.id },
-        data: { status: 'REPLIED' },
+        where: { id: recipient.id },
+        data: { nextActionAt: resumeAt },
       });
-      logger.info(`Marked campaign recipient ${campaignRecipient.id} as REPLIED`);
+      logger.info(`Out of office: rescheduled recipient ${recipient.id} to ${resumeAt.toISOString()}`);
     }
+  }
 
-    // Mark email as seen
-    await this.markAsSeen(connection, message);
-    this.processedMessageIds.add(messageId);
+  /**
+   * Find the contact an inbound email belongs to
+   * Known senders match by address (preferring the replied attempt's lead). Unknown senders
+   * are added as a contact on the replied attempt's lead, or on the lead whose contacts or
+   * website share their company domain.
+   * @returns {Promise<Object|null>} - Contact with lead
+   */
+  async resolveContact(tenantId, fromEmail, fromName, attempt) {
+    // MySQL's default collation makes this match case-insensitively
+    const matching = await prisma.contact.findMany({
+      where: { tenantId, email: fromEmail },
+      include: { lead: true },
+    });
 
-    logger.info(`Successfully processed inbound email from ${fromEmail} -> conversation ${conversation.id}`);
+    if (attempt) {
+      if (attempt.contact.email?.toLowerCase() === fromEmail) {
+        return prisma.contact.findUnique({ where: { id: attempt.contactId }, include: { lead: true } });
+      }
+      const onLead = matching.find(c => c.leadId === attempt.leadId);
+      if (onLead) return onLead;
+    }
+
+    if (matching.length > 0) return matching[0];
+
+    const leadId = attempt?.leadId || await this.findLeadIdByDomain(tenantId, fromEmail);
+    if (!leadId) return null;
+
+    const contact = await prisma.contact.create({
+      data: {
+        tenantId,
+        leadId,
+        name: fromName || null,
+        email: fromEmail,
+        source: 'email_reply',
+      },
+      include: { lead: true },
+    });
+    logger.info(`Added unknown sender ${fromEmail} as contact ${contact.id} on lead ${leadId}`);
+
+    return contact;
+  }
+
+  /**
+   * Find the single lead whose contacts or website use a sender's company domain
+   * Free mailbox domains never match, and ambiguous domains are left alone
+   * @returns {Promise<number|null>} - Lead ID
+   */
+  async findLeadIdByDomain(tenantId, email) {
+    const domain = email.split('@')[1];
+    if (!domain || FREE_EMAIL_DOMAINS.includes(domain)) return null;
+
+    const contacts = await prisma.contact.findMany({
+      where: { tenantId, email: { endsWith: `@${domain}` }, lead: { isDeleted: false } },
+      select: { leadId: true },
+    });
+    let leadIds = [...new Set(contacts.map(c => c.leadId))];
+
+    if (leadIds.length === 0) {
+      const leads = await prisma.lead.findMany({
+        where: { tenantId, isDeleted: false, website: { contains: domain } },
+        select: { id: true, website: true },
+      });
+      leadIds = leads.filter(lead => getHostname(lead.website) === domain).map(lead => lead.id);
+    }
+
+    if (leadIds.length !== 1) {
+      if (leadIds.length > 1) {
+        logger.info(`Domain ${domain} matches ${leadIds.length} leads, not attaching ${email}`);
+      }
+      return null;
+    }
+
+    return leadIds[0];
+  }
+
+  /**
+   * Record a reply against the attempt it answers and stop only that campaign for the contact
+   * Without a matched attempt, the contact's latest campaign email is assumed
+   */
+  async markReplied(contact, attempt, receivedDate) {
+    const repliedAttempt = attempt || await this.findLatestCampaignAttempt(contact.id);
+    if (!repliedAttempt) return;
+
+    if (!repliedAttempt.repliedAt) {
+      await prisma.contactAttempt.update({
+        where: { id: repliedAttempt.id },
+        data: { repliedAt: receivedDate },
+      });
+    }
+
+    if (!repliedAttempt.campaignId) return;
+
+    const { count } = await prisma.campaignRecipient.updateMany({
+      where: {
+        campaignId: repliedAttempt.campaignId,
+        contactId: repliedAttempt.contactId,
+        status: { in: ['PENDING', 'IN_PROGRESS'] },
+      },
+      data: { status: 'REPLIED', nextActionAt: null },
+    });
+    if (count > 0) {
+      logger.info(`Marked contact ${repliedAttempt.contactId} as REPLIED in campaign ${repliedAttempt.campaignId}`);
+    }
   }
 
   /**
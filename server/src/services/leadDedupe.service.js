@@ -0,0 +1,489 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const AppError = require('../utils/AppError');
+const { domainKey, companyNameKey, emailKey, phoneKey } = require('../utils/lookupKeys');
+
+// Fields a dedupe rule can combine; a rule matches when all of its fields match
+const MATCH_FIELDS = ['domain', 'companyName', 'email', 'phone'];
+
+// What an import does with a record that matches an existing lead
+const DUPLICATE_ACTIONS = ['skip', 'update', 'merge'];
+
+const DEFAULT_CONFIG = {
+  rules: [['domain'], ['email'], ['companyName']],
+  importAction: 'skip',
+};
+
+const MIN_PHONE_DIGITS = 7;
+
+// Leads read or backfilled per query
+const BATCH_SIZE = 500;
+
+const LEAD_SELECT = {
+  id: true,
+  companyName: true,
+  website: true,
+  sourceId: true,
+  externalId: true,
+  createdAt: true,
+  contacts: { select: { email: true, phone: true } },
+};
+
+/**
+ * Lead deduplication and merging
+ * Leads are compared on normalized keys (website domain, company name without legal suffixes,
+ * contact emails and phone digits) using the tenant's rules in Tenant.settings.dedupe.
+ * The keys are stored in indexed columns (leads.domain_key/name_key, contacts.email_key/phone_key)
+ * so only leads sharing a key with a record are loaded for matching.
+ */
+class LeadDedupeService {
+  constructor() {
+    this.matchFields = MATCH_FIELDS;
+    this.duplicateActions = DUPLICATE_ACTIONS;
+  }
+
+  /**
+   * Dedupe settings with defaults filled in
+   * @param {Object} settings - Tenant.settings
+   * @returns {Object} - { rules: string[][], importAction }
+   */
+  getConfig(settings) {
+    const dedupe = settings?.dedupe || {};
+
+    const rules = Array.isArray(dedupe.rules)
+      ? dedupe.rules
+        .map(rule => (Array.isArray(rule) ? rule : [rule]).filter(field => MATCH_FIELDS.includes(field)))
+        .filter(rule => rule.length > 0)
+      : DEFAULT_CONFIG.rules;
+
+    return {
+      rules,
+      importAction: DUPLICATE_ACTIONS.includes(dedupe.importAction) ? dedupe.importAction : DEFAULT_CONFIG.importAction,
+    };
+  }
+
+  /**
+   * Dedupe settings of a tenant
+   */
+  async getTenantConfig(tenantId) {
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { settings: true } });
+    return this.getConfig(tenant?.settings);
+  }
+
+  /**
+   * Registrable host of a website ("https://www.Acme.com/about" -> "acme.com")
+   * @returns {string|null}
+   */
+  normalizeDomain(website) {
+    return domainKey(website);
+  }
+
+  /**
+   * Company name without case, accents, punctuation or legal suffixes
+   * @returns {string|null}
+   */
+  normalizeCompanyName(name) {
+    return companyNameKey(name);
+  }
+
+  normalizeEmail(email) {
+    return emailKey(email);
+  }
+
+  /**
+   * Phone digits, compared on the last 10 so "+1 (555) 010-2030" = "555-010-2030"
+   * @returns {string|null}
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < MIN_PHONE_DIGITS) return null;
+    return digits.slice(-10);
+  }
+
+  /**
+   * Normalized keys of a lead, either a Lead with contacts or import data
+   * (import data may carry email/phone at the top level)
+   * @param {Object} lead - { companyName, website, contacts?, email?, phone? }
+   * @returns {Object} - { domain, companyName, emails: Set, phones: Set }
+   */
+  getKeys(lead) {
+    const contacts = [...(Array.isArray(lead.contacts) ? lead.contacts : [])];
+    if (lead.email || lead.phone) contacts.push({ email: lead.email, phone: lead.phone });
+
+    return {
+      domain: this.normalizeDomain(lead.website),
+      companyName: this.normalizeCompanyName(lead.companyName),
+      emails: new Set(contacts.map(c => this.normalizeEmail(c.email)).filter(Boolean)),
+      phones: new Set(contacts.map(c => this.normalizePhone(c.phone)).filter(Boolean)),
+    };
+  }
+
+  /**
+   * First rule on which two leads' keys match
+   * A company name match does not count when both leads have different domains
+   * @returns {string[]|null} - Matching rule
+   */
+  match(a, b, rules) {
+    const fieldMatches = (field) => {
+      switch (field) {
+        case 'domain':
+          return !!a.domain && a.domain === b.domain;
+        case 'companyName':
+          return !!a.companyName && a.companyName === b.companyName &&
+            !(a.domain && b.domain && a.domain !== b.domain);
+        case 'email':
+          return [...a.emails].some(email => b.emails.has(email));
+        case 'phone':
+          return [...a.phones].some(phone => b.phones.has(phone));
+        default:
+          return false;
+      }
+    };
+
+    return rules.find(rule => rule.every(fieldMatches)) || null;
+  }
+
+  /**
+   * In-memory index of leads for matching many records at once (imports, the duplicates queue)
+   * @param {Object[]} leads - Leads with id, companyName, website and contacts (email, phone)
+   * @param {string[][]} rules - Dedupe rules
+   */
+  createIndex(leads, rules) {
+    const buckets = new Map();
+    const entries = [];
+
+    const bucketKeys = (keys) => [
+      keys.domain && `d:${keys.domain}`,
+      keys.companyName && `n:${keys.companyName}`,
+      ...[...keys.emails].map(email => `e:${email}`),
+      ...[...keys.phones].map(phone => `p:${phone}`),
+    ].filter(Boolean);
+
+    const index = {
+      entries,
+
+      add: (lead) => {
+        const entry = { lead, keys: this.getKeys(lead), position: entries.length };
+        entries.push(entry);
+        for (const key of bucketKeys(entry.keys)) {
+          if (!buckets.has(key)) buckets.set(key, []);
+          buckets.get(key).push(entry);
+        }
+        return entry;
+      },
+
+      // Existing entries matching the keys, oldest first
+      candidates: (keys) => {
+        const found = new Set();
+        for (const key of bucketKeys(keys)) {
+          for (const entry of buckets.get(key) || []) found.add(entry);
+        }
+        return [...found].sort((a, b) => a.position - b.position);
+      },
+
+      /**
+       * @returns {Object|null} - { lead, rule }
+       */
+      find: (leadData, excludeId = null) => {
+        const keys = this.getKeys(leadData);
+        for (const entry of index.candidates(keys)) {
+          if (excludeId && entry.lead.id === excludeId) continue;
+          const rule = this.match(keys, entry.keys, rules);
+          if (rule) return { lead: entry.lead, rule };
+        }
+        return null;
+      },
+    };
+
+    leads.forEach(lead => index.add(lead));
+    return index;
+  }
+
+  /**
+   * Fill in the stored keys of a tenant's leads written before the key columns existed
+   * Written with raw SQL so updatedAt is left alone
+   */
+  async backfillKeys(tenantId) {
+    for (;;) {
+      const leads = await prisma.lead.findMany({
+        where: { tenantId, OR: [{ domainKey: null }, { nameKey: null }] },
+        select: { id: true, companyName: true, website: true },
+        take: BATCH_SIZE,
+      });
+      if (leads.length === 0) return;
+
+      for (const lead of leads) {
+        await prisma.$executeRaw`
+          UPDATE leads
+          SET domain_key = ${domainKey(lead.website) || ''}, name_key = ${companyNameKey(lead.companyName) || ''}
+          WHERE id = ${lead.id}
+        `;
+      }
+    }
+  }
+
+  /**
+   * Leads sharing a stored key with a record, for the fields the rules use
+   * @param {number} tenantId - Tenant ID
+   * @param {Object} keys - From getKeys
+   * @param {string[][]} rules - Dedupe rules
+   * @returns {Promise<Object[]>} - Leads with contacts, oldest first
+   */
+  async findCandidates(tenantId, keys, rules) {
+    const fields = new Set(rules.flat());
+    const emails = fields.has('email') ? [...keys.emails] : [];
+    const phones = fields.has('phone') ? [...new Set([...keys.phones].map(phoneKey).filter(Boolean))] : [];
+
+    const contactWhere = [
+      emails.length > 0 && { emailKey: { in: emails } },
+      phones.length > 0 && { phoneKey: { in: phones } },
+    ].filter(Boolean);
+    const contacts = contactWhere.length > 0
+      ? await prisma.contact.findMany({ where: { tenantId, OR: contactWhere }, select: { leadId: true } })
+      : [];
+
+    const where = [
+      fields.has('domain') && keys.domain && { domainKey: keys.domain },
+      fields.has('companyName') && keys.companyName && { nameKey: keys.companyName },
+      contacts.length > 0 && { id: { in: [...new Set(contacts.map(contact => contact.leadId))] } },
+    ].filter(Boolean);
+    if (where.length === 0) return [];
+
+    return prisma.lead.findMany({
+      where: { tenantId, isDeleted: false, OR: where },
+      select: LEAD_SELECT,
+      orderBy: { id: 'asc' },
+    });
+  }
+
+  /**
+   * Matcher for import records against a tenant's leads
+   * Existing leads are looked up by their stored keys for each record; leads added during the
+   * run are matched from memory, as they were added (e.g. without sourceId)
+   * @param {number} tenantId - Tenant ID
+   * @param {string[][]} rules - Dedupe rules
+   * @returns {Promise<Object>} - { add(lead), find(leadData, excludeId) => Promise<{ lead, rule }|null> }
+   */
+  async loadIndex(tenantId, rules) {
+    await this.backfillKeys(tenantId);
+
+    const added = this.createIndex([], rules);
+    const addedIds = new Set();
+
+    return {
+      add: (lead) => {
+        if (lead.id) addedIds.add(lead.id);
+        return added.add(lead);
+      },
+
+      find: async (leadData, excludeId = null) => {
+        const candidates = await this.findCandidates(tenantId, this.getKeys(leadData), rules);
+        const stored = this.createIndex(candidates.filter(lead => !addedIds.has(lead.id)), rules);
+        return stored.find(leadData, excludeId) || added.find(leadData, excludeId);
+      },
+    };
+  }
+
+  /**
+   * IDs of a tenant's leads sharing a stored key with another lead
+   * Every pair matching a rule shares the key of the rule's first field
+   */
+  async findSharedKeyLeadIds(tenantId, rules) {
+    const sharedLeadKey = column => Prisma.sql`
+      SELECT l.id FROM leads l
+      JOIN (
+        SELECT ${Prisma.raw(column)} AS k FROM leads
+        WHERE tenant_id = ${tenantId} AND is_deleted = 0 AND ${Prisma.raw(column)} <> ''
+        GROUP BY ${Prisma.raw(column)} HAVING COUNT(*) > 1
+      ) shared ON shared.k = l.${Prisma.raw(column)}
+      WHERE l.tenant_id = ${tenantId} AND l.is_deleted = 0
+    `;
+    const sharedContactKey = column => Prisma.sql`
+      SELECT c.lead_id AS id FROM contacts c
+      JOIN leads l ON l.id = c.lead_id
+      JOIN (
+        SELECT c2.${Prisma.raw(column)} AS k FROM contacts c2
+        JOIN leads l2 ON l2.id = c2.lead_id
+        WHERE c2.tenant_id = ${tenantId} AND l2.is_deleted = 0 AND c2.${Prisma.raw(column)} IS NOT NULL
+        GROUP BY c2.${Prisma.raw(column)} HAVING COUNT(DISTINCT c2.lead_id) > 1
+      ) shared ON shared.k = c.${Prisma.raw(column)}
+      WHERE c.tenant_id = ${tenantId} AND l.is_deleted = 0
+    `;
+    const queries = {
+      domain: () => sharedLeadKey('domain_key'),
+      companyName: () => sharedLeadKey('name_key'),
+      email: () => sharedContactKey('email_key'),
+      phone: () => sharedContactKey('phone_key'),
+    };
+
+    const fields = [...new Set(rules.map(rule => rule[0]))];
+    if (fields.length === 0) return [];
+
+    const rows = await prisma.$queryRaw(Prisma.join(fields.map(field => queries[field]()), ' UNION '));
+    return rows.map(row => Number(row.id));
+  }
+
+  /**
+   * Groups of leads that duplicate each other under the tenant's rules
+   * Only leads sharing a key with another lead are loaded
+   * @param {number} tenantId - Tenant ID
+   * @param {string[][]} rules - Dedupe rules
+   * @returns {Promise<Object[]>} - [{ leadIds, rules }] with the oldest lead first
+   */
+  async findDuplicateGroups(tenantId, rules) {
+    await this.backfillKeys(tenantId);
+
+    const ids = (await this.findSharedKeyLeadIds(tenantId, rules)).sort((a, b) => a - b);
+    const leads = [];
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      leads.push(...await prisma.lead.findMany({
+        where: { id: { in: ids.slice(i, i + BATCH_SIZE) } },
+        select: LEAD_SELECT,
+        orderBy: { id: 'asc' },
+      }));
+    }
+    const index = this.createIndex(leads, rules);
+
+    // Union-find over matching pairs
+    const parent = new Map(index.entries.map(entry => [entry.lead.id, entry.lead.id]));
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const matchedRules = new Map();
+
+    for (const entry of index.entries) {
+      for (const other of index.candidates(entry.keys)) {
+        if (other.lead.id <= entry.lead.id) continue;
+        const rule = this.match(entry.keys, other.keys, rules);
+        if (!rule) continue;
+
+        const a = find(entry.lead.id);
+        const b = find(other.lead.id);
+        const root = Math.min(a, b);
+        parent.set(a, root);
+        parent.set(b, root);
+
+        const ruleName = rule.join('+');
+        matchedRules.set(entry.lead.id, (matchedRules.get(entry.lead.id) || new Set()).add(ruleName));
+        matchedRules.set(other.lead.id, (matchedRules.get(other.lead.id) || new Set()).add(ruleName));
+      }
+    }
+
+    const groups = new Map();
+    for (const entry of index.entries) {
+      if (!matchedRules.has(entry.lead.id)) continue;
+      const root = find(entry.lead.id);
+      if (!groups.has(root)) groups.set(root, { leadIds: [], rules: new Set() });
+      const group = groups.get(root);
+      group.leadIds.push(entry.lead.id);
+      matchedRules.get(entry.lead.id).forEach(rule => group.rules.add(rule));
+    }
+
+    return [...groups.values()].map(group => ({
+      leadIds: group.leadIds.sort((a, b) => a - b),
+      rules: [...group.rules],
+    }));
+  }
+
+  /**
+   * Merge duplicate leads into a surviving lead
+   * Contacts, notes, conversations, contact attempts, campaign enrollments and converted
+   * prospects move to the survivor; its empty fields are filled from the duplicates, which are
+   * then soft-deleted with mergedIntoId set
+   * @param {number} tenantId - Tenant ID
+   * @param {number} survivorId - Lead that is kept
+   * @param {number[]} duplicateIds - Leads merged into it
+   * @param {number} userId - User merging (author of the merge note)
+   * @returns {Promise<Object>} - Counts of moved records
+   */
+  async merge(tenantId, survivorId, duplicateIds, userId) {
+    const ids = [...new Set(duplicateIds)].filter(id => id !== survivorId);
+    if (ids.length === 0) throw AppError.badRequest('Select at least one other lead to merge');
+
+    const leads = await prisma.lead.findMany({
+      where: { tenantId, isDeleted: false, id: { in: [survivorId, ...ids] } },
+      include: { industries: true },
+    });
+
+    const survivor = leads.find(lead => lead.id === survivorId);
+    if (!survivor) throw AppError.notFound('Lead not found');
+    if (leads.length !== ids.length + 1) throw AppError.badRequest('Some leads not found or already deleted');
+
+    const duplicates = ids.map(id => leads.find(lead => lead.id === id));
+
+    // Survivor values win; empty fields are taken from the duplicates in the given order
+    const fill = (field) => [survivor, ...duplicates].map(lead => lead[field]).find(value => value !== null && value !== '');
+    const customFields = [...duplicates].reverse().reduce(
+      (merged, lead) => ({ ...merged, ...(lead.customFields || {}) }),
+      {}
+    );
+    const tags = [...new Set([survivor, ...duplicates].flatMap(lead => (Array.isArray(lead.tags) ? lead.tags : [])))];
+    const industryIds = [...new Set(duplicates.flatMap(lead => lead.industries.map(li => li.industryId)))]
+      .filter(industryId => !survivor.industries.some(li => li.industryId === industryId));
+
+    const where = { leadId: { in: ids } };
+
+    const moved = await prisma.$transaction(async (tx) => {
+      const hasPrimary = await tx.contact.count({ where: { leadId: survivorId, isPrimary: true } });
+      if (hasPrimary) {
+        await tx.contact.updateMany({ where, data: { isPrimary: false } });
+      }
+
+      const result = {
+        contacts: (await tx.contact.updateMany({ where, data: { leadId: survivorId } })).count,
+        notes: (await tx.note.updateMany({ where, data: { leadId: survivorId } })).count,
+        conversations: (await tx.conversation.updateMany({ where, data: { leadId: survivorId } })).count,
+        contactAttempts: (await tx.contactAttempt.updateMany({ where, data: { leadId: survivorId } })).count,
+        campaignRecipients: (await tx.campaignRecipient.updateMany({ where, data: { leadId: survivorId } })).count,
+      };
+
+      const prospectWhere = { convertedLeadId: { in: ids } };
+      await tx.telegramProspect.updateMany({ where: prospectWhere, data: { convertedLeadId: survivorId } });
+      await tx.whatsAppProspect.updateMany({ where: prospectWhere, data: { convertedLeadId: survivorId } });
+
+      if (industryIds.length > 0) {
+        await tx.leadIndustry.createMany({
+          data: industryIds.map(industryId => ({ leadId: survivorId, industryId })),
+          skipDuplicates: true,
+        });
+      }
+
+      await tx.lead.update({
+        where: { id: survivorId },
+        data: {
+          website: fill('website') ?? null,
+          size: fill('size') ?? null,
+          timezone: fill('timezone') ?? null,
+          assignedToId: fill('assignedToId') ?? null,
+          tags,
+          customFields: { ...customFields, ...(survivor.customFields || {}) },
+        },
+      });
+
+      await tx.lead.updateMany({
+        where: { id: { in: ids } },
+        data: { isDeleted: true, mergedIntoId: survivorId },
+      });
+
+      await tx.note.create({
+        data: {
+          tenantId,
+          leadId: survivorId,
+          createdById: userId,
+          content: `Merged ${duplicates.map(lead => `${lead.companyName} (#${lead.id})`).join(', ')} into this lead`,
+        },
+      });
+
+      return result;
+    });
+
+    return { survivorId, mergedIds: ids, moved };
+  }
+}
+
+module.exports = new LeadDedupeService();
@@ -0,0 +1,350 @@
+const prisma = require('../config/database');
+const AppError = require('../utils/AppError');
+const { parseCsv, parseXlsx } = require('../utils/spreadsheet');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Mapping targets for spreadsheet columns; "custom.<key>" stores the value in Lead.customFields
+const TARGETS = [
+  { value: 'lead.companyName', label: 'Company Name', group: 'Lead' },
+  { value: 'lead.website', label: 'Website', group: 'Lead' },
+  { value: 'lead.size', label: 'Company Size', group: 'Lead' },
+  { value: 'lead.tags', label: 'Tags', group: 'Lead' },
+  { value: 'lead.timezone', label: 'Time Zone', group: 'Lead' },
+  { value: 'lead.externalId', label: 'External ID', group: 'Lead' },
+  { value: 'industries', label: 'Industries', group: 'Lead' },
+  { value: 'contact.name', label: 'Full Name', group: 'Contact' },
+  { value: 'contact.firstName', label: 'First Name', group: 'Contact' },
+  { value: 'contact.lastName', label: 'Last Name', group: 'Contact' },
+  { value: 'contact.email', label: 'Email', group: 'Contact' },
+  { value: 'contact.phone', label: 'Phone', group: 'Contact' },
+  { value: 'contact.position', label: 'Position', group: 'Contact' },
+  { value: 'contact.linkedinUrl', label: 'LinkedIn URL', group: 'Contact' },
+];
+
+// Normalized header => target, for suggesting a mapping
+const HEADER_ALIASES = {
+  'lead.companyName': ['company', 'companyname', 'organization', 'organisation', 'account', 'accountname', 'business', 'businessname'],
+  'lead.website': ['website', 'url', 'web', 'domain', 'site', 'homepage', 'companywebsite'],
+  'lead.size': ['size', 'companysize', 'employees', 'headcount', 'employeecount', 'numberofemployees'],
+  'lead.tags': ['tags', 'tag', 'labels'],
+  'lead.timezone': ['timezone', 'tz'],
+  'lead.externalId': ['id', 'externalid', 'recordid', 'leadid', 'accountid', 'crmid'],
+  'industries': ['industry', 'industries', 'sector', 'category', 'companytype', 'vertical'],
+  'contact.name': ['contactname', 'fullname', 'contact', 'person'],
+  'contact.firstName': ['firstname', 'first', 'givenname', 'fname'],
+  'contact.lastName': ['lastname', 'last', 'surname', 'familyname', 'lname'],
+  'contact.email': ['email', 'emailaddress', 'mail', 'workemail', 'contactemail'],
+  'contact.phone': ['phone', 'phonenumber', 'mobile', 'tel', 'telephone', 'cell', 'contactphone'],
+  'contact.position': ['title', 'jobtitle', 'position', 'role', 'designation'],
+  'contact.linkedinUrl': ['linkedin', 'linkedinurl', 'linkedinprofile'],
+};
+
+const COMPANY_SIZES = ['MICRO', 'SMALL', 'MEDIUM', 'LARGE', 'ENTERPRISE'];
+
+const LIST_SEPARATOR = /[,;|]/;
+
+/**
+ * Lead import from CSV and Excel files
+ * Columns are mapped to lead/contact fields, industries or customFields;
+ * mappings can be saved per tenant as ImportMappingProfile and re-applied to the same export
+ */
+class LeadImportService {
+  getTargets() {
+    return TARGETS;
+  }
+
+  /**
+   * Whether a target is a known field or a custom field key
+   */
+  isValidTarget(target) {
+    if (!target) return true; // Column is skipped
+    if (TARGETS.some(t => t.value === target)) return true;
+    return /^custom\.[\w$-]+$/.test(target);
+  }
+
+  /**
+   * File type from a file name
+   * @returns {string|null} - 'JSON', 'CSV', 'XLSX' or null
+   */
+  getFileType(fileName) {
+    if (/\.json$/i.test(fileName)) return 'JSON';
+    if (/\.(csv|tsv|txt)$/i.test(fileName)) return 'CSV';
+    if (/\.xlsx$/i.test(fileName)) return 'XLSX';
+    return null;
+  }
+
+  /**
+   * Company size enum from a size name or employee count, null when unrecognized
+   */
+  normalizeSize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return normalizeSize(String(value).trim());
+  }
+
+  /**
+   * Parse a CSV or XLSX upload into columns and rows
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileType - 'CSV' or 'XLSX'
+   * @returns {Object} - { columns, rows, delimiter?, encoding?, sheetName? }
+   */
+  parseFile(buffer, fileType) {
+    let parsed;
+    try {
+      parsed = fileType === 'XLSX' ? parseXlsx(buffer) : parseCsv(buffer);
+    } catch (err) {
+      throw AppError.badRequest(`Failed to parse ${fileType} file: ${err.message}`);
+    }
+
+    if (parsed.columns.length === 0) {
+      throw AppError.badRequest('File has no header row');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Guess a target for each column from its header
+   * @param {string[]} columns - Header row
+   * @returns {Object} - { "<column>": "<target>" }
+   */
+  suggestMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+
+    for (const column of columns) {
+      const normalized = normalizeHeader(column);
+      const target = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+
+      if (target && !used.has(target)) {
+        mapping[column] = target;
+        used.add(target);
+      }
+    }
+
+    // A bare "Name" column is the contact when the file also names the company
+    for (const column of columns) {
+      if (mapping[column] || normalizeHeader(column) !== 'name') continue;
+      const target = used.has('lead.companyName') ? 'contact.name' : 'lead.companyName';
+      if (!used.has(target)) {
+        mapping[column] = target;
+        used.add(target);
+      }
+    }
+
+    for (const column of columns) {
+      if (!mapping[column]) {
+        const key = toCustomKey(column);
+        mapping[column] = key ? `custom.${key}` : '';
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Convert rows to the lead format used by POST /data-sources/file-import
+   * Rows with the same external ID, or else the same company name or website, become one lead
+   * with several contacts
+   * @param {Object[]} rows - Rows keyed by column
+   * @param {Object} mapping - { "<column>": "<target>" }
+   * @returns {Object[]} - Leads
+   */
+  applyMapping(rows, mapping) {
+    const leads = [];
+    const byKey = new Map();
+
+    rows.forEach((row, index) => {
+      const item = this.mapRow(row, mapping);
+      const companyName = item.lead.companyName || item.contact.name || '';
+      const website = item.lead.website || '';
+      const externalId = item.lead.externalId || null;
+      const keys = externalId ? [`ext:${externalId}`] : [
+        companyName && `name:${companyName.toLowerCase()}`,
+        website && `site:${normalizeWebsite(website)}`,
+      ].filter(Boolean);
+
+      let lead = keys.map(key => byKey.get(key)).find(Boolean);
+      if (!lead) {
+        lead = {
+          _index: index,
+          companyName,
+          website,
+          externalId,
+          size: null,
+          timezone: null,
+          tags: [],
+          companyType: [],
+          contacts: [],
+          customFields: {},
+        };
+        leads.push(lead);
+      }
+      keys.forEach(key => byKey.set(key, lead));
+
+      if (!lead.website && website) lead.website = website;
+      if (!lead.size && item.lead.size) lead.size = item.lead.size;
+      if (!lead.timezone && item.lead.timezone) lead.timezone = item.lead.timezone;
+      lead.tags = [...new Set([...lead.tags, ...item.tags])];
+      lead.companyType = [...new Set([...lead.companyType, ...item.industries])];
+
+      for (const [key, value] of Object.entries(item.customFields)) {
+        if (lead.customFields[key] === undefined) lead.customFields[key] = value;
+      }
+
+      const contact = item.contact;
+      const duplicate = lead.contacts.some(c =>
+        (contact.email && c.email?.toLowerCase() === contact.email.toLowerCase()) ||
+        (!contact.email && contact.phone && c.phone === contact.phone)
+      );
+      if ((contact.email || contact.phone) && !duplicate) {
+        lead.contacts.push(contact);
+      }
+    });
+
+    return leads;
+  }
+
+  /**
+   * Map one row to lead, contact, industry, tag and custom field values
+   */
+  mapRow(row, mapping) {
+    const lead = {};
+    const contact = {};
+    const customFields = {};
+    let industries = [];
+    let tags = [];
+    let firstName = '';
+    let lastName = '';
+
+    for (const [column, target] of Object.entries(mapping)) {
+      const value = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+      if (!target || value === '') continue;
+
+      if (target.startsWith('custom.')) {
+        customFields[target.slice('custom.'.length)] = value;
+        continue;
+      }
+
+      switch (target) {
+        case 'lead.companyName':
+        case 'lead.website':
+        case 'lead.externalId':
+          lead[target.slice('lead.'.length)] = value;
+          break;
+        case 'lead.size': {
+          const size = normalizeSize(value);
+          if (size) lead.size = size;
+          else customFields.size = value;
+          break;
+        }
+        case 'lead.timezone':
+          if (isValidTimeZone(value)) lead.timezone = value;
+          else customFields.timezone = value;
+          break;
+        case 'lead.tags':
+          tags = tags.concat(splitList(value));
+          break;
+        case 'industries':
+          industries = industries.concat(splitList(value));
+          break;
+        case 'contact.firstName':
+          firstName = value;
+          break;
+        case 'contact.lastName':
+          lastName = value;
+          break;
+        default:
+          if (target.startsWith('contact.')) contact[target.slice('contact.'.length)] = value;
+      }
+    }
+
+    if (!contact.name && (firstName || lastName)) {
+      contact.name = [firstName, lastName].filter(Boolean).join(' ');
+    }
+
+    return { lead, contact, customFields, industries, tags };
+  }
+
+  /**
+   * Saved mapping profile whose columns best match an upload (all of its columns present)
+   * @param {number} tenantId - Tenant ID
+   * @param {string[]} columns - Header row of the upload
+   * @returns {Promise<Object|null>}
+   */
+  async findMatchingProfile(tenantId, columns) {
+    if (!tenantId) return null;
+
+    const profiles = await prisma.importMappingProfile.findMany({
+      where: { tenantId },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    const present = new Set(columns.map(normalizeHeader));
+    let best = null;
+
+    for (const profile of profiles) {
+      const profileColumns = Array.isArray(profile.columns) ? profile.columns : Object.keys(profile.mapping || {});
+      if (profileColumns.length === 0) continue;
+      if (!profileColumns.every(column => present.has(normalizeHeader(column)))) continue;
+      if (!best || profileColumns.length > best.size) best = { profile, size: profileColumns.length };
+    }
+
+    return best ? best.profile : null;
+  }
+
+  /**
+   * Re-key a saved mapping onto an upload's headers (case/punctuation may differ between exports)
+   * @param {Object} mapping - Saved mapping
+   * @param {string[]} columns - Header row of the upload
+   * @returns {Object}
+   */
+  alignMapping(mapping, columns) {
+    const saved = {};
+    for (const [column, target] of Object.entries(mapping || {})) {
+      saved[normalizeHeader(column)] = target;
+    }
+
+    const aligned = {};
+    for (const column of columns) {
+      const target = saved[normalizeHeader(column)];
+      aligned[column] = target === undefined ? '' : target;
+    }
+    return aligned;
+  }
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toCustomKey(header) {
+  return String(header).trim().replace(/[^\w$-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function normalizeWebsite(website) {
+  return website.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+}
+
+function splitList(value) {
+  return value.split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Company size enum from a size name or employee count ("SMALL", "11-50", "1,000+")
+ */
+function normalizeSize(value) {
+  const upper = value.toUpperCase();
+  if (COMPANY_SIZES.includes(upper)) return upper;
+
+  const match = value.replace(/,/g, '').match(/\d+/);
+  if (!match) return null;
+
+  const employees = parseInt(match[0], 10);
+  if (employees <= 10) return 'MICRO';
+  if (employees <= 50) return 'SMALL';
+  if (employees <= 200) return 'MEDIUM';
+  if (employees < 1000) return 'LARGE';
+  return 'ENTERPRISE';
+}
+
+module.exports = new LeadImportService();
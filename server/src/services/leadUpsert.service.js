@@ -0,0 +1,416 @@
+const prisma = require('../config/database');
+const { isValidTimeZone } = require('../utils/timezone');
+const industryService = require('./industry.service');
+const leadDedupeService = require('./leadDedupe.service');
+const leadImportService = require('./leadImport.service');
+
+// How a re-imported value is applied to a field of the lead it matched
+const UPDATE_POLICIES = ['overwrite', 'fill_empty', 'never'];
+
+// Fields a policy can name, besides "custom.<key>" for a single custom field;
+// "customFields" sets the policy of every custom field without its own
+const POLICY_FIELDS = ['companyName', 'website', 'size', 'timezone', 'tags', 'industries', 'contacts', 'customFields'];
+
+const DEFAULT_UPDATE_POLICY = { default: 'overwrite', fields: {} };
+
+// Import record fields kept in customFields (the Lead model has no columns for them)
+const EXTRA_FIELDS = [
+  'notes', 'city', 'address', 'state', 'country', 'postalCode',
+  'location', 'isMarketplace', 'marketplaceName', 'websiteStatus',
+];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Creates leads from import records (file imports, scrapers) or refreshes the lead a record matches
+ *
+ * A record matches a lead of the same data source with its external ID (record key in the
+ * source), else any lead under the tenant's dedupe rules. Matches with leads the same source
+ * imported earlier are refreshed; other matches follow the import's duplicate action.
+ * Refreshed fields follow the source's update policy (DataSource.config.updatePolicy):
+ * overwrite, fill_empty (only when the lead has no value) or never. Tags, industries and
+ * contacts are only ever added to.
+ */
+class LeadUpsertService {
+  constructor() {
+    this.updatePolicies = UPDATE_POLICIES;
+    this.policyFields = POLICY_FIELDS;
+  }
+
+  isPolicyField(field) {
+    return POLICY_FIELDS.includes(field) || /^custom\.[\w$-]+$/.test(field);
+  }
+
+  /**
+   * Update policy of a data source with defaults filled in
+   * @param {Object} config - DataSource.config
+   * @returns {Object} - { default, fields: { "<field>": policy } }
+   */
+  getUpdatePolicy(config) {
+    const policy = config?.updatePolicy || {};
+    const fields = policy.fields && typeof policy.fields === 'object' ? policy.fields : {};
+
+    return {
+      default: UPDATE_POLICIES.includes(policy.default) ? policy.default : DEFAULT_UPDATE_POLICY.default,
+      fields: Object.fromEntries(
+        Object.entries(fields).filter(([field, mode]) => this.isPolicyField(field) && UPDATE_POLICIES.includes(mode))
+      ),
+    };
+  }
+
+  policyFor(policy, field) {
+    if (policy.fields[field]) return policy.fields[field];
+    if (field.startsWith('custom.') && policy.fields.customFields) return policy.fields.customFields;
+    return policy.default;
+  }
+
+  /**
+   * State shared by the records of one import or run
+   * @param {Object} dataSource - Data source the records come from
+   * @param {Object} options - { userId, duplicateAction, log }
+   */
+  async createContext(dataSource, { userId = null, duplicateAction = null, log = null } = {}) {
+    const tenantId = dataSource.tenantId;
+    const dedupe = await leadDedupeService.getTenantConfig(tenantId);
+    const index = await leadDedupeService.loadIndex(tenantId, dedupe.rules);
+
+    return {
+      tenantId,
+      dataSource,
+      userId,
+      log,
+      policy: this.getUpdatePolicy(dataSource.config),
+      duplicateAction: duplicateAction || dedupe.importAction,
+      index,
+      externalIds: new Map(), // Records added during this run; earlier leads are looked up per record
+      counts: { found: 0, created: 0, updated: 0, unchanged: 0, skipped: 0 },
+    };
+  }
+
+  getExternalId(leadData) {
+    if (isEmpty(leadData.externalId)) return null;
+    return String(leadData.externalId).trim().slice(0, 255) || null;
+  }
+
+  /**
+   * Lead a record matches
+   * @returns {Object|null} - { lead, rule, sameSource } where sameSource is true for a lead the
+   *   data source imported before this run
+   */
+  async findExisting(ctx, leadData) {
+    const externalId = this.getExternalId(leadData);
+    if (externalId) {
+      const lead = ctx.externalIds.get(externalId) || (ctx.dataSource.id && await prisma.lead.findFirst({
+        where: { tenantId: ctx.tenantId, sourceId: ctx.dataSource.id, externalId, isDeleted: false },
+        select: { id: true, companyName: true, sourceId: true, externalId: true },
+        orderBy: { id: 'asc' },
+      }));
+      if (lead) return { lead, rule: ['externalId'], sameSource: lead.sourceId === ctx.dataSource.id };
+    }
+
+    const duplicate = await ctx.index.find(leadData);
+    if (!duplicate) return null;
+
+    return {
+      ...duplicate,
+      sameSource: !!ctx.dataSource.id && duplicate.lead.sourceId === ctx.dataSource.id,
+    };
+  }
+
+  /**
+   * Make a record matchable by the records after it
+   * Leads added this way don't count as the source's earlier leads, so records repeated within
+   * one import follow the duplicate action instead of refreshing each other
+   */
+  remember(ctx, leadData, id) {
+    const lead = { ...leadData, id, sourceId: null };
+    ctx.index.add(lead);
+
+    const externalId = this.getExternalId(leadData);
+    if (externalId && !ctx.externalIds.has(externalId)) ctx.externalIds.set(externalId, lead);
+  }
+
+  /**
+   * What to do with a record matching a lead: its own duplicateAction, else refresh a lead of
+   * the same source, else the import's duplicate action
+   */
+  getAction(ctx, leadData, existing) {
+    if (leadDedupeService.duplicateActions.includes(leadData.duplicateAction)) return leadData.duplicateAction;
+    return existing.sameSource ? 'update' : ctx.duplicateAction;
+  }
+
+  /**
+   * Create or refresh the lead for an import record
+   * @param {Object} ctx - From createContext
+   * @param {Object} leadData - { externalId, companyName, website, size, timezone, tags, companyType
+   *   or industry, customFields, contacts or email/phone/contactName/position, duplicateAction }
+   * @returns {Promise<Object>} - { status: created|updated|unchanged|skipped, leadId }
+   */
+  async upsert(ctx, leadData) {
+    ctx.counts.found++;
+
+    const existing = await this.findExisting(ctx, leadData);
+    if (!existing) {
+      const lead = await this.createLead(ctx, leadData);
+      this.remember(ctx, leadData, lead.id);
+      ctx.counts.created++;
+      return { status: 'created', leadId: lead.id };
+    }
+
+    const { lead, rule } = existing;
+    const label = `lead #${lead.id} "${lead.companyName}"`;
+    const action = this.getAction(ctx, leadData, existing);
+
+    if (action === 'skip') {
+      ctx.counts.skipped++;
+      ctx.log?.info(`Skipped "${leadData.companyName || leadData.email || ''}": matches ${label} on ${rule.join('+')}`);
+      return { status: 'skipped', leadId: lead.id };
+    }
+
+    const policy = action === 'merge' ? this.toMergePolicy(ctx.policy) : ctx.policy;
+    const changes = await this.updateLead(ctx.tenantId, lead.id, leadData, policy, {
+      externalId: existing.sameSource ? this.getExternalId(leadData) : null,
+    });
+
+    if (changes.length === 0) {
+      ctx.counts.unchanged++;
+      return { status: 'unchanged', leadId: lead.id };
+    }
+
+    ctx.counts.updated++;
+    ctx.log?.info(`Updated ${label}: ${changes.map(change => this.formatChange(change)).join('; ')}`);
+    return { status: 'updated', leadId: lead.id, changes };
+  }
+
+  /**
+   * "merge" fills empty fields only: overwrite policies become fill_empty
+   */
+  toMergePolicy(policy) {
+    const merge = mode => (mode === 'overwrite' ? 'fill_empty' : mode);
+    return {
+      default: merge(policy.default),
+      fields: Object.fromEntries(Object.entries(policy.fields).map(([field, mode]) => [field, merge(mode)])),
+    };
+  }
+
+  formatChange(change) {
+    const format = value => (isEmpty(value) ? '(empty)' : JSON.stringify(value));
+    if (change.added) return `${change.field} +${change.added.join(', +')}`;
+    return `${change.field}: ${format(change.from)} -> ${format(change.to)}`;
+  }
+
+  /**
+   * Custom fields of a record: extra fields plus its customFields
+   */
+  getCustomFields(leadData) {
+    const customFields = {};
+    for (const field of EXTRA_FIELDS) {
+      if (!isEmpty(leadData[field])) customFields[field] = leadData[field];
+    }
+    if (leadData.customFields && typeof leadData.customFields === 'object') {
+      Object.assign(customFields, leadData.customFields);
+    }
+    return customFields;
+  }
+
+  getIndustryNames(leadData) {
+    const names = Array.isArray(leadData.companyType) ? leadData.companyType : [leadData.industry];
+    return names.filter(name => typeof name === 'string' && name.trim());
+  }
+
+  /**
+   * Contacts of a record: its contacts with an email or phone, plus top-level contact fields
+   */
+  getContacts(leadData) {
+    const contacts = (Array.isArray(leadData.contacts) ? leadData.contacts : []).filter(c => c && (c.email || c.phone));
+    if (leadData.email || leadData.phone || leadData.contactName) {
+      contacts.push({ name: leadData.contactName, email: leadData.email, phone: leadData.phone, position: leadData.position });
+    }
+    return contacts;
+  }
+
+  /**
+   * Position record for a contact's job title, created when new
+   */
+  async getPositionId(tenantId, position) {
+    const name = typeof position === 'string' ? position.trim() : '';
+    if (!name) return null;
+
+    let record = await prisma.position.findFirst({ where: { tenantId, name } });
+    if (!record) {
+      record = await prisma.position.create({ data: { tenantId, name } });
+    }
+    return record.id;
+  }
+
+  async createContact(tenantId, leadId, contact, isPrimary) {
+    return prisma.contact.create({
+      data: {
+        tenantId,
+        leadId,
+        name: contact.name || null,
+        email: contact.email || null,
+        phone: contact.phone || null,
+        position: contact.position || null,
+        positionId: await this.getPositionId(tenantId, contact.position),
+        linkedinUrl: contact.linkedin_url || contact.linkedinUrl || null,
+        source: contact.source || null,
+        isPrimary,
+      },
+    });
+  }
+
+  /**
+   * Create a lead with its industries and contacts
+   */
+  async createLead(ctx, leadData) {
+    const { tenantId } = ctx;
+
+    const lead = await prisma.lead.create({
+      data: {
+        tenantId,
+        sourceId: ctx.dataSource.id || null,
+        externalId: this.getExternalId(leadData),
+        createdById: ctx.userId || null,
+        companyName: leadData.companyName || 'Unknown Company',
+        website: leadData.website || null,
+        size: leadImportService.normalizeSize(leadData.size),
+        status: 'NEW',
+        tags: Array.isArray(leadData.tags) ? leadData.tags : [],
+        timezone: isValidTimeZone(leadData.timezone) ? leadData.timezone : null,
+        customFields: this.getCustomFields(leadData),
+      },
+    });
+
+    const industryNames = this.getIndustryNames(leadData);
+    if (industryNames.length > 0) {
+      const industries = await industryService.getOrCreateIndustries(tenantId, industryNames);
+      if (industries.length > 0) {
+        await industryService.linkIndustriesToLead(lead.id, industries.map(i => i.id));
+      }
+    }
+
+    // The most complete contact is primary (name, then email, then position)
+    const contacts = this.getContacts(leadData);
+    const score = contact => (contact.name ? 3 : 0) + (contact.email ? 2 : 0) + (contact.position ? 1 : 0);
+    const primaryIndex = contacts.reduce((best, contact, i) => (score(contact) > score(contacts[best]) ? i : best), 0);
+
+    for (let i = 0; i < contacts.length; i++) {
+      await this.createContact(tenantId, lead.id, contacts[i], i === primaryIndex);
+    }
+
+    return lead;
+  }
+
+  /**
+   * Apply an import record to a lead under an update policy
+   * @param {number} tenantId - Tenant ID
+   * @param {number} leadId - Lead to update
+   * @param {Object} leadData - Import record
+   * @param {Object} policy - { default, fields } from getUpdatePolicy
+   * @param {Object} options - { externalId } to set when the lead has none
+   * @returns {Promise<Object[]>} - Changes: { field, from, to } or { field, added } for tags,
+   *   industries and contacts
+   */
+  async updateLead(tenantId, leadId, leadData, policy, { externalId = null } = {}) {
+    const existing = await prisma.lead.findUnique({
+      where: { id: leadId },
+      include: {
+        contacts: { select: { email: true, phone: true } },
+        industries: { include: { industry: { select: { name: true } } } },
+      },
+    });
+
+    const changes = [];
+    const data = {};
+
+    // New value of a field under its policy, recording a change
+    const apply = (field, current, incoming) => {
+      if (isEmpty(incoming) || isEqual(current, incoming)) return current;
+
+      const mode = this.policyFor(policy, field);
+      if (mode === 'never' || (mode === 'fill_empty' && !isEmpty(current))) return current;
+
+      changes.push({ field, from: current ?? null, to: incoming });
+      return incoming;
+    };
+
+    // Which of the incoming list values a list field gets
+    const addable = (field, current, incoming) => {
+      const mode = this.policyFor(policy, field);
+      if (mode === 'never' || (mode === 'fill_empty' && current.length > 0)) return [];
+      return incoming;
+    };
+
+    const incoming = {
+      companyName: leadData.companyName,
+      website: leadData.website,
+      size: leadImportService.normalizeSize(leadData.size),
+      timezone: isValidTimeZone(leadData.timezone) ? leadData.timezone : null,
+    };
+    for (const [field, value] of Object.entries(incoming)) {
+      const next = apply(field, existing[field], value);
+      if (next !== existing[field]) data[field] = next;
+    }
+
+    const currentCustom = existing.customFields && typeof existing.customFields === 'object' ? existing.customFields : {};
+    const customFields = { ...currentCustom };
+    for (const [key, value] of Object.entries(this.getCustomFields(leadData))) {
+      const next = apply(`custom.${key}`, currentCustom[key], value);
+      if (next !== undefined) customFields[key] = next;
+    }
+    if (!isEqual(customFields, currentCustom)) data.customFields = customFields;
+
+    const currentTags = Array.isArray(existing.tags) ? existing.tags : [];
+    const newTags = addable('tags', currentTags, Array.isArray(leadData.tags) ? leadData.tags : [])
+      .filter((tag, i, tags) => !currentTags.includes(tag) && tags.indexOf(tag) === i);
+    if (newTags.length > 0) {
+      data.tags = [...currentTags, ...newTags];
+      changes.push({ field: 'tags', added: newTags });
+    }
+
+    if (externalId && !existing.externalId) {
+      data.externalId = externalId;
+      changes.push({ field: 'externalId', from: null, to: externalId });
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.lead.update({ where: { id: leadId }, data });
+    }
+
+    const currentIndustries = existing.industries.map(li => li.industry.name.toLowerCase());
+    const newIndustries = addable('industries', currentIndustries, this.getIndustryNames(leadData))
+      .filter(name => !currentIndustries.includes(name.trim().toLowerCase()));
+    if (newIndustries.length > 0) {
+      const industries = await industryService.getOrCreateIndustries(tenantId, newIndustries);
+      await prisma.leadIndustry.createMany({
+        data: industries.map(industry => ({ leadId, industryId: industry.id })),
+        skipDuplicates: true,
+      });
+      changes.push({ field: 'industries', added: industries.map(industry => industry.name) });
+    }
+
+    // Contacts the lead doesn't have yet (by email, or phone when there is no email)
+    const known = leadDedupeService.getKeys({ contacts: existing.contacts });
+    const added = [];
+    for (const contact of addable('contacts', existing.contacts, this.getContacts(leadData))) {
+      const email = leadDedupeService.normalizeEmail(contact.email);
+      const phone = leadDedupeService.normalizePhone(contact.phone);
+      if (!email && !phone) continue;
+      if (email ? known.emails.has(email) : known.phones.has(phone)) continue;
+
+      await this.createContact(tenantId, leadId, contact, existing.contacts.length === 0 && added.length === 0);
+      if (email) known.emails.add(email);
+      if (phone) known.phones.add(phone);
+      added.push(contact.email || contact.phone);
+    }
+    if (added.length > 0) changes.push({ field: 'contacts', added });
+
+    return changes;
+  }
+}
+
+module.exports = new LeadUpsertService();
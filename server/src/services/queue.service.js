@@ -1,3 +1,6 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../config/database');
 const config = require('../config');
 const logger = require('../utils/logger');
@@ -5,24 +8,51 @@ const logger = require('../utils/logger');
 /**
  * Database-backed job queue service
  * Uses MySQL/PostgreSQL for job storage instead of Redis
+ *
+ * Safe to run in several processes: jobs are claimed atomically with
+ * SELECT ... FOR UPDATE SKIP LOCKED and held under a lease (lockedBy/lockedUntil).
+ * Jobs whose lease expires (worker crashed or was stopped) are put back in the queue.
  */
 class QueueService {
   constructor() {
     this.isProcessing = false;
     this.handlers = {};
+    this.concurrency = {};
+    this.running = new Map(); // jobId -> type, jobs this worker is executing
+    this.hasBacklog = false;
     this.pollInterval = null;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
   }
 
   /**
    * Register a job handler
    * @param {string} jobType - Type of job to handle
    * @param {Function} handler - Handler function (receives job data, returns result)
+   * @param {Object} options - { concurrency } max jobs of this type running at once in this worker
    */
-  registerHandler(jobType, handler) {
+  registerHandler(jobType, handler, options = {}) {
     this.handlers[jobType] = handler;
+    if (options.concurrency) {
+      this.concurrency[jobType] = options.concurrency;
+    }
     logger.info(`Registered job handler for: ${jobType}`);
   }
 
+  /**
+   * Max concurrent jobs of a type in this worker (JOB_TYPE_CONCURRENCY overrides handler defaults)
+   */
+  getTypeConcurrency(jobType) {
+    return config.jobs.typeConcurrency[jobType] || this.concurrency[jobType] || config.jobs.concurrency;
+  }
+
+  /**
+   * How long a claimed job is leased to this worker
+   * Longer than the job timeout so a live worker always finishes first
+   */
+  getLeaseMs() {
+    return config.jobs.timeout + config.jobs.leaseGrace;
+  }
+
   /**
    * Add a job to the queue
    * @param {string} type - Job type
@@ -31,23 +61,38 @@ class QueueService {
    * @param {string} options.tenantId - Tenant ID
    * @param {number} options.priority - Priority (higher = processed first)
    * @param {Date} options.scheduledAt - When to run (null = immediately)
-   * @returns {Promise<Object>} - Created job
+   * @param {number} options.maxAttempts - Attempts before the job is marked FAILED (default 3)
+   * @param {string} options.dedupeKey - Skip if a job of this type with the same key is still open
+   * @param {number} options.channelConfigId - Channel the job sends on (counted against its sending limits)
+   * @returns {Promise<Object>} - Created job (or the open job with the same dedupe key)
    */
   async addJob(type, payload, options = {}) {
-    const { tenantId, priority = 0, scheduledAt = null } = options;
+    const { tenantId, priority = 0, scheduledAt = null, maxAttempts = 3, dedupeKey = null, channelConfigId = null } = options;
 
-    const job = await prisma.jobQueue.create({
-      data: {
-        tenantId,
-        type,
-        payload,
-        status: 'PENDING',
-        priority,
-        scheduledAt: scheduledAt || new Date(),
-        attempts: 0,
-        maxAttempts: 3,
-      },
-    });
+    let job;
+    try {
+      job = await prisma.jobQueue.create({
+        data: {
+          tenantId,
+          type,
+          payload,
+          status: 'PENDING',
+          priority,
+          scheduledAt: scheduledAt || new Date(),
+          attempts: 0,
+          maxAttempts,
+          dedupeKey,
+          channelConfigId,
+        },
+      });
+    } catch (error) {
+      // Unique (type, dedupeKey) - another scheduler/instance already queued it
+      if (dedupeKey && error.code === 'P2002') {
+        logger.debug('Job already queued', { type, dedupeKey });
+        return prisma.jobQueue.findFirst({ where: { type, dedupeKey } });
+      }
+      throw error;
+    }
 
     logger.debug('Job added to queue', { jobId: job.id, type });
     return job;
@@ -66,7 +111,8 @@ class QueueService {
       priority: job.options?.priority || 0,
       scheduledAt: job.options?.scheduledAt || new Date(),
       attempts: 0,
-      maxAttempts: 3,
+      maxAttempts: job.options?.maxAttempts || 3,
+      channelConfigId: job.options?.channelConfigId || null,
     }));
 
     const result = await prisma.jobQueue.createMany({ data });
@@ -84,6 +130,7 @@ class QueueService {
     }
 
     logger.info('Starting job queue processor', {
+      workerId: this.workerId,
       interval: config.jobs.pollInterval,
       concurrency: config.jobs.concurrency,
     });
@@ -99,17 +146,18 @@ class QueueService {
 
   /**
    * Stop processing jobs
+   * Jobs still running keep their lease; if the process exits they are recovered once it expires
    */
   stop() {
     if (this.pollInterval) {
       clearInterval(this.pollInterval);
       this.pollInterval = null;
-      logger.info('Job queue processor stopped');
+      logger.info('Job queue processor stopped', { running: this.running.size });
     }
   }
 
   /**
-   * Process pending jobs
+   * Recover stuck jobs, claim as many due jobs as there are free slots and start them
    */
   async processJobs() {
     if (this.isProcessing) {
@@ -117,101 +165,189 @@ class QueueService {
     }
 
     this.isProcessing = true;
+    let filled = false;
 
     try {
-      // Fetch pending jobs that are due
-      const jobs = await prisma.jobQueue.findMany({
-        where: {
-          status: 'PENDING',
-          scheduledAt: { lte: new Date() },
-          attempts: { lt: 3 }, // prisma doesn't support self-reference, use maxAttempts default
-        },
-        orderBy: [
-          { priority: 'desc' },
-          { scheduledAt: 'asc' },
-        ],
-        take: config.jobs.concurrency,
-      });
+      await this.recoverStuckJobs();
 
-      if (jobs.length === 0) {
-        this.isProcessing = false;
-        return;
-      }
+      const slots = config.jobs.concurrency - this.running.size;
+      const jobs = slots > 0 ? await this.claimJobs(slots) : [];
+      filled = jobs.length > 0 && jobs.length === slots;
 
-      logger.debug(`Processing ${jobs.length} jobs`);
+      if (jobs.length > 0) {
+        logger.debug(`Processing ${jobs.length} jobs`);
+      }
 
-      // Process jobs concurrently
-      await Promise.all(jobs.map((job) => this.processJob(job)));
+      for (const job of jobs) {
+        this.running.set(job.id, job.type);
+        this.processJob(job).finally(() => {
+          this.running.delete(job.id);
+          // More work is probably waiting - don't leave the slot idle until the next poll
+          if (this.pollInterval && this.hasBacklog) {
+            setImmediate(() => this.processJobs());
+          }
+        });
+      }
     } catch (error) {
       logger.error('Error in job processor', { error: error.message });
     } finally {
+      this.hasBacklog = filled;
       this.isProcessing = false;
     }
   }
 
   /**
-   * Process a single job
+   * Atomically claim due jobs for this worker
+   * Rows locked by another worker's claim are skipped rather than waited on,
+   * and per-type concurrency limits are applied before the lease is taken.
+   * @param {number} slots - Max jobs to claim
+   * @returns {Promise<Object[]>} - Claimed jobs (status PROCESSING, attempts incremented)
    */
-  async processJob(job) {
-    const handler = this.handlers[job.type];
+  async claimJobs(slots) {
+    const runningByType = {};
+    for (const type of this.running.values()) {
+      runningByType[type] = (runningByType[type] || 0) + 1;
+    }
 
-    if (!handler) {
-      logger.warn(`No handler registered for job type: ${job.type}`);
-      await prisma.jobQueue.update({
-        where: { id: job.id },
-        data: {
-          status: 'FAILED',
-          errorMessage: `No handler for job type: ${job.type}`,
-          completedAt: new Date(),
-        },
+    // Only claim types this worker can run and still has room for
+    const types = Object.keys(this.handlers).filter(
+      type => (runningByType[type] || 0) < this.getTypeConcurrency(type)
+    );
+    if (types.length === 0) return [];
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + this.getLeaseMs());
+
+    return prisma.$transaction(async (tx) => {
+      // Over-fetch so a type at its limit doesn't starve the others
+      const candidates = await tx.$queryRaw`
+        SELECT id, type FROM job_queue
+        WHERE status = 'PENDING'
+          AND scheduled_at <= ${now}
+          AND attempts < max_attempts
+          AND type IN (${Prisma.join(types)})
+        ORDER BY priority DESC, scheduled_at ASC
+        LIMIT ${slots * 4}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      const ids = [];
+      for (const candidate of candidates) {
+        if (ids.length >= slots) break;
+        const running = runningByType[candidate.type] || 0;
+        if (running >= this.getTypeConcurrency(candidate.type)) continue;
+        runningByType[candidate.type] = running + 1;
+        ids.push(candidate.id);
+      }
+
+      if (ids.length === 0) return [];
+
+      await tx.$executeRaw`
+        UPDATE job_queue
+        SET status = 'PROCESSING',
+            locked_by = ${this.workerId},
+            locked_until = ${lockedUntil},
+            started_at = ${now},
+            attempts = attempts + 1
+        WHERE id IN (${Prisma.join(ids)})
+      `;
+
+      return tx.jobQueue.findMany({
+        where: { id: { in: ids } },
+        orderBy: [{ priority: 'desc' }, { scheduledAt: 'asc' }],
       });
-      return;
+    });
+  }
+
+  /**
+   * Put jobs whose lease expired back in the queue (or fail them if out of attempts)
+   * PROCESSING jobs without a lease (claimed before leases existed) are recovered after one lease period
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recoverStuckJobs() {
+    const now = new Date();
+    const staleStartedAt = new Date(now.getTime() - this.getLeaseMs());
+    const error = 'Worker lease expired - the worker stopped or crashed while running this job';
+
+    const failed = await prisma.$executeRaw`
+      UPDATE job_queue
+      SET status = 'FAILED', completed_at = ${now}, error_message = ${error},
+          locked_by = NULL, locked_until = NULL, dedupe_key = NULL
+      WHERE status = 'PROCESSING'
+        AND (locked_until < ${now} OR (locked_until IS NULL AND started_at < ${staleStartedAt}))
+        AND attempts >= max_attempts
+    `;
+
+    const retried = await prisma.$executeRaw`
+      UPDATE job_queue
+      SET status = 'PENDING', scheduled_at = ${now}, error_message = ${error},
+          locked_by = NULL, locked_until = NULL
+      WHERE status = 'PROCESSING'
+        AND (locked_until < ${now} OR (locked_until IS NULL AND started_at < ${staleStartedAt}))
+        AND attempts < max_attempts
+    `;
+
+    if (failed + retried > 0) {
+      logger.warn('Recovered stuck jobs', { retried, failed });
     }
 
-    // Mark as processing
-    await prisma.jobQueue.update({
-      where: { id: job.id },
-      data: {
-        status: 'PROCESSING',
-        startedAt: new Date(),
-        attempts: job.attempts + 1,
-      },
-    });
+    return failed + retried;
+  }
+
+  /**
+   * Process a single claimed job
+   * Result updates only apply while this worker still holds the lease
+   */
+  async processJob(job) {
+    const handler = this.handlers[job.type];
+    const owned = { id: job.id, lockedBy: this.workerId };
+    let timer;
 
     try {
       // Execute handler with timeout
-      const result = await Promise.race([
+      await Promise.race([
         handler(job.payload, job),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Job timeout')), config.jobs.timeout)
-        ),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Job timeout')), config.jobs.timeout);
+        }),
       ]);
 
       // Mark as completed
-      await prisma.jobQueue.update({
-        where: { id: job.id },
+      const { count } = await prisma.jobQueue.updateMany({
+        where: owned,
         data: {
           status: 'COMPLETED',
           completedAt: new Date(),
+          errorMessage: null,
+          lockedBy: null,
+          lockedUntil: null,
+          dedupeKey: null,
         },
       });
 
+      if (count === 0) {
+        logger.warn('Job finished after its lease was lost', { jobId: job.id, type: job.type });
+      }
+
       logger.debug('Job completed', { jobId: job.id, type: job.type });
     } catch (error) {
-      const attempts = job.attempts + 1;
+      const attempts = job.attempts;
       const maxAttempts = job.maxAttempts || 3;
+      const willRetry = attempts < maxAttempts;
 
       // Mark as failed or pending retry
-      await prisma.jobQueue.update({
-        where: { id: job.id },
+      await prisma.jobQueue.updateMany({
+        where: owned,
         data: {
-          status: attempts >= maxAttempts ? 'FAILED' : 'PENDING',
+          status: willRetry ? 'PENDING' : 'FAILED',
           errorMessage: error.message,
-          completedAt: attempts >= maxAttempts ? new Date() : null,
+          completedAt: willRetry ? null : new Date(),
+          lockedBy: null,
+          lockedUntil: null,
           // Exponential backoff for retry
-          scheduledAt: attempts < maxAttempts
-            ? new Date(Date.now() + Math.pow(2, attempts) * 60000)
-            : undefined,
+          ...(willRetry
+            ? { scheduledAt: new Date(Date.now() + Math.pow(2, attempts) * 60000) }
+            : { dedupeKey: null }),
         },
       });
 
@@ -220,8 +356,11 @@ class QueueService {
         type: job.type,
         error: error.message,
         attempts,
-        willRetry: attempts < maxAttempts,
+        maxAttempts,
+        willRetry,
       });
+    } finally {
+      clearTimeout(timer);
     }
   }
 
@@ -250,6 +389,115 @@ class QueueService {
     return { pending, processing, completed, failed, total: pending + processing + completed + failed };
   }
 
+  /**
+   * Queue depth and failure rates per job type
+   * @param {Object} where - Base filter (e.g. { tenantId })
+   * @param {number} hours - Window for the failure rate
+   * @returns {Promise<Object[]>} - [{ type, pending, due, processing, completed, failed, cancelled,
+   *   recentCompleted, recentFailed, failureRate, oldestPendingAt }]
+   */
+  async getTypeStats(where = {}, hours = 24) {
+    const now = new Date();
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    const [byStatus, recent, due, oldest] = await Promise.all([
+      prisma.jobQueue.groupBy({
+        by: ['type', 'status'],
+        where,
+        _count: { _all: true },
+      }),
+      prisma.jobQueue.groupBy({
+        by: ['type', 'status'],
+        where: { ...where, status: { in: ['COMPLETED', 'FAILED'] }, completedAt: { gte: since } },
+        _count: { _all: true },
+      }),
+      prisma.jobQueue.groupBy({
+        by: ['type'],
+        where: { ...where, status: 'PENDING', scheduledAt: { lte: now } },
+        _count: { _all: true },
+      }),
+      prisma.jobQueue.groupBy({
+        by: ['type'],
+        where: { ...where, status: 'PENDING' },
+        _min: { scheduledAt: true },
+      }),
+    ]);
+
+    const stats = {};
+    const entry = (type) => {
+      stats[type] = stats[type] || {
+        type,
+        pending: 0,
+        due: 0,
+        processing: 0,
+        completed: 0,
+        failed: 0,
+        cancelled: 0,
+        recentCompleted: 0,
+        recentFailed: 0,
+        failureRate: null,
+        oldestPendingAt: null,
+      };
+      return stats[type];
+    };
+
+    for (const row of byStatus) {
+      const key = row.status.toLowerCase();
+      if (key in entry(row.type)) entry(row.type)[key] += row._count._all;
+    }
+    for (const row of recent) {
+      if (row.status === 'COMPLETED') entry(row.type).recentCompleted = row._count._all;
+      if (row.status === 'FAILED') entry(row.type).recentFailed = row._count._all;
+    }
+    for (const row of due) entry(row.type).due = row._count._all;
+    for (const row of oldest) entry(row.type).oldestPendingAt = row._min.scheduledAt;
+
+    return Object.values(stats)
+      .map((stat) => {
+        const finished = stat.recentCompleted + stat.recentFailed;
+        return { ...stat, failureRate: finished > 0 ? stat.recentFailed / finished : null };
+      })
+      .sort((a, b) => a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Put a failed or cancelled job back in the queue with a fresh set of attempts
+   * @returns {Promise<Object>} - Updated job
+   */
+  async retryJob(jobId) {
+    return prisma.jobQueue.update({
+      where: { id: jobId },
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        scheduledAt: new Date(),
+        startedAt: null,
+        completedAt: null,
+        errorMessage: null,
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    });
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * Only PENDING/RETRY jobs are touched, so a worker that claimed it in the meantime wins
+   * @returns {Promise<boolean>} - Whether the job was cancelled
+   */
+  async cancelJob(jobId) {
+    const { count } = await prisma.jobQueue.updateMany({
+      where: { id: jobId, status: { in: ['PENDING', 'RETRY'] } },
+      data: {
+        status: 'CANCELLED',
+        completedAt: new Date(),
+        errorMessage: 'Cancelled',
+        dedupeKey: null,
+      },
+    });
+    return count > 0;
+  }
+
   /**
    * Cleanup old completed/failed jobs
    * @param {number} days - Delete jobs older than this many days
@@ -260,7 +508,7 @@ class QueueService {
 
     const result = await prisma.jobQueue.deleteMany({
       where: {
-        status: { in: ['COMPLETED', 'FAILED'] },
+        status: { in: ['COMPLETED', 'FAILED', 'CANCELLED'] },
         completedAt: { lt: cutoffDate },
       },
     });
@@ -1,8 +1,13 @@
 const { chromium } = require('playwright');
-const RSSParser = require('rss-parser');
-const prisma = require('../config/database');
 const config = require('../config');
 const logger = require('../utils/logger');
+const dataSourceRunService = require('./dataSourceRun.service');
+const leadUpsertService = require('./leadUpsert.service');
+const scriptSandboxService = require('./scriptSandbox.service');
+const apiSourceService = require('./apiSource.service');
+
+// Source types fetched by the scraper (manually or on their polling frequency)
+const SCRAPER_TYPES = ['PLAYWRIGHT', 'API', 'RSS'];
 
 /**
  * Scraper service for collecting leads from various data sources
@@ -10,7 +15,7 @@ const logger = require('../utils/logger');
 class ScraperService {
   constructor() {
     this.browser = null;
-    this.rssParser = new RSSParser();
+    this.sourceTypes = SCRAPER_TYPES;
   }
 
   /**
@@ -38,6 +43,8 @@ class ScraperService {
 
   /**
    * Run a data source scrape job
+   * Each run is recorded as a DataSourceRun with its lead counts and a log of created,
+   * refreshed and skipped leads
    * @param {Object} dataSource - Data source record from database
    */
   async run(dataSource) {
@@ -47,57 +54,56 @@ class ScraperService {
     });
 
     const startTime = Date.now();
-    let leadsCollected = 0;
+    const { run, log } = await dataSourceRunService.start(dataSource.id);
+    let ctx = null;
     let error = null;
 
     try {
+      ctx = await leadUpsertService.createContext(dataSource, { log });
+      log.info(`Running ${dataSource.type} scraper on ${dataSource.url}`);
+
       switch (dataSource.type) {
         case 'PLAYWRIGHT':
-          leadsCollected = await this.runPlaywrightScraper(dataSource);
+          await this.runPlaywrightScraper(dataSource, ctx);
           break;
         case 'API':
-          leadsCollected = await this.runApiScraper(dataSource);
+          await this.runApiScraper(dataSource, ctx);
           break;
         case 'RSS':
-          leadsCollected = await this.runRssScraper(dataSource);
+          await this.runRssScraper(dataSource, ctx);
           break;
         default:
           throw new Error(`Unknown scraper type: ${dataSource.type}`);
       }
 
-      // Update data source status
-      await prisma.dataSource.update({
-        where: { id: dataSource.id },
-        data: {
-          lastRunAt: new Date(),
-          lastStatus: 'SUCCESS',
-        },
-      });
-
       logger.info(`Scraper completed: ${dataSource.name}`, {
-        leadsCollected,
+        ...ctx.counts,
         duration: Date.now() - startTime,
       });
     } catch (err) {
       error = err.message;
       logger.error(`Scraper failed: ${dataSource.name}`, { error: err.message });
-
-      await prisma.dataSource.update({
-        where: { id: dataSource.id },
-        data: {
-          lastRunAt: new Date(),
-          lastStatus: 'FAILED',
-        },
-      });
     }
 
-    return { leadsCollected, error, duration: Date.now() - startTime };
+    const counts = ctx?.counts || { found: 0, created: 0, updated: 0, unchanged: 0, skipped: 0 };
+    log.info(`Found ${counts.found} leads: ${counts.created} created, ${counts.updated} updated, ` +
+      `${counts.unchanged} unchanged, ${counts.skipped} skipped`);
+    await dataSourceRunService.finish(run, log, { counts, error });
+
+    return {
+      runId: run.id,
+      leadsFound: counts.found,
+      leadsCreated: counts.created,
+      leadsUpdated: counts.updated,
+      error,
+      duration: Date.now() - startTime,
+    };
   }
 
   /**
    * Run Playwright-based scraper
    */
-  async runPlaywrightScraper(dataSource) {
+  async runPlaywrightScraper(dataSource, ctx) {
     const browser = await this.initBrowser();
     const context = await browser.newContext({
       userAgent: dataSource.config?.userAgent ||
@@ -117,6 +123,7 @@ class ScraperService {
     try {
       // Navigate to URL
       logger.info(`Navigating to ${dataSource.url}`);
+      ctx.log.info(`Navigating to ${dataSource.url}`);
       await page.goto(dataSource.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
 
       // Execute custom script if provided
@@ -136,33 +143,35 @@ class ScraperService {
             );
 
             if (leadData && (leadData.companyName || leadData.email)) {
-              await this.saveLead(dataSource, leadData);
+              await this.saveLead(ctx, leadData);
               leadsCollected++;
             }
           } catch (err) {
             logger.warn('Failed to extract lead from element', { error: err.message });
+            ctx.log.warn(`Failed to extract lead from element: ${err.message}`);
           }
         }
       } else if (scriptConfig.code) {
-        // Execute full Playwright script (not just browser-side code)
-        // The script has access to: page, browser, context, logger
-        logger.info('Executing custom Playwright script...');
-        const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-        const scraperFn = new AsyncFunction('page', 'browser', 'context', 'logger', scriptConfig.code);
-        const results = await scraperFn(page, browser, context, logger);
-
-        logger.info(`Script returned ${Array.isArray(results) ? results.length : 0} results`);
-
-        if (Array.isArray(results)) {
-          for (const leadData of results) {
-            if (leadData && (leadData.companyName || leadData.email)) {
-              const saved = await this.saveLead(dataSource, leadData);
-              if (saved) leadsCollected++;
-            }
+        // Tenant scripts run in the sandbox with a restricted page API (see scriptSandbox.service)
+        logger.info('Executing custom Playwright script in sandbox...');
+        const results = await scriptSandboxService.run(scriptConfig.code, {
+          page,
+          log: ctx.log,
+          url: dataSource.url,
+        });
+
+        logger.info(`Script returned ${results.length} results`);
+        ctx.log.info(`Script returned ${results.length} results`);
+
+        for (const leadData of results) {
+          if (leadData && (leadData.companyName || leadData.email)) {
+            const saved = await this.saveLead(ctx, leadData);
+            if (saved) leadsCollected++;
           }
         }
       } else {
         logger.warn('No script.selector or script.code found in data source config');
+        ctx.log.warn('No script.selector or script.code configured, nothing to extract');
       }
 
       // Handle pagination if configured
@@ -189,7 +198,7 @@ class ScraperService {
                   scriptConfig.fields || {}
                 );
                 if (leadData && (leadData.companyName || leadData.email)) {
-                  await this.saveLead(dataSource, leadData);
+                  await this.saveLead(ctx, leadData);
                   leadsCollected++;
                 }
               } catch (err) {
@@ -239,61 +248,21 @@ class ScraperService {
   }
 
   /**
-   * Run API-based scraper
+   * Run API-based scraper (auth, pagination and mapping in apiSource.service)
    */
-  async runApiScraper(dataSource) {
+  async runApiScraper(dataSource, ctx) {
     const apiConfig = dataSource.config || {};
-    const headers = apiConfig.headers || {};
-
-    // Add authentication if configured
-    if (apiConfig.auth?.type === 'bearer') {
-      headers['Authorization'] = `Bearer ${apiConfig.auth.token}`;
-    } else if (apiConfig.auth?.type === 'api_key') {
-      headers[apiConfig.auth.headerName || 'X-API-Key'] = apiConfig.auth.key;
-    }
-
-    const response = await fetch(dataSource.url, {
-      method: apiConfig.method || 'GET',
-      headers,
-      body: apiConfig.body ? JSON.stringify(apiConfig.body) : undefined,
-    });
-
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const credentials = apiSourceService.getCredentials(dataSource);
     let leadsCollected = 0;
 
-    // Extract leads from response
-    let items = data;
-    if (apiConfig.dataPath) {
-      items = this.getNestedValue(data, apiConfig.dataPath);
-    }
-
-    if (!Array.isArray(items)) {
-      items = [items];
-    }
-
-    // Map fields if configured
-    const fieldMapping = apiConfig.fieldMapping || {};
-
-    for (const item of items) {
-      const leadData = {};
+    for await (const { items } of apiSourceService.fetchPages(dataSource, { credentials, log: ctx.log })) {
+      for (const item of items) {
+        const leadData = apiSourceService.mapItem(item, apiConfig);
 
-      for (const [leadField, apiField] of Object.entries(fieldMapping)) {
-        leadData[leadField] = this.getNestedValue(item, apiField);
-      }
-
-      // If no mapping, try to use item directly
-      if (Object.keys(fieldMapping).length === 0) {
-        Object.assign(leadData, item);
-      }
-
-      if (leadData.companyName || leadData.email || leadData.company_name) {
-        leadData.companyName = leadData.companyName || leadData.company_name;
-        await this.saveLead(dataSource, leadData);
-        leadsCollected++;
+        if (leadData.companyName || leadData.email) {
+          const saved = await this.saveLead(ctx, leadData);
+          if (saved) leadsCollected++;
+        }
       }
     }
 
@@ -303,31 +272,17 @@ class ScraperService {
   /**
    * Run RSS feed scraper
    */
-  async runRssScraper(dataSource) {
-    const feed = await this.rssParser.parseURL(dataSource.url);
+  async runRssScraper(dataSource, ctx) {
+    const credentials = apiSourceService.getCredentials(dataSource);
+    const feed = await apiSourceService.fetchFeed(dataSource, { credentials, log: ctx.log });
     let leadsCollected = 0;
 
-    const rssConfig = dataSource.config || {};
-
     for (const item of feed.items) {
-      // Extract company info from RSS item
-      const leadData = {
-        companyName: item.title,
-        website: item.link,
-        notes: item.contentSnippet || item.content,
-        source: `RSS: ${feed.title}`,
-      };
-
-      // Apply custom field mapping if configured
-      if (rssConfig.fieldMapping) {
-        for (const [leadField, rssField] of Object.entries(rssConfig.fieldMapping)) {
-          leadData[leadField] = item[rssField];
-        }
-      }
+      const leadData = apiSourceService.mapFeedItem(item, feed, dataSource.config || {});
 
       if (leadData.companyName) {
-        await this.saveLead(dataSource, leadData);
-        leadsCollected++;
+        const saved = await this.saveLead(ctx, leadData);
+        if (saved) leadsCollected++;
       }
     }
 
@@ -335,74 +290,12 @@ class ScraperService {
   }
 
   /**
-   * Save a lead to the database
-   */
-  async saveLead(dataSource, leadData) {
-    // Check for duplicates based on company name or website
-    const existing = await prisma.lead.findFirst({
-      where: {
-        tenantId: dataSource.tenantId,
-        OR: [
-          leadData.companyName ? { companyName: leadData.companyName } : {},
-          leadData.website ? { website: leadData.website } : {},
-        ].filter(o => Object.keys(o).length > 0),
-      },
-    });
-
-    if (existing) {
-      logger.debug('Duplicate lead skipped', { companyName: leadData.companyName });
-      return null;
-    }
-
-    // Store extra fields in customFields (Lead model doesn't have address, city, etc.)
-    const customFields = {
-      ...(leadData.customFields || {}),
-      ...(leadData.notes && { notes: leadData.notes }),
-      ...(leadData.city && { city: leadData.city }),
-      ...(leadData.address && { address: leadData.address }),
-      ...(leadData.state && { state: leadData.state }),
-      ...(leadData.country && { country: leadData.country }),
-      ...(leadData.postalCode && { postalCode: leadData.postalCode }),
-    };
-
-    // Create the lead
-    const lead = await prisma.lead.create({
-      data: {
-        tenantId: dataSource.tenantId,
-        sourceId: dataSource.id,
-        companyName: leadData.companyName || 'Unknown Company',
-        website: leadData.website || null,
-        industry: leadData.industry || null,
-        size: leadData.size || null,
-        status: 'NEW',
-        tags: leadData.tags || [],
-        customFields: Object.keys(customFields).length > 0 ? customFields : {},
-      },
-    });
-
-    // Create contact if email/phone provided
-    if (leadData.email || leadData.phone || leadData.contactName) {
-      await prisma.contact.create({
-        data: {
-          tenantId: dataSource.tenantId,
-          leadId: lead.id,
-          name: leadData.contactName || null,
-          email: leadData.email || null,
-          phone: leadData.phone || null,
-          position: leadData.position || null,
-          isPrimary: true,
-        },
-      });
-    }
-
-    return lead;
-  }
-
-  /**
-   * Get nested value from object using dot notation
+   * Save a lead to the database, or refresh the existing lead it matches
+   * @returns {Promise<Object|null>} - { status, leadId }, null when skipped as a duplicate
    */
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current?.[key], obj);
+  async saveLead(ctx, leadData) {
+    const result = await leadUpsertService.upsert(ctx, leadData);
+    return result.status === 'skipped' ? null : result;
   }
 }
 
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SANDBOX_ENTRY = path.join(__dirname, '../workers/scriptSandbox.js');
+
+// Longest a script may sleep/wait in one call, and the longest single synchronous stretch
+const MAX_WAIT = 30000;
+const SYNC_TIMEOUT = 5000;
+
+const MAX_RESULTS = 10000;
+
+// How often the child's CPU time is checked; /proc times are in USER_HZ (100 on Linux)
+const CPU_CHECK_INTERVAL = 500;
+const CLOCK_TICK_MS = 10;
+
+// Node's permission model flag (--permission from Node 22, experimental before)
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag)) || null;
+
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle'];
+
+/**
+ * Runs tenant-supplied data source scripts in a sandboxed child process
+ *
+ * The script only sees a restricted `page` API (navigation, waits, clicks, reads and
+ * evaluate/$eval/$$eval, whose functions run inside the browser page), `logger`/`console`,
+ * `sleep(ms)` and `startUrl`, built inside a vm context that holds no objects of the child
+ * process (see workers/scriptSandbox.js). Page calls are forwarded to the real Playwright page
+ * here. The child runs with no environment under Node's permission model (no file access, child
+ * processes or workers) with its network access disabled, and is killed past its time, CPU,
+ * memory or page call limits.
+ */
+class ScriptSandboxService {
+  constructor() {
+    this.warnedNoPermissions = false;
+  }
+
+  getLimits() {
+    return {
+      timeout: config.scraper.scriptTimeout,
+      cpuTime: config.scraper.scriptCpuTime,
+      memory: config.scraper.scriptMemory,
+      maxCalls: config.scraper.scriptMaxCalls,
+      maxSleep: MAX_WAIT,
+      syncTimeout: SYNC_TIMEOUT,
+    };
+  }
+
+  getExecArgv(limits) {
+    const execArgv = [`--max-old-space-size=${limits.memory}`, '--no-warnings'];
+
+    if (PERMISSION_FLAG) {
+      execArgv.push(PERMISSION_FLAG, `--allow-fs-read=${SANDBOX_ENTRY}`);
+    } else if (!this.warnedNoPermissions) {
+      this.warnedNoPermissions = true;
+      logger.warn('Node permission model unavailable (Node 20+ required), data source scripts run without file system restrictions');
+    }
+
+    return execArgv;
+  }
+
+  /**
+   * CPU time (ms) used by a process, or null where /proc isn't available
+   * Read from outside since a script blocking its event loop also blocks the child's own check
+   */
+  getCpuTime(pid) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the parenthesised command name; utime and stime are fields 14 and 15
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      return (Number(fields[11]) + Number(fields[12])) * CLOCK_TICK_MS;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run a script against a page
+   * @param {string} code - Body of an async function returning an array of leads
+   * @param {Object} options - { page: Playwright page, log: { info, warn, error }, url }
+   * @returns {Promise<Object[]>} - Leads the script returned
+   */
+  run(code, { page, log, url }) {
+    const limits = this.getLimits();
+
+    return new Promise((resolve, reject) => {
+      const child = fork(SANDBOX_ENTRY, [], {
+        execArgv: this.getExecArgv(limits),
+        env: {},
+        silent: true,
+      });
+
+      let settled = false;
+      let calls = 0;
+      let stderr = '';
+
+      const finish = (err, results) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearInterval(cpuTimer);
+        if (child.exitCode === null) child.kill('SIGKILL');
+        if (err) reject(err);
+        else resolve(results);
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(`Script exceeded its time limit (${limits.timeout}ms)`));
+      }, limits.timeout);
+
+      const cpuTimer = setInterval(() => {
+        const cpuTime = this.getCpuTime(child.pid);
+        if (cpuTime === null) {
+          clearInterval(cpuTimer);
+        } else if (cpuTime > limits.cpuTime) {
+          finish(new Error(`Script exceeded its CPU time limit (${limits.cpuTime}ms)`));
+        }
+      }, CPU_CHECK_INTERVAL);
+
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+
+      child.on('error', err => finish(err));
+
+      child.on('exit', (code, signal) => {
+        if (settled) return;
+        const outOfMemory = signal === 'SIGABRT' || code === 134 || /heap out of memory/i.test(stderr);
+        finish(new Error(outOfMemory
+          ? `Script exceeded its memory limit (${limits.memory}MB)`
+          : `Script process exited unexpectedly (${signal || `code ${code}`})`));
+      });
+
+      child.on('message', async (message) => {
+        if (settled || !message || typeof message !== 'object') return;
+
+        switch (message.type) {
+          case 'log': {
+            const level = ['info', 'warn', 'error'].includes(message.level) ? message.level : 'info';
+            log[level](`[script] ${String(message.message).slice(0, 2000)}`);
+            break;
+          }
+          case 'call': {
+            if (++calls > limits.maxCalls) {
+              finish(new Error(`Script exceeded its page call limit (${limits.maxCalls})`));
+              return;
+            }
+            let reply;
+            try {
+              reply = { type: 'reply', id: message.id, result: await this.callPage(page, message.method, message.args || []) };
+            } catch (err) {
+              reply = { type: 'reply', id: message.id, error: err.message };
+            }
+            if (!settled && child.connected) child.send(reply);
+            break;
+          }
+          case 'done':
+            if (!Array.isArray(message.results)) {
+              finish(new Error('Script must return an array of leads'));
+            } else {
+              finish(null, message.results.slice(0, MAX_RESULTS));
+            }
+            break;
+          case 'error':
+            finish(new Error(`Script error: ${message.message}`));
+            break;
+          default:
+            break;
+        }
+      });
+
+      child.send({ type: 'run', code, url, limits });
+    });
+  }
+
+  /**
+   * Perform a whitelisted page call for the sandbox
+   * Functions arrive as { fn: source } and are evaluated inside the browser page
+   */
+  async callPage(page, method, args) {
+    const [first, second, third] = args;
+    const selector = typeof first === 'string' ? first : null;
+    const requireSelector = () => {
+      if (!selector) throw new Error(`page.${method} needs a selector`);
+      return selector;
+    };
+    const waitTimeout = options => Math.min(Number(options?.timeout) || config.scraper.timeout, MAX_WAIT);
+
+    switch (method) {
+      case 'goto': {
+        if (!/^https?:\/\//i.test(String(first))) throw new Error('page.goto only opens http(s) URLs');
+        const waitUntil = LOAD_STATES.includes(second?.waitUntil) ? second.waitUntil : 'domcontentloaded';
+        await page.goto(first, { waitUntil, timeout: 60000 });
+        return page.url();
+      }
+      case 'goBack':
+        await page.goBack();
+        return page.url();
+      case 'reload':
+        await page.reload();
+        return page.url();
+      case 'url':
+        return page.url();
+      case 'title':
+        return page.title();
+      case 'content':
+        return page.content();
+      case 'waitForSelector': {
+        const state = ['attached', 'detached', 'visible', 'hidden'].includes(second?.state) ? second.state : undefined;
+        await page.waitForSelector(requireSelector(), { timeout: waitTimeout(second), state });
+        return true;
+      }
+      case 'waitForTimeout':
+        await page.waitForTimeout(Math.min(Number(first) || 0, MAX_WAIT));
+        return true;
+      case 'waitForLoadState':
+        await page.waitForLoadState(LOAD_STATES.includes(first) ? first : 'load', { timeout: waitTimeout(second) });
+        return true;
+      case 'click':
+        await page.click(requireSelector(), { timeout: waitTimeout(second) });
+        return true;
+      case 'fill':
+        await page.fill(requireSelector(), String(second ?? ''), { timeout: waitTimeout(third) });
+        return true;
+      case 'press':
+        await page.press(requireSelector(), String(second ?? ''), { timeout: waitTimeout(third) });
+        return true;
+      case 'hover':
+        await page.hover(requireSelector(), { timeout: waitTimeout(second) });
+        return true;
+      case 'selectOption':
+        return page.selectOption(requireSelector(), second, { timeout: waitTimeout(third) });
+      case 'textContent':
+        return page.textContent(requireSelector(), { timeout: waitTimeout(second) });
+      case 'innerText':
+        return page.innerText(requireSelector(), { timeout: waitTimeout(second) });
+      case 'getAttribute':
+        return page.getAttribute(requireSelector(), String(second), { timeout: waitTimeout(third) });
+      case 'isVisible':
+        return page.isVisible(requireSelector());
+      case 'count':
+        return page.locator(requireSelector()).count();
+      case 'evaluate':
+        return page.evaluate(this.toExpression(first, [second]));
+      case '$eval':
+        return page.evaluate(this.toExpression(second, [third], `(() => {
+          const el = document.querySelector(${JSON.stringify(requireSelector())});
+          if (!el) throw new Error('No element matches ' + ${JSON.stringify(selector)});
+          return el;
+        })()`));
+      case '$$eval':
+        return page.evaluate(this.toExpression(second, [third],
+          `Array.from(document.querySelectorAll(${JSON.stringify(requireSelector())}))`));
+      default:
+        throw new Error(`page.${method} is not available to scripts`);
+    }
+  }
+
+  /**
+   * Page expression calling a function source (or a plain expression string) with arguments
+   * @param {Object|string} pageFunction - { fn: source } or an expression
+   * @param {Array} args - JSON arguments
+   * @param {string} target - Expression passed as first argument ($eval/$$eval element(s))
+   */
+  toExpression(pageFunction, args, target = null) {
+    if (typeof pageFunction === 'string' && !target) return pageFunction;
+
+    const source = typeof pageFunction === 'string' ? pageFunction : pageFunction?.fn;
+    if (typeof source !== 'string') throw new Error('Expected a function to evaluate in the page');
+
+    const params = [...(target ? [target] : []), ...args.map(arg => JSON.stringify(arg ?? null))];
+    return `(${source})(${params.join(', ')})`;
+  }
+}
+
+module.exports = new ScriptSandboxService();
@@ -0,0 +1,223 @@
+const prisma = require('../config/database');
+const {
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  parseTimeOfDay,
+  nextTimeInWindow,
+} = require('../utils/timezone');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WARMUP_START = 20;
+const DEFAULT_WARMUP_INCREASE = 20;
+
+/**
+ * Non-negative integer, or null for no limit
+ */
+function toLimit(value) {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Per-channel sending limits
+ * Daily/hourly caps, a warm-up ramp for new senders and an allowed sending window,
+ * all read from ChannelConfig.settings.sendingLimits and evaluated in the tenant's time zone:
+ *
+ *   {
+ *     dailyLimit: 200,
+ *     hourlyLimit: 40,
+ *     warmup: { enabled: true, startDate: '2026-10-01', startVolume: 20, dailyIncrease: 20 },
+ *     sendWindow: { enabled: true, start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+ *   }
+ *
+ * Usage counts every campaign step queued for the channel (sent or waiting) plus
+ * messages sent on it outside campaigns, such as conversation replies.
+ */
+class SendingLimitsService {
+  /**
+   * Normalize the sending limits stored in channel settings
+   * @param {Object} settings - ChannelConfig.settings
+   * @returns {Object} - { dailyLimit, hourlyLimit, warmup, sendWindow } with null for anything unset
+   */
+  getLimits(settings) {
+    const limits = settings?.sendingLimits || {};
+    const warmup = limits.warmup || {};
+    const sendWindow = limits.sendWindow || {};
+
+    const start = parseTimeOfDay(sendWindow.start);
+    const end = parseTimeOfDay(sendWindow.end);
+    const days = Array.isArray(sendWindow.days)
+      ? sendWindow.days.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6)
+      : [0, 1, 2, 3, 4, 5, 6];
+
+    return {
+      dailyLimit: toLimit(limits.dailyLimit),
+      hourlyLimit: toLimit(limits.hourlyLimit),
+      warmup: warmup.enabled && warmup.startDate && !Number.isNaN(new Date(warmup.startDate).getTime())
+        ? {
+            startDate: new Date(warmup.startDate),
+            startVolume: toLimit(warmup.startVolume) || DEFAULT_WARMUP_START,
+            dailyIncrease: Number(warmup.dailyIncrease) >= 0 ? Number(warmup.dailyIncrease) : DEFAULT_WARMUP_INCREASE,
+          }
+        : null,
+      sendWindow: sendWindow.enabled && start !== null && end !== null && start < end && days.length
+        ? { start, end, days }
+        : null,
+    };
+  }
+
+  /**
+   * Whether a channel has any limit configured
+   */
+  hasLimits(limits) {
+    return limits.dailyLimit !== null || limits.hourlyLimit !== null || !!limits.warmup || !!limits.sendWindow;
+  }
+
+  /**
+   * Whether a channel's sends must go through the campaign scheduler's budget checks
+   * @param {Object} channel - ChannelConfig (with settings)
+   */
+  isLimited(channel) {
+    return !!channel && this.hasLimits(this.getLimits(channel.settings));
+  }
+
+  /**
+   * Daily volume allowed by the warm-up ramp
+   * Starts at startVolume on the start date and grows by dailyIncrease percent per day
+   * @returns {number}
+   */
+  getWarmupLimit(warmup, now, timeZone) {
+    const today = getZonedParts(now, timeZone);
+    const start = getZonedParts(warmup.startDate, timeZone);
+    const days = Math.round(
+      (Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(start.year, start.month - 1, start.day)) / ONE_DAY_MS
+    );
+
+    if (days < 0) return 0;
+    return Math.floor(warmup.startVolume * Math.pow(1 + warmup.dailyIncrease / 100, days));
+  }
+
+  /**
+   * Effective daily cap: the lower of the fixed limit and the warm-up ramp
+   * @returns {number|null} - null when there is no daily cap
+   */
+  getDailyLimit(limits, now, timeZone) {
+    const caps = [limits.dailyLimit];
+    if (limits.warmup) caps.push(this.getWarmupLimit(limits.warmup, now, timeZone));
+    const defined = caps.filter(cap => cap !== null);
+    return defined.length ? Math.min(...defined) : null;
+  }
+
+  /**
+   * Count messages sent or queued on a channel since a point in time
+   * @param {number} channelId - ChannelConfig ID
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>}
+   */
+  async countUsage(channelId, since) {
+    const [jobs, attempts] = await Promise.all([
+      prisma.jobQueue.count({
+        where: {
+          channelConfigId: channelId,
+          type: 'CAMPAIGN_STEP',
+          status: { not: 'CANCELLED' },
+          createdAt: { gte: since },
+        },
+      }),
+      prisma.contactAttempt.count({
+        where: {
+          channelConfigId: channelId,
+          campaignId: null,
+          direction: 'OUTBOUND',
+          status: { not: 'FAILED' },
+          createdAt: { gte: since },
+        },
+      }),
+    ]);
+
+    return jobs + attempts;
+  }
+
+  /**
+   * Work out how much a channel may still send right now
+   * @param {Object} channel - ChannelConfig (with settings)
+   * @param {string} timeZone - Tenant time zone
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - null when the channel is unlimited, otherwise
+   *   { opensAt, daily: { limit, used, remaining, resetAt }, hourly: { limit, used, remaining, resetAt } }
+   */
+  async getBudget(channel, timeZone, now = new Date()) {
+    const limits = this.getLimits(channel.settings);
+    if (!this.hasLimits(limits)) return null;
+
+    timeZone = resolveTimeZone(timeZone);
+
+    // Pushes a reset time forward into the next sending window
+    const inWindow = (date) => (limits.sendWindow ? nextTimeInWindow(date, timeZone, limits.sendWindow) || date : date);
+
+    const budget = { opensAt: null, daily: null, hourly: null };
+
+    const windowTime = inWindow(now);
+    if (windowTime > now) {
+      budget.opensAt = windowTime;
+    }
+
+    const dailyLimit = this.getDailyLimit(limits, now, timeZone);
+    if (dailyLimit !== null) {
+      const dayStart = startOfZonedDay(now, timeZone);
+      const used = await this.countUsage(channel.id, dayStart);
+      budget.daily = {
+        limit: dailyLimit,
+        used,
+        remaining: Math.max(0, dailyLimit - used),
+        resetAt: inWindow(startOfZonedDay(now, timeZone, 1)),
+      };
+    }
+
+    if (limits.hourlyLimit !== null) {
+      const p = getZonedParts(now, timeZone);
+      const hourStart = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: p.hour }, timeZone);
+      const used = await this.countUsage(channel.id, hourStart);
+      budget.hourly = {
+        limit: limits.hourlyLimit,
+        used,
+        remaining: Math.max(0, limits.hourlyLimit - used),
+        resetAt: inWindow(new Date(hourStart.getTime() + 60 * 60 * 1000)),
+      };
+    }
+
+    return budget;
+  }
+
+  /**
+   * Reserve one send from a budget
+   * @param {Object|null} budget - From getBudget
+   * @returns {Object|null} - null when the send may go ahead (and is counted), otherwise { reason, resumeAt }
+   */
+  reserve(budget) {
+    if (!budget) return null;
+
+    if (budget.opensAt) {
+      return { reason: 'outside_send_window', resumeAt: budget.opensAt };
+    }
+
+    // When both caps are used up, wait for the later reset
+    const exhausted = [
+      budget.daily?.remaining === 0 && { reason: 'daily_limit', resumeAt: budget.daily.resetAt },
+      budget.hourly?.remaining === 0 && { reason: 'hourly_limit', resumeAt: budget.hourly.resetAt },
+    ].filter(Boolean);
+
+    if (exhausted.length) {
+      return exhausted.reduce((latest, item) => (item.resumeAt > latest.resumeAt ? item : latest));
+    }
+
+    if (budget.daily) budget.daily.remaining--;
+    if (budget.hourly) budget.hourly.remaining--;
+    return null;
+  }
+}
+
+module.exports = new SendingLimitsService();
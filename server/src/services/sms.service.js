@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { decrypt } = require('../utils/encryption');
+const { normalizePhone, phonesMatch } = require('../utils/helpers');
+const { phoneKey } = require('../utils/lookupKeys');
+const suppressionService = require('./suppression.service');
+
+// Carrier opt-out keywords - Twilio blocks further sends itself, we mirror it in the suppression list
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+
+// GSM 03.38 character sets - anything outside them forces UCS-2 encoding
+const GSM_BASIC_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED_CHARS = '^{}\\[~]|€\f';
+
+// Twilio rejects message bodies longer than this; longer texts are sent as several messages
+const MAX_MESSAGE_LENGTH = 1600;
+
+const DEFAULT_API_URL = 'https://api.twilio.com';
+
+/**
+ * SMS service (Twilio)
+ * Sends SMS via the Twilio REST API (or a Twilio-compatible provider), verifies Twilio
+ * webhooks and turns inbound SMS into conversation messages
+ */
+class SmsService {
+  /**
+   * Calculate encoding and segment count for an SMS body
+   * @param {string} body - Message text
+   * @returns {Object} - { encoding: 'GSM-7'|'UCS-2', characters, segments }
+   */
+  getSegmentInfo(body) {
+    const text = body || '';
+    let gsmLength = 0;
+    let isGsm = true;
+
+    for (const char of text) {
+      if (GSM_BASIC_CHARS.includes(char)) {
+        gsmLength += 1;
+      } else if (GSM_EXTENDED_CHARS.includes(char)) {
+        gsmLength += 2; // Escape + char
+      } else {
+        isGsm = false;
+        break;
+      }
+    }
+
+    if (isGsm) {
+      return {
+        encoding: 'GSM-7',
+        characters: gsmLength,
+        segments: gsmLength <= 160 ? 1 : Math.ceil(gsmLength / 153),
+      };
+    }
+
+    // UCS-2 counts UTF-16 code units (emoji take two)
+    return {
+      encoding: 'UCS-2',
+      characters: text.length,
+      segments: text.length <= 70 ? 1 : Math.ceil(text.length / 67),
+    };
+  }
+
+  /**
+   * Split a long text into messages Twilio accepts, preferring word boundaries
+   * @param {string} body - Message text
+   * @param {number} maxLength - Max characters per message
+   * @returns {string[]} - Message parts
+   */
+  splitMessage(body, maxLength = MAX_MESSAGE_LENGTH) {
+    const parts = [];
+    let remaining = (body || '').trim();
+
+    while (remaining.length > maxLength) {
+      let cut = remaining.lastIndexOf(' ', maxLength);
+      if (cut < maxLength / 2) cut = maxLength;
+      parts.push(remaining.slice(0, cut).trim());
+      remaining = remaining.slice(cut).trim();
+    }
+
+    if (remaining) parts.push(remaining);
+    return parts;
+  }
+
+  /**
+   * Merge channel credentials with the global Twilio config
+   * @param {Object} credentials - Channel credentials { accountSid, authToken, fromNumber, messagingServiceSid, apiUrl }
+   */
+  resolveCredentials(credentials = {}) {
+    return {
+      accountSid: credentials.accountSid || config.twilio.accountSid,
+      authToken: credentials.authToken || config.twilio.authToken,
+      fromNumber: credentials.fromNumber || config.twilio.phoneNumber,
+      messagingServiceSid: credentials.messagingServiceSid,
+      apiUrl: (credentials.apiUrl || DEFAULT_API_URL).replace(/\/$/, ''),
+    };
+  }
+
+  /**
+   * Format a phone number as E.164 for Twilio
+   */
+  formatNumber(phone) {
+    const digits = normalizePhone(phone);
+    return digits ? `+${digits}` : '';
+  }
+
+  /**
+   * Send an SMS
+   * Long texts are sent as several messages; the first SID identifies the send and the
+   * status callbacks of later parts carry it in the callback URL
+   * @param {Object} credentials - Channel credentials (falls back to config.twilio)
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} - { success, messageId, error, metadata: { segments, encoding, parts, sids } }
+   */
+  async send(credentials, to, body) {
+    const creds = this.resolveCredentials(credentials);
+    const toNumber = this.formatNumber(to);
+
+    if (!toNumber) {
+      return { success: false, error: 'Contact has no phone number' };
+    }
+    if (!body || !body.trim()) {
+      return { success: false, error: 'Message body is required' };
+    }
+    if (!creds.accountSid || !creds.authToken || (!creds.fromNumber && !creds.messagingServiceSid)) {
+      return { success: false, error: 'Missing Twilio credentials' };
+    }
+
+    const parts = this.splitMessage(body);
+    const authString = Buffer.from(`${creds.accountSid}:${creds.authToken}`).toString('base64');
+    const sids = [];
+    let segments = 0;
+    let encoding = 'GSM-7';
+
+    for (const part of parts) {
+      const info = this.getSegmentInfo(part);
+      segments += info.segments;
+      if (info.encoding === 'UCS-2') encoding = 'UCS-2';
+
+      const statusCallback = new URL(`${config.appUrl.replace(/\/$/, '')}/api/v1/webhooks/twilio`);
+      if (sids.length) statusCallback.searchParams.set('messageSid', sids[0]);
+
+      const params = new URLSearchParams({
+        To: toNumber,
+        Body: part,
+        StatusCallback: statusCallback.toString(),
+      });
+      if (creds.messagingServiceSid) {
+        params.set('MessagingServiceSid', creds.messagingServiceSid);
+      } else {
+        params.set('From', creds.fromNumber);
+      }
+
+      const response = await fetch(
+        `${creds.apiUrl}/2010-04-01/Accounts/${creds.accountSid}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${authString}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          body: params,
+        }
+      );
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        return {
+          success: false,
+          messageId: sids[0],
+          error: result.message || 'Twilio API error',
+          metadata: { segments, encoding, parts: parts.length, sids },
+        };
+      }
+
+      sids.push(result.sid);
+    }
+
+    logger.info('SMS sent', { to: toNumber, sid: sids[0], parts: parts.length, segments });
+
+    return {
+      success: true,
+      messageId: sids[0],
+      metadata: { segments, encoding, parts: parts.length, sids },
+    };
+  }
+
+  /**
+   * Decrypt channel credentials (supports legacy unencrypted configs)
+   */
+  getCredentials(channel) {
+    const encryptedData = channel.credentials?.encrypted;
+    if (encryptedData) {
+      return JSON.parse(decrypt(encryptedData));
+    }
+    return channel.credentials || {};
+  }
+
+  /**
+   * Key an SMS channel is looked up by when a webhook arrives (ChannelConfig.externalId)
+   * Our number's digits, or the account SID for messaging services, which send from a pool
+   * @param {Object} credentials - Channel credentials
+   * @returns {string|null}
+   */
+  getExternalId(credentials) {
+    const creds = this.resolveCredentials(credentials);
+    if (!creds.messagingServiceSid && normalizePhone(creds.fromNumber)) {
+      return normalizePhone(creds.fromNumber);
+    }
+    return creds.accountSid || null;
+  }
+
+  /**
+   * Fill in externalId for SMS channels saved before it existed
+   * Channels without a usable key are stored with '' so they are not decrypted again
+   */
+  async backfillExternalIds() {
+    const channels = await prisma.channelConfig.findMany({
+      where: { channelType: 'SMS', externalId: null },
+    });
+
+    for (const channel of channels) {
+      let externalId = '';
+      try {
+        externalId = this.getExternalId(this.getCredentials(channel)) || '';
+      } catch (error) {
+        logger.warn('Failed to decrypt SMS channel credentials', { channelId: channel.id });
+      }
+      await prisma.channelConfig.update({ where: { id: channel.id }, data: { externalId } });
+    }
+  }
+
+  /**
+   * Find the SMS channel a Twilio webhook belongs to
+   * Channels are looked up by our number (or account SID) - only the matches are decrypted
+   * @param {string} accountSid - Twilio AccountSid from the payload
+   * @param {string} ourNumber - Our Twilio number (To for inbound, From for status callbacks)
+   * @returns {Promise<Object|null>} - { channel, credentials } or null
+   */
+  async findChannel(accountSid, ourNumber) {
+    if (!accountSid) return null;
+
+    await this.backfillExternalIds();
+
+    const numberKey = normalizePhone(ourNumber);
+    const channels = await prisma.channelConfig.findMany({
+      where: {
+        channelType: 'SMS',
+        isActive: true,
+        externalId: { in: [numberKey, accountSid].filter(Boolean) },
+      },
+      orderBy: { id: 'asc' },
+    });
+
+    let accountMatch = null;
+    for (const channel of channels) {
+      let credentials;
+      try {
+        credentials = this.getCredentials(channel);
+      } catch (error) {
+        logger.warn('Failed to decrypt SMS channel credentials', { channelId: channel.id });
+        continue;
+      }
+
+      if (this.resolveCredentials(credentials).accountSid !== accountSid) continue;
+
+      if (numberKey && channel.externalId === numberKey) {
+        return { channel, credentials };
+      }
+      accountMatch = accountMatch || { channel, credentials };
+    }
+
+    return accountMatch;
+  }
+
+  /**
+   * Verify an X-Twilio-Signature header
+   * Signature is base64(HMAC-SHA1(authToken, url + sorted POST key/value pairs))
+   * @param {string} authToken - Twilio auth token
+   * @param {string} url - Full public URL Twilio posted to
+   * @param {Object} params - POST parameters
+   * @param {string} signature - X-Twilio-Signature header
+   * @returns {boolean}
+   */
+  verifySignature(authToken, url, params, signature) {
+    if (!authToken || !signature) return false;
+
+    let data = url;
+    for (const key of Object.keys(params || {}).sort()) {
+      data += key + params[key];
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64'));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Public URL of a webhook request, as Twilio signed it
+   */
+  getWebhookUrl(req) {
+    return `${config.appUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  }
+
+  /**
+   * Apply a Twilio delivery status callback to the matching contact attempt
+   * A failed part fails the whole attempt; a later delivered part does not undo that
+   * @param {Object} payload - Twilio status callback params
+   * @param {string} firstSid - SID of the first part, for callbacks of later parts of a long text
+   */
+  async handleStatus(payload, firstSid) {
+    const { MessageSid, MessageStatus, ErrorCode } = payload;
+    if (!MessageSid) return;
+
+    const statusMap = {
+      delivered: 'DELIVERED',
+      failed: 'FAILED',
+      undelivered: 'FAILED',
+    };
+    const status = statusMap[MessageStatus];
+    if (!status) return;
+
+    await prisma.contactAttempt.updateMany({
+      where: {
+        externalId: firstSid || MessageSid,
+        channelType: 'SMS',
+        ...(status === 'DELIVERED' && { status: { not: 'FAILED' } }),
+      },
+      data: {
+        status,
+        ...(status === 'DELIVERED' && { deliveredAt: new Date() }),
+      },
+    });
+
+    logger.info('SMS delivery status', { MessageSid, firstSid, MessageStatus, ErrorCode });
+  }
+
+  /**
+   * Store an inbound SMS as a conversation message
+   * @param {Object} channel - SMS ChannelConfig the message arrived on
+   * @param {Object} payload - Twilio inbound message params
+   * @returns {Promise<Object|null>} - Created message or null if skipped
+   */
+  async handleInbound(channel, payload) {
+    const { MessageSid, From, To, Body } = payload;
+    const tenantId = channel.tenantId;
+
+    const key = phoneKey(From);
+    const contacts = key ? await prisma.contact.findMany({
+      where: { tenantId, phoneKey: key },
+      include: { lead: true },
+    }) : [];
+
+    // Prefer an exact match over a trailing-digits match
+    const normalizedFrom = normalizePhone(From);
+    const contact = contacts.find(c => normalizePhone(c.phone) === normalizedFrom) ||
+      contacts.find(c => phonesMatch(c.phone, From));
+
+    if (!contact) {
+      logger.info(`No matching contact found for inbound SMS from ${From}`, { tenantId });
+      return null;
+    }
+
+    let conversation = await prisma.conversation.findFirst({
+      where: {
+        tenantId,
+        leadId: contact.leadId,
+        contactId: contact.id,
+        channelType: 'SMS',
+      },
+    });
+
+    if (!conversation) {
+      conversation = await prisma.conversation.create({
+        data: {
+          tenantId,
+          leadId: contact.leadId,
+          contactId: contact.id,
+          channelType: 'SMS',
+          status: 'OPEN',
+          lastMessageAt: new Date(),
+        },
+      });
+      logger.info(`Created new SMS conversation ${conversation.id} for contact ${contact.id}`);
+    }
+
+    // Twilio retries webhooks - skip messages we already stored
+    const existingMessages = await prisma.$queryRaw`
+      SELECT id FROM messages
+      WHERE conversation_id = ${conversation.id}
+      AND JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.messageSid')) = ${MessageSid}
+      LIMIT 1
+    `;
+    if (existingMessages.length > 0) {
+      logger.info(`SMS ${MessageSid} already stored, skipping`);
+      return null;
+    }
+
+    const numMedia = parseInt(payload.NumMedia, 10) || 0;
+    const attachments = [];
+    for (let i = 0; i < numMedia; i++) {
+      attachments.push({
+        url: payload[`MediaUrl${i}`],
+        contentType: payload[`MediaContentType${i}`],
+      });
+    }
+
+    const receivedAt = new Date();
+    const message = await prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        direction: 'INBOUND',
+        content: Body || '',
+        attachments: attachments.length > 0 ? attachments : undefined,
+        metadata: {
+          messageSid: MessageSid,
+          from: From,
+          to: To,
+          channelConfigId: channel.id,
+          receivedAt: receivedAt.toISOString(),
+        },
+      },
+    });
+
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: {
+        lastMessageAt: receivedAt,
+        status: 'OPEN', // Reopen if it was closed
+      },
+    });
+
+    if (contact.lead?.status === 'NEW') {
+      await prisma.lead.update({
+        where: { id: contact.leadId },
+        data: { status: 'CONTACTED' },
+      });
+    }
+
+    // Mark the latest unanswered SMS attempt as replied
+    const lastAttempt = await prisma.contactAttempt.findFirst({
+      where: {
+        contactId: contact.id,
+        channelType: 'SMS',
+        direction: 'OUTBOUND',
+        repliedAt: null,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (lastAttempt) {
+      await prisma.contactAttempt.update({
+        where: { id: lastAttempt.id },
+        data: { repliedAt: receivedAt },
+      });
+    }
+
+    if (OPT_OUT_KEYWORDS.includes((Body || '').trim().toUpperCase())) {
+      await suppressionService.add(tenantId, [{ type: 'PHONE', value: From }], {
+        reason: 'UNSUBSCRIBED',
+        note: 'SMS opt-out keyword',
+        contactId: contact.id,
+      });
+      await prisma.campaignRecipient.updateMany({
+        where: {
+          contactId: contact.id,
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+        },
+        data: { status: 'UNSUBSCRIBED', nextActionAt: null },
+      });
+      logger.info(`Contact ${contact.id} opted out via SMS`);
+    } else {
+      // Same as email replies - stop the sequence in every campaign the contact is in
+      const { count } = await prisma.campaignRecipient.updateMany({
+        where: {
+          contactId: contact.id,
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+        },
+        data: { status: 'REPLIED' },
+      });
+
+      if (count > 0) {
+        logger.info(`Marked ${count} campaign recipient(s) of contact ${contact.id} as REPLIED`);
+      }
+    }
+
+    logger.info(`Stored inbound SMS from ${From} -> conversation ${conversation.id}`);
+    return message;
+  }
+}
+
+module.exports = new SmsService();
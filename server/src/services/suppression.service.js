@@ -0,0 +1,255 @@
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { signToken, verifyToken } = require('../utils/encryption');
+const { normalizePhone } = require('../utils/helpers');
+
+const SUPPRESSION_TYPES = ['EMAIL', 'PHONE', 'TELEGRAM', 'WHATSAPP'];
+const SUPPRESSION_REASONS = ['UNSUBSCRIBED', 'BOUNCED', 'COMPLAINT', 'MANUAL', 'IMPORTED'];
+
+// Rows per INSERT when adding entries in bulk
+const INSERT_BATCH_SIZE = 1000;
+
+// Which identifier types block a send on each channel
+const CHANNEL_SUPPRESSION_TYPES = {
+  EMAIL_SMTP: ['EMAIL'],
+  EMAIL_API: ['EMAIL'],
+  SMS: ['PHONE'],
+  VOICE: ['PHONE'],
+  WHATSAPP_WEB: ['PHONE', 'WHATSAPP'],
+  WHATSAPP_BUSINESS: ['PHONE', 'WHATSAPP'],
+  TELEGRAM: ['TELEGRAM', 'PHONE'],
+};
+
+/**
+ * Suppression list service
+ * Tenant-wide do-not-contact list keyed by email, phone, Telegram ID and WhatsApp ID
+ */
+class SuppressionService {
+  constructor() {
+    this.types = SUPPRESSION_TYPES;
+    this.reasons = SUPPRESSION_REASONS;
+  }
+
+  /**
+   * Normalize an identifier so lookups are format-independent
+   * @param {string} type - SuppressionType
+   * @param {string} value - Raw identifier
+   * @returns {string|null} - Normalized value or null if empty/invalid
+   */
+  normalize(type, value) {
+    if (value === undefined || value === null) return null;
+    let normalized = String(value).trim();
+
+    switch (type) {
+      case 'EMAIL':
+        normalized = normalized.toLowerCase();
+        return normalized.includes('@') ? normalized : null;
+      case 'PHONE':
+        normalized = normalizePhone(normalized);
+        return normalized.length >= 6 ? normalized : null;
+      case 'WHATSAPP':
+        // WhatsApp IDs look like "15551234567@c.us" - keep the number part
+        normalized = normalized.split('@')[0].replace(/\D/g, '');
+        return normalized || null;
+      case 'TELEGRAM':
+        // Numeric user IDs are kept as-is, usernames are case-insensitive
+        normalized = normalized.replace(/^@/, '');
+        return normalized ? normalized.toLowerCase() : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Collect all identifiers a campaign recipient can be reached on
+   * @param {Object} recipient - CampaignRecipient with lead, contact, prospect, whatsappProspect
+   * @returns {Array} - [{ type, value }] (normalized, de-duplicated)
+   */
+  getRecipientIdentifiers(recipient) {
+    const raw = [];
+
+    if (recipient.contact) {
+      raw.push({ type: 'EMAIL', value: recipient.contact.email });
+      raw.push({ type: 'PHONE', value: recipient.contact.phone });
+      raw.push({ type: 'WHATSAPP', value: recipient.contact.phone });
+    }
+
+    raw.push({ type: 'TELEGRAM', value: recipient.contact?.telegramChatId });
+
+    const customFields = recipient.lead?.customFields || {};
+    raw.push({ type: 'TELEGRAM', value: customFields.telegramId });
+    raw.push({ type: 'TELEGRAM', value: customFields.telegramUsername });
+
+    if (recipient.prospect) {
+      raw.push({ type: 'TELEGRAM', value: recipient.prospect.telegramUserId });
+      raw.push({ type: 'TELEGRAM', value: recipient.prospect.username });
+      raw.push({ type: 'PHONE', value: recipient.prospect.phone });
+    }
+
+    if (recipient.whatsappProspect) {
+      raw.push({ type: 'WHATSAPP', value: recipient.whatsappProspect.whatsappUserId });
+      raw.push({ type: 'PHONE', value: recipient.whatsappProspect.phone });
+    }
+
+    const seen = new Set();
+    const identifiers = [];
+    for (const { type, value } of raw) {
+      const normalized = this.normalize(type, value);
+      const key = `${type}:${normalized}`;
+      if (normalized && !seen.has(key)) {
+        seen.add(key);
+        identifiers.push({ type, value: normalized });
+      }
+    }
+
+    return identifiers;
+  }
+
+  /**
+   * Find a suppression entry matching any of the given identifiers
+   * @param {number} tenantId - Tenant ID
+   * @param {Array} identifiers - [{ type, value }] (normalized)
+   * @returns {Object|null} - Matching Suppression or null
+   */
+  async findMatch(tenantId, identifiers) {
+    if (!identifiers.length) return null;
+
+    return prisma.suppression.findFirst({
+      where: {
+        tenantId,
+        OR: identifiers.map(({ type, value }) => ({ type, value })),
+      },
+    });
+  }
+
+  /**
+   * Check whether a recipient is suppressed for a channel
+   * @param {Object} recipient - CampaignRecipient with relations
+   * @param {string} channelType - Channel the step sends on
+   * @returns {Object|null} - Matching Suppression or null
+   */
+  async checkRecipient(recipient, channelType) {
+    const types = CHANNEL_SUPPRESSION_TYPES[channelType] || SUPPRESSION_TYPES;
+    const identifiers = this.getRecipientIdentifiers(recipient).filter(i => types.includes(i.type));
+    return this.findMatch(recipient.campaign.tenantId, identifiers);
+  }
+
+  /**
+   * Add identifiers to the suppression list (existing entries are kept)
+   * Entries are inserted in batches; duplicates, in the list or already suppressed, are skipped
+   * @param {number} tenantId - Tenant ID
+   * @param {Array} entries - [{ type, value, reason?, note? }]
+   * @param {Object} meta - Shared fields { reason, campaignId, contactId, createdById }
+   * @returns {Object} - { added, skipped }
+   */
+  async add(tenantId, entries, meta = {}) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      const type = String(entry.type || '').toUpperCase();
+      const value = SUPPRESSION_TYPES.includes(type) ? this.normalize(type, entry.value) : null;
+      const key = `${type}:${value}`;
+
+      if (!value || rows.has(key)) continue;
+
+      rows.set(key, {
+        tenantId,
+        type,
+        value,
+        reason: [entry.reason, meta.reason].find(reason => SUPPRESSION_REASONS.includes(reason)) || 'MANUAL',
+        note: entry.note || meta.note || null,
+        campaignId: meta.campaignId || null,
+        contactId: meta.contactId || null,
+        createdById: meta.createdById || null,
+      });
+    }
+
+    const data = [...rows.values()];
+    let added = 0;
+
+    for (let i = 0; i < data.length; i += INSERT_BATCH_SIZE) {
+      const result = await prisma.suppression.createMany({
+        data: data.slice(i, i + INSERT_BATCH_SIZE),
+        skipDuplicates: true,
+      });
+      added += result.count;
+    }
+
+    return { added, skipped: entries.length - added };
+  }
+
+  /**
+   * Build the public unsubscribe URL for a campaign recipient
+   * @param {Object} recipient - CampaignRecipient (needs id and campaign.tenantId)
+   * @returns {string} - Signed unsubscribe URL
+   */
+  getUnsubscribeUrl(recipient) {
+    const token = signToken({ t: recipient.campaign.tenantId, r: recipient.id });
+    return `${config.appUrl.replace(/\/$/, '')}/api/v1/unsubscribe/${token}`;
+  }
+
+  /**
+   * Decode an unsubscribe token
+   * @param {string} token - Signed token from an unsubscribe URL
+   * @returns {Object|null} - { tenantId, recipientId } or null if invalid
+   */
+  parseUnsubscribeToken(token) {
+    const payload = verifyToken(token);
+    if (!payload || !Number.isInteger(payload.t) || !Number.isInteger(payload.r)) {
+      return null;
+    }
+    return { tenantId: payload.t, recipientId: payload.r };
+  }
+
+  /**
+   * Unsubscribe a campaign recipient - suppresses all of their identifiers tenant-wide
+   * @param {string} token - Signed unsubscribe token
+   * @returns {Object|null} - { recipientId, added } or null if token/recipient is invalid
+   */
+  async unsubscribe(token) {
+    const parsed = this.parseUnsubscribeToken(token);
+    if (!parsed) return null;
+
+    const recipient = await prisma.campaignRecipient.findFirst({
+      where: {
+        id: parsed.recipientId,
+        campaign: { tenantId: parsed.tenantId },
+      },
+      include: {
+        campaign: { select: { id: true, tenantId: true } },
+        lead: true,
+        contact: true,
+        prospect: true,
+        whatsappProspect: true,
+      },
+    });
+
+    if (!recipient) return null;
+
+    const identifiers = this.getRecipientIdentifiers(recipient);
+    const { added } = await this.add(
+      parsed.tenantId,
+      identifiers.map(i => ({ ...i, reason: 'UNSUBSCRIBED' })),
+      { campaignId: recipient.campaignId, contactId: recipient.contactId }
+    );
+
+    if (['PENDING', 'IN_PROGRESS'].includes(recipient.status)) {
+      await prisma.campaignRecipient.update({
+        where: { id: recipient.id },
+        data: { status: 'UNSUBSCRIBED', nextActionAt: null },
+      });
+    }
+
+    logger.info('Recipient unsubscribed', {
+      tenantId: parsed.tenantId,
+      recipientId: recipient.id,
+      campaignId: recipient.campaignId,
+      identifiers: identifiers.length,
+    });
+
+    return { recipientId: recipient.id, added };
+  }
+}
+
+module.exports = new SuppressionService();
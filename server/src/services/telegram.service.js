@@ -318,6 +318,31 @@ class TelegramService {
     }
   }
 
+  /**
+   * Make sure a channel's session is connected, reconnecting from the stored session if needed
+   * @param {number} tenantId - Tenant ID
+   * @param {Object} credentials - Decrypted channel credentials (apiId, apiHash, sessionString)
+   * @returns {Promise<string|null>} - Session key, or null if the channel needs to be reconnected
+   */
+  async ensureConnected(tenantId, credentials) {
+    const sessionKey = this.getSessionKey(tenantId, credentials.apiId);
+
+    const authStatus = await this.isAuthorized(sessionKey);
+    if (authStatus.authorized) return sessionKey;
+
+    if (!credentials.sessionString || !credentials.apiId || !credentials.apiHash) {
+      return null;
+    }
+
+    try {
+      await this.reconnect(tenantId, credentials.apiId, credentials.apiHash, credentials.sessionString);
+      return sessionKey;
+    } catch (error) {
+      logger.error('Telegram reconnect failed', { tenantId, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Check if session is valid (client in memory)
    * @param {string} sessionKey - Session identifier
@@ -0,0 +1,444 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { decrypt, hmac } = require('../utils/encryption');
+const suppressionService = require('./suppression.service');
+
+const BOT_API_URL = 'https://api.telegram.org';
+const PROVIDER = 'telegram-bot';
+
+// Commands that opt the chat out of further messages
+const STOP_COMMANDS = ['/stop', '/unsubscribe'];
+
+/**
+ * Telegram Bot API service
+ * Bot-based TELEGRAM provider: deep-link contact binding, sending and webhook-driven conversations.
+ * (User-account messaging over MTProto lives in telegram.service.js)
+ */
+class TelegramBotService {
+  constructor() {
+    this.provider = PROVIDER;
+  }
+
+  /**
+   * Whether a TELEGRAM channel uses the Bot API instead of an MTProto user session
+   */
+  isBotChannel(channel) {
+    return channel?.channelType === 'TELEGRAM' && channel.provider === PROVIDER;
+  }
+
+  /**
+   * Decrypt channel credentials (supports legacy unencrypted configs)
+   */
+  getCredentials(channel) {
+    const encryptedData = channel.credentials?.encrypted;
+    if (encryptedData) {
+      return JSON.parse(decrypt(encryptedData));
+    }
+    return channel.credentials || {};
+  }
+
+  /**
+   * Call a Bot API method
+   * @param {string} botToken - Bot token from @BotFather
+   * @param {string} method - Bot API method (e.g. sendMessage)
+   * @param {Object} params - Method parameters
+   * @returns {Promise<*>} - Method result
+   * @throws {Error} - Telegram error description
+   */
+  async callApi(botToken, method, params = {}) {
+    const response = await fetch(`${BOT_API_URL}/bot${botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+    });
+
+    const result = await response.json();
+    if (!result.ok) {
+      throw new Error(result.description || `Telegram ${method} failed`);
+    }
+    return result.result;
+  }
+
+  /**
+   * Public webhook URL for a bot channel
+   */
+  getWebhookUrl(channel) {
+    return `${config.appUrl.replace(/\/$/, '')}/api/v1/webhooks/telegram/${channel.id}`;
+  }
+
+  /**
+   * Per-channel secret Telegram echoes in X-Telegram-Bot-Api-Secret-Token
+   */
+  getWebhookSecret(channel) {
+    return hmac(`telegram-webhook:${channel.id}`);
+  }
+
+  /**
+   * Verify the secret token header of a webhook request
+   */
+  verifyWebhook(channel, secretHeader) {
+    if (!secretHeader) return false;
+    const expected = Buffer.from(this.getWebhookSecret(channel));
+    const actual = Buffer.from(String(secretHeader));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Validate the bot token and register the webhook
+   * @param {Object} channel - ChannelConfig (TELEGRAM / telegram-bot)
+   * @returns {Promise<Object>} - { botUsername, webhookUrl }
+   */
+  async setup(channel) {
+    const { botToken } = this.getCredentials(channel);
+    const bot = await this.callApi(botToken, 'getMe');
+
+    await this.callApi(botToken, 'setWebhook', {
+      url: this.getWebhookUrl(channel),
+      secret_token: this.getWebhookSecret(channel),
+      allowed_updates: ['message', 'callback_query'],
+    });
+
+    await prisma.channelConfig.update({
+      where: { id: channel.id },
+      data: { settings: { ...(channel.settings || {}), botUsername: bot.username } },
+    });
+
+    logger.info('Telegram bot webhook registered', { channelId: channel.id, bot: bot.username });
+    return { botUsername: bot.username, webhookUrl: this.getWebhookUrl(channel) };
+  }
+
+  /**
+   * Create the /start token binding a chat to a contact
+   * Deep link payloads are limited to 64 chars of [A-Za-z0-9_-]
+   */
+  createStartToken(contact) {
+    const signature = hmac(`telegram-start:${contact.leadId}:${contact.id}`).slice(0, 16);
+    return `${contact.leadId}_${contact.id}_${signature}`;
+  }
+
+  /**
+   * Decode a /start token
+   * @returns {Object|null} - { leadId, contactId } or null if invalid
+   */
+  parseStartToken(token) {
+    const match = /^(\d+)_(\d+)_([A-Za-z0-9_-]{16})$/.exec(token || '');
+    if (!match) return null;
+
+    const leadId = parseInt(match[1], 10);
+    const contactId = parseInt(match[2], 10);
+    const expected = Buffer.from(hmac(`telegram-start:${leadId}:${contactId}`).slice(0, 16));
+    const actual = Buffer.from(match[3]);
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    return { leadId, contactId };
+  }
+
+  /**
+   * Deep link that opens the bot and binds the chat to the contact
+   * @param {Object} channel - Bot channel (settings.botUsername is set by setup)
+   * @param {Object} contact - Contact (id, leadId)
+   * @returns {string|null}
+   */
+  getDeepLink(channel, contact) {
+    const botUsername = channel.settings?.botUsername;
+    if (!botUsername) return null;
+    return `https://t.me/${botUsername}?start=${this.createStartToken(contact)}`;
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} credentials - Channel credentials (botToken)
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} text - Message text
+   * @param {Object} options - { buttons: [{ text, data } | { text, url }] }
+   * @returns {Promise<Object>} - { success, messageId, error }
+   */
+  async send(credentials, chatId, text, options = {}) {
+    if (!chatId) {
+      return { success: false, error: 'Contact has no Telegram chat - share the bot link with them first' };
+    }
+
+    const params = { chat_id: chatId, text };
+    if (options.buttons?.length) {
+      params.reply_markup = {
+        inline_keyboard: options.buttons.map(button => [
+          button.url ? { text: button.text, url: button.url } : { text: button.text, callback_data: String(button.data || button.text).slice(0, 64) },
+        ]),
+      };
+    }
+
+    try {
+      const message = await this.callApi(credentials.botToken, 'sendMessage', params);
+      return { success: true, messageId: String(message.message_id), metadata: { chatId: String(chatId) } };
+    } catch (error) {
+      logger.error('Telegram bot send failed', { chatId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Chat to send a campaign step to
+   * Bound contact chat first, then the Telegram ID stored on the lead during import
+   */
+  getChatId(contact, lead) {
+    return contact?.telegramChatId || lead?.customFields?.telegramId || null;
+  }
+
+  /**
+   * Find the contact a chat belongs to
+   * @param {number} tenantId - Tenant ID
+   * @param {Object} from - Telegram user (id, username)
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object|null>} - Contact with lead
+   */
+  async findContact(tenantId, from, chatId) {
+    const bound = await prisma.contact.findFirst({
+      where: { tenantId, telegramChatId: chatId },
+      include: { lead: true },
+    });
+    if (bound) return bound;
+
+    // Fall back to the Telegram ID/username stored on the lead during import
+    const username = (from?.username || '').toLowerCase();
+    const leads = await prisma.$queryRaw`
+      SELECT id FROM leads
+      WHERE tenant_id = ${tenantId}
+      AND (
+        JSON_UNQUOTE(JSON_EXTRACT(custom_fields, '$.telegramId')) = ${String(from?.id)}
+        OR (${username} <> '' AND LOWER(JSON_UNQUOTE(JSON_EXTRACT(custom_fields, '$.telegramUsername'))) = ${username})
+      )
+      LIMIT 1
+    `;
+    if (leads.length === 0) return null;
+
+    return prisma.contact.findFirst({
+      where: { tenantId, leadId: leads[0].id },
+      include: { lead: true },
+      orderBy: [{ isPrimary: 'desc' }, { id: 'asc' }],
+    });
+  }
+
+  /**
+   * Bind a chat to the contact from a /start token
+   * @returns {Promise<Object|null>} - Bound contact or null if the token is invalid
+   */
+  async bindContact(channel, token, chatId) {
+    const parsed = this.parseStartToken(token);
+    if (!parsed) return null;
+
+    const contact = await prisma.contact.findFirst({
+      where: { id: parsed.contactId, leadId: parsed.leadId, tenantId: channel.tenantId },
+      include: { lead: true },
+    });
+    if (!contact) return null;
+
+    if (contact.telegramChatId !== chatId) {
+      await prisma.contact.update({
+        where: { id: contact.id },
+        data: { telegramChatId: chatId },
+      });
+      contact.telegramChatId = chatId;
+    }
+
+    logger.info('Telegram chat bound to contact', { channelId: channel.id, contactId: contact.id, chatId });
+    return contact;
+  }
+
+  /**
+   * Build display text for an incoming message
+   */
+  getMessageContent(message) {
+    if (message.text) return message.text;
+    if (message.caption) return message.caption;
+
+    const type = ['photo', 'document', 'video', 'voice', 'audio', 'sticker', 'location', 'contact']
+      .find(t => message[t]);
+    return type ? `[${type}]` : '[message]';
+  }
+
+  /**
+   * Process a webhook update (message or callback_query)
+   * @param {Object} channel - Bot channel the update was sent to
+   * @param {Object} update - Telegram Update
+   * @returns {Promise<Object|null>} - Created message or null if skipped
+   */
+  async handleUpdate(channel, update) {
+    const credentials = this.getCredentials(channel);
+    const tenantId = channel.tenantId;
+
+    let from;
+    let chatId;
+    let content;
+    let isReply = true;
+    let isStop = false;
+    const metadata = { telegramUpdateId: update.update_id };
+
+    if (update.message) {
+      const { message } = update;
+      from = message.from;
+      chatId = String(message.chat.id);
+      content = this.getMessageContent(message);
+      metadata.telegramMessageId = message.message_id;
+      metadata.type = 'message';
+
+      const [command, payload] = (message.text || '').trim().split(/\s+/, 2);
+
+      if (command === '/start') {
+        isReply = false;
+        if (payload) {
+          const bound = await this.bindContact(channel, payload, chatId);
+          if (!bound) {
+            logger.warn('Invalid Telegram /start token', { channelId: channel.id, chatId });
+          } else if (channel.settings?.welcomeMessage) {
+            await this.send(credentials, chatId, channel.settings.welcomeMessage);
+          }
+        }
+      } else if (STOP_COMMANDS.includes(command)) {
+        isReply = false;
+        isStop = true;
+        await suppressionService.add(
+          tenantId,
+          [{ type: 'TELEGRAM', value: chatId }, { type: 'TELEGRAM', value: from?.username }],
+          { reason: 'UNSUBSCRIBED', note: `Telegram ${command}` }
+        );
+      }
+    } else if (update.callback_query) {
+      const query = update.callback_query;
+      from = query.from;
+      chatId = String(query.message?.chat?.id || query.from.id);
+
+      // Show the label of the clicked button rather than its callback data
+      const button = (query.message?.reply_markup?.inline_keyboard || [])
+        .flat()
+        .find(b => b.callback_data === query.data);
+      content = button?.text || query.data;
+      metadata.type = 'callback_query';
+      metadata.callbackData = query.data;
+      metadata.telegramMessageId = query.message?.message_id;
+
+      // Stop the client's loading indicator
+      try {
+        await this.callApi(credentials.botToken, 'answerCallbackQuery', { callback_query_id: query.id });
+      } catch (error) {
+        logger.warn('Failed to answer Telegram callback query', { error: error.message });
+      }
+    } else {
+      return null;
+    }
+
+    const contact = await this.findContact(tenantId, from, chatId);
+    if (!contact) {
+      logger.info(`No matching contact found for Telegram chat ${chatId}`, { tenantId, channelId: channel.id });
+      return null;
+    }
+
+    if (!contact.telegramChatId) {
+      await prisma.contact.update({ where: { id: contact.id }, data: { telegramChatId: chatId } });
+    }
+
+    let conversation = await prisma.conversation.findFirst({
+      where: {
+        tenantId,
+        leadId: contact.leadId,
+        contactId: contact.id,
+        channelType: 'TELEGRAM',
+      },
+    });
+
+    if (!conversation) {
+      conversation = await prisma.conversation.create({
+        data: {
+          tenantId,
+          leadId: contact.leadId,
+          contactId: contact.id,
+          channelType: 'TELEGRAM',
+          status: 'OPEN',
+          lastMessageAt: new Date(),
+        },
+      });
+      logger.info(`Created new Telegram conversation ${conversation.id} for contact ${contact.id}`);
+    }
+
+    // Telegram redelivers updates until it gets a 200
+    const existingMessages = await prisma.$queryRaw`
+      SELECT id FROM messages
+      WHERE conversation_id = ${conversation.id}
+      AND JSON_EXTRACT(metadata, '$.telegramUpdateId') = ${update.update_id}
+      LIMIT 1
+    `;
+    if (existingMessages.length > 0) {
+      logger.info(`Telegram update ${update.update_id} already stored, skipping`);
+      return null;
+    }
+
+    const created = await prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        direction: 'INBOUND',
+        content,
+        metadata: {
+          ...metadata,
+          chatId,
+          fromName: [from?.first_name, from?.last_name].filter(Boolean).join(' ') || from?.username,
+          fromUsername: from?.username,
+          channelConfigId: channel.id,
+        },
+      },
+    });
+
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: {
+        lastMessageAt: new Date(),
+        status: 'OPEN', // Reopen if it was closed
+      },
+    });
+
+    if (contact.lead?.status === 'NEW') {
+      await prisma.lead.update({
+        where: { id: contact.leadId },
+        data: { status: 'CONTACTED' },
+      });
+    }
+
+    if (isReply) {
+      const lastAttempt = await prisma.contactAttempt.findFirst({
+        where: {
+          contactId: contact.id,
+          channelType: 'TELEGRAM',
+          direction: 'OUTBOUND',
+          repliedAt: null,
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+      if (lastAttempt) {
+        await prisma.contactAttempt.update({
+          where: { id: lastAttempt.id },
+          data: { repliedAt: new Date() },
+        });
+      }
+    }
+
+    // Stop the sequence in every campaign the contact is in
+    if (isReply || isStop) {
+      const status = isStop ? 'UNSUBSCRIBED' : 'REPLIED';
+      const { count } = await prisma.campaignRecipient.updateMany({
+        where: {
+          contactId: contact.id,
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+        },
+        data: { status, nextActionAt: null },
+      });
+      if (count > 0) {
+        logger.info(`Marked ${count} campaign recipient(s) of contact ${contact.id} as ${status}`);
+      }
+    }
+
+    logger.info(`Stored inbound Telegram ${metadata.type} from chat ${chatId} -> conversation ${conversation.id}`);
+    return created;
+  }
+}
+
+module.exports = new TelegramBotService();
@@ -1,8 +1,269 @@
 /**
  * Template rendering service
  * Handles variable substitution in email/SMS templates
+ *
+ * Syntax:
+ *   {{contact.first_name}}                      variable (missing values render as "")
+ *   {{contact.first_name | default: "there"}}   filters, applied left to right
+ *   {{#if lead.website}}...{{else}}...{{/if}}   conditionals ({{#unless}} too, and == / != "value")
+ *   {Hi|Hello|Hey}                              spintax, one option picked per render
+ *
+ * Spintax is not applied inside HTML tags or <style>/<script> blocks, so CSS rules keep their
+ * braces. Tags that are not valid expressions (e.g. {{first name}}) are left as written.
  */
 
+// Filters usable after a variable: {{ path | name: arg, arg }}
+const FILTERS = {
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+  capitalize: value => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  titlecase: value => toText(value).toLowerCase().replace(/(^|[\s-])(\S)/g, (m, sep, ch) => sep + ch.toUpperCase()),
+  upcase: value => toText(value).toUpperCase(),
+  downcase: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim(),
+  truncate: (value, length = 50, ellipsis = '...') => {
+    const text = toText(value);
+    const max = parseInt(length, 10);
+    if (!(max > 0) || text.length <= max) return text;
+    return text.slice(0, Math.max(max - String(ellipsis).length, 0)).trimEnd() + ellipsis;
+  },
+};
+FILTERS.upper = FILTERS.upcase;
+FILTERS.lower = FILTERS.downcase;
+
+const TAG_REGEX = /\{\{([\s\S]*?)\}\}/g;
+const SPINTAX_REGEX = /\{([^{}]*\|[^{}]*)\}/;
+// Kept out of spintax: {{tags}}, <style>/<script> blocks and HTML tags with their attributes
+const SPIN_PROTECTED_REGEX = /\{\{[\s\S]*?\}\}|<(style|script)\b[\s\S]*?<\/\1\s*>|<\/?[a-z][^<>]*>/gi;
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Split on a separator outside double/single quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Parse a filter argument: quoted string or number
+ */
+function parseLiteral(raw) {
+  const text = raw.trim();
+  const quoted = text.match(/^(["'])([\s\S]*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  throw new Error(`Invalid value "${text}" - quote text values`);
+}
+
+/**
+ * Parse "path | filter: arg | filter" into { path, filters }
+ */
+function parseExpression(source) {
+  const [pathPart, ...filterParts] = splitOutsideQuotes(source, '|');
+  const path = pathPart.trim();
+  if (!/^[\w$-]+(\.[\w$-]+)*$/.test(path)) {
+    throw new Error(`Invalid variable "{{${source.trim()}}}"`);
+  }
+
+  const filters = filterParts.map((part) => {
+    const colon = part.indexOf(':');
+    const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+    if (!FILTERS[name]) throw new Error(`Unknown filter "${name}"`);
+    const args = colon === -1 ? [] : splitOutsideQuotes(part.slice(colon + 1), ',').map(parseLiteral);
+    return { name, args };
+  });
+
+  return { path, filters };
+}
+
+/**
+ * Parse an output tag, or null when it is not a valid expression
+ */
+function tryParseExpression(source) {
+  try {
+    return parseExpression(source);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse an #if/#unless condition: "path", "path == 'value'" or "path != 'value'"
+ */
+function parseCondition(source) {
+  const comparison = source.match(/^([\s\S]+?)\s*(==|!=)\s*([\s\S]+)$/);
+  if (!comparison) return { expr: parseExpression(source) };
+  return { expr: parseExpression(comparison[1]), operator: comparison[2], value: parseLiteral(comparison[3]) };
+}
+
+/**
+ * Parse a template into a tree of text, output and if nodes
+ * @param {string} template - Template string
+ * @returns {Object[]} - Nodes
+ * @throws {Error} - On unbalanced blocks or malformed conditions
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().children.push({ type: 'text', value: text });
+  };
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(template)) !== null) {
+    pushText(template.slice(lastIndex, match.index));
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const tag = match[1].trim();
+    const block = tag.match(/^#(if|unless)\s+([\s\S]+)$/);
+
+    if (block) {
+      const node = {
+        type: 'if',
+        negate: block[1] === 'unless',
+        block: block[1],
+        condition: parseCondition(block[2]),
+        then: [],
+        else: [],
+      };
+      current().children.push(node);
+      node.children = node.then;
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = current();
+      if (node === root) throw new Error('{{else}} without a matching {{#if}}');
+      if (node.children === node.else) throw new Error(`Only one {{else}} per {{#${node.block}}} block`);
+      node.children = node.else;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const node = current();
+      if (node === root || `/${node.block}` !== tag) throw new Error(`{{${tag}}} without a matching {{#${tag.slice(1)}}}`);
+      stack.pop();
+    } else {
+      const expr = tryParseExpression(tag);
+      if (expr) {
+        current().children.push({ type: 'output', expr });
+      } else {
+        pushText(match[0]);
+      }
+    }
+  }
+
+  pushText(template.slice(lastIndex));
+
+  if (stack.length > 1) throw new Error(`Unclosed {{#${current().block}}} block`);
+
+  return root.children;
+}
+
+/**
+ * Resolve spintax ({a|b|c}, nested allowed), leaving {{tags}} and HTML markup untouched
+ * @param {string} template - Template string
+ * @param {Function} random - Random number source
+ * @returns {string}
+ */
+function spin(template, random = Math.random) {
+  const tags = [];
+  let text = template.replace(SPIN_PROTECTED_REGEX, (tag) => {
+    tags.push(tag);
+    return `\u0000${tags.length - 1}\u0000`;
+  });
+
+  let match;
+  while ((match = SPINTAX_REGEX.exec(text)) !== null) {
+    const options = match[1].split('|');
+    const choice = options[Math.floor(random() * options.length)];
+    text = text.slice(0, match.index) + choice + text.slice(match.index + match[0].length);
+  }
+
+  return text.replace(/\u0000(\d+)\u0000/g, (m, index) => tags[index]);
+}
+
+/**
+ * Evaluate an expression; paths that are blank and have no default are reported as missing
+ */
+function evaluate(expr, context, missing) {
+  let value = getNestedValue(context, expr.path);
+
+  if (isBlank(value) && missing && !expr.filters.some(filter => filter.name === 'default')) {
+    if (!missing.includes(expr.path)) missing.push(expr.path);
+  }
+
+  for (const filter of expr.filters) {
+    value = FILTERS[filter.name](value, ...filter.args);
+  }
+
+  return value;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !isBlank(value) && value !== false && value !== 0;
+}
+
+function renderNodes(nodes, context, missing) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'output') return toText(evaluate(node.expr, context, missing));
+
+    // Conditions never count as missing - testing for a value is how templates handle its absence
+    const { expr, operator, value } = node.condition;
+    const actual = evaluate(expr, context, null);
+    let result = operator
+      ? (toText(actual).toLowerCase() === toText(value).toLowerCase()) === (operator === '==')
+      : isTruthy(actual);
+    if (node.negate) result = !result;
+
+    return renderNodes(result ? node.then : node.else, context, missing);
+  }).join('');
+}
+
+/**
+ * Render a template and report variables that had no value
+ * @param {string} template - Template string
+ * @param {Object} context - Variables to substitute
+ * @param {Object} options - { random } number source for spintax
+ * @returns {Object} - { text, missing: string[] }
+ * @throws {Error} - If the template has a syntax error
+ */
+function renderWithMissing(template, context, { random = Math.random } = {}) {
+  if (!template) return { text: '', missing: [] };
+
+  const missing = [];
+  const text = renderNodes(parse(spin(template, random)), context || {}, missing);
+  return { text, missing };
+}
+
 /**
  * Render a template with given context
  * @param {string} template - Template string with {{variable}} placeholders
@@ -10,12 +271,22 @@
  * @returns {string} - Rendered template
  */
 function render(template, context) {
-  if (!template) return '';
+  return renderWithMissing(template, context).text;
+}
 
-  return template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-    const value = getNestedValue(context, path.trim());
-    return value !== undefined && value !== null ? String(value) : match;
-  });
+/**
+ * Check a template for syntax errors
+ * @param {string} template - Template string
+ * @returns {string|null} - Error message, or null when the template is valid
+ */
+function validateSyntax(template) {
+  if (!template) return null;
+  try {
+    parse(spin(template, () => 0));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
 }
 
 /**
@@ -42,17 +313,22 @@ function getNestedValue(obj, path) {
 /**
  * Extract all variables from a template
  * @param {string} template - Template string
- * @returns {string[]} - Array of variable paths
+ * @returns {string[]} - Array of variable paths, including those tested by conditions
  */
 function extractVariables(template) {
   if (!template) return [];
 
-  const regex = /\{\{([^}]+)\}\}/g;
   const variables = [];
   let match;
 
-  while ((match = regex.exec(template)) !== null) {
-    const variable = match[1].trim();
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(template)) !== null) {
+    const tag = match[1].trim().replace(/^#(if|unless)\s+/, '');
+    if (tag === 'else' || tag.startsWith('/')) continue;
+
+    const variable = splitOutsideQuotes(tag, '|')[0].split(/\s*(?:==|!=)\s*/)[0].trim();
+    // Tags that are not valid expressions render as written
+    if (!/^[\w$-]+(\.[\w$-]+)*$/.test(variable)) continue;
     if (!variables.includes(variable)) {
       variables.push(variable);
     }
@@ -63,20 +339,13 @@ function extractVariables(template) {
 
 /**
  * Validate that all required variables are present in context
+ * Required means rendered without a default, outside any branch that is not taken
  * @param {string} template - Template string
  * @param {Object} context - Variables context
  * @returns {Object} - { valid: boolean, missing: string[] }
  */
 function validateContext(template, context) {
-  const variables = extractVariables(template);
-  const missing = [];
-
-  for (const variable of variables) {
-    const value = getNestedValue(context, variable);
-    if (value === undefined || value === null) {
-      missing.push(variable);
-    }
-  }
+  const { missing } = renderWithMissing(template, context);
 
   return {
     valid: missing.length === 0,
@@ -84,51 +353,124 @@ function validateContext(template, context) {
   };
 }
 
+// Lead details stored in customFields by imports, exposed as lead.<name> (first matching key wins)
+const LEAD_DETAIL_FIELDS = {
+  address: ['address', 'Address', 'street'],
+  city: ['city', 'City'],
+  state: ['state', 'State', 'region'],
+  country: ['country', 'Country', 'countryCode', 'country_code'],
+  postalCode: ['postalCode', 'postal_code', 'zip', 'zipCode'],
+  phone: ['phone', 'Phone'],
+  email: ['email', 'Email'],
+};
+
+/**
+ * Custom field key as usable in a variable path ("Company Size" -> "company_size")
+ * @param {string} key - customFields key
+ * @returns {string}
+ */
+function toVariableKey(key) {
+  return String(key).trim().replace(/[^\w$-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Lead customFields keyed both as stored and as variable-safe keys
+ */
+function buildCustomFields(customFields) {
+  const custom = {};
+  if (!customFields || typeof customFields !== 'object' || Array.isArray(customFields)) return custom;
+
+  for (const [key, value] of Object.entries(customFields)) {
+    custom[key] = value;
+    const variableKey = toVariableKey(key);
+    if (variableKey && !(variableKey in custom)) custom[variableKey] = value;
+    const lowerKey = variableKey.toLowerCase();
+    if (lowerKey && !(lowerKey in custom)) custom[lowerKey] = value;
+  }
+
+  return custom;
+}
+
+/**
+ * Split a person's name into first/last
+ */
+function splitName(name) {
+  const parts = (name || '').trim().split(/\s+/);
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
 /**
  * Build context object from lead and contact data
+ * Leads may include industries (with industry) and assignedTo; contacts may include positionRef
  * @param {Object} options - Context building options
  * @param {Object} options.lead - Lead record
  * @param {Object} options.contact - Contact record
  * @param {Object} options.sender - Sender/user record
  * @param {Object} options.tenant - Tenant record
  * @param {Object} options.custom - Custom variables
+ * @param {string} options.unsubscribeLink - Signed unsubscribe URL for the recipient
  * @returns {Object} - Context for template rendering
  */
-function buildContext({ lead, contact, sender, tenant, custom = {} }) {
+function buildContext({ lead, contact, sender, tenant, custom = {}, unsubscribeLink = '' }) {
   const context = {
     ...custom,
   };
 
   if (lead) {
+    const customFields = lead.customFields && typeof lead.customFields === 'object' ? lead.customFields : {};
+    const industries = (lead.industries || []).map(li => li.industry?.name).filter(Boolean);
+    const tags = Array.isArray(lead.tags) ? lead.tags.filter(tag => typeof tag === 'string') : [];
+
     context.lead = {
       id: lead.id,
       company_name: lead.companyName,
       companyName: lead.companyName,
       website: lead.website,
-      industry: lead.industry,
+      industry: industries[0] || customFields.industry || '',
+      industries: industries.join(', '),
+      tags: tags.join(', '),
       size: lead.size,
       status: lead.status,
-      address: lead.address,
-      city: lead.city,
-      state: lead.state,
-      country: lead.country,
-      postalCode: lead.postalCode,
-      notes: lead.notes,
+      custom: buildCustomFields(customFields),
     };
+
+    for (const [name, keys] of Object.entries(LEAD_DETAIL_FIELDS)) {
+      const key = keys.find(k => !isBlank(customFields[k]));
+      context.lead[name] = key ? customFields[key] : '';
+    }
+    context.lead.postal_code = context.lead.postalCode;
+
+    if (lead.assignedTo) {
+      const { first, last } = splitName(lead.assignedTo.name);
+      context.assignee = {
+        id: lead.assignedTo.id,
+        name: lead.assignedTo.name,
+        first_name: first,
+        firstName: first,
+        last_name: last,
+        lastName: last,
+        email: lead.assignedTo.email,
+      };
+    }
   }
 
   if (contact) {
+    const { first, last } = splitName(contact.name);
+    const position = contact.positionRef?.name || contact.position;
+
     context.contact = {
       id: contact.id,
       name: contact.name,
-      first_name: contact.name?.split(' ')[0] || '',
-      firstName: contact.name?.split(' ')[0] || '',
-      last_name: contact.name?.split(' ').slice(1).join(' ') || '',
-      lastName: contact.name?.split(' ').slice(1).join(' ') || '',
+      first_name: first,
+      firstName: first,
+      last_name: last,
+      lastName: last,
       email: contact.email,
       phone: contact.phone,
-      position: contact.position,
-      title: contact.position,
+      position,
+      title: position,
+      linkedin_url: contact.linkedinUrl,
+      linkedinUrl: contact.linkedinUrl,
     };
   }
 
@@ -150,7 +492,7 @@ function buildContext({ lead, contact, sender, tenant, custom = {} }) {
   }
 
   // Add special links
-  context.unsubscribe_link = `{{unsubscribe_link}}`; // Will be replaced by actual link at send time
+  context.unsubscribe_link = unsubscribeLink;
 
   // Add date helpers
   const now = new Date();
@@ -159,6 +501,7 @@ function buildContext({ lead, contact, sender, tenant, custom = {} }) {
     year: now.getFullYear(),
     month: now.toLocaleString('default', { month: 'long' }),
   };
+  context.current_date = context.date.today;
 
   return context;
 }
@@ -176,7 +519,12 @@ function preview(template, sampleData = {}) {
       companyName: 'Acme Corporation',
       website: 'https://acme.example.com',
       industry: 'Technology',
+      industries: 'Technology, SaaS',
+      tags: 'enterprise',
       size: 'MEDIUM',
+      city: 'Springfield',
+      country: 'US',
+      custom: {},
     },
     contact: {
       name: 'John Doe',
@@ -192,6 +540,12 @@ function preview(template, sampleData = {}) {
       name: 'Your Name',
       email: 'you@yourcompany.com',
     },
+    assignee: {
+      name: 'Account Owner',
+      first_name: 'Account',
+      firstName: 'Account',
+      email: 'owner@yourcompany.com',
+    },
     company: {
       name: 'Your Company',
     },
@@ -201,6 +555,7 @@ function preview(template, sampleData = {}) {
       month: new Date().toLocaleString('default', { month: 'long' }),
     },
     unsubscribe_link: '#unsubscribe',
+    current_date: new Date().toLocaleDateString(),
   };
 
   const context = {
@@ -211,6 +566,55 @@ function preview(template, sampleData = {}) {
   return render(template, context);
 }
 
+// Variables every context provides, for the template editor
+const STANDARD_VARIABLES = [
+  ['contact.first_name', 'Contact first name'],
+  ['contact.last_name', 'Contact last name'],
+  ['contact.name', 'Contact full name'],
+  ['contact.email', 'Contact email'],
+  ['contact.phone', 'Contact phone'],
+  ['contact.position', 'Contact position'],
+  ['contact.linkedin_url', 'Contact LinkedIn URL'],
+  ['lead.company_name', 'Company name'],
+  ['lead.website', 'Company website'],
+  ['lead.industry', 'First industry'],
+  ['lead.industries', 'All industries, comma-separated'],
+  ['lead.tags', 'Tags, comma-separated'],
+  ['lead.size', 'Company size'],
+  ['lead.status', 'Lead status'],
+  ['lead.address', 'Address (custom field)'],
+  ['lead.city', 'City (custom field)'],
+  ['lead.state', 'State (custom field)'],
+  ['lead.country', 'Country (custom field)'],
+  ['lead.postal_code', 'Postal code (custom field)'],
+  ['assignee.first_name', 'Assigned user first name'],
+  ['assignee.name', 'Assigned user name'],
+  ['assignee.email', 'Assigned user email'],
+  ['sender.name', 'Campaign owner name'],
+  ['sender.email', 'Campaign owner email'],
+  ['company.name', 'Your organization name'],
+  ['current_date', "Today's date"],
+  ['date.year', 'Current year'],
+  ['date.month', 'Current month'],
+  ['unsubscribe_link', 'Unsubscribe link'],
+];
+
+/**
+ * Variables available to templates
+ * @param {string[]} customFieldKeys - Lead customFields keys in use by the tenant
+ * @returns {Object[]} - [{ name, description, custom }]
+ */
+function getAvailableVariables(customFieldKeys = []) {
+  const custom = [...new Set(customFieldKeys.map(toVariableKey).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b))
+    .map(key => ({ name: `lead.custom.${key}`, description: 'Lead custom field', custom: true }));
+
+  return [
+    ...STANDARD_VARIABLES.map(([name, description]) => ({ name, description, custom: false })),
+    ...custom,
+  ];
+}
+
 /**
  * Get a random variation from a list of variations
  * @param {Array} variations - Array of template variations
@@ -227,12 +631,13 @@ function getRandomVariation(variations) {
 /**
  * Get template content - either from variation (if AI enabled) or main body
  * @param {Object} template - Template object with variations
- * @returns {Object} - { subject, body } to use for rendering
+ * @param {Object} variation - Variation already chosen (e.g. by A/B testing); random when omitted
+ * @returns {Object} - { subject, body, variationId } to use for rendering
  */
-function getTemplateContent(template) {
-  // If AI is enabled and variations exist, pick a random variation
+function getTemplateContent(template, variation = null) {
+  // If AI is enabled and variations exist, use the chosen variation or pick a random one
   if (template.useAi && template.variations && template.variations.length > 0) {
-    const variation = getRandomVariation(template.variations);
+    variation = variation || getRandomVariation(template.variations);
     return {
       subject: variation.subject || template.subject,
       body: variation.body,
@@ -250,9 +655,12 @@ function getTemplateContent(template) {
 
 module.exports = {
   render,
+  renderWithMissing,
+  validateSyntax,
   extractVariables,
   validateContext,
   buildContext,
+  getAvailableVariables,
   preview,
   getNestedValue,
   getRandomVariation,
@@ -0,0 +1,169 @@
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { signToken, verifyToken } = require('../utils/encryption');
+
+// 1x1 transparent GIF
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Email open/click tracking service
+ * Rewrites outbound email HTML with per-attempt tracking URLs and
+ * records opens/clicks on the ContactAttempt when those URLs are hit
+ */
+class TrackingService {
+  constructor() {
+    this.pixel = PIXEL_GIF;
+  }
+
+  /**
+   * Base URL for public tracking endpoints
+   */
+  getBaseUrl() {
+    return `${config.appUrl.replace(/\/$/, '')}/api/v1/track`;
+  }
+
+  /**
+   * Resolve tracking options from channel settings (both enabled by default)
+   * @param {Object} settings - ChannelConfig.settings
+   * @returns {Object} - { opens: boolean, clicks: boolean }
+   */
+  getOptions(settings) {
+    const tracking = settings?.tracking || {};
+    return {
+      opens: tracking.opens !== false,
+      clicks: tracking.clicks !== false,
+    };
+  }
+
+  /**
+   * Build the open-tracking pixel URL for an attempt
+   * @param {number} attemptId - ContactAttempt ID
+   */
+  getPixelUrl(attemptId) {
+    return `${this.getBaseUrl()}/open/${signToken({ a: attemptId })}`;
+  }
+
+  /**
+   * Build a signed click-redirect URL for an attempt
+   * @param {number} attemptId - ContactAttempt ID
+   * @param {string} url - Destination URL
+   */
+  getClickUrl(attemptId, url) {
+    return `${this.getBaseUrl()}/click/${signToken({ a: attemptId, u: url })}`;
+  }
+
+  /**
+   * Decode a tracking token
+   * @param {string} token - Signed token from a tracking URL
+   * @returns {Object|null} - { attemptId, url } or null if invalid
+   */
+  parseToken(token) {
+    const payload = verifyToken(token);
+    if (!payload || !Number.isInteger(payload.a)) {
+      return null;
+    }
+    return { attemptId: payload.a, url: payload.u || null };
+  }
+
+  /**
+   * Rewrite an HTML email body with tracking
+   * @param {string} html - Formatted HTML body
+   * @param {number} attemptId - ContactAttempt ID
+   * @param {Object} options - { opens: boolean, clicks: boolean }
+   * @returns {string} - Instrumented HTML
+   */
+  instrumentHtml(html, attemptId, { opens = true, clicks = true } = {}) {
+    if (!html || !attemptId) return html;
+
+    let result = html;
+
+    if (clicks) {
+      result = result.replace(
+        /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+        (match, prefix, quote, url) => {
+          // Leave unsubscribe links alone so they work without a redirect hop
+          if (/\/unsubscribe\//i.test(url)) return match;
+          const decodedUrl = url.replace(/&amp;/g, '&');
+          return `${prefix}${quote}${this.getClickUrl(attemptId, decodedUrl)}${quote}`;
+        }
+      );
+    }
+
+    if (opens) {
+      const pixel = `<img src="${this.getPixelUrl(attemptId)}" width="1" height="1" alt="" style="display:none;border:0;width:1px;height:1px;" />`;
+      result = /<\/body>/i.test(result)
+        ? result.replace(/<\/body>/i, `${pixel}\n</body>`)
+        : `${result}${pixel}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Record an email open
+   * @param {number} attemptId - ContactAttempt ID
+   */
+  async recordOpen(attemptId) {
+    const attempt = await prisma.contactAttempt.findUnique({
+      where: { id: attemptId },
+      select: { id: true, openedAt: true, metadata: true },
+    });
+
+    if (!attempt) return null;
+
+    const metadata = attempt.metadata || {};
+    const now = new Date();
+
+    await prisma.contactAttempt.update({
+      where: { id: attemptId },
+      data: {
+        openedAt: attempt.openedAt || now,
+        metadata: {
+          ...metadata,
+          openCount: (metadata.openCount || 0) + 1,
+          lastOpenedAt: now.toISOString(),
+        },
+      },
+    });
+
+    logger.debug('Email open tracked', { attemptId });
+    return attempt;
+  }
+
+  /**
+   * Record a link click (a click also implies an open)
+   * @param {number} attemptId - ContactAttempt ID
+   * @param {string} url - Clicked URL
+   */
+  async recordClick(attemptId, url) {
+    const attempt = await prisma.contactAttempt.findUnique({
+      where: { id: attemptId },
+      select: { id: true, openedAt: true, clickedAt: true, metadata: true },
+    });
+
+    if (!attempt) return null;
+
+    const metadata = attempt.metadata || {};
+    const now = new Date();
+
+    await prisma.contactAttempt.update({
+      where: { id: attemptId },
+      data: {
+        openedAt: attempt.openedAt || now,
+        clickedAt: attempt.clickedAt || now,
+        metadata: {
+          ...metadata,
+          clickCount: (metadata.clickCount || 0) + 1,
+          lastClickedAt: now.toISOString(),
+          lastClickedUrl: url,
+        },
+      },
+    });
+
+    logger.debug('Email click tracked', { attemptId, url });
+    return attempt;
+  }
+}
+
+module.exports = new TrackingService();
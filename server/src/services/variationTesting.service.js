@@ -0,0 +1,226 @@
+const prisma = require('../config/database');
+const templateService = require('./template.service');
+
+// How variations are chosen: uniformly, epsilon-greedy, or Thompson sampling
+const STRATEGIES = ['random', 'epsilon_greedy', 'thompson'];
+
+// Outcome a variation is optimized for
+const METRICS = ['opened', 'clicked', 'replied'];
+
+const DEFAULT_MIN_SAMPLES = 50;
+const DEFAULT_EPSILON = 0.1;
+
+// Stats are re-read at most this often per campaign while sending
+const STATS_TTL_MS = 60 * 1000;
+
+/**
+ * Sample from Gamma(shape, 1) (Marsaglia-Tsang)
+ */
+function sampleGamma(shape) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      // Standard normal via Box-Muller
+      x = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/**
+ * Sample from Beta(a, b)
+ */
+function sampleBeta(a, b) {
+  const x = sampleGamma(a);
+  const y = sampleGamma(b);
+  return x / (x + y);
+}
+
+/**
+ * Template variation A/B testing
+ * Every campaign attempt records the variation it sent (ContactAttempt.variationId). Campaigns with
+ * abTesting set shift traffic toward the variations that perform best on the chosen metric once each
+ * variation has been sent minSamples times; until then variations are picked uniformly.
+ */
+class VariationTestingService {
+  constructor() {
+    this.strategies = STRATEGIES;
+    this.metrics = METRICS;
+    this.statsCache = new Map();
+  }
+
+  /**
+   * A campaign's A/B testing settings with defaults filled in
+   * @param {Object} config - Campaign.abTesting
+   * @returns {Object} - { strategy, metric, minSamples, epsilon }
+   */
+  getConfig(config) {
+    return {
+      strategy: STRATEGIES.includes(config?.strategy) ? config.strategy : 'random',
+      metric: METRICS.includes(config?.metric) ? config.metric : 'replied',
+      minSamples: Number.isInteger(config?.minSamples) ? config.minSamples : DEFAULT_MIN_SAMPLES,
+      epsilon: typeof config?.epsilon === 'number' ? config.epsilon : DEFAULT_EPSILON,
+    };
+  }
+
+  /**
+   * Per-variation outcomes for a campaign
+   * Only attempts that went out count; opens include clicks (a click implies an open)
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<Map<number, Object>>} - variationId => { sent, opened, clicked, replied }
+   */
+  async getStats(campaignId) {
+    const rows = await prisma.$queryRaw`
+      SELECT variation_id AS variationId,
+        COUNT(*) AS sent,
+        SUM(opened_at IS NOT NULL OR clicked_at IS NOT NULL) AS opened,
+        SUM(clicked_at IS NOT NULL) AS clicked,
+        SUM(replied_at IS NOT NULL) AS replied
+      FROM contact_attempts
+      WHERE campaign_id = ${campaignId}
+        AND variation_id IS NOT NULL
+        AND status IN ('SENT', 'DELIVERED')
+      GROUP BY variation_id
+    `;
+
+    return new Map(rows.map(row => [Number(row.variationId), {
+      sent: Number(row.sent || 0),
+      opened: Number(row.opened || 0),
+      clicked: Number(row.clicked || 0),
+      replied: Number(row.replied || 0),
+    }]));
+  }
+
+  /**
+   * getStats, cached briefly so a burst of sends doesn't re-query per message
+   */
+  async getCachedStats(campaignId) {
+    const cached = this.statsCache.get(campaignId);
+    if (cached && cached.expiresAt > Date.now()) return cached.stats;
+
+    const stats = await this.getStats(campaignId);
+    this.statsCache.set(campaignId, { stats, expiresAt: Date.now() + STATS_TTL_MS });
+    return stats;
+  }
+
+  /**
+   * Choose a variation from its stats
+   * @param {Object[]} variations - Template variations
+   * @param {Map} stats - From getStats
+   * @param {Object} config - From getConfig
+   * @returns {Object} - { variation, mode: 'random' | 'explore' | 'exploit' }
+   */
+  choose(variations, stats, config) {
+    const empty = { sent: 0, opened: 0, clicked: 0, replied: 0 };
+    const scored = variations.map(variation => {
+      const s = stats.get(variation.id) || empty;
+      return { variation, sent: s.sent, successes: s[config.metric] };
+    });
+
+    if (config.strategy === 'random') {
+      return { variation: templateService.getRandomVariation(variations), mode: 'random' };
+    }
+
+    // Uniform among variations that haven't reached their sample size yet
+    const undersampled = scored.filter(v => v.sent < config.minSamples);
+    if (undersampled.length > 0) {
+      return { variation: templateService.getRandomVariation(undersampled).variation, mode: 'explore' };
+    }
+
+    if (config.strategy === 'epsilon_greedy') {
+      if (Math.random() < config.epsilon) {
+        return { variation: templateService.getRandomVariation(variations), mode: 'explore' };
+      }
+      const best = scored.reduce((a, b) => (b.successes / b.sent > a.successes / a.sent ? b : a));
+      return { variation: best.variation, mode: 'exploit' };
+    }
+
+    // Thompson sampling: draw a plausible rate for each variation, send the highest
+    const draws = scored.map(v => ({
+      variation: v.variation,
+      draw: sampleBeta(1 + v.successes, 1 + v.sent - v.successes),
+    }));
+    const best = draws.reduce((a, b) => (b.draw > a.draw ? b : a));
+    return { variation: best.variation, mode: 'exploit' };
+  }
+
+  /**
+   * Pick the variation to send for a campaign step
+   * @param {Object} campaign - Campaign (with abTesting)
+   * @param {Object} template - Template with variations
+   * @returns {Promise<Object|null>} - Variation, or null to send the template's own body
+   */
+  async pickVariation(campaign, template) {
+    if (!template?.useAi || !template.variations?.length) return null;
+
+    const config = this.getConfig(campaign.abTesting);
+    if (config.strategy === 'random' || template.variations.length === 1) {
+      return templateService.getRandomVariation(template.variations);
+    }
+
+    const stats = await this.getCachedStats(campaign.id);
+    return this.choose(template.variations, stats, config).variation;
+  }
+
+  /**
+   * Per-variation results for a campaign's templates
+   * @param {Object} campaign - Campaign (with abTesting)
+   * @param {Object[]} templates - Templates used by the campaign, with variations
+   * @returns {Promise<Object>} - { config, templates: [{ templateId, name, variations: [...] }] }
+   */
+  async getReport(campaign, templates) {
+    const config = this.getConfig(campaign.abTesting);
+    const stats = await this.getStats(campaign.id);
+    const rate = (count, sent) => (sent > 0 ? Math.round((count / sent) * 1000) / 10 : 0);
+
+    const report = templates
+      .filter(template => template.useAi && template.variations?.length)
+      .map(template => {
+        const rows = template.variations.map(variation => {
+          const s = stats.get(variation.id) || { sent: 0, opened: 0, clicked: 0, replied: 0 };
+          return {
+            variationId: variation.id,
+            subject: variation.subject,
+            preview: variation.body.slice(0, 120),
+            ...s,
+            openRate: rate(s.opened, s.sent),
+            clickRate: rate(s.clicked, s.sent),
+            replyRate: rate(s.replied, s.sent),
+          };
+        });
+
+        const totalSent = rows.reduce((sum, row) => sum + row.sent, 0);
+        const sampled = rows.filter(row => row.sent >= config.minSamples);
+        const leader = sampled.length === rows.length && rows.length > 1
+          ? sampled.reduce((a, b) => (b[config.metric] / b.sent > a[config.metric] / a.sent ? b : a))
+          : null;
+
+        return {
+          templateId: template.id,
+          name: template.name,
+          variations: rows.map(row => ({
+            ...row,
+            share: rate(row.sent, totalSent),
+            leader: row.variationId === leader?.variationId,
+          })),
+        };
+      });
+
+    return { config, templates: report };
+  }
+}
+
+module.exports = new VariationTestingService();
@@ -0,0 +1,557 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { decrypt } = require('../utils/encryption');
+const { normalizePhone, phonesMatch } = require('../utils/helpers');
+const { phoneKey } = require('../utils/lookupKeys');
+const templateService = require('./template.service');
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+// Delivery states only move forward; "failed" always wins
+const STATUS_RANK = { PENDING: 0, SENT: 1, DELIVERED: 2 };
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'application/pdf': 'pdf',
+};
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Free-form (session) messages are only allowed this long after the contact's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * WhatsApp Business Cloud API service
+ * Sends session/template messages, verifies webhooks, applies message status updates
+ * and stores inbound messages/media
+ */
+class WhatsAppBusinessService {
+  /**
+   * Decrypt channel credentials (supports legacy unencrypted configs)
+   */
+  getCredentials(channel) {
+    const encryptedData = channel.credentials?.encrypted;
+    if (encryptedData) {
+      return JSON.parse(decrypt(encryptedData));
+    }
+    return channel.credentials || {};
+  }
+
+  /**
+   * Key a channel is looked up by when a webhook arrives (ChannelConfig.externalId)
+   * @param {Object} credentials - Channel credentials
+   * @returns {string|null} - Cloud API phone number ID
+   */
+  getExternalId(credentials) {
+    return credentials?.phoneNumberId ? String(credentials.phoneNumberId) : null;
+  }
+
+  /**
+   * Fill in externalId for channels saved before it existed
+   * Channels without a phone number ID are stored with '' so they are not decrypted again
+   */
+  async backfillExternalIds() {
+    const channels = await prisma.channelConfig.findMany({
+      where: { channelType: 'WHATSAPP_BUSINESS', externalId: null },
+    });
+
+    for (const channel of channels) {
+      let externalId = '';
+      try {
+        externalId = this.getExternalId(this.getCredentials(channel)) || '';
+      } catch (error) {
+        logger.warn('Failed to decrypt WhatsApp channel credentials', { channelId: channel.id });
+      }
+      await prisma.channelConfig.update({ where: { id: channel.id }, data: { externalId } });
+    }
+  }
+
+  /**
+   * Find active WhatsApp Business channels by Cloud API phone number ID
+   * Several tenants may claim the same number; the webhook signature decides between them
+   * @param {string[]} phoneNumberIds - metadata.phone_number_id values from a webhook
+   * @returns {Promise<Map>} - phoneNumberId -> [{ channel, credentials }]
+   */
+  async findChannels(phoneNumberIds) {
+    const result = new Map();
+    if (phoneNumberIds.length === 0) return result;
+
+    await this.backfillExternalIds();
+
+    const channels = await prisma.channelConfig.findMany({
+      where: { channelType: 'WHATSAPP_BUSINESS', isActive: true, externalId: { in: phoneNumberIds } },
+      orderBy: { id: 'asc' },
+    });
+
+    for (const channel of channels) {
+      try {
+        const credentials = this.getCredentials(channel);
+        result.set(channel.externalId, [...(result.get(channel.externalId) || []), { channel, credentials }]);
+      } catch (error) {
+        logger.warn('Failed to decrypt WhatsApp channel credentials', { channelId: channel.id });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify X-Hub-Signature-256 (sha256=HMAC-SHA256(appSecret, rawBody))
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} signature - Header value
+   * @param {string} secret - App secret
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signature, secret) {
+    if (!rawBody || !secret || !signature || !signature.startsWith('sha256=')) return false;
+
+    const actual = Buffer.from(signature.slice('sha256='.length));
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Pick the channel a signed webhook change belongs to
+   * A channel only trusts its own app secret; channels without one trust the global secret
+   * @param {Array} candidates - [{ channel, credentials }] for the change's phone number ID
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} signature - X-Hub-Signature-256 header
+   * @returns {Object|null} - { channel, credentials } or null if no candidate's secret signed it
+   */
+  findSignedChannel(candidates, rawBody, signature) {
+    return (candidates || []).find(({ credentials }) =>
+      this.verifySignature(rawBody, signature, credentials.appSecret || config.whatsapp.appSecret)
+    ) || null;
+  }
+
+  /**
+   * Apply a message status update (sent/delivered/read/failed) to its contact attempt
+   * @param {Object} channel - ChannelConfig the status was reported for
+   * @param {Object} status - Entry from change.value.statuses
+   */
+  async handleStatus(channel, status) {
+    const attempt = await prisma.contactAttempt.findFirst({
+      where: {
+        externalId: status.id,
+        channelType: 'WHATSAPP_BUSINESS',
+        channelConfigId: channel.id,
+        tenantId: channel.tenantId,
+      },
+    });
+
+    if (!attempt) {
+      logger.debug('WhatsApp status did not match any contact attempt', { messageId: status.id });
+      return;
+    }
+
+    const at = status.timestamp ? new Date(parseInt(status.timestamp, 10) * 1000) : new Date();
+    const data = {};
+
+    switch (status.status) {
+      case 'sent':
+        if ((STATUS_RANK[attempt.status] ?? 99) < STATUS_RANK.SENT) data.status = 'SENT';
+        if (!attempt.sentAt) data.sentAt = at;
+        break;
+      case 'delivered':
+        if ((STATUS_RANK[attempt.status] ?? 99) < STATUS_RANK.DELIVERED) data.status = 'DELIVERED';
+        if (!attempt.deliveredAt) data.deliveredAt = at;
+        break;
+      case 'read':
+        // A read receipt implies delivery
+        if ((STATUS_RANK[attempt.status] ?? 99) < STATUS_RANK.DELIVERED) data.status = 'DELIVERED';
+        if (!attempt.deliveredAt) data.deliveredAt = at;
+        if (!attempt.openedAt) data.openedAt = at;
+        break;
+      case 'failed': {
+        const error = status.errors?.[0];
+        data.status = 'FAILED';
+        data.metadata = {
+          ...(attempt.metadata || {}),
+          error: error?.error_data?.details || error?.message || error?.title || 'Delivery failed',
+          errorCode: error?.code,
+        };
+        break;
+      }
+      default:
+        return;
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.contactAttempt.update({ where: { id: attempt.id }, data });
+    }
+
+    logger.info('WhatsApp message status applied', { attemptId: attempt.id, status: status.status });
+  }
+
+  /**
+   * Build display text for an inbound message
+   */
+  getMessageContent(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || '';
+      case 'button':
+        return message.button?.text || '';
+      case 'interactive':
+        return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || '';
+      case 'location': {
+        const { latitude, longitude, name, address } = message.location || {};
+        return [name, address, `${latitude},${longitude}`].filter(Boolean).join(' - ');
+      }
+      case 'reaction':
+        return message.reaction?.emoji ? `Reacted ${message.reaction.emoji}` : 'Removed reaction';
+      default:
+        if (MEDIA_TYPES.includes(message.type)) {
+          return message[message.type]?.caption || `[${message.type}]`;
+        }
+        return `[${message.type}]`;
+    }
+  }
+
+  /**
+   * Download an inbound media object into storagePath
+   * @param {Object} credentials - Channel credentials (accessToken)
+   * @param {number} tenantId - Tenant ID (used as storage sub-directory)
+   * @param {Object} media - { id, mime_type, filename }
+   * @returns {Promise<Object>} - Attachment { type, path, mimeType, filename, size }
+   */
+  async downloadMedia(credentials, tenantId, media) {
+    const headers = { 'Authorization': `Bearer ${credentials.accessToken}` };
+
+    // Resolve the short-lived download URL first
+    const infoResponse = await fetch(`${GRAPH_API_URL}/${media.id}`, { headers });
+    const info = await infoResponse.json();
+    if (!infoResponse.ok) {
+      throw new Error(info.error?.message || 'Failed to resolve WhatsApp media URL');
+    }
+
+    const fileResponse = await fetch(info.url, { headers });
+    if (!fileResponse.ok) {
+      throw new Error(`Failed to download WhatsApp media: ${fileResponse.status}`);
+    }
+
+    const buffer = Buffer.from(await fileResponse.arrayBuffer());
+    if (buffer.length > config.maxFileSize) {
+      throw new Error(`WhatsApp media exceeds max file size (${buffer.length} bytes)`);
+    }
+
+    const mimeType = info.mime_type || media.mime_type || 'application/octet-stream';
+    const extension = MIME_EXTENSIONS[mimeType.split(';')[0]] ||
+      path.extname(media.filename || '').slice(1) || 'bin';
+    const relativePath = path.join('whatsapp', String(tenantId), `${media.id}.${extension}`);
+    const absolutePath = path.join(config.storagePath, relativePath);
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, buffer);
+
+    return {
+      path: relativePath,
+      mimeType,
+      filename: media.filename || path.basename(relativePath),
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Store an inbound message on the contact's WHATSAPP_BUSINESS conversation
+   * @param {Object} channel - ChannelConfig the message arrived on
+   * @param {Object} credentials - Decrypted channel credentials
+   * @param {Object} message - Entry from change.value.messages
+   * @param {Array} profiles - change.value.contacts (sender profile names)
+   * @returns {Promise<Object|null>} - Created message or null if skipped
+   */
+  async handleInbound(channel, credentials, message, profiles = []) {
+    const tenantId = channel.tenantId;
+    const from = message.from;
+
+    const key = phoneKey(from);
+    const contacts = key ? await prisma.contact.findMany({
+      where: { tenantId, phoneKey: key },
+      include: { lead: true },
+    }) : [];
+
+    const normalizedFrom = normalizePhone(from);
+    const contact = contacts.find(c => normalizePhone(c.phone) === normalizedFrom) ||
+      contacts.find(c => phonesMatch(c.phone, from));
+
+    if (!contact) {
+      logger.info(`No matching contact found for inbound WhatsApp message from ${from}`, { tenantId });
+      return null;
+    }
+
+    let conversation = await prisma.conversation.findFirst({
+      where: {
+        tenantId,
+        leadId: contact.leadId,
+        contactId: contact.id,
+        channelType: 'WHATSAPP_BUSINESS',
+      },
+    });
+
+    if (!conversation) {
+      conversation = await prisma.conversation.create({
+        data: {
+          tenantId,
+          leadId: contact.leadId,
+          contactId: contact.id,
+          channelType: 'WHATSAPP_BUSINESS',
+          status: 'OPEN',
+          lastMessageAt: new Date(),
+        },
+      });
+      logger.info(`Created new WhatsApp Business conversation ${conversation.id} for contact ${contact.id}`);
+    }
+
+    // Meta retries webhooks - skip messages we already stored
+    const existingMessages = await prisma.$queryRaw`
+      SELECT id FROM messages
+      WHERE conversation_id = ${conversation.id}
+      AND JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.whatsappMessageId')) = ${message.id}
+      LIMIT 1
+    `;
+    if (existingMessages.length > 0) {
+      logger.info(`WhatsApp message ${message.id} already stored, skipping`);
+      return null;
+    }
+
+    const attachments = [];
+    if (MEDIA_TYPES.includes(message.type) && message[message.type]?.id) {
+      try {
+        const attachment = await this.downloadMedia(credentials, tenantId, message[message.type]);
+        attachments.push({ type: message.type, ...attachment });
+      } catch (error) {
+        logger.error('Failed to download WhatsApp media', { messageId: message.id, error: error.message });
+        attachments.push({ type: message.type, mediaId: message[message.type].id, error: error.message });
+      }
+    }
+
+    const receivedAt = message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000) : new Date();
+    const profile = profiles.find(p => p.wa_id === from);
+
+    const created = await prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        direction: 'INBOUND',
+        content: this.getMessageContent(message),
+        attachments: attachments.length > 0 ? attachments : undefined,
+        metadata: {
+          whatsappMessageId: message.id,
+          type: message.type,
+          from,
+          fromName: profile?.profile?.name,
+          contextMessageId: message.context?.id,
+          channelConfigId: channel.id,
+          receivedAt: receivedAt.toISOString(),
+        },
+      },
+    });
+
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: {
+        lastMessageAt: receivedAt,
+        status: 'OPEN', // Reopen if it was closed
+      },
+    });
+
+    if (contact.lead?.status === 'NEW') {
+      await prisma.lead.update({
+        where: { id: contact.leadId },
+        data: { status: 'CONTACTED' },
+      });
+    }
+
+    // Reactions are not replies
+    if (message.type !== 'reaction') {
+      const lastAttempt = await prisma.contactAttempt.findFirst({
+        where: {
+          contactId: contact.id,
+          channelType: 'WHATSAPP_BUSINESS',
+          direction: 'OUTBOUND',
+          repliedAt: null,
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+      if (lastAttempt) {
+        await prisma.contactAttempt.update({
+          where: { id: lastAttempt.id },
+          data: { repliedAt: receivedAt },
+        });
+      }
+
+      const campaignRecipient = await prisma.campaignRecipient.findFirst({
+        where: {
+          contactId: contact.id,
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+        },
+      });
+
+      if (campaignRecipient) {
+        await prisma.campaignRecipient.update({
+          where: { id: campaignRecipient.id },
+          data: { status: 'REPLIED' },
+        });
+        logger.info(`Marked campaign recipient ${campaignRecipient.id} as REPLIED`);
+      }
+    }
+
+    logger.info(`Stored inbound WhatsApp message from ${from} -> conversation ${conversation.id}`);
+    return created;
+  }
+
+  /**
+   * When the contact last messaged us on WhatsApp Business
+   * @param {number} tenantId - Tenant ID
+   * @param {number} contactId - Contact ID
+   * @returns {Promise<Date|null>}
+   */
+  async getLastInboundAt(tenantId, contactId) {
+    if (!contactId) return null;
+
+    const message = await prisma.message.findFirst({
+      where: {
+        direction: 'INBOUND',
+        conversation: { tenantId, contactId, channelType: 'WHATSAPP_BUSINESS' },
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+    });
+
+    return message?.createdAt || null;
+  }
+
+  /**
+   * Whether the 24-hour customer service window is open
+   * @param {Date|null} lastInboundAt - Last inbound message time
+   * @returns {boolean}
+   */
+  isSessionOpen(lastInboundAt) {
+    return !!lastInboundAt && Date.now() - new Date(lastInboundAt).getTime() < SESSION_WINDOW_MS;
+  }
+
+  /**
+   * Resolve a template's ordered WhatsApp parameters from the render context
+   * @param {Object} template - Template with whatsappTemplateParams
+   * @param {Object} context - Context from templateService.buildContext
+   * @returns {Array} - Graph API body parameters
+   * @throws {Error} - If a mapped variable has no value (Meta rejects empty parameters)
+   */
+  buildTemplateParameters(template, context) {
+    const params = Array.isArray(template.whatsappTemplateParams) ? template.whatsappTemplateParams : [];
+
+    return params.map((variable, index) => {
+      // Accept "contact.first_name" as well as "{{contact.first_name}}", with filters
+      // such as "contact.first_name | default: \"there\""
+      const expression = String(variable).replace(/^\{\{\s*|\s*\}\}$/g, '');
+      const value = templateService.render(`{{${expression}}}`, context);
+      if (value.trim() === '') {
+        throw new Error(`Missing value for WhatsApp template parameter {{${index + 1}}} (${expression})`);
+      }
+      return { type: 'text', text: value };
+    });
+  }
+
+  /**
+   * Post a message to the Cloud API
+   * @param {Object} credentials - Channel credentials (phoneNumberId, accessToken)
+   * @param {Object} message - Graph API message payload (without messaging_product)
+   * @returns {Promise<Object>} - { success, messageId, error }
+   */
+  async postMessage(credentials, message) {
+    const response = await fetch(
+      `${GRAPH_API_URL}/${credentials.phoneNumberId}/messages`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${credentials.accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ messaging_product: 'whatsapp', ...message }),
+      }
+    );
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      logger.error('WhatsApp API error', { error: result.error });
+      return { success: false, error: result.error?.message || 'WhatsApp API error' };
+    }
+
+    return { success: true, messageId: result.messages?.[0]?.id };
+  }
+
+  /**
+   * Send a message, choosing a session (free-form) or approved template message
+   * based on the contact's 24-hour customer service window
+   * @param {Object} credentials - Channel credentials
+   * @param {Object} contact - Contact (phone, id)
+   * @param {Object} options - { tenantId, body, template, context }
+   * @returns {Promise<Object>} - { success, messageId, error, metadata }
+   */
+  async send(credentials, contact, { tenantId, body, template = null, context = {} }) {
+    if (!contact?.phone) {
+      return { success: false, error: 'Contact has no phone' };
+    }
+
+    const to = normalizePhone(contact.phone);
+    const lastInboundAt = await this.getLastInboundAt(tenantId, contact.id);
+    const sessionOpen = this.isSessionOpen(lastInboundAt);
+
+    // Without an approved template we can only try a session message
+    if (sessionOpen || !template?.whatsappTemplateName) {
+      const result = await this.postMessage(credentials, {
+        to,
+        type: 'text',
+        text: { body },
+      });
+
+      if (!result.success && !sessionOpen) {
+        result.error = `${result.error} (outside the 24-hour window - link an approved WhatsApp template)`;
+      }
+
+      return { ...result, metadata: { messageType: 'session' } };
+    }
+
+    let parameters;
+    try {
+      parameters = this.buildTemplateParameters(template, context);
+    } catch (error) {
+      return { success: false, error: error.message, metadata: { messageType: 'template' } };
+    }
+
+    const result = await this.postMessage(credentials, {
+      to,
+      type: 'template',
+      template: {
+        name: template.whatsappTemplateName,
+        language: { code: template.whatsappTemplateLanguage || 'en_US' },
+        ...(parameters.length > 0 && {
+          components: [{ type: 'body', parameters }],
+        }),
+      },
+    });
+
+    return {
+      ...result,
+      metadata: {
+        messageType: 'template',
+        whatsappTemplateName: template.whatsappTemplateName,
+        whatsappTemplateParams: parameters.map(p => p.text),
+      },
+    };
+  }
+}
+
+module.exports = new WhatsAppBusinessService();
@@ -94,10 +94,57 @@ const hash = (value) => {
   return crypto.createHash('sha256').update(value).digest('hex');
 };
 
+/**
+ * Compute a URL-safe HMAC signature for a value
+ * @param {string} value - Value to sign
+ * @returns {string} - base64url signature
+ */
+const hmac = (value) => {
+  return crypto.createHmac('sha256', getKey()).update(value).digest('base64url');
+};
+
+/**
+ * Sign a small payload into a URL-safe token (payload.signature)
+ * Used for public links (tracking, unsubscribe) that must not be forgeable
+ * @param {Object} payload - Data to embed in the token
+ * @returns {string} - Signed token
+ */
+const signToken = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+  return `${data}.${hmac(data)}`;
+};
+
+/**
+ * Verify a token created by signToken
+ * @param {string} token - Signed token
+ * @returns {Object|null} - Decoded payload, or null if invalid
+ */
+const verifyToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(hmac(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
 module.exports = {
   encrypt,
   decrypt,
   encryptObject,
   decryptObject,
   hash,
+  hmac,
+  signToken,
+  verifyToken,
 };
@@ -126,6 +126,33 @@ function getDateRange(days = 30) {
   return { startDate, endDate };
 }
 
+/**
+ * Normalize a phone number to digits only (international "00" prefix dropped)
+ * @param {string} phone - Phone number in any format
+ * @returns {string} - Digits, or empty string
+ */
+function normalizePhone(phone) {
+  if (!phone) return '';
+  return String(phone).trim().replace(/^00/, '').replace(/\D/g, '');
+}
+
+/**
+ * Check whether two phone numbers refer to the same line
+ * Tolerates a missing country code on one side by comparing trailing digits
+ * @param {string} a - Phone number
+ * @param {string} b - Phone number
+ * @returns {boolean}
+ */
+function phonesMatch(a, b) {
+  const left = normalizePhone(a);
+  const right = normalizePhone(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+
+  const [shorter, longer] = left.length < right.length ? [left, right] : [right, left];
+  return shorter.length >= 8 && longer.endsWith(shorter);
+}
+
 module.exports = {
   slugify,
   generateRandomString,
@@ -135,4 +162,6 @@ module.exports = {
   parseTemplate,
   sanitizeObject,
   getDateRange,
+  normalizePhone,
+  phonesMatch,
 };
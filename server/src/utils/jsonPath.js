@@ -0,0 +1,293 @@
+/**
+ * JSONPath queries for mapping API responses to leads (no external library)
+ * Supports $, .name, ['name'], [0], [-1], [*], .*, ..name (recursive), [0,2], ['a','b'],
+ * [start:end:step] and filters like [?(@.status == 'active' && @.employees > 10)].
+ * Expressions without a leading $ are read from the root, so plain dot paths ("company.name") work too.
+ */
+
+const COMPARISON = /^(@[^=!<>]*?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/;
+
+const MAX_CACHED = 500;
+const cache = new Map();
+
+/**
+ * Split a string on a separator outside quotes, brackets and parentheses
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '[' || ch === '(') {
+      depth++;
+    } else if (ch === ']' || ch === ')') {
+      depth--;
+    } else if (depth === 0 && text.startsWith(separator, i)) {
+      parts.push(text.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parse a literal in a filter or bracket: 'text', "text", number, true, false, null
+ */
+function parseLiteral(text) {
+  const value = text.trim();
+  if (/^'.*'$/s.test(value)) return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  if (/^".*"$/s.test(value)) return JSON.parse(value);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  throw new Error(`Invalid value "${value}"`);
+}
+
+/**
+ * Compile a filter expression into a predicate on the current node (@)
+ */
+function compileFilter(text) {
+  const alternatives = splitTopLevel(text, '||').map(alternative =>
+    splitTopLevel(alternative, '&&').map((condition) => {
+      const trimmed = condition.trim();
+      const match = trimmed.match(COMPARISON);
+      const pathText = match ? match[1].trim() : trimmed;
+
+      if (!pathText.startsWith('@')) throw new Error(`Filter conditions must start with @: "${trimmed}"`);
+      const segments = parse(`$${pathText.slice(1)}`);
+      const read = node => evaluate(node, segments)[0];
+
+      if (!match) return node => read(node) !== undefined && read(node) !== null && read(node) !== false;
+
+      const operator = match[2];
+      const expected = parseLiteral(match[3]);
+      return (node) => {
+        const actual = read(node);
+        switch (operator) {
+          case '==': return actual === expected || (actual != null && String(actual) === String(expected));
+          case '!=': return !(actual === expected || (actual != null && String(actual) === String(expected)));
+          case '<': return actual < expected;
+          case '<=': return actual <= expected;
+          case '>': return actual > expected;
+          case '>=': return actual >= expected;
+          default: return false;
+        }
+      };
+    })
+  );
+
+  return node => alternatives.some(conditions => conditions.every(condition => condition(node)));
+}
+
+/**
+ * Parse the inside of [...] into a selector
+ */
+function parseBracket(content) {
+  const text = content.trim();
+
+  if (text === '*') return { type: 'wildcard' };
+  if (text.startsWith('?')) {
+    const filter = text.slice(1).trim().replace(/^\((.*)\)$/s, '$1');
+    return { type: 'filter', test: compileFilter(filter) };
+  }
+
+  const slice = text.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?$/);
+  if (slice) {
+    const toInt = value => (value === '' || value === undefined ? null : parseInt(value, 10));
+    return { type: 'slice', start: toInt(slice[1]), end: toInt(slice[2]), step: toInt(slice[3]) || 1 };
+  }
+
+  const keys = splitTopLevel(text, ',').map((part) => {
+    const value = parseLiteral(part);
+    if (typeof value !== 'string' && !Number.isInteger(value)) throw new Error(`Invalid key "${part.trim()}"`);
+    return value;
+  });
+  return { type: 'keys', keys };
+}
+
+/**
+ * Parse an expression into segments: [{ selector, recursive }]
+ */
+function parse(expression) {
+  let text = String(expression ?? '').trim();
+  if (!text) throw new Error('Empty path');
+
+  if (text.startsWith('$')) text = text.slice(1);
+  else if (!text.startsWith('.') && !text.startsWith('[')) text = `.${text}`;
+
+  const segments = [];
+  let i = 0;
+
+  while (i < text.length) {
+    let recursive = false;
+
+    if (text.startsWith('..', i)) {
+      recursive = true;
+      i += 2;
+    } else if (text[i] === '.') {
+      i += 1;
+    } else if (text[i] !== '[') {
+      throw new Error(`Unexpected "${text[i]}" at position ${i + 1}`);
+    }
+
+    if (text[i] === '[') {
+      // Find the closing bracket outside quotes and nested brackets
+      let depth = 0;
+      let quote = null;
+      let end = -1;
+      for (let j = i; j < text.length; j++) {
+        const ch = text[j];
+        if (quote) {
+          if (ch === '\\') j++;
+          else if (ch === quote) quote = null;
+        } else if (ch === '\'' || ch === '"') {
+          quote = ch;
+        } else if (ch === '[') {
+          depth++;
+        } else if (ch === ']' && --depth === 0) {
+          end = j;
+          break;
+        }
+      }
+      if (end === -1) throw new Error('Missing ]');
+
+      segments.push({ selector: parseBracket(text.slice(i + 1, end)), recursive });
+      i = end + 1;
+    } else {
+      const name = text.slice(i).match(/^[^.[\]\s]+/)?.[0];
+      if (!name) throw new Error(`Missing name at position ${i + 1}`);
+
+      segments.push({ selector: name === '*' ? { type: 'wildcard' } : { type: 'keys', keys: [name] }, recursive });
+      i += name.length;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Compile (and cache) an expression
+ * @throws {Error} - When the expression is invalid
+ */
+function compile(expression) {
+  const key = String(expression);
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_CACHED) cache.clear();
+    cache.set(key, parse(key));
+  }
+  return cache.get(key);
+}
+
+function children(node) {
+  if (Array.isArray(node)) return node;
+  if (node && typeof node === 'object') return Object.values(node);
+  return [];
+}
+
+function descendants(node, out = []) {
+  out.push(node);
+  for (const child of children(node)) descendants(child, out);
+  return out;
+}
+
+function select(node, selector) {
+  switch (selector.type) {
+    case 'wildcard':
+      return children(node);
+    case 'filter':
+      return children(node).filter(child => selector.test(child));
+    case 'slice': {
+      if (!Array.isArray(node)) return [];
+      const { step } = selector;
+      const len = node.length;
+      const bound = (value, fallback) => {
+        if (value === null) return fallback;
+        return value < 0 ? Math.max(len + value, step > 0 ? 0 : -1) : Math.min(value, len);
+      };
+      const start = bound(selector.start, step > 0 ? 0 : len - 1);
+      const end = bound(selector.end, step > 0 ? len : -1);
+      const out = [];
+      for (let i = start; step > 0 ? i < end : i > end; i += step) out.push(node[i]);
+      return out;
+    }
+    case 'keys':
+    default:
+      return selector.keys.flatMap((key) => {
+        if (node === null || typeof node !== 'object') return [];
+        if (Array.isArray(node) && Number.isInteger(Number(key))) {
+          const index = Number(key) < 0 ? node.length + Number(key) : Number(key);
+          return index in node ? [node[index]] : [];
+        }
+        return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : [];
+      });
+  }
+}
+
+function evaluate(root, segments) {
+  let nodes = [root];
+  for (const { selector, recursive } of segments) {
+    const targets = recursive ? nodes.flatMap(node => descendants(node)) : nodes;
+    nodes = targets.flatMap(node => select(node, selector));
+  }
+  return nodes;
+}
+
+/**
+ * Whether an expression can match several values (wildcards, recursion, slices, filters, unions)
+ */
+function isMultiple(segments) {
+  return segments.some(({ selector, recursive }) =>
+    recursive || selector.type !== 'keys' || selector.keys.length > 1);
+}
+
+/**
+ * All values matching an expression
+ * @param {*} data - Parsed JSON
+ * @param {string} expression - JSONPath
+ * @returns {Array}
+ */
+function query(data, expression) {
+  return evaluate(data, compile(expression));
+}
+
+/**
+ * Value of an expression: the match for a single-value path, an array for wildcards/filters
+ * @param {*} data - Parsed JSON
+ * @param {string} expression - JSONPath
+ * @returns {*} - undefined when a single-value path doesn't match
+ */
+function value(data, expression) {
+  const segments = compile(expression);
+  const matches = evaluate(data, segments);
+  return isMultiple(segments) ? matches : matches[0];
+}
+
+/**
+ * Syntax error of an expression, or null when valid
+ */
+function validate(expression) {
+  try {
+    compile(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+module.exports = {
+  query,
+  value,
+  validate,
+};
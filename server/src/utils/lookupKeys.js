@@ -0,0 +1,157 @@
+const { normalizePhone } = require('./helpers');
+
+// phonesMatch() accepts numbers sharing at least this many trailing digits
+const PHONE_KEY_LENGTH = 8;
+
+// Legal-form words dropped when comparing company names ("Acme Inc." = "ACME, Inc" = "Acme")
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'plc', 'gmbh', 'ag', 'kg', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'oy', 'ab', 'as', 'pty', 'pte',
+  'pvt', 'private', 'group', 'holding', 'holdings',
+]);
+
+// Hosts shared by many companies, so never a dedupe key on their own
+const SHARED_HOSTS = new Set([
+  'facebook.com', 'linkedin.com', 'instagram.com', 'twitter.com', 'x.com', 'youtube.com',
+  'google.com', 'sites.google.com', 'wixsite.com', 'wordpress.com', 'blogspot.com', 'medium.com',
+]);
+
+/**
+ * Indexed lookup key for a phone number
+ * Every pair of numbers phonesMatch() accepts shares the same key, so candidates can be
+ * fetched by key and then narrowed down with phonesMatch()
+ * @param {string} phone - Phone number in any format
+ * @returns {string|null} - Last 8 digits (or all digits of shorter numbers), null if empty
+ */
+function phoneKey(phone) {
+  const digits = normalizePhone(phone);
+  return digits ? digits.slice(-PHONE_KEY_LENGTH) : null;
+}
+
+/**
+ * Registrable host of a website ("https://www.Acme.com/about" -> "acme.com")
+ * @returns {string|null}
+ */
+function domainKey(website) {
+  if (!website || typeof website !== 'string') return null;
+
+  const host = website.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^[^@/]*@/, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\d*\./, '')
+    .replace(/\.+$/, '');
+
+  if (!host || !host.includes('.') || SHARED_HOSTS.has(host)) return null;
+  return host.slice(0, 255);
+}
+
+/**
+ * Company name without case, accents, punctuation or legal suffixes
+ * @returns {string|null}
+ */
+function companyNameKey(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  const words = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // Placeholder name of leads imported without one
+  if (words.join(' ') === 'unknown company') return null;
+
+  if (words[0] === 'the' && words.length > 1) words.shift();
+  while (words.length > 1 && (COMPANY_SUFFIXES.has(words[words.length - 1]) || words[words.length - 1] === 'and')) words.pop();
+
+  const key = words.join(' ');
+  return key ? key.slice(0, 255) : null;
+}
+
+function emailKey(email) {
+  if (!email || typeof email !== 'string' || !email.includes('@')) return null;
+  return email.trim().toLowerCase().slice(0, 255);
+}
+
+/**
+ * Add derived key columns to contact write data
+ * @param {Object} data - Contact create/update data
+ * @returns {Object} - Same data with phoneKey/emailKey set when phone/email is written
+ */
+function withContactKeys(data) {
+  if (!data || typeof data !== 'object') return data;
+
+  const keys = {};
+  if (data.phone !== undefined) keys.phoneKey = phoneKey(data.phone);
+  if (data.email !== undefined) keys.emailKey = emailKey(data.email);
+  return Object.keys(keys).length > 0 ? { ...data, ...keys } : data;
+}
+
+/**
+ * Add derived key columns to lead write data
+ * Leads without a key store '' so rows still to be backfilled (NULL) can be told apart
+ * @param {Object} data - Lead create/update data
+ * @returns {Object} - Same data with domainKey/nameKey set when website/companyName is written
+ */
+function withLeadKeys(data) {
+  if (!data || typeof data !== 'object') return data;
+
+  const keys = {};
+  if (data.website !== undefined) keys.domainKey = domainKey(data.website) || '';
+  if (data.companyName !== undefined) keys.nameKey = companyNameKey(data.companyName) || '';
+  return Object.keys(keys).length > 0 ? { ...data, ...keys } : data;
+}
+
+const mapData = (data, fn) => (Array.isArray(data) ? data.map(fn) : fn(data));
+
+/**
+ * Prisma middleware keeping derived key columns in sync with the values they index
+ * Covers direct lead and contact writes and contacts created through a lead
+ * @param {Object} params - Prisma middleware params
+ * @returns {Object} - Params with key columns added to the write data
+ */
+function syncLookupKeys(params) {
+  const { model, action, args } = params;
+  if (!args) return params;
+
+  if (model === 'Contact') {
+    if (action === 'upsert') {
+      args.create = withContactKeys(args.create);
+      args.update = withContactKeys(args.update);
+    } else if (['create', 'update', 'createMany', 'updateMany'].includes(action)) {
+      args.data = mapData(args.data, withContactKeys);
+    }
+  }
+
+  if (model === 'Lead') {
+    if (action === 'upsert') {
+      args.create = withLeadKeys(args.create);
+      args.update = withLeadKeys(args.update);
+    } else if (['create', 'update', 'createMany', 'updateMany'].includes(action)) {
+      args.data = mapData(args.data, withLeadKeys);
+    }
+  }
+
+  if (model === 'Lead' && ['create', 'update'].includes(action)) {
+    const contacts = args.data?.contacts;
+    if (contacts?.create) contacts.create = mapData(contacts.create, withContactKeys);
+    if (contacts?.createMany?.data) contacts.createMany.data = mapData(contacts.createMany.data, withContactKeys);
+  }
+
+  return params;
+}
+
+module.exports = {
+  phoneKey,
+  domainKey,
+  companyNameKey,
+  emailKey,
+  withContactKeys,
+  withLeadKeys,
+  syncLookupKeys,
+};
@@ -0,0 +1,309 @@
+/**
+ * Spreadsheet parsing for lead imports (no external library)
+ * CSV with delimiter and encoding detection, and the first worksheet of an XLSX workbook.
+ * Both produce { columns, rows } where rows are objects keyed by the header row.
+ */
+
+const zlib = require('zlib');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Upper bound on the uncompressed size of all XLSX parts together (guards against zip bombs)
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+// Last column Excel supports (XFD)
+const MAX_COLUMNS = 16384;
+
+/**
+ * Decode a text file, detecting the encoding from its BOM or content
+ * UTF-8 (with or without BOM), UTF-16 LE/BE with BOM, otherwise Windows-1252 (Excel's "CSV" on Windows)
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { text, encoding }
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Count a character outside double quotes
+ */
+function countOutsideQuotes(line, ch) {
+  let count = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the same, largest number of columns
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  let best = { delimiter: ',', score: 0 };
+
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    if (!counts.length || counts[0] === 0) continue;
+
+    // Lines agreeing with the header count, weighted by how many columns that gives
+    const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+    const score = consistent * (counts[0] + 1);
+    if (score > best.score) best = { delimiter, score };
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]}
+ */
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Turn rows of cells into objects keyed by the (de-duplicated) header row
+ * @param {Array[]} cells - Rows of cells, header first
+ * @returns {Object} - { columns, rows }
+ */
+function toRecords(cells) {
+  if (cells.length === 0) return { columns: [], rows: [] };
+
+  const seen = {};
+  const columns = cells[0].map((header, index) => {
+    let name = String(header ?? '').trim() || `Column ${index + 1}`;
+    if (seen[name]) name = `${name} (${++seen[name]})`;
+    else seen[name] = 1;
+    return name;
+  });
+
+  const rows = cells.slice(1).map(rowCells => columns.reduce((record, column, index) => {
+    const value = rowCells[index];
+    record[column] = value === undefined || value === null ? '' : String(value).trim();
+    return record;
+  }, {}));
+
+  return { columns, rows };
+}
+
+/**
+ * Parse a CSV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { columns, rows, delimiter, encoding }
+ */
+function parseCsv(buffer) {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  return { ...toRecords(parseCsvRows(text, delimiter)), delimiter, encoding };
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Buffer} buffer - ZIP contents
+ * @returns {Map<string, Buffer>} - Path => uncompressed contents
+ */
+function readZip(buffer) {
+  // End of central directory record: last occurrence of its signature
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid XLSX file');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  let total = 0;
+
+  for (let n = 0; n < entryCount; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt XLSX file');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(start, start + compressedSize);
+
+    let contents = data;
+    if (method === 8) {
+      try {
+        contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, MAX_UNCOMPRESSED_BYTES - total) });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('XLSX file is too large when uncompressed');
+        throw new Error('Corrupt XLSX file');
+      }
+    }
+    total += contents.length;
+    if (total > MAX_UNCOMPRESSED_BYTES) throw new Error('XLSX file is too large when uncompressed');
+
+    entries.set(name, contents);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text of all <t> runs inside an element (plain and rich text)
+ */
+function textRuns(xml) {
+  const parts = [];
+  const regex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = regex.exec(xml)) !== null) parts.push(decodeXml(match[1]));
+  return parts.join('');
+}
+
+/**
+ * Column index from a cell reference ("C12" -> 2), -1 beyond the last Excel column
+ */
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  if (letters.length > 3) return -1;
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index <= MAX_COLUMNS ? index - 1 : -1;
+}
+
+/**
+ * Parse the first worksheet of an XLSX workbook
+ * Cells are read as displayed text for strings and as raw values for numbers/booleans
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { columns, rows, sheetName }
+ */
+function parseXlsx(buffer) {
+  const entries = readZip(buffer);
+  const read = path => entries.get(path)?.toString('utf8');
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('Not a valid XLSX file');
+
+  // First sheet in workbook order, resolved through the workbook relationships
+  const sheet = workbook.match(/<sheet\b[^>]*>/);
+  const sheetName = decodeXml(sheet?.[0].match(/\bname="([^"]*)"/)?.[1] || 'Sheet1');
+  const relId = sheet?.[0].match(/\br:id="([^"]*)"/)?.[1];
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  const relTag = [...rels.matchAll(/<Relationship\b[^>]*>/g)].map(m => m[0]).find(tag => tag.includes(`Id="${relId}"`));
+  let target = relTag?.match(/\bTarget="([^"]*)"/)?.[1] || 'worksheets/sheet1.xml';
+  target = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+  const sheetXml = read(target);
+  if (!sheetXml) throw new Error('Workbook has no worksheet');
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(m => textRuns(m[1]));
+
+  const cells = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="([^"]*)"/)?.[1];
+      const raw = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(raw, 10)] ?? '';
+      else if (type === 'inlineStr') value = textRuns(content);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      const index = ref ? columnIndex(ref) : row.length;
+      if (index < 0 || index >= MAX_COLUMNS) continue;
+      row[index] = value;
+    }
+    cells.push(Array.from(row, cell => cell ?? ''));
+  }
+
+  return { ...toRecords(cells.filter(row => row.some(cell => String(cell).trim() !== ''))), sheetName };
+}
+
+module.exports = {
+  decodeText,
+  detectDelimiter,
+  parseCsvRows,
+  parseCsv,
+  parseXlsx,
+};
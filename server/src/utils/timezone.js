@@ -0,0 +1,171 @@
+/**
+ * Time zone helpers built on Intl (no external date library)
+ * Times are always passed around as Date objects (UTC instants); these helpers
+ * convert to and from the wall-clock time in an IANA zone such as "Europe/Berlin".
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone this runtime knows
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fall back to UTC for missing or unknown zones
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(resolveTimeZone(timeZone)).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Out-of-range values roll over (day 32 is the 1st of next month, hour 24 is midnight tomorrow).
+ * Times skipped by a DST change resolve to the instant just after the gap.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+  const result = guess - offset;
+  // Re-check in case the guess and the result sit on different sides of a DST change
+  const correctedOffset = getOffsetMs(new Date(result), timeZone);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+}
+
+/**
+ * Start of the calendar day an instant falls on, in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @param {number} addDays - Days to move forward (1 = start of tomorrow)
+ * @returns {Date}
+ */
+function startOfZonedDay(date, timeZone, addDays = 0) {
+  const p = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + addDays }, timeZone);
+}
+
+/**
+ * Parse an "HH:MM" time of day into minutes after midnight
+ * @param {string} value - e.g. "09:30"
+ * @returns {number|null}
+ */
+function parseTimeOfDay(value) {
+  const match = String(value ?? '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Find the earliest instant at or after `from` that falls inside a weekly window
+ * @param {Date} from - Instant to start looking from
+ * @param {string} timeZone - IANA zone the window is defined in
+ * @param {Object} window - { start: minutes after midnight, end: minutes after midnight, days: weekdays (0 = Sunday) }
+ * @returns {Date|null} - `from` itself when already inside the window, null if the window never opens
+ */
+function nextTimeInWindow(from, timeZone, { start, end, days }) {
+  if (!days?.length || start >= end) return null;
+
+  const p = getZonedParts(from, timeZone);
+  const minuteOfDay = p.hour * 60 + p.minute;
+
+  if (days.includes(p.weekday) && minuteOfDay >= start && minuteOfDay < end) {
+    return from;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const weekday = (p.weekday + offset) % 7;
+    if (!days.includes(weekday)) continue;
+    if (offset === 0 && minuteOfDay >= start) continue;
+
+    return zonedTimeToUtc({
+      year: p.year,
+      month: p.month,
+      day: p.day + offset,
+      hour: Math.floor(start / 60),
+      minute: start % 60,
+    }, timeZone);
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  parseTimeOfDay,
+  nextTimeInWindow,
+};
@@ -1,30 +1,47 @@
 const cron = require('node-cron');
-const nodemailer = require('nodemailer');
+const config = require('../config');
 const prisma = require('../config/database');
 const queueService = require('../services/queue.service');
 const scraperService = require('../services/scraper.service');
 const emailService = require('../services/email.service');
 const templateService = require('../services/template.service');
 const imapPollerService = require('../services/imapPoller.service');
+const trackingService = require('../services/tracking.service');
+const suppressionService = require('../services/suppression.service');
+const sendingLimitsService = require('../services/sendingLimits.service');
+const campaignScheduleService = require('../services/campaignSchedule.service');
+const campaignBranchingService = require('../services/campaignBranching.service');
+const campaignChannelService = require('../services/campaignChannel.service');
+const variationTestingService = require('../services/variationTesting.service');
+const smsService = require('../services/sms.service');
+const whatsappBusinessService = require('../services/whatsappBusiness.service');
 const whatsappWebService = require('../services/whatsappWeb.service');
 const telegramService = require('../services/telegram.service');
+const telegramBotService = require('../services/telegramBot.service');
 const telegramProspectsService = require('../services/telegramProspects.service');
 const whatsappProspectsService = require('../services/whatsappProspects.service');
 const { decrypt } = require('../utils/encryption');
 const logger = require('../utils/logger');
 
+// Branch jumps allowed per recipient before the sequence is ended, so rules cannot loop forever
+const MAX_BRANCH_JUMPS = 20;
+// Branch decisions kept in CampaignRecipient.metadata.branches
+const MAX_BRANCH_HISTORY = 20;
+
 /**
  * Initialize and register all job handlers
  */
 function initializeWorkers() {
   // Register job handlers (job types must match JobType enum in schema)
-  // SCRAPE handler disabled - using file upload instead
-  // queueService.registerHandler('SCRAPE', handleScraperJob);
+  // Scrapes drive a shared browser and a sandboxed script process each
+  queueService.registerHandler('SCRAPE', handleScraperJob, { concurrency: config.scraper.concurrency });
   queueService.registerHandler('EMAIL_SEND', handleEmailJob);
+  queueService.registerHandler('SMS_SEND', handleSmsJob);
   queueService.registerHandler('CAMPAIGN_STEP', handleCampaignStepJob);
   queueService.registerHandler('CLEANUP', handleCleanupJob);
-  queueService.registerHandler('TELEGRAM_REPLY_POLL', handleTelegramReplyPollJob);
-  queueService.registerHandler('WHATSAPP_REPLY_POLL', handleWhatsAppReplyPollJob);
+  // Reply polls drive a Telegram client / WhatsApp browser - one at a time per worker
+  queueService.registerHandler('TELEGRAM_REPLY_POLL', handleTelegramReplyPollJob, { concurrency: 1 });
+  queueService.registerHandler('WHATSAPP_REPLY_POLL', handleWhatsAppReplyPollJob, { concurrency: 1 });
 
   // Start the queue processor
   queueService.start();
@@ -36,10 +53,10 @@ function initializeWorkers() {
  * Initialize cron jobs for scheduled tasks
  */
 function initializeCronJobs() {
-  // Scraper cron disabled - using file upload instead
-  // cron.schedule('* * * * *', async () => {
-  //   await scheduleDueScraperJobs();
-  // });
+  // Queue scheduled data sources (PLAYWRIGHT/API/RSS) every minute
+  cron.schedule('* * * * *', async () => {
+    await scheduleDueScraperJobs();
+  });
 
   // Process campaign steps every 5 minutes
   cron.schedule('*/5 * * * *', async () => {
@@ -67,7 +84,7 @@ function initializeCronJobs() {
 
   // Daily cleanup at 3 AM
   cron.schedule('0 3 * * *', async () => {
-    await queueService.addJob('CLEANUP', { days: 30 });
+    await queueService.addJob('CLEANUP', { days: 30 }, { dedupeKey: 'daily' });
   });
 
   // Daily analytics aggregation at 1 AM
@@ -86,13 +103,15 @@ function initializeCronJobs() {
 
 /**
  * Schedule scraper jobs for due data sources
- * Based on pollingFrequency and lastRunAt
+ * Based on pollingFrequency and lastRunAt; file sources are only refreshed by re-uploads
  */
 async function scheduleDueScraperJobs() {
   try {
     const activeSources = await prisma.dataSource.findMany({
       where: {
         isActive: true,
+        type: { in: scraperService.sourceTypes },
+        url: { not: null },
         pollingFrequency: { not: null },
       },
     });
@@ -112,9 +131,11 @@ async function scheduleDueScraperJobs() {
 
       if (nextRunTime <= now) {
         // Add job to queue
+        // One open job per source, so a slow run is not queued again every minute
         await queueService.addJob('SCRAPE', { dataSourceId: source.id }, {
           tenantId: source.tenantId,
           priority: 1,
+          dedupeKey: `source:${source.id}`,
         });
 
         logger.debug(`Scheduled scraper job for: ${source.name}`);
@@ -149,6 +170,10 @@ function parseFrequency(freq) {
 
 /**
  * Schedule campaign step executions
+ * Recipients outside the campaign's business hours (in their time zone), or whose channel is
+ * over its sending limits or outside its sending window, are deferred instead of being queued.
+ * Queued recipients are held for one job lease so they are not picked up (and charged to their
+ * channel's budget) again while their job waits in the queue.
  */
 async function scheduleCampaignSteps() {
   try {
@@ -164,7 +189,14 @@ async function scheduleCampaignSteps() {
       include: {
         campaign: {
           include: {
-            steps: true,
+            steps: {
+              include: {
+                channelConfig: {
+                  select: { id: true, name: true, channelType: true, provider: true, isActive: true, settings: true },
+                },
+              },
+            },
+            tenant: { select: { settings: true } },
           },
         },
         lead: true,
@@ -172,6 +204,7 @@ async function scheduleCampaignSteps() {
         prospect: true,
         whatsappProspect: true,
       },
+      orderBy: { nextActionAt: 'asc' },
       take: 100, // Process in batches
     });
 
@@ -182,13 +215,90 @@ async function scheduleCampaignSteps() {
 
     logger.info(`Campaign scheduler: Found ${pendingRecipients.length} recipients to process`);
 
+    // Recipients whose step job is still open were already charged to their channel
+    const openJobs = await prisma.jobQueue.findMany({
+      where: { type: 'CAMPAIGN_STEP', dedupeKey: { in: pendingRecipients.map(r => `recipient:${r.id}`) } },
+      select: { dedupeKey: true },
+    });
+    const openKeys = new Set(openJobs.map(job => job.dedupeKey));
+
+    // Remaining budget per channel, drawn down as this batch is queued
+    const budgets = new Map();
+    // Deferred recipient IDs grouped by the time they can be retried
+    const deferrals = new Map();
+    const defer = (recipient, deferral) => {
+      const key = `${deferral.resumeAt.getTime()}:${deferral.reason}:${deferral.channel?.id || ''}`;
+      if (!deferrals.has(key)) deferrals.set(key, { ...deferral, ids: [] });
+      deferrals.get(key).ids.push(recipient.id);
+    };
+    // Channel options per step, so limits are charged to the channel the recipient will be sent on
+    const stepOptions = new Map();
+    const now = new Date();
+    const toQueue = [];
+    const held = [];
+
     for (const recipient of pendingRecipients) {
+      if (openKeys.has(`recipient:${recipient.id}`)) {
+        held.push(recipient.id);
+        continue;
+      }
+
+      const step = recipient.campaign.steps.find(s => s.stepOrder === recipient.currentStep);
+      let channel = step?.channelConfig;
+
+      if (step?.fallbacks) {
+        if (!stepOptions.has(step.id)) {
+          stepOptions.set(step.id, await campaignChannelService.getOptions(step, { includeTemplates: false }));
+        }
+        channel = campaignChannelService.select(stepOptions.get(step.id), recipient).option.channelConfig || channel;
+      }
+
+      // Hold recipients until business hours in their own time zone
+      const businessHoursAt = campaignScheduleService.applyBusinessHours(
+        now,
+        recipient.campaign,
+        campaignScheduleService.getRecipientTimeZone(recipient, recipient.campaign.tenant?.settings?.timezone)
+      );
+      if (businessHoursAt > now) {
+        defer(recipient, { reason: 'outside_business_hours', resumeAt: businessHoursAt });
+        continue;
+      }
+
+      if (channel) {
+        if (!budgets.has(channel.id)) {
+          budgets.set(channel.id, await sendingLimitsService.getBudget(channel, recipient.campaign.tenant?.settings?.timezone));
+        }
+
+        const deferral = sendingLimitsService.reserve(budgets.get(channel.id));
+        if (deferral) {
+          defer(recipient, { ...deferral, channel });
+          continue;
+        }
+      }
+
+      toQueue.push({ recipient, channel });
+    }
+
+    // Hold before queuing, so a job that finishes right away sets the next step time last
+    const holdIds = [...held, ...toQueue.map(({ recipient }) => recipient.id)];
+    if (holdIds.length > 0) {
+      await prisma.campaignRecipient.updateMany({
+        where: { id: { in: holdIds }, nextActionAt: { lte: now } },
+        data: { nextActionAt: new Date(now.getTime() + queueService.getLeaseMs()) },
+      });
+    }
+
+    for (const { recipient, channel } of toQueue) {
+      // One open job per recipient, however many schedulers/instances see it as due
       await queueService.addJob('CAMPAIGN_STEP', {
         recipientId: recipient.id,
         campaignId: recipient.campaignId,
+        channelConfigId: channel?.id,
       }, {
         tenantId: recipient.campaign.tenantId,
         priority: 2,
+        dedupeKey: `recipient:${recipient.id}`,
+        channelConfigId: channel?.id,
       });
       let recipientInfo;
       if (recipient.prospect) {
@@ -201,7 +311,15 @@ async function scheduleCampaignSteps() {
       logger.info(`Queued campaign step for recipient ${recipient.id} (${recipientInfo})`);
     }
 
-    logger.info(`Scheduled ${pendingRecipients.length} campaign step jobs`);
+    for (const { reason, resumeAt, channel, ids } of deferrals.values()) {
+      await prisma.campaignRecipient.updateMany({
+        where: { id: { in: ids } },
+        data: { nextActionAt: resumeAt },
+      });
+      logger.info(`Deferred ${ids.length} recipients${channel ? ` on channel "${channel.name}"` : ''} until ${resumeAt.toISOString()} (${reason})`);
+    }
+
+    logger.info(`Scheduled ${toQueue.length} campaign step jobs`, { alreadyQueued: held.length });
   } catch (error) {
     logger.error('Failed to schedule campaign steps', { error: error.message });
   }
@@ -258,15 +376,6 @@ async function aggregateDailyAnalytics() {
             channelStats[attempt.channelType].sent += attempt._count;
             channelStats[attempt.channelType].delivered += attempt._count;
             break;
-          case 'OPENED':
-            channelStats[attempt.channelType].opened += attempt._count;
-            break;
-          case 'CLICKED':
-            channelStats[attempt.channelType].clicked += attempt._count;
-            break;
-          case 'REPLIED':
-            channelStats[attempt.channelType].replied += attempt._count;
-            break;
           case 'FAILED':
           case 'BOUNCED':
             channelStats[attempt.channelType].failed += attempt._count;
@@ -274,6 +383,32 @@ async function aggregateDailyAnalytics() {
         }
       }
 
+      // Opens, clicks and replies are recorded as timestamps on the attempt
+      const engagementFields = { opened: 'openedAt', clicked: 'clickedAt', replied: 'repliedAt' };
+      for (const [key, field] of Object.entries(engagementFields)) {
+        const counts = await prisma.contactAttempt.groupBy({
+          by: ['channelType'],
+          where: {
+            tenantId: tenant.id,
+            [field]: { gte: yesterday, lte: endOfYesterday },
+          },
+          _count: true,
+        });
+        for (const count of counts) {
+          if (!channelStats[count.channelType]) {
+            channelStats[count.channelType] = {
+              sent: 0,
+              delivered: 0,
+              opened: 0,
+              clicked: 0,
+              replied: 0,
+              failed: 0,
+            };
+          }
+          channelStats[count.channelType][key] = count._count;
+        }
+      }
+
       // Upsert analytics records
       for (const [channel, stats] of Object.entries(channelStats)) {
         await prisma.analyticsDaily.upsert({
@@ -337,6 +472,30 @@ async function handleEmailJob(payload) {
   return await emailService.send({ to, subject, html });
 }
 
+/**
+ * Handle SMS send job
+ */
+async function handleSmsJob(payload) {
+  const { to, body, channelConfigId } = payload;
+
+  let credentials = {};
+  if (channelConfigId) {
+    const channelConfig = await prisma.channelConfig.findUnique({
+      where: { id: channelConfigId },
+    });
+
+    if (channelConfig) {
+      credentials = smsService.getCredentials(channelConfig);
+    }
+  }
+
+  const result = await smsService.send(credentials, to, body);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
 /**
  * Handle campaign step execution - sends actual messages via channels
  */
@@ -360,11 +519,18 @@ async function handleCampaignStepJob(payload) {
             orderBy: { stepOrder: 'asc' },
           },
           createdBy: { select: { id: true, name: true, email: true } },
-          tenant: { select: { id: true, name: true } },
+          tenant: { select: { id: true, name: true, settings: true } },
         },
       },
-      lead: true,
-      contact: true,
+      lead: {
+        include: {
+          industries: { include: { industry: true } },
+          assignedTo: { select: { id: true, name: true, email: true } },
+        },
+      },
+      contact: {
+        include: { positionRef: true },
+      },
       prospect: {
         include: {
           group: true,
@@ -388,10 +554,7 @@ async function handleCampaignStepJob(payload) {
 
   if (!currentStep) {
     // Campaign completed for this recipient
-    await prisma.campaignRecipient.update({
-      where: { id: recipientId },
-      data: { status: 'COMPLETED' },
-    });
+    await completeRecipient(recipient);
     return { completed: true };
   }
 
@@ -400,9 +563,46 @@ async function handleCampaignStepJob(payload) {
   const isWhatsAppProspect = !!recipient.whatsappProspectId && !!recipient.whatsappProspect;
   const isProspectRecipient = isTelegramProspect || isWhatsAppProspect;
 
-  logger.info(`Executing campaign step ${currentStep.stepOrder} for recipient ${recipientId}`, {
-    channelType: currentStep.channelType,
-    templateId: currentStep.templateId,
+  // Send on the step's channel, or the first fallback channel the recipient can be reached on
+  const channelOptions = await campaignChannelService.getOptions(currentStep);
+  const selection = campaignChannelService.select(channelOptions, recipient);
+  const sendStep = campaignChannelService.applyOption(currentStep, selection.option);
+
+  if (selection.skipped.length > 0) {
+    logger.info(`Recipient ${recipientId} unreachable on ${selection.skipped.length} channel(s) of step ${currentStep.stepOrder}`, {
+      campaignId,
+      skipped: selection.skipped,
+      channelConfigId: sendStep.channelConfigId,
+    });
+  }
+
+  // Never contact anyone on the tenant's suppression list
+  const suppression = await suppressionService.checkRecipient(recipient, sendStep.channelType);
+  if (suppression) {
+    await prisma.campaignRecipient.update({
+      where: { id: recipientId },
+      data: {
+        status: suppression.reason === 'BOUNCED' ? 'FAILED' : 'UNSUBSCRIBED',
+        nextActionAt: null,
+      },
+    });
+    logger.info(`Recipient ${recipientId} is suppressed, stopping campaign`, {
+      campaignId,
+      suppressionType: suppression.type,
+      reason: suppression.reason,
+    });
+    return { skipped: true, reason: 'Recipient is on the suppression list' };
+  }
+
+  // Step conditions can skip this step, end the sequence or jump to another step
+  const branch = await campaignBranchingService.resolve(recipient, currentStep);
+  if (branch) {
+    return applyBranch(recipient, currentStep, branch);
+  }
+
+  logger.info(`Executing campaign step ${sendStep.stepOrder} for recipient ${recipientId}`, {
+    channelType: sendStep.channelType,
+    templateId: sendStep.templateId,
     contactEmail: recipient.contact?.email,
     contactPhone: recipient.contact?.phone,
     isTelegramProspect,
@@ -429,19 +629,63 @@ async function handleCampaignStepJob(payload) {
     };
   }
 
+  const unsubscribeUrl = suppressionService.getUnsubscribeUrl(recipient);
   const context = templateService.buildContext({
     lead: recipient.lead,
     contact: isProspectRecipient ? prospectContact : recipient.contact,
     sender: recipient.campaign.createdBy,
     tenant: recipient.campaign.tenant,
+    unsubscribeLink: unsubscribeUrl,
   });
 
-  // Get template content (handles AI variations)
-  const templateContent = templateService.getTemplateContent(currentStep.template || {});
+  // Get template content (handles AI variations, weighted by the campaign's A/B testing)
+  const variation = await variationTestingService.pickVariation(recipient.campaign, sendStep.template);
+  const templateContent = templateService.getTemplateContent(sendStep.template || {}, variation);
+
+  // Render template. Strict templates are not sent with blanks where variables should be.
+  let renderedSubject = '';
+  let renderedBody = '';
+  let blockedReason = null;
+  try {
+    const subjectResult = templateService.renderWithMissing(templateContent.subject || '', context);
+    const bodyResult = templateService.renderWithMissing(templateContent.body || '', context);
+    renderedSubject = subjectResult.text;
+    renderedBody = bodyResult.text;
+
+    const missingVariables = [...new Set([...subjectResult.missing, ...bodyResult.missing])];
+    if (sendStep.template?.strictVariables && missingVariables.length > 0) {
+      blockedReason = `Missing template variables: ${missingVariables.join(', ')}`;
+    }
+  } catch (error) {
+    blockedReason = `Template error: ${error.message}`;
+  }
+
+  if (blockedReason) {
+    logger.warn(`Campaign step ${currentStep.stepOrder} not sent to recipient ${recipientId}: ${blockedReason}`, { campaignId });
+    const blockedAttempt = isProspectRecipient ? null : await recordAttempt(
+      recipient,
+      sendStep,
+      campaignId,
+      'FAILED',
+      { stepId: sendStep.id, stepOrder: sendStep.stepOrder, error: blockedReason },
+      renderedBody,
+      renderedSubject || null,
+      templateContent.variationId
+    );
+
+    await advanceRecipient(recipient, currentStep, {
+      ...(recipient.metadata || {}),
+      lastStep: {
+        stepId: currentStep.id,
+        stepOrder: currentStep.stepOrder,
+        success: false,
+        attemptId: blockedAttempt?.id || null,
+        at: new Date().toISOString(),
+      },
+    });
 
-  // Render template
-  const renderedSubject = templateService.render(templateContent.subject || '', context);
-  const renderedBody = templateService.render(templateContent.body || '', context);
+    return { success: false, blocked: true, reason: blockedReason };
+  }
 
   // Log if a variation was used
   if (templateContent.variationId) {
@@ -451,28 +695,62 @@ async function handleCampaignStepJob(payload) {
   // Decrypt channel credentials
   let credentials;
   try {
-    const encryptedData = currentStep.channelConfig?.credentials?.encrypted;
+    const encryptedData = sendStep.channelConfig?.credentials?.encrypted;
     if (encryptedData) {
       credentials = JSON.parse(decrypt(encryptedData));
-    } else if (currentStep.channelConfig?.credentials) {
-      credentials = currentStep.channelConfig.credentials;
+    } else if (sendStep.channelConfig?.credentials) {
+      credentials = sendStep.channelConfig.credentials;
     }
   } catch (error) {
     logger.error('Failed to decrypt channel credentials', { error: error.message });
-    await recordAttempt(recipient, currentStep, campaignId, 'FAILED', { error: 'Credential decryption failed' }, '', null);
+    await recordAttempt(recipient, sendStep, campaignId, 'FAILED', { error: 'Credential decryption failed' }, '', null);
     throw error;
   }
 
+  // Create the contact attempt before sending so outbound content can reference it
+  // (tracking pixel, click redirects). Prospect recipients have their own message tracking.
+  const attempt = isProspectRecipient
+    ? null
+    : await recordAttempt(
+      recipient,
+      sendStep,
+      campaignId,
+      'PENDING',
+      {
+        stepId: sendStep.id,
+        stepOrder: sendStep.stepOrder,
+        ...(sendStep !== currentStep || selection.skipped.length > 0 ? {
+          primaryChannelConfigId: currentStep.channelConfigId,
+          fallbackSkipped: selection.skipped,
+        } : {}),
+      },
+      renderedBody,
+      renderedSubject,
+      templateContent.variationId
+    );
+
   let sendResult = { success: false };
 
   try {
     // Send via appropriate channel
-    switch (currentStep.channelType) {
+    switch (sendStep.channelType) {
       case 'EMAIL_SMTP':
-        sendResult = await sendEmailSmtp(credentials, recipient.contact, renderedSubject, renderedBody);
+        sendResult = await sendEmailSmtp(credentials, recipient.contact, renderedSubject, renderedBody, {
+          attemptId: attempt?.id,
+          unsubscribeUrl,
+          ...trackingService.getOptions(sendStep.channelConfig?.settings),
+        });
         break;
       case 'WHATSAPP_BUSINESS':
-        sendResult = await sendWhatsApp(credentials, recipient.contact, renderedBody);
+        sendResult = await whatsappBusinessService.send(credentials, recipient.contact, {
+          tenantId: recipient.campaign.tenantId,
+          body: renderedBody,
+          template: sendStep.template,
+          context,
+        });
+        break;
+      case 'SMS':
+        sendResult = await smsService.send(credentials, recipient.contact.phone, renderedBody);
         break;
       case 'VOICE':
         sendResult = await sendVoiceCall(credentials, recipient.contact, renderedBody);
@@ -482,7 +760,7 @@ async function handleCampaignStepJob(payload) {
           // Send to WhatsApp prospect using their whatsappUserId
           sendResult = await sendWhatsAppWebToProspect(
             recipient.campaign.tenantId,
-            currentStep.channelConfigId,
+            sendStep.channelConfigId,
             recipient.whatsappProspect,
             renderedBody
           );
@@ -490,14 +768,23 @@ async function handleCampaignStepJob(payload) {
           // Send to lead/contact with phone number
           sendResult = await sendWhatsAppWeb(
             recipient.campaign.tenantId,
-            currentStep.channelConfigId,
+            sendStep.channelConfigId,
             recipient.contact,
             renderedBody
           );
         }
         break;
       case 'TELEGRAM':
-        if (isProspectRecipient) {
+        if (telegramBotService.isBotChannel(sendStep.channelConfig)) {
+          // Bot API - only reaches chats that have started the bot
+          sendResult = await telegramBotService.send(
+            credentials,
+            isProspectRecipient
+              ? recipient.prospect?.telegramUserId
+              : telegramBotService.getChatId(recipient.contact, recipient.lead),
+            renderedBody
+          );
+        } else if (isProspectRecipient) {
           // Send to Telegram prospect using their telegramUserId
           sendResult = await sendTelegramToProspect(
             recipient.campaign.tenantId,
@@ -517,41 +804,28 @@ async function handleCampaignStepJob(payload) {
         }
         break;
       default:
-        logger.warn(`Channel type ${currentStep.channelType} not implemented for campaigns`);
-        sendResult = { success: false, error: `Channel type ${currentStep.channelType} not supported` };
+        logger.warn(`Channel type ${sendStep.channelType} not implemented for campaigns`);
+        sendResult = { success: false, error: `Channel type ${sendStep.channelType} not supported` };
     }
   } catch (error) {
     logger.error('Failed to send campaign message', { error: error.message, recipientId });
     sendResult = { success: false, error: error.message };
   }
 
-  // Record the contact attempt (skip for prospect recipients as they have their own message tracking)
-  if (!isProspectRecipient) {
-    await recordAttempt(
-      recipient,
-      currentStep,
-      campaignId,
-      sendResult.success ? 'SENT' : 'FAILED',
-      {
-        stepId: currentStep.id,
-        stepOrder: currentStep.stepOrder,
-        messageId: sendResult.messageId,
-        error: sendResult.error,
-      },
-      renderedBody,
-      renderedSubject
-    );
+  // Finalize the contact attempt with the send result
+  if (attempt) {
+    await completeAttempt(attempt, sendResult);
   }
 
   // Create/update conversation for email channels
-  if (sendResult.success && ['EMAIL_SMTP', 'EMAIL_API'].includes(currentStep.channelType)) {
+  if (sendResult.success && ['EMAIL_SMTP', 'EMAIL_API'].includes(sendStep.channelType)) {
     try {
       let conversation = await prisma.conversation.findFirst({
         where: {
           tenantId: recipient.campaign.tenantId,
           leadId: recipient.leadId,
           contactId: recipient.contactId,
-          channelType: currentStep.channelType,
+          channelType: sendStep.channelType,
         },
       });
 
@@ -561,7 +835,7 @@ async function handleCampaignStepJob(payload) {
             tenantId: recipient.campaign.tenantId,
             leadId: recipient.leadId,
             contactId: recipient.contactId,
-            channelType: currentStep.channelType,
+            channelType: sendStep.channelType,
             status: 'OPEN',
             lastMessageAt: new Date(),
           },
@@ -572,13 +846,15 @@ async function handleCampaignStepJob(payload) {
       await prisma.message.create({
         data: {
           conversationId: conversation.id,
+          contactAttemptId: attempt?.id,
           direction: 'OUTBOUND',
           content: renderedBody,
           metadata: {
             subject: renderedSubject,
             messageId: sendResult.messageId,
+            channelConfigId: sendStep.channelConfigId,
             campaignId,
-            stepId: currentStep.id,
+            stepId: sendStep.id,
             sentAt: new Date().toISOString(),
           },
         },
@@ -596,69 +872,149 @@ async function handleCampaignStepJob(payload) {
     }
   }
 
-  // Update recipient to next step (even if this step failed, move forward)
+  // Move on to the next step even if this one failed - its conditions can branch on the failure
+  await advanceRecipient(recipient, currentStep, {
+    ...(recipient.metadata || {}),
+    lastStep: {
+      stepId: currentStep.id,
+      stepOrder: currentStep.stepOrder,
+      success: !!sendResult.success,
+      attemptId: attempt?.id || null,
+      at: new Date().toISOString(),
+    },
+  });
+
+  return { success: sendResult.success, stepExecuted: currentStep.stepOrder };
+}
+
+/**
+ * Schedule the step after `fromStep`, or finish the sequence when there is none
+ * @param {Object} recipient - Campaign recipient with campaign (steps, tenant), contact and lead
+ * @param {Object} fromStep - Step just sent or skipped
+ * @param {Object} metadata - Recipient metadata to store
+ */
+async function advanceRecipient(recipient, fromStep, metadata = recipient.metadata) {
   const nextStep = recipient.campaign.steps.find(
-    s => s.stepOrder === recipient.currentStep + 1
+    s => s.stepOrder === fromStep.stepOrder + 1
   );
 
-  if (nextStep) {
-    const nextActionAt = new Date();
-    // Calculate total delay in minutes: days * 24 * 60 + hours * 60 + minutes
-    const delayMinutes =
-      (nextStep.delayDays || 0) * 24 * 60 +
-      (nextStep.delayHours || 0) * 60 +
-      (nextStep.delayMinutes || 0);
-    // If no delay specified, default to 24 hours
-    nextActionAt.setMinutes(nextActionAt.getMinutes() + (delayMinutes || 24 * 60));
+  if (!nextStep) {
+    await completeRecipient(recipient, metadata);
+    return;
+  }
 
-    await prisma.campaignRecipient.update({
-      where: { id: recipientId },
+  // Delay (24 hours if none), then the step's send time and business hours in the recipient's time zone
+  const nextActionAt = campaignScheduleService.getStepTime({
+    step: nextStep,
+    campaign: recipient.campaign,
+    timeZone: campaignScheduleService.getRecipientTimeZone(recipient, recipient.campaign.tenant?.settings?.timezone),
+  });
+
+  await prisma.campaignRecipient.update({
+    where: { id: recipient.id },
+    data: {
+      currentStep: nextStep.stepOrder,
+      nextActionAt,
+      status: 'IN_PROGRESS',
+      metadata,
+    },
+  });
+}
+
+/**
+ * Mark a recipient's sequence as finished, and the campaign once nobody is left
+ */
+async function completeRecipient(recipient, metadata = recipient.metadata) {
+  const campaignId = recipient.campaignId;
+
+  await prisma.campaignRecipient.update({
+    where: { id: recipient.id },
+    data: { status: 'COMPLETED', nextActionAt: null, metadata },
+  });
+
+  // Check if all recipients are now completed - if so, mark campaign as completed
+  const pendingCount = await prisma.campaignRecipient.count({
+    where: {
+      campaignId,
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+    },
+  });
+
+  if (pendingCount === 0) {
+    await prisma.campaign.update({
+      where: { id: campaignId },
       data: {
-        currentStep: nextStep.stepOrder,
-        nextActionAt,
-        status: 'IN_PROGRESS',
+        status: 'COMPLETED',
+        completedAt: new Date(),
       },
     });
-  } else {
-    await prisma.campaignRecipient.update({
-      where: { id: recipientId },
-      data: { status: 'COMPLETED' },
+    logger.info(`Campaign ${campaignId} completed - all recipients processed`);
+  }
+}
+
+/**
+ * Act on a step condition instead of sending the step
+ * @param {Object} recipient - Campaign recipient
+ * @param {Object} step - Step that was due
+ * @param {Object} branch - From campaignBranchingService.resolve: { action, target, reason }
+ */
+async function applyBranch(recipient, step, branch) {
+  const jumps = recipient.metadata?.jumps || 0;
+  const history = [
+    ...(recipient.metadata?.branches || []),
+    { stepId: step.id, action: branch.action, target: branch.target?.name, reason: branch.reason, at: new Date().toISOString() },
+  ].slice(-MAX_BRANCH_HISTORY);
+  const metadata = { ...(recipient.metadata || {}), branches: history };
+
+  logger.info(`Campaign step ${step.stepOrder} for recipient ${recipient.id}: ${branch.action}`, {
+    campaignId: recipient.campaignId,
+    reason: branch.reason,
+    target: branch.target?.name,
+  });
+
+  // Guard against rules that send a recipient round in circles
+  if (branch.action === 'exit' || (branch.action === 'goto' && jumps >= MAX_BRANCH_JUMPS)) {
+    await completeRecipient(recipient, metadata);
+    return { skipped: true, reason: branch.action === 'exit' ? branch.reason : 'Too many branch jumps' };
+  }
+
+  if (branch.action === 'goto') {
+    // The jump happens when the step was due, so the target goes out without its own delay
+    const nextActionAt = campaignScheduleService.getStepTime({
+      step: branch.target,
+      campaign: recipient.campaign,
+      timeZone: campaignScheduleService.getRecipientTimeZone(recipient, recipient.campaign.tenant?.settings?.timezone),
+      applyDelay: false,
     });
 
-    // Check if all recipients are now completed - if so, mark campaign as completed
-    const pendingCount = await prisma.campaignRecipient.count({
-      where: {
-        campaignId,
-        status: { in: ['PENDING', 'IN_PROGRESS'] },
+    await prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: {
+        currentStep: branch.target.stepOrder,
+        nextActionAt,
+        status: 'IN_PROGRESS',
+        metadata: { ...metadata, jumps: jumps + 1 },
       },
     });
-
-    if (pendingCount === 0) {
-      await prisma.campaign.update({
-        where: { id: campaignId },
-        data: {
-          status: 'COMPLETED',
-          completedAt: new Date(),
-        },
-      });
-      logger.info(`Campaign ${campaignId} completed - all recipients processed`);
-    }
+    return { skipped: true, reason: branch.reason, jumpedTo: branch.target.stepOrder };
   }
 
-  return { success: sendResult.success, stepExecuted: currentStep.stepOrder };
+  await advanceRecipient(recipient, step, metadata);
+  return { skipped: true, reason: branch.reason };
 }
 
 /**
  * Record contact attempt for campaign step
  */
-async function recordAttempt(recipient, step, campaignId, status, metadata, content = '', subject = null) {
-  await prisma.contactAttempt.create({
+async function recordAttempt(recipient, step, campaignId, status, metadata, content = '', subject = null, variationId = null) {
+  return prisma.contactAttempt.create({
     data: {
       tenantId: recipient.campaign.tenantId,
       leadId: recipient.leadId,
       contactId: recipient.contactId,
       campaignId,
       campaignStepId: step.id,
+      variationId,
       channelType: step.channelType,
       channelConfigId: step.channelConfigId,
       status,
@@ -670,105 +1026,70 @@ async function recordAttempt(recipient, step, campaignId, status, metadata, cont
   });
 }
 
+/**
+ * Update a pending contact attempt with the channel send result
+ */
+async function completeAttempt(attempt, sendResult) {
+  await prisma.contactAttempt.update({
+    where: { id: attempt.id },
+    data: {
+      status: sendResult.success ? 'SENT' : 'FAILED',
+      externalId: sendResult.messageId ? String(sendResult.messageId) : null,
+      sentAt: sendResult.success ? new Date() : null,
+      metadata: {
+        ...(attempt.metadata || {}),
+        ...(sendResult.metadata || {}),
+        messageId: sendResult.messageId,
+        error: sendResult.error,
+      },
+    },
+  });
+}
+
 /**
  * Send email via SMTP
+ * @param {Object} options - { attemptId, opens, clicks } injects open pixel / click redirects,
+ *                           { unsubscribeUrl } adds List-Unsubscribe headers
  */
-async function sendEmailSmtp(credentials, contact, subject, body) {
+async function sendEmailSmtp(credentials, contact, subject, body, options = {}) {
   if (!contact.email) {
     return { success: false, error: 'Contact has no email' };
   }
 
-  const transporter = nodemailer.createTransport({
-    host: credentials.host,
-    port: credentials.port || 587,
-    secure: credentials.secure || false,
-    auth: {
-      user: credentials.user,
-      pass: credentials.pass,
-    },
-  });
-
   // Convert plain text line breaks to HTML <br> tags
   // and wrap in a basic HTML template for proper rendering
-  const htmlBody = formatEmailBody(body);
+  let htmlBody = emailService.formatHtml(body);
+
+  if (options.attemptId) {
+    htmlBody = trackingService.instrumentHtml(htmlBody, options.attemptId, options);
+  }
+
+  const headers = {};
+  if (options.attemptId) {
+    // Carry the attempt ID through provider relays so delivery/bounce webhooks can match it
+    headers['X-SMTPAPI'] = JSON.stringify({ unique_args: { attempt_id: String(options.attemptId) } });
+    headers['X-MC-Metadata'] = JSON.stringify({ attempt_id: String(options.attemptId) });
+    headers['X-SES-MESSAGE-TAGS'] = `attempt_id=${options.attemptId}`;
+  }
+  if (options.unsubscribeUrl) {
+    headers['List-Unsubscribe'] = `<${options.unsubscribeUrl}>`;
+    headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+  }
 
-  const result = await transporter.sendMail({
-    from: credentials.from || credentials.user,
+  const result = await emailService.sendSmtp(credentials, {
     to: contact.email,
     subject,
     html: htmlBody,
-    text: body, // Also include plain text version
+    body,
+    headers,
+    // Stable Message-ID / plus-addressed Reply-To so the IMAP poller can match replies to this attempt
+    ...(options.attemptId && emailService.getThreadingOptions(credentials, options.attemptId)),
   });
 
   logger.info('Campaign email sent', { to: contact.email, messageId: result.messageId });
   return { success: true, messageId: result.messageId };
 }
 
-/**
- * Format email body - convert newlines to <br> and wrap in HTML
- */
-function formatEmailBody(body) {
-  // If body already contains HTML tags, assume it's already formatted
-  if (/<[a-z][\s\S]*>/i.test(body)) {
-    return body;
-  }
-
-  // Convert newlines to <br> tags for plain text
-  const formattedBody = body
-    .replace(/\r\n/g, '\n')  // Normalize line endings
-    .replace(/\n/g, '<br>\n'); // Convert to HTML breaks
-
-  // Wrap in a simple HTML template
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #333;">
-  ${formattedBody}
-</body>
-</html>`;
-}
-
-/**
- * Send WhatsApp message via Business API
- */
-async function sendWhatsApp(credentials, contact, body) {
-  if (!contact.phone) {
-    return { success: false, error: 'Contact has no phone' };
-  }
-
-  const phoneNumber = contact.phone.replace(/[\s\-\(\)]/g, '').replace(/^\+/, '');
-
-  const response = await fetch(
-    `https://graph.facebook.com/v18.0/${credentials.phoneNumberId}/messages`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${credentials.accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to: phoneNumber,
-        type: 'text',
-        text: { body },
-      }),
-    }
-  );
-
-  const result = await response.json();
-
-  if (!response.ok) {
-    logger.error('WhatsApp API error', { error: result.error });
-    return { success: false, error: result.error?.message || 'WhatsApp API error' };
-  }
-
-  logger.info('Campaign WhatsApp sent', { to: phoneNumber, messageId: result.messages?.[0]?.id });
-  return { success: true, messageId: result.messages?.[0]?.id };
-}
-
 /**
  * Send voice call via Twilio
  */
@@ -977,23 +1298,10 @@ async function sendTelegram(tenantId, credentials, contact, lead, body) {
     return { success: false, error: 'Contact has no Telegram ID or username' };
   }
 
-  // Build session key from credentials (apiId stored in credentials)
-  const sessionKey = telegramService.getSessionKey(tenantId, credentials.apiId);
-
-  // Check if session is authorized
-  const authStatus = await telegramService.isAuthorized(sessionKey);
-  if (!authStatus.authorized) {
-    // Try to reconnect if session exists
-    if (credentials.sessionString && credentials.apiId && credentials.apiHash) {
-      try {
-        await telegramService.reconnect(tenantId, credentials.apiId, credentials.apiHash, credentials.sessionString);
-      } catch (error) {
-        logger.error('Telegram reconnect failed', { error: error.message });
-        return { success: false, error: 'Telegram not connected. Please reconnect.' };
-      }
-    } else {
-      return { success: false, error: 'Telegram not connected. Please reconnect.' };
-    }
+  // Reconnects from the stored session if the client is not in memory
+  const sessionKey = await telegramService.ensureConnected(tenantId, credentials);
+  if (!sessionKey) {
+    return { success: false, error: 'Telegram not connected. Please reconnect.' };
   }
 
   // Send message to telegramId (numeric) or username
@@ -1025,23 +1333,10 @@ async function sendTelegramToProspect(tenantId, credentials, prospect, body) {
     return { success: false, error: 'Prospect has no Telegram user ID' };
   }
 
-  // Build session key from credentials
-  const sessionKey = telegramService.getSessionKey(tenantId, credentials.apiId);
-
-  // Check if session is authorized
-  const authStatus = await telegramService.isAuthorized(sessionKey);
-  if (!authStatus.authorized) {
-    // Try to reconnect if session exists
-    if (credentials.sessionString && credentials.apiId && credentials.apiHash) {
-      try {
-        await telegramService.reconnect(tenantId, credentials.apiId, credentials.apiHash, credentials.sessionString);
-      } catch (error) {
-        logger.error('Telegram reconnect failed for prospect', { error: error.message });
-        return { success: false, error: 'Telegram not connected. Please reconnect.' };
-      }
-    } else {
-      return { success: false, error: 'Telegram not connected. Please reconnect.' };
-    }
+  // Reconnects from the stored session if the client is not in memory
+  const sessionKey = await telegramService.ensureConnected(tenantId, credentials);
+  if (!sessionKey) {
+    return { success: false, error: 'Telegram not connected. Please reconnect.' };
   }
 
   // Random delay between 5-30 seconds to appear human-like
@@ -1119,6 +1414,7 @@ async function scheduleTelegramReplyPolling() {
     const telegramChannels = await prisma.channelConfig.findMany({
       where: {
         channelType: 'TELEGRAM',
+        provider: { not: telegramBotService.provider }, // Bot channels receive replies via webhook
         isActive: true,
       },
       include: {
@@ -1154,6 +1450,7 @@ async function scheduleTelegramReplyPolling() {
       }, {
         tenantId: channel.tenantId,
         priority: 3,
+        dedupeKey: `channel:${channel.id}`,
       });
 
       logger.debug(`Scheduled Telegram reply poll for channel ${channel.id}`);
@@ -1257,6 +1554,7 @@ async function scheduleWhatsAppReplyPolling() {
       }, {
         tenantId: channel.tenantId,
         priority: 3,
+        dedupeKey: `channel:${channel.id}`,
       });
 
       logger.debug(`Scheduled WhatsApp reply poll for channel ${channel.id}`);
@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Sandbox process for data source scripts (started by scriptSandbox.service)
+ *
+ * Runs one tenant script in a vm context that holds no object of this process: its global is
+ * created from a null-prototype object, code generation from strings is off, and the `page`
+ * API, logger and sleep() are built inside the context by bridge(). The bridge reaches this
+ * process through one function kept in its closure and only strings (JSON) cross in either
+ * direction, so scripts can't get hold of this realm's Function constructor or `process`.
+ * Page calls are forwarded over IPC to the parent, which owns the browser.
+ *
+ * As a second line of defence the process runs with no environment under Node's permission
+ * model (no files, child processes, workers or native bindings), has sockets, DNS and fetch
+ * disabled, and stops itself past its CPU budget. Everything here is strict mode code, so
+ * stack trace and caller APIs don't hand its functions to scripts.
+ * Self-contained: the permission model only lets it read this file.
+ */
+const vm = require('vm');
+
+// Page methods forwarded to the parent; functions passed to evaluate/$eval/$$eval run in the browser page
+const PAGE_METHODS = [
+  'goto', 'goBack', 'reload', 'url', 'title', 'content',
+  'waitForSelector', 'waitForTimeout', 'waitForLoadState',
+  'click', 'fill', 'press', 'hover', 'selectOption',
+  'textContent', 'innerText', 'getAttribute', 'isVisible', 'count',
+  'evaluate', '$eval', '$$eval',
+];
+
+const FUNCTION_ARGS = { evaluate: 0, $eval: 1, $$eval: 1 };
+
+const MAX_LOG_LENGTH = 2000;
+
+/**
+ * Disable network access for anything running in this process
+ * Node's permission model doesn't cover the network before Node 25; native bindings, which
+ * could open sockets without these modules, are denied by the permission model
+ */
+function denyNetwork() {
+  const deny = () => {
+    throw new Error('Network access is disabled in the script sandbox');
+  };
+
+  const net = require('net');
+  net.Socket.prototype.connect = deny;
+  net.Server.prototype.listen = deny;
+
+  const dgram = require('dgram');
+  dgram.Socket.prototype.bind = deny;
+  dgram.Socket.prototype.send = deny;
+
+  const dns = require('dns');
+  for (const target of [dns, dns.promises, dns.Resolver.prototype, dns.promises.Resolver.prototype]) {
+    for (const name of Object.getOwnPropertyNames(target)) {
+      if (/^(lookup|resolve|reverse)/.test(name) && typeof target[name] === 'function') target[name] = deny;
+    }
+  }
+
+  for (const name of ['fetch', 'WebSocket', 'EventSource']) delete globalThis[name];
+}
+
+/**
+ * Runs inside the context (evaluated from its source, never called here): builds the script
+ * globals and returns the functions this process drives the script with.
+ * Intrinsics are captured up front so scripts that replace them only break themselves.
+ * @param {Function} post - Sends a JSON string to this process; never exposed to the script
+ * @param {string} optionsJson - { methods, functionArgs, maxLogLength, startUrl }
+ * @returns {Object} - { receive(id, error, resultJson), settle(promise) }
+ */
+function bridge(post, optionsJson) {
+  'use strict';
+
+  const { stringify, parse } = JSON;
+  const { apply } = Reflect;
+  const { freeze, create } = Object;
+  const PromiseCtor = Promise;
+  const ErrorCtor = Error;
+  const StringCtor = String;
+  const then = Promise.prototype.then;
+  const fnToString = Function.prototype.toString;
+  const slice = String.prototype.slice;
+  const globals = globalThis;
+
+  const options = parse(optionsJson);
+  const pending = create(null);
+  let nextId = 1;
+
+  // Errors thrown by this process's functions (including stack overflows in them) never reach the script
+  const send = (message) => {
+    try {
+      post(stringify(message));
+    } catch {
+      throw new ErrorCtor('Script sandbox call failed');
+    }
+  };
+
+  const request = (type, payload) => new PromiseCtor((resolve, reject) => {
+    const id = nextId++;
+    pending[id] = { resolve, reject };
+    send({ ...payload, type, id });
+  });
+
+  const safeStringify = (value) => {
+    try {
+      return stringify(value);
+    } catch {
+      return StringCtor(value);
+    }
+  };
+
+  const page = create(null);
+  for (const method of options.methods) {
+    page[method] = (...args) => {
+      const fnIndex = options.functionArgs[method];
+      if (fnIndex !== undefined && typeof args[fnIndex] === 'function') {
+        args[fnIndex] = { fn: apply(fnToString, args[fnIndex], []) };
+      }
+      return request('call', { method, args: parse(safeStringify(args) || '[]') });
+    };
+  }
+
+  const log = (level) => (...args) => {
+    let message = '';
+    for (const arg of args) message += (message ? ' ' : '') + (typeof arg === 'string' ? arg : safeStringify(arg));
+    send({ type: 'log', level, message: apply(slice, message, [0, options.maxLogLength]) });
+  };
+  const logger = freeze({ info: log('info'), warn: log('warn'), error: log('error'), debug: log('info') });
+
+  globals.page = freeze(page);
+  globals.logger = logger;
+  globals.console = freeze({ log: logger.info, info: logger.info, warn: logger.warn, error: logger.error });
+  globals.sleep = (ms) => request('sleep', { ms: Number(ms) || 0 });
+  globals.startUrl = options.startUrl;
+
+  return freeze({
+    receive(id, error, resultJson) {
+      const call = pending[id];
+      if (!call) return;
+      delete pending[id];
+      if (typeof error === 'string') call.reject(new ErrorCtor(error));
+      else call.resolve(resultJson === undefined ? undefined : parse(resultJson));
+    },
+
+    settle(promise) {
+      apply(then, promise, [
+        (results) => {
+          try {
+            send({ type: 'done', results: results ?? [] });
+          } catch {
+            send({ type: 'error', message: 'Script results must be JSON' });
+          }
+        },
+        (err) => {
+          let message;
+          try {
+            message = StringCtor(err && err.message ? err.message : err);
+          } catch {
+            message = 'Script failed';
+          }
+          send({ type: 'error', message });
+        },
+      ]);
+    },
+  });
+}
+
+function send(message) {
+  process.send(message, () => process.exit(0));
+}
+
+function watchCpu(limitMs) {
+  const timer = setInterval(() => {
+    const { user, system } = process.cpuUsage();
+    if ((user + system) / 1000 > limitMs) {
+      send({ type: 'error', message: `Script exceeded its CPU time limit (${limitMs}ms)` });
+    }
+  }, 100);
+  timer.unref();
+}
+
+let sandbox = null;
+
+/**
+ * Handle a message the bridge posted; bad input is dropped, never thrown back into the context
+ */
+function onPost(json) {
+  try {
+    if (typeof json !== 'string') return;
+    const message = JSON.parse(json);
+
+    switch (message.type) {
+      case 'call':
+        process.send({ type: 'call', id: message.id, method: String(message.method), args: message.args });
+        break;
+      case 'sleep':
+        setTimeout(() => sandbox.receive(message.id), Math.min(Number(message.ms) || 0, sandbox.limits.maxSleep));
+        break;
+      case 'log':
+        process.send({ type: 'log', level: String(message.level), message: String(message.message).slice(0, MAX_LOG_LENGTH) });
+        break;
+      case 'done':
+        send({ type: 'done', results: message.results });
+        break;
+      case 'error':
+        send({ type: 'error', message: String(message.message) });
+        break;
+      default:
+        break;
+    }
+  } catch {
+    // Dropped
+  }
+}
+
+function run({ code, url, limits }) {
+  watchCpu(limits.cpuTime);
+
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+
+  const createBridge = new vm.Script(`(${bridge.toString()})`, { filename: 'script-bridge.js' }).runInContext(context);
+  const { receive, settle } = createBridge(onPost, JSON.stringify({
+    methods: PAGE_METHODS,
+    functionArgs: FUNCTION_ARGS,
+    maxLogLength: MAX_LOG_LENGTH,
+    startUrl: String(url ?? ''),
+  }));
+  sandbox = { receive, limits };
+
+  const script = new vm.Script(`(async () => {\n${code}\n})()`, { filename: 'data-source-script.js' });
+  settle(script.runInContext(context, { timeout: limits.syncTimeout }));
+}
+
+process.on('message', (message) => {
+  if (message.type === 'run') {
+    try {
+      run(message);
+    } catch (err) {
+      send({ type: 'error', message: String(err?.message || err) });
+    }
+  } else if (message.type === 'reply' && sandbox) {
+    const error = message.error === undefined ? undefined : String(message.error);
+    const result = message.result === undefined ? undefined : JSON.stringify(message.result);
+    sandbox.receive(message.id, error, result);
+  }
+});
+
+process.on('disconnect', () => process.exit(0));
+
+denyNetwork();
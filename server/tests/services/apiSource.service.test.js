@@ -0,0 +1,178 @@
+jest.mock('../../src/utils/logger');
+
+const apiSourceService = require('../../src/services/apiSource.service');
+
+const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const json = (body, init = {}) => new Response(JSON.stringify(body), {
+  status: 200,
+  ...init,
+  headers: { 'Content-Type': 'application/json', ...init.headers },
+});
+const redirect = (location, status = 302) => new Response(null, { status, headers: { Location: location } });
+
+describe('apiSourceService credentials', () => {
+  it('moves secrets out of the posted config and merges updates', () => {
+    const { config, secrets } = apiSourceService.splitSecrets({ auth: { type: 'bearer', token: 't' }, headers: { A: '1' } });
+    expect(config).toEqual({ auth: { type: 'bearer' }, headers: { A: '1' } });
+    expect(secrets).toEqual({ token: 't' });
+
+    const merged = apiSourceService.mergeCredentials(
+      { token: 'old', key: 'k', headers: { 'X-Secret': 's', 'X-Old': 'o' } },
+      { token: '', key: null, headers: { 'X-Old': null, 'X-New': 'n' } }
+    );
+    expect(merged).toEqual({ token: 'old', headers: { 'X-Secret': 's', 'X-New': 'n' } });
+  });
+
+  it('only applies saved credentials to the same origin and token URL', () => {
+    const saved = {
+      url: 'https://api.example.com/v1/companies',
+      config: { auth: { type: 'oauth2', tokenUrl: 'https://auth.example.com/token' } },
+    };
+    const edited = (url, tokenUrl = 'https://auth.example.com/token') => ({ url, config: { auth: { type: 'oauth2', tokenUrl } } });
+
+    expect(apiSourceService.credentialsApplyTo(saved, edited('https://api.example.com/v2/leads?x=1'))).toBe(true);
+    expect(apiSourceService.credentialsApplyTo(saved, edited('https://attacker.example.net/v1/companies'))).toBe(false);
+    expect(apiSourceService.credentialsApplyTo(saved, edited('http://api.example.com/v1/companies'))).toBe(false);
+    expect(apiSourceService.credentialsApplyTo(saved, edited('https://api.example.com/v1', 'https://attacker.example.net/token'))).toBe(false);
+    expect(apiSourceService.credentialsApplyTo(saved, edited('not a url'))).toBe(false);
+    expect(apiSourceService.credentialsApplyTo(saved, { url: 'https://api.example.com/x', config: { auth: { type: 'bearer' } } })).toBe(true);
+  });
+});
+
+describe('apiSourceService.createClient', () => {
+  const source = { url: 'https://api.example.com/v1/companies', config: { auth: { type: 'api_key', headerName: 'X-Key' } } };
+  const credentials = { key: 'secret', headers: {} };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(global, 'fetch');
+  });
+
+  it('refuses to send credentials to another origin', async () => {
+    const client = apiSourceService.createClient(source, { credentials, log });
+    await expect(client.request('https://attacker.example.net/')).rejects.toThrow('Refusing to send credentials to https://attacker.example.net');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('follows same-origin redirects itself and refuses cross-origin ones', async () => {
+    fetch
+      .mockResolvedValueOnce(redirect('/v2/companies'))
+      .mockResolvedValueOnce(json({ ok: true }))
+      .mockResolvedValueOnce(redirect('https://attacker.example.net/collect'));
+    const client = apiSourceService.createClient(source, { credentials, log });
+
+    const response = await client.request(source.url);
+    await expect(response.json()).resolves.toEqual({ ok: true });
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: 'manual', headers: { 'X-Key': 'secret' } });
+    expect(String(fetch.mock.calls[1][0])).toBe('https://api.example.com/v2/companies');
+
+    await expect(client.request(source.url)).rejects.toThrow('Refusing to send credentials to https://attacker.example.net');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('follows cross-origin redirects of sources without credentials', async () => {
+    fetch
+      .mockResolvedValueOnce(redirect('https://feeds.example.net/companies.xml', 301))
+      .mockResolvedValueOnce(json({ ok: true }));
+    const client = apiSourceService.createClient({ url: 'http://api.example.com/feed', config: {} }, { credentials: {}, log });
+
+    const response = await client.request('http://api.example.com/feed');
+    await expect(response.json()).resolves.toEqual({ ok: true });
+    expect(String(fetch.mock.calls[1][0])).toBe('https://feeds.example.net/companies.xml');
+    expect(fetch.mock.calls[1][1].headers).toEqual({ Accept: 'application/json' });
+  });
+
+  it('repeats a POST as a GET after a 303', async () => {
+    fetch.mockResolvedValueOnce(redirect('/v1/results', 303)).mockResolvedValueOnce(json([]));
+    const client = apiSourceService.createClient(source, { credentials, log });
+
+    await client.request(source.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+
+    expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'GET', body: undefined });
+    expect(fetch.mock.calls[1][1].headers).not.toHaveProperty('Content-Type');
+  });
+
+  it('stops after too many redirects', async () => {
+    fetch.mockImplementation(async () => redirect('/loop'));
+    const client = apiSourceService.createClient(source, { credentials, log });
+
+    await expect(client.request(source.url)).rejects.toThrow('Too many redirects');
+    expect(fetch).toHaveBeenCalledTimes(6);
+  });
+
+  it('retries rate-limited requests', async () => {
+    fetch.mockResolvedValueOnce(json({}, { status: 429, headers: { 'Retry-After': '0' } })).mockResolvedValueOnce(json({}));
+    const client = apiSourceService.createClient(source, { credentials, log });
+
+    await client.request(source.url);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('apiSourceService.getAccessToken', () => {
+  const auth = { type: 'oauth2', tokenUrl: 'https://auth.example.com/token', scope: 'read' };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(global, 'fetch');
+    apiSourceService.tokens.clear();
+  });
+
+  it('requests and caches a client credentials token', async () => {
+    fetch.mockResolvedValueOnce(json({ access_token: 'tok', expires_in: 3600 }));
+    const credentials = { clientId: 'id', clientSecret: 'secret' };
+
+    await expect(apiSourceService.getAccessToken(auth, credentials, log)).resolves.toBe('tok');
+    await expect(apiSourceService.getAccessToken(auth, credentials, log)).resolves.toBe('tok');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = fetch.mock.calls[0];
+    expect(String(url)).toBe('https://auth.example.com/token');
+    expect(init.redirect).toBe('manual');
+    expect(init.body.get('client_secret')).toBe('secret');
+  });
+
+  it('does not follow redirects of the token endpoint', async () => {
+    fetch.mockResolvedValueOnce(redirect('https://attacker.example.net/token', 307));
+
+    await expect(apiSourceService.getAccessToken(auth, { clientId: 'id', clientSecret: 'secret' }, log))
+      .rejects.toThrow('OAuth token request redirected to https://attacker.example.net');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('only calls http(s) token URLs', async () => {
+    await expect(apiSourceService.getAccessToken({ ...auth, tokenUrl: 'file:///etc/passwd' }, {}, log))
+      .rejects.toThrow('auth.tokenUrl must be an http(s) URL');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('apiSourceService.fetchPages', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(global, 'fetch');
+  });
+
+  it('follows cursors and maps records with JSONPath', async () => {
+    fetch
+      .mockResolvedValueOnce(json({ data: [{ id: 1, attributes: { name: 'Acme' } }], meta: { next: 'c2' } }))
+      .mockResolvedValueOnce(json({ data: [{ id: 2, attributes: { name: 'Globex' } }], meta: { next: null } }));
+
+    const source = {
+      url: 'https://api.example.com/companies',
+      config: {
+        pagination: { type: 'cursor', cursorParam: 'after', cursorPath: '$.meta.next' },
+        mapping: { root: '$.data', fields: { companyName: '$.attributes.name' } },
+      },
+    };
+
+    const leads = [];
+    for await (const { items } of apiSourceService.fetchPages(source, { credentials: {}, log })) {
+      leads.push(...items.map(item => apiSourceService.mapItem(item, source.config)));
+    }
+
+    expect(leads).toEqual([{ companyName: 'Acme', externalId: 1 }, { companyName: 'Globex', externalId: 2 }]);
+    expect(String(fetch.mock.calls[1][0])).toBe('https://api.example.com/companies?after=c2');
+  });
+});
@@ -0,0 +1,93 @@
+const campaignScheduleService = require('../../src/services/campaignSchedule.service');
+
+describe('campaignScheduleService.getRecipientTimeZone', () => {
+  it('prefers the contact, then the lead, then custom fields, then the tenant', () => {
+    const recipient = {
+      contact: { timezone: 'Asia/Tokyo' },
+      lead: { timezone: 'Europe/Paris', customFields: { timezone: 'America/Chicago', country: 'DE' } },
+    };
+    expect(campaignScheduleService.getRecipientTimeZone(recipient, 'UTC')).toBe('Asia/Tokyo');
+
+    recipient.contact.timezone = null;
+    expect(campaignScheduleService.getRecipientTimeZone(recipient, 'UTC')).toBe('Europe/Paris');
+
+    recipient.lead.timezone = 'Not/AZone';
+    expect(campaignScheduleService.getRecipientTimeZone(recipient, 'UTC')).toBe('America/Chicago');
+
+    delete recipient.lead.customFields.timezone;
+    expect(campaignScheduleService.getRecipientTimeZone(recipient, 'UTC')).toBe('Europe/Berlin');
+
+    expect(campaignScheduleService.getRecipientTimeZone({ lead: { customFields: {} } }, 'Asia/Kolkata')).toBe('Asia/Kolkata');
+  });
+
+  it('maps country names and codes', () => {
+    expect(campaignScheduleService.getCountryTimeZone('united kingdom')).toBe('Europe/London');
+    expect(campaignScheduleService.getCountryTimeZone('jp')).toBe('Asia/Tokyo');
+    expect(campaignScheduleService.getCountryTimeZone('Atlantis')).toBeNull();
+  });
+});
+
+describe('campaignScheduleService.getStepTime', () => {
+  const monday = new Date('2026-10-19T15:00:00Z');
+  const friday = new Date('2026-10-16T10:00:00Z');
+
+  it('sends "2 days at 09:30" at 09:30 local time two days later', () => {
+    const date = campaignScheduleService.getStepTime({
+      step: { delayDays: 2, sendTime: '09:30' },
+      campaign: {},
+      timeZone: 'Europe/Berlin',
+      from: monday,
+    });
+    expect(date).toEqual(new Date('2026-10-21T07:30:00Z'));
+  });
+
+  it('waits a day when the step has no delay', () => {
+    expect(campaignScheduleService.getStepTime({ step: {}, campaign: {}, timeZone: 'UTC', from: monday }))
+      .toEqual(new Date('2026-10-20T15:00:00Z'));
+  });
+
+  it('does not delay the first step', () => {
+    expect(campaignScheduleService.getStepTime({ step: { delayDays: 5 }, campaign: {}, timeZone: 'UTC', from: monday, applyDelay: false }))
+      .toEqual(monday);
+  });
+
+  it('treats delay hours as a minimum wait before the send time', () => {
+    const date = campaignScheduleService.getStepTime({
+      step: { delayHours: 3, sendTime: '09:00' },
+      campaign: {},
+      timeZone: 'UTC',
+      from: new Date('2026-10-19T08:00:00Z'),
+    });
+    expect(date).toEqual(new Date('2026-10-20T09:00:00Z'));
+  });
+
+  it('moves sends after business hours to the next morning in the recipient\'s zone', () => {
+    const date = campaignScheduleService.getStepTime({
+      step: { delayHours: 1 },
+      campaign: { businessHoursStart: '09:00', businessHoursEnd: '17:00' },
+      timeZone: 'Europe/Berlin',
+      from: new Date('2026-10-19T16:30:00Z'),
+    });
+    expect(date).toEqual(new Date('2026-10-20T07:00:00Z'));
+  });
+
+  it('keeps the send time when a weekend pushes the step to Monday', () => {
+    const date = campaignScheduleService.getStepTime({
+      step: { delayDays: 1, sendTime: '09:30' },
+      campaign: { skipWeekends: true },
+      timeZone: 'UTC',
+      from: friday,
+    });
+    expect(date).toEqual(new Date('2026-10-19T09:30:00Z'));
+  });
+
+  it('opens at business hours when the send time falls outside them', () => {
+    const date = campaignScheduleService.getStepTime({
+      step: { delayDays: 1, sendTime: '18:00' },
+      campaign: { skipWeekends: true, businessHoursStart: '09:00', businessHoursEnd: '17:00' },
+      timeZone: 'UTC',
+      from: friday,
+    });
+    expect(date).toEqual(new Date('2026-10-19T09:00:00Z'));
+  });
+});
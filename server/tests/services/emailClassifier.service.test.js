@@ -0,0 +1,125 @@
+const emailClassifierService = require('../../src/services/emailClassifier.service');
+
+// Minimal mailparser result: headers is a Map keyed by lower-case name
+function email({ from = 'jane@acme.com', subject = '', text = '', headers = {}, attachments = [] }) {
+  return {
+    from: { value: [{ address: from }] },
+    subject,
+    text,
+    headers: new Map(Object.entries(headers)),
+    attachments,
+  };
+}
+
+const dsn = [
+  'Reporting-MTA: dns; mx.example.com',
+  '',
+  'Final-Recipient: rfc822; Jane@Acme.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+].join('\n');
+
+describe('emailClassifierService.parseBounce', () => {
+  it('reads RFC 3464 delivery status reports', () => {
+    const bounce = emailClassifierService.parseBounce(email({
+      from: 'mailer-daemon@mx.example.com',
+      subject: 'Undelivered Mail Returned to Sender',
+      headers: { 'content-type': { value: 'multipart/report', params: { 'report-type': 'delivery-status' } } },
+      attachments: [
+        { contentType: 'message/delivery-status', content: Buffer.from(dsn) },
+        { contentType: 'text/rfc822-headers', content: Buffer.from('Message-ID: <abc@mail.example.com>\nSubject: Hi') },
+      ],
+    }));
+
+    expect(bounce).toMatchObject({
+      type: 'bounce',
+      hard: true,
+      status: '5.1.1',
+      recipient: 'jane@acme.com',
+      reason: '550 5.1.1 User unknown',
+      originalMessageIds: ['<abc@mail.example.com>'],
+    });
+  });
+
+  it('reads plain-text bounces from mailer daemons and treats temporary failures as soft', () => {
+    const bounce = emailClassifierService.parseBounce(email({
+      from: 'MAILER-DAEMON@mx.example.com',
+      subject: 'Delivery Status Notification (Failure)',
+      text: 'Your message could not be delivered.\n452 4.2.2 Mailbox full\n\nMessage-ID: <abc@mail.example.com>',
+    }));
+
+    expect(bounce).toMatchObject({ type: 'bounce', hard: false, status: '4.2.2', originalMessageIds: ['<abc@mail.example.com>'] });
+  });
+
+  it('treats delayed notices as auto-replies and ignores ordinary mail', () => {
+    const delayed = emailClassifierService.parseBounce(email({
+      from: 'postmaster@mx.example.com',
+      subject: 'Delivery delayed: could not be delivered yet',
+      text: 'Action: delayed\nStatus: 4.4.7',
+    }));
+    expect(delayed).toEqual({ type: 'auto_reply', dsnAction: 'delayed' });
+
+    expect(emailClassifierService.parseBounce(email({ subject: 'Returned mail', text: 'Hi' }))).toBeNull();
+  });
+});
+
+describe('emailClassifierService.classify', () => {
+  it('classifies out-of-office replies with auto-reply headers, reading the body', () => {
+    const result = emailClassifierService.classify(email({
+      subject: 'Re: Cut your auto-reply noise in half',
+      text: 'I am currently out of the office with limited access to email.',
+      headers: { 'auto-submitted': 'auto-replied' },
+    }));
+    expect(result).toMatchObject({ type: 'out_of_office' });
+  });
+
+  it('classifies out-of-office replies without headers by a fresh subject', () => {
+    expect(emailClassifierService.classify(email({ subject: 'Automatic reply: Cut your auto-reply noise in half' })))
+      .toMatchObject({ type: 'out_of_office' });
+    expect(emailClassifierService.classify(email({ subject: 'Out of Office', text: 'Back on Monday' })))
+      .toMatchObject({ type: 'out_of_office' });
+  });
+
+  it('keeps human replies whose subject looks like an out-of-office notice', () => {
+    for (const subject of ['Re: Cut your auto-reply noise in half', 'RE: Out of office reminders', 'Fwd: Vacation planning', 'AW: Auto-reply']) {
+      expect(emailClassifierService.classify(email({ subject, text: 'Sounds interesting, can we talk Tuesday?' })))
+        .toEqual({ type: 'reply' });
+    }
+  });
+
+  it('does not treat loop-suppression hints as auto-replies', () => {
+    const result = emailClassifierService.classify(email({
+      subject: 'Re: Quick question',
+      text: 'Yes, send me the details.',
+      headers: { 'x-auto-response-suppress': 'All' },
+    }));
+    expect(result).toEqual({ type: 'reply' });
+  });
+
+  it('classifies other automated mail as auto-replies', () => {
+    expect(emailClassifierService.classify(email({ subject: 'Ticket #123 received', headers: { precedence: 'bulk' } })))
+      .toEqual({ type: 'auto_reply' });
+    expect(emailClassifierService.classify(email({ subject: 'Thanks', headers: { 'auto-submitted': 'no' } })))
+      .toEqual({ type: 'reply' });
+  });
+});
+
+describe('emailClassifierService.parseReturnDate', () => {
+  const now = new Date(2026, 9, 19, 12);
+
+  it('reads the return date after "back on", "until" and similar phrases', () => {
+    expect(emailClassifierService.parseReturnDate('I will be back on Monday, November 2nd.', now)).toEqual(new Date(2026, 10, 2));
+    expect(emailClassifierService.parseReturnDate('Out of the office until 27 October 2026', now)).toEqual(new Date(2026, 9, 27));
+  });
+
+  it('rolls dates without a year into the next year', () => {
+    expect(emailClassifierService.parseReturnDate('Returning on January 5', now)).toEqual(new Date(2027, 0, 5));
+  });
+
+  it('ignores past, far-off and unreadable dates', () => {
+    expect(emailClassifierService.parseReturnDate('Back on 1 October 2026', now)).toBeNull();
+    expect(emailClassifierService.parseReturnDate('On leave until 1 June 2027', now)).toBeNull();
+    expect(emailClassifierService.parseReturnDate('Back soon, thanks for your patience', now)).toBeNull();
+  });
+});
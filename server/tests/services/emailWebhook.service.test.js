@@ -0,0 +1,137 @@
+jest.mock('../../src/config/database', () => ({}));
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const config = require('../../src/config');
+const emailWebhookService = require('../../src/services/emailWebhook.service');
+
+/**
+ * Minimal Express-like request
+ */
+function request({ headers = {}, body, rawBody, params = {} }) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()], body, rawBody, params };
+}
+
+describe('emailWebhookService.verifySendGrid', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const rawBody = Buffer.from(JSON.stringify([{ event: 'delivered', email: 'a@example.com' }]));
+
+  const signed = (timestamp, body = rawBody) => request({
+    rawBody: body,
+    headers: {
+      'X-Twilio-Email-Event-Webhook-Timestamp': timestamp,
+      'X-Twilio-Email-Event-Webhook-Signature': crypto
+        .sign('sha256', Buffer.concat([Buffer.from(timestamp), rawBody]), privateKey)
+        .toString('base64'),
+    },
+  });
+
+  beforeEach(() => {
+    config.sendgrid.webhookPublicKey = publicKey.export({ type: 'spki', format: 'pem' });
+  });
+
+  it('accepts a valid signature', () => {
+    expect(emailWebhookService.verifySendGrid(signed(String(Math.floor(Date.now() / 1000))))).toBe(true);
+  });
+
+  it('rejects a modified body', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    expect(emailWebhookService.verifySendGrid(signed(timestamp, Buffer.from('[]')))).toBe(false);
+  });
+
+  it('rejects old timestamps', () => {
+    expect(emailWebhookService.verifySendGrid(signed(String(Math.floor(Date.now() / 1000) - 3600)))).toBe(false);
+  });
+
+  it('rejects everything when no public key is configured', () => {
+    config.sendgrid.webhookPublicKey = '';
+    expect(emailWebhookService.verifySendGrid(signed(String(Math.floor(Date.now() / 1000))))).toBe(false);
+  });
+});
+
+describe('emailWebhookService.verifyMandrill', () => {
+  const body = { mandrill_events: '[]' };
+  const url = 'https://app.example.com/api/v1/webhooks/email/mandrill';
+  const sign = key => crypto.createHmac('sha1', key).update(`${url}mandrill_events[]`).digest('base64');
+
+  beforeEach(() => {
+    config.mandrill.webhookKey = 'secret';
+    config.mandrill.webhookUrl = url;
+  });
+
+  it('accepts a valid signature', () => {
+    const req = request({ body, params: { provider: 'mandrill' }, headers: { 'X-Mandrill-Signature': sign('secret') } });
+    expect(emailWebhookService.verifyMandrill(req)).toBe(true);
+  });
+
+  it('rejects a signature made with another key', () => {
+    const req = request({ body, params: { provider: 'mandrill' }, headers: { 'X-Mandrill-Signature': sign('other') } });
+    expect(emailWebhookService.verifyMandrill(req)).toBe(false);
+  });
+
+  it('rejects everything when no key is configured', () => {
+    config.mandrill.webhookKey = '';
+    const req = request({ body, params: { provider: 'mandrill' }, headers: { 'X-Mandrill-Signature': sign('') } });
+    expect(emailWebhookService.verifyMandrill(req)).toBe(false);
+  });
+});
+
+describe('emailWebhookService.verifySns', () => {
+  const topicArn = 'arn:aws:sns:us-east-1:123456789012:ses-events';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const signedMessage = (overrides = {}) => {
+    const message = {
+      Type: 'Notification',
+      MessageId: 'm-1',
+      TopicArn: topicArn,
+      Message: JSON.stringify({ eventType: 'Bounce' }),
+      Timestamp: '2026-01-01T00:00:00.000Z',
+      SignatureVersion: '2',
+      SigningCertURL: 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-abc.pem',
+      ...overrides,
+    };
+    const stringToSign = ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+      .filter(field => message[field] !== undefined)
+      .map(field => `${field}\n${message[field]}\n`)
+      .join('');
+    message.Signature = crypto.createSign('RSA-SHA256').update(stringToSign).sign(privateKey, 'base64');
+    return message;
+  };
+
+  beforeEach(() => {
+    config.ses.topicArns = [topicArn];
+    jest.spyOn(emailWebhookService, 'getSnsCertificate')
+      .mockResolvedValue(publicKey.export({ type: 'spki', format: 'pem' }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts a signed message from an allowed topic', async () => {
+    await expect(emailWebhookService.verifySns(signedMessage())).resolves.toBe(true);
+  });
+
+  it('rejects a tampered message', async () => {
+    const message = signedMessage();
+    message.Message = JSON.stringify({ eventType: 'Complaint' });
+    await expect(emailWebhookService.verifySns(message)).resolves.toBe(false);
+  });
+
+  it('rejects topics outside the allow-list', async () => {
+    const message = signedMessage({ TopicArn: 'arn:aws:sns:us-east-1:999999999999:attacker' });
+    await expect(emailWebhookService.verifySns(message)).resolves.toBe(false);
+  });
+
+  it('rejects every topic when no allow-list is configured', async () => {
+    config.ses.topicArns = [];
+    await expect(emailWebhookService.verifySns(signedMessage())).resolves.toBe(false);
+    expect(emailWebhookService.getSnsCertificate).not.toHaveBeenCalled();
+  });
+
+  it('only fetches signing certificates from AWS hosts', async () => {
+    const message = signedMessage({ SigningCertURL: 'https://attacker.example.com/cert.pem' });
+    await expect(emailWebhookService.verifySns(message)).resolves.toBe(false);
+    expect(emailWebhookService.getSnsCertificate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../src/config/database', () => ({
+  contactAttempt: { findFirst: jest.fn(), update: jest.fn() },
+  campaignRecipient: { updateMany: jest.fn() },
+}));
+jest.mock('../../src/utils/logger');
+
+const prisma = require('../../src/config/database');
+const emailService = require('../../src/services/email.service');
+const imapPollerService = require('../../src/services/imapPoller.service');
+
+const token = attemptId => emailService.getReplyToken(attemptId);
+const addresses = (...list) => ({ value: list.map(address => ({ address })) });
+
+// Attempts the mocked contactAttempt.findFirst knows, by id or by Message-ID
+function mockAttempts(attempts) {
+  prisma.contactAttempt.findFirst.mockImplementation(async ({ where }) => {
+    if (where.id) return attempts.find(a => a.id === where.id && a.tenantId === where.tenantId) || null;
+    if (where.externalId) return attempts.find(a => a.tenantId === where.tenantId && where.externalId.in.includes(a.externalId)) || null;
+    return null;
+  });
+}
+
+describe('imapPollerService.findRepliedAttempt', () => {
+  const attempts = [
+    { id: 12, tenantId: 1, externalId: '<old-12@mail.example.com>' },
+    { id: 34, tenantId: 1, externalId: `<${token(34)}@mail.example.com>` },
+    { id: 56, tenantId: 2, externalId: null },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAttempts(attempts);
+  });
+
+  it('matches the reply token in In-Reply-To', async () => {
+    const attempt = await imapPollerService.findRepliedAttempt(1, { inReplyTo: `<${token(34)}@mail.example.com>` });
+    expect(attempt.id).toBe(34);
+  });
+
+  it('matches the latest token in References when In-Reply-To is foreign', async () => {
+    const attempt = await imapPollerService.findRepliedAttempt(1, {
+      inReplyTo: '<reply-from-colleague@acme.com>',
+      references: [`<${token(12)}@mail.example.com>`, `<${token(34)}@mail.example.com>`, '<reply-from-colleague@acme.com>'],
+    });
+    expect(attempt.id).toBe(34);
+  });
+
+  it('matches the plus-addressed token in To, Cc and Delivered-To', async () => {
+    await expect(imapPollerService.findRepliedAttempt(1, { to: addresses(`sales+${token(34)}@example.com`) }))
+      .resolves.toMatchObject({ id: 34 });
+    await expect(imapPollerService.findRepliedAttempt(1, { cc: [addresses('jane@acme.com', `sales+${token(12)}@example.com`)] }))
+      .resolves.toMatchObject({ id: 12 });
+    await expect(imapPollerService.findRepliedAttempt(1, {
+      to: addresses('sales@example.com'),
+      headers: new Map([['delivered-to', `sales+${token(34)}@example.com`]]),
+    })).resolves.toMatchObject({ id: 34 });
+  });
+
+  it('ignores forged tokens and tokens of other tenants', async () => {
+    const forged = token(34).replace(/x.*/, 'x0000000000');
+    await expect(imapPollerService.findRepliedAttempt(1, { to: addresses(`sales+${forged}@example.com`) })).resolves.toBeNull();
+    await expect(imapPollerService.findRepliedAttempt(1, { to: addresses(`sales+${token(56)}@example.com`) })).resolves.toBeNull();
+    expect(prisma.contactAttempt.findFirst).toHaveBeenCalledTimes(1);
+    expect(prisma.contactAttempt.findFirst).toHaveBeenCalledWith({ where: { id: 56, tenantId: 1 }, include: { contact: true } });
+  });
+
+  it('falls back to the stored Message-ID of older attempts', async () => {
+    const attempt = await imapPollerService.findRepliedAttempt(1, {
+      inReplyTo: '<old-12@mail.example.com>',
+      references: '<first@mail.example.com>',
+    });
+
+    expect(attempt.id).toBe(12);
+    expect(prisma.contactAttempt.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: {
+        tenantId: 1,
+        channelType: 'EMAIL_SMTP',
+        direction: 'OUTBOUND',
+        externalId: { in: ['<old-12@mail.example.com>', '<first@mail.example.com>'] },
+      },
+    }));
+  });
+
+  it('returns null without tokens or thread headers', async () => {
+    await expect(imapPollerService.findRepliedAttempt(1, { to: addresses('sales@example.com') })).resolves.toBeNull();
+    expect(prisma.contactAttempt.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('imapPollerService.markReplied', () => {
+  const contact = { id: 7 };
+  const receivedDate = new Date('2026-10-19T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('stops only the campaign of the matched attempt', async () => {
+    await imapPollerService.markReplied(contact, { id: 34, contactId: 7, campaignId: 3, repliedAt: null }, receivedDate);
+
+    expect(prisma.contactAttempt.update).toHaveBeenCalledWith({ where: { id: 34 }, data: { repliedAt: receivedDate } });
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+      where: { campaignId: 3, contactId: 7, status: { in: ['PENDING', 'IN_PROGRESS'] } },
+      data: { status: 'REPLIED', nextActionAt: null },
+    });
+    expect(prisma.contactAttempt.findFirst).not.toHaveBeenCalled();
+  });
+
+  it('keeps the first reply time and skips attempts outside campaigns', async () => {
+    await imapPollerService.markReplied(contact, { id: 34, contactId: 7, campaignId: null, repliedAt: new Date(0) }, receivedDate);
+
+    expect(prisma.contactAttempt.update).not.toHaveBeenCalled();
+    expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the contact's latest campaign email", async () => {
+    prisma.contactAttempt.findFirst.mockResolvedValue({ id: 40, contactId: 7, campaignId: 5, repliedAt: null });
+
+    await imapPollerService.markReplied(contact, null, receivedDate);
+
+    expect(prisma.contactAttempt.findFirst.mock.calls[0][0].where).toMatchObject({ contactId: 7, campaignId: { not: null } });
+    expect(prisma.campaignRecipient.updateMany.mock.calls[0][0].where).toMatchObject({ campaignId: 5, contactId: 7 });
+  });
+
+  it('does nothing when no campaign email was sent', async () => {
+    prisma.contactAttempt.findFirst.mockResolvedValue(null);
+
+    await imapPollerService.markReplied(contact, null, receivedDate);
+
+    expect(prisma.contactAttempt.update).not.toHaveBeenCalled();
+    expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+  });
+});
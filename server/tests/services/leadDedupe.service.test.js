@@ -0,0 +1,190 @@
+jest.mock('@prisma/client', () => ({
+  Prisma: {
+    sql: (strings, ...values) => ({ sql: strings.join('?'), values }),
+    raw: text => ({ raw: text }),
+    join: (values, separator) => ({ join: values, separator }),
+  },
+}));
+jest.mock('../../src/config/database', () => {
+  const updateMany = () => jest.fn().mockResolvedValue({ count: 1 });
+  const tx = {
+    contact: { count: jest.fn(), updateMany: updateMany() },
+    note: { updateMany: updateMany(), create: jest.fn() },
+    conversation: { updateMany: updateMany() },
+    contactAttempt: { updateMany: updateMany() },
+    campaignRecipient: { updateMany: updateMany() },
+    telegramProspect: { updateMany: updateMany() },
+    whatsAppProspect: { updateMany: updateMany() },
+    leadIndustry: { createMany: jest.fn() },
+    lead: { update: jest.fn(), updateMany: updateMany() },
+  };
+  return {
+    tx,
+    $transaction: jest.fn(fn => fn(tx)),
+    $queryRaw: jest.fn(),
+    $executeRaw: jest.fn(),
+    lead: { findMany: jest.fn() },
+    contact: { findMany: jest.fn() },
+  };
+});
+jest.mock('../../src/utils/logger');
+
+const prisma = require('../../src/config/database');
+const leadDedupeService = require('../../src/services/leadDedupe.service');
+
+const { tx } = prisma;
+const rules = [['domain'], ['email'], ['companyName']];
+
+// Lead rows returned by findMany; key backfill queries find nothing left to do
+function mockLeads(leads) {
+  prisma.lead.findMany.mockImplementation(async ({ where }) => {
+    if (where.OR?.some(condition => condition.domainKey === null)) return [];
+    if (where.id?.in) return leads.filter(lead => where.id.in.includes(lead.id));
+    return leads;
+  });
+}
+
+describe('leadDedupeService.getConfig', () => {
+  it('fills in defaults and drops unknown fields', () => {
+    expect(leadDedupeService.getConfig(null)).toEqual({ rules, importAction: 'skip' });
+    expect(leadDedupeService.getConfig({ dedupe: { rules: [['phone', 'bogus'], ['bogus'], 'email'], importAction: 'merge' } }))
+      .toEqual({ rules: [['phone'], ['email']], importAction: 'merge' });
+  });
+});
+
+describe('leadDedupeService.match', () => {
+  const keys = lead => leadDedupeService.getKeys(lead);
+
+  it('matches on the first rule whose fields all match', () => {
+    const a = keys({ companyName: 'Acme Inc', website: 'acme.com', email: 'Jane@acme.com' });
+    const b = keys({ companyName: 'ACME', contacts: [{ email: 'jane@acme.com' }] });
+    expect(leadDedupeService.match(a, b, rules)).toEqual(['email']);
+    expect(leadDedupeService.match(a, b, [['domain']])).toBeNull();
+  });
+
+  it('does not match company names of leads with different domains', () => {
+    const a = keys({ companyName: 'Acme', website: 'acme.com' });
+    const b = keys({ companyName: 'Acme', website: 'acme.de' });
+    expect(leadDedupeService.match(a, b, [['companyName']])).toBeNull();
+  });
+
+  it('compares phones on their last 10 digits', () => {
+    const a = keys({ phone: '+1 (555) 010-2030' });
+    const b = keys({ phone: '555-010-2030' });
+    expect(leadDedupeService.match(a, b, [['phone']])).toEqual(['phone']);
+  });
+});
+
+describe('leadDedupeService.backfillKeys', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('stores keys for leads without them until none are left', async () => {
+    prisma.lead.findMany
+      .mockResolvedValueOnce([
+        { id: 1, companyName: 'Acme Inc.', website: 'https://www.acme.com' },
+        { id: 2, companyName: 'Unknown Company', website: null },
+      ])
+      .mockResolvedValueOnce([]);
+
+    await leadDedupeService.backfillKeys(7);
+
+    expect(prisma.lead.findMany).toHaveBeenCalledTimes(2);
+    expect(prisma.lead.findMany.mock.calls[0][0].where).toEqual({ tenantId: 7, OR: [{ domainKey: null }, { nameKey: null }] });
+    expect(prisma.$executeRaw.mock.calls.map(call => call.slice(1))).toEqual([['acme.com', 'acme', 1], ['', '', 2]]);
+  });
+});
+
+describe('leadDedupeService.loadIndex', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('looks up candidates by the stored keys of the fields the rules use', async () => {
+    const existing = { id: 3, companyName: 'Acme', website: 'https://acme.com', sourceId: null, contacts: [{ email: 'jane@acme.com' }] };
+    mockLeads([existing]);
+    prisma.contact.findMany.mockResolvedValue([{ leadId: 3 }]);
+
+    const index = await leadDedupeService.loadIndex(7, [['email'], ['domain']]);
+    const found = await index.find({ companyName: 'Other', website: 'other.com', email: 'JANE@acme.com', phone: '5550102030' });
+
+    expect(found).toEqual({ lead: existing, rule: ['email'] });
+    expect(prisma.contact.findMany).toHaveBeenCalledWith({
+      where: { tenantId: 7, OR: [{ emailKey: { in: ['jane@acme.com'] } }] },
+      select: { leadId: true },
+    });
+    expect(prisma.lead.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { tenantId: 7, isDeleted: false, OR: [{ domainKey: 'other.com' }, { id: { in: [3] } }] },
+    }));
+  });
+
+  it('skips the lookup for records without keys', async () => {
+    mockLeads([]);
+    const index = await leadDedupeService.loadIndex(7, rules);
+    prisma.lead.findMany.mockClear();
+
+    await expect(index.find({ companyName: '' })).resolves.toBeNull();
+    expect(prisma.lead.findMany).not.toHaveBeenCalled();
+    expect(prisma.contact.findMany).not.toHaveBeenCalled();
+  });
+
+  it('matches leads added during the run as they were added', async () => {
+    const created = { id: 9, companyName: 'Acme', website: 'acme.com', sourceId: 4, contacts: [] };
+    mockLeads([created]);
+
+    const index = await leadDedupeService.loadIndex(7, rules);
+    index.add({ id: 9, companyName: 'Acme', website: 'acme.com', sourceId: null });
+
+    const found = await index.find({ companyName: 'Acme Ltd', website: 'www.acme.com' });
+    expect(found.lead).toMatchObject({ id: 9, sourceId: null });
+    expect(found.rule).toEqual(['domain']);
+  });
+});
+
+describe('leadDedupeService.findDuplicateGroups', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('only loads leads sharing a key and groups them transitively', async () => {
+    mockLeads([
+      { id: 1, companyName: 'Acme', website: 'acme.com', contacts: [{ email: 'a@acme.com' }] },
+      { id: 2, companyName: 'Acme GmbH', website: null, contacts: [] },
+      { id: 4, companyName: 'Other', website: 'other.com', contacts: [{ email: 'a@acme.com' }] },
+      { id: 5, companyName: 'Solo', website: 'solo.com', contacts: [] },
+    ]);
+    prisma.$queryRaw.mockResolvedValue([{ id: 4 }, { id: 1 }, { id: 2 }, { id: 5 }]);
+
+    const groups = await leadDedupeService.findDuplicateGroups(7, rules);
+
+    expect(groups).toEqual([{ leadIds: [1, 2, 4], rules: ['companyName', 'email'] }]);
+    const query = prisma.$queryRaw.mock.calls[0][0];
+    expect(query.separator).toBe(' UNION ');
+    expect(query.join.map(part => part.values.find(value => value.raw).raw)).toEqual(['domain_key', 'email_key', 'name_key']);
+  });
+});
+
+describe('leadDedupeService.merge', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('moves records to the survivor and soft-deletes the duplicates', async () => {
+    prisma.lead.findMany.mockResolvedValue([
+      { id: 1, companyName: 'Acme', website: null, size: null, tags: ['a'], customFields: { x: 1 }, industries: [] },
+      { id: 2, companyName: 'Acme Inc', website: 'acme.com', size: 'SMALL', tags: ['b'], customFields: { x: 2, y: 3 }, industries: [{ industryId: 5 }] },
+    ]);
+    tx.contact.count.mockResolvedValue(1);
+
+    const result = await leadDedupeService.merge(7, 1, [2, 1], 11);
+
+    expect(result).toMatchObject({ survivorId: 1, mergedIds: [2], moved: { contacts: 1, notes: 1 } });
+    expect(tx.contact.updateMany).toHaveBeenCalledWith({ where: { leadId: { in: [2] } }, data: { isPrimary: false } });
+    expect(tx.leadIndustry.createMany).toHaveBeenCalledWith({ data: [{ leadId: 1, industryId: 5 }], skipDuplicates: true });
+    expect(tx.lead.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: expect.objectContaining({ website: 'acme.com', size: 'SMALL', tags: ['a', 'b'], customFields: { x: 1, y: 3 } }),
+    });
+    expect(tx.lead.updateMany).toHaveBeenCalledWith({ where: { id: { in: [2] } }, data: { isDeleted: true, mergedIntoId: 1 } });
+  });
+
+  it('rejects merges with missing or deleted leads', async () => {
+    prisma.lead.findMany.mockResolvedValue([{ id: 1, industries: [] }]);
+    await expect(leadDedupeService.merge(7, 1, [2], 11)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(leadDedupeService.merge(7, 1, [1], 11)).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
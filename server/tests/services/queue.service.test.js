@@ -0,0 +1,156 @@
+jest.mock('@prisma/client', () => ({ Prisma: { join: values => ({ join: values }) } }));
+jest.mock('../../src/config/database', () => {
+  const tx = {
+    $queryRaw: jest.fn(),
+    $executeRaw: jest.fn(),
+    jobQueue: { findMany: jest.fn() },
+  };
+  return {
+    tx,
+    $transaction: jest.fn(fn => fn(tx)),
+    $executeRaw: jest.fn(),
+    jobQueue: { create: jest.fn(), findFirst: jest.fn(), updateMany: jest.fn() },
+  };
+});
+jest.mock('../../src/utils/logger');
+
+const prisma = require('../../src/config/database');
+const config = require('../../src/config');
+const queueService = require('../../src/services/queue.service');
+
+const { tx } = prisma;
+// Values interpolated into a tagged $queryRaw/$executeRaw call
+const sqlValues = call => call.slice(1);
+
+describe('queueService.claimJobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueService.handlers = { SCRAPE: jest.fn(), CAMPAIGN_STEP: jest.fn() };
+    queueService.concurrency = { SCRAPE: 1 };
+    queueService.running = new Map();
+    config.jobs.typeConcurrency = {};
+    tx.jobQueue.findMany.mockImplementation(async ({ where }) => where.id.in.map(id => ({ id })));
+  });
+
+  it('leases the claimed jobs to this worker', async () => {
+    tx.$queryRaw.mockResolvedValue([{ id: 1, type: 'CAMPAIGN_STEP' }, { id: 2, type: 'CAMPAIGN_STEP' }]);
+
+    const before = Date.now();
+    const jobs = await queueService.claimJobs(5);
+
+    expect(jobs.map(job => job.id)).toEqual([1, 2]);
+    const [workerId, lockedUntil, , ids] = sqlValues(tx.$executeRaw.mock.calls[0]);
+    expect(workerId).toBe(queueService.workerId);
+    expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(before + config.jobs.timeout + config.jobs.leaseGrace);
+    expect(ids).toEqual({ join: [1, 2] });
+  });
+
+  it('locks candidates with SKIP LOCKED so concurrent workers do not wait on each other', async () => {
+    tx.$queryRaw.mockResolvedValue([]);
+
+    await queueService.claimJobs(5);
+
+    expect(tx.$queryRaw.mock.calls[0][0].join('?')).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(tx.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('applies per-type concurrency, including jobs already running', async () => {
+    queueService.running.set(99, 'CAMPAIGN_STEP');
+    queueService.concurrency.CAMPAIGN_STEP = 2;
+    tx.$queryRaw.mockResolvedValue([
+      { id: 1, type: 'SCRAPE' },
+      { id: 2, type: 'SCRAPE' },
+      { id: 3, type: 'CAMPAIGN_STEP' },
+      { id: 4, type: 'CAMPAIGN_STEP' },
+    ]);
+
+    const jobs = await queueService.claimJobs(5);
+
+    expect(jobs.map(job => job.id)).toEqual([1, 3]);
+  });
+
+  it('does not query for types that are at their limit', async () => {
+    queueService.running.set(98, 'SCRAPE');
+    queueService.handlers = { SCRAPE: jest.fn() };
+
+    await expect(queueService.claimJobs(5)).resolves.toEqual([]);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('queueService.processJob', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.jobQueue.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('only completes the job while this worker holds the lease', async () => {
+    queueService.handlers = { SCRAPE: jest.fn().mockResolvedValue() };
+
+    await queueService.processJob({ id: 7, type: 'SCRAPE', payload: {}, attempts: 1, maxAttempts: 3 });
+
+    expect(prisma.jobQueue.updateMany).toHaveBeenCalledWith({
+      where: { id: 7, lockedBy: queueService.workerId },
+      data: expect.objectContaining({ status: 'COMPLETED', lockedBy: null, lockedUntil: null, dedupeKey: null }),
+    });
+  });
+
+  it('puts a failed job back with backoff while attempts remain', async () => {
+    queueService.handlers = { SCRAPE: jest.fn().mockRejectedValue(new Error('boom')) };
+
+    const before = Date.now();
+    await queueService.processJob({ id: 7, type: 'SCRAPE', payload: {}, attempts: 2, maxAttempts: 3 });
+
+    const { where, data } = prisma.jobQueue.updateMany.mock.calls[0][0];
+    expect(where).toEqual({ id: 7, lockedBy: queueService.workerId });
+    expect(data.status).toBe('PENDING');
+    expect(data.scheduledAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60000);
+    expect(data).not.toHaveProperty('dedupeKey');
+  });
+
+  it('fails the job and releases its dedupe key on the last attempt', async () => {
+    queueService.handlers = { SCRAPE: jest.fn().mockRejectedValue(new Error('boom')) };
+
+    await queueService.processJob({ id: 7, type: 'SCRAPE', payload: {}, attempts: 3, maxAttempts: 3 });
+
+    expect(prisma.jobQueue.updateMany.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      status: 'FAILED',
+      errorMessage: 'boom',
+      dedupeKey: null,
+    }));
+  });
+});
+
+describe('queueService.recoverStuckJobs', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('fails expired jobs that are out of attempts and requeues the rest', async () => {
+    prisma.$executeRaw.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+    await expect(queueService.recoverStuckJobs()).resolves.toBe(3);
+
+    const [failSql, retrySql] = prisma.$executeRaw.mock.calls.map(call => call[0].join('?'));
+    expect(failSql).toMatch(/SET status = 'FAILED'/);
+    expect(failSql).toMatch(/attempts >= max_attempts/);
+    expect(retrySql).toMatch(/SET status = 'PENDING'/);
+    expect(retrySql).toMatch(/locked_until < \?/);
+  });
+});
+
+describe('queueService.addJob', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns the open job when the dedupe key is taken', async () => {
+    prisma.jobQueue.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+    prisma.jobQueue.findFirst.mockResolvedValue({ id: 3 });
+
+    await expect(queueService.addJob('SCRAPE', {}, { dedupeKey: 'k' })).resolves.toEqual({ id: 3 });
+    expect(prisma.jobQueue.findFirst).toHaveBeenCalledWith({ where: { type: 'SCRAPE', dedupeKey: 'k' } });
+  });
+
+  it('rethrows constraint errors for jobs without a dedupe key', async () => {
+    prisma.jobQueue.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    await expect(queueService.addJob('SCRAPE', {})).rejects.toThrow('Unique constraint');
+  });
+});
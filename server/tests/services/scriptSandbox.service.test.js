@@ -0,0 +1,147 @@
+jest.mock('../../src/utils/logger');
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const scriptSandboxService = require('../../src/services/scriptSandbox.service');
+
+jest.setTimeout(20000);
+
+const page = {
+  url: () => 'https://example.com/members',
+  evaluate: async expression => ({ expression }),
+  click: async () => true,
+};
+
+function run(code) {
+  const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  return { log, result: scriptSandboxService.run(code, { page, log, url: 'https://example.com/' }) };
+}
+
+describe('scriptSandboxService.run', () => {
+  it('runs scripts against the page API', async () => {
+    const { log, result } = run(`
+      logger.info('found', { count: 1 });
+      await sleep(10);
+      const url = await page.url();
+      const value = await page.evaluate((x) => x + 1, 2);
+      return [{ url, value, startUrl }];
+    `);
+
+    await expect(result).resolves.toEqual([{
+      url: 'https://example.com/members',
+      value: { expression: '((x) => x + 1)(2)' },
+      startUrl: 'https://example.com/',
+    }]);
+    expect(log.info).toHaveBeenCalledWith('[script] found {"count":1}');
+  });
+
+  it('reports script errors and non-array results', async () => {
+    await expect(run('throw new Error("boom");').result).rejects.toThrow('Script error: boom');
+    await expect(run('return { companyName: "Acme" };').result).rejects.toThrow('Script must return an array of leads');
+  });
+
+  it('exposes no host objects to the script', async () => {
+    const { result } = run(`
+      const outcomes = {};
+      const attempt = async (name, getFunctionConstructor) => {
+        try {
+          const FunctionConstructor = await getFunctionConstructor();
+          outcomes[name] = typeof FunctionConstructor('return process')();
+        } catch (err) {
+          outcomes[name] = 'blocked';
+        }
+      };
+
+      await attempt('page method', () => page.goto.constructor);
+      await attempt('global this', () => this.constructor.constructor);
+      await attempt('globalThis prototype', () => Object.getPrototypeOf(globalThis).constructor.constructor);
+      await attempt('sleep', () => sleep.constructor);
+      await attempt('logger', () => logger.info.constructor);
+      await attempt('call result', async () => (await page.evaluate('1')).constructor.constructor);
+      await attempt('call promise', () => page.url().constructor.constructor);
+      await attempt('call error', async () => {
+        try {
+          await page.click();
+        } catch (err) {
+          return err.constructor.constructor;
+        }
+      });
+      await attempt('stack overflow in a call', () => {
+        const deep = () => {
+          try {
+            return deep();
+          } catch {
+            try {
+              page.url();
+            } catch (err) {
+              return err;
+            }
+            return null;
+          }
+        };
+        const err = deep();
+        return (err || new Error()).constructor.constructor;
+      });
+      await attempt('stack frames', () => {
+        Error.prepareStackTrace = (err, frames) => frames.map(frame => frame.getFunction()).filter(Boolean);
+        const functions = new Error().stack;
+        Error.prepareStackTrace = undefined;
+        return functions.find(fn => fn.constructor !== Function)?.constructor ?? Function;
+      });
+
+      return [{ outcomes, globals: [typeof process, typeof require, typeof fetch, typeof module] }];
+    `);
+
+    const [{ outcomes, globals }] = await result;
+    expect(Object.keys(outcomes)).toHaveLength(10);
+    for (const outcome of Object.values(outcomes)) expect(outcome).toBe('blocked');
+    expect(globals).toEqual(['undefined', 'undefined', 'undefined', 'undefined']);
+  });
+
+  it('stops scripts that replace intrinsics from reaching the host through the bridge', async () => {
+    const { result } = run(`
+      let leaked = 'none';
+      const grab = (value) => {
+        try {
+          if (typeof value === 'function' && value.constructor !== Function) leaked = typeof value.constructor('return process')();
+        } catch {}
+      };
+      const originalThen = Promise.prototype.then;
+      Promise.prototype.then = function (onFulfilled, onRejected) {
+        grab(onFulfilled);
+        grab(onRejected);
+        return originalThen.call(this, onFulfilled, onRejected);
+      };
+      JSON.stringify = (value) => { grab(value); return '{}'; };
+      return [{ leaked }];
+    `);
+
+    // The bridge serialises with its own copy of JSON.stringify, so the results still arrive
+    await expect(result).resolves.toEqual([{ leaked: 'none' }]);
+  });
+
+  it('disables network access in the sandbox process', () => {
+    const entry = path.join(__dirname, '../../src/workers/scriptSandbox.js');
+    const output = execFileSync(process.execPath, ['-e', `
+      require(${JSON.stringify(entry)});
+      const outcomes = [];
+      for (const attempt of [
+        () => require('net').connect(80, '127.0.0.1'),
+        () => require('dns').lookup('example.com', () => {}),
+        () => require('http').get('http://127.0.0.1/'),
+        () => require('dgram').createSocket('udp4').send('x', 53, '127.0.0.1'),
+        () => fetch('http://127.0.0.1/'),
+      ]) {
+        try {
+          attempt();
+          outcomes.push('allowed');
+        } catch (err) {
+          outcomes.push('denied');
+        }
+      }
+      console.log(JSON.stringify(outcomes));
+    `], { timeout: 10000 });
+
+    expect(JSON.parse(output)).toEqual(['denied', 'denied', 'denied', 'denied', 'denied']);
+  });
+});
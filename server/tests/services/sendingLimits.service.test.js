@@ -0,0 +1,96 @@
+jest.mock('../../src/config/database', () => ({
+  jobQueue: { count: jest.fn() },
+  contactAttempt: { count: jest.fn() },
+}));
+
+const prisma = require('../../src/config/database');
+const sendingLimitsService = require('../../src/services/sendingLimits.service');
+
+const channel = sendingLimits => ({ id: 4, settings: { sendingLimits } });
+
+describe('sendingLimitsService.countUsage', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('counts queued campaign steps by the indexed channel column plus other sends', async () => {
+    prisma.jobQueue.count.mockResolvedValue(3);
+    prisma.contactAttempt.count.mockResolvedValue(2);
+    const since = new Date('2026-10-19T00:00:00Z');
+
+    await expect(sendingLimitsService.countUsage(4, since)).resolves.toBe(5);
+    expect(prisma.jobQueue.count).toHaveBeenCalledWith({
+      where: { channelConfigId: 4, type: 'CAMPAIGN_STEP', status: { not: 'CANCELLED' }, createdAt: { gte: since } },
+    });
+    expect(prisma.contactAttempt.count.mock.calls[0][0].where).toEqual(expect.objectContaining({
+      channelConfigId: 4,
+      campaignId: null,
+    }));
+  });
+});
+
+describe('sendingLimitsService.getBudget', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.jobQueue.count.mockResolvedValue(0);
+    prisma.contactAttempt.count.mockResolvedValue(0);
+  });
+
+  it('returns null for channels without limits', async () => {
+    await expect(sendingLimitsService.getBudget(channel({}), 'UTC')).resolves.toBeNull();
+    expect(prisma.jobQueue.count).not.toHaveBeenCalled();
+  });
+
+  it('counts the day from midnight in the tenant time zone', async () => {
+    prisma.jobQueue.count.mockResolvedValue(8);
+    const now = new Date('2026-10-19T02:30:00Z'); // 04:30 in Berlin (CEST)
+
+    const budget = await sendingLimitsService.getBudget(channel({ dailyLimit: 10 }), 'Europe/Berlin', now);
+
+    expect(prisma.jobQueue.count.mock.calls[0][0].where.createdAt.gte).toEqual(new Date('2026-10-18T22:00:00Z'));
+    expect(budget.daily).toEqual({
+      limit: 10,
+      used: 8,
+      remaining: 2,
+      resetAt: new Date('2026-10-19T22:00:00Z'),
+    });
+  });
+
+  it('caps the daily limit with the warm-up ramp', async () => {
+    const now = new Date('2026-10-03T12:00:00Z');
+    const limits = { dailyLimit: 500, warmup: { enabled: true, startDate: '2026-10-01', startVolume: 20, dailyIncrease: 50 } };
+
+    const budget = await sendingLimitsService.getBudget(channel(limits), 'UTC', now);
+
+    expect(budget.daily.limit).toBe(45); // 20 * 1.5^2
+  });
+
+  it('reports when the sending window opens next', async () => {
+    const now = new Date('2026-10-17T10:00:00Z'); // Saturday
+    const limits = { sendWindow: { enabled: true, start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] } };
+
+    const budget = await sendingLimitsService.getBudget(channel(limits), 'America/New_York', now);
+
+    expect(budget.opensAt).toEqual(new Date('2026-10-19T13:00:00Z')); // Monday 09:00 EDT
+  });
+});
+
+describe('sendingLimitsService.reserve', () => {
+  const resetAt = new Date('2026-10-20T00:00:00Z');
+
+  it('draws the budget down until it is used up', () => {
+    const budget = { opensAt: null, daily: { remaining: 1, resetAt }, hourly: null };
+
+    expect(sendingLimitsService.reserve(budget)).toBeNull();
+    expect(sendingLimitsService.reserve(budget)).toEqual({ reason: 'daily_limit', resumeAt: resetAt });
+  });
+
+  it('waits for the later reset when both caps are used up', () => {
+    const hourlyReset = new Date('2026-10-19T13:00:00Z');
+    const budget = {
+      opensAt: null,
+      daily: { remaining: 0, resetAt },
+      hourly: { remaining: 0, resetAt: hourlyReset },
+    };
+
+    expect(sendingLimitsService.reserve(budget)).toEqual({ reason: 'daily_limit', resumeAt: resetAt });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../../src/config/database', () => ({
+  channelConfig: { findMany: jest.fn(), update: jest.fn() },
+  contact: { findMany: jest.fn() },
+  contactAttempt: { updateMany: jest.fn() },
+}));
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const prisma = require('../../src/config/database');
+const config = require('../../src/config');
+const { encrypt } = require('../../src/utils/encryption');
+const smsService = require('../../src/services/sms.service');
+
+const channel = (id, externalId, credentials) => ({
+  id,
+  tenantId: id,
+  channelType: 'SMS',
+  externalId,
+  credentials: { encrypted: encrypt(JSON.stringify(credentials)) },
+});
+
+describe('smsService.verifySignature', () => {
+  const url = 'https://app.example.com/api/v1/webhooks/twilio';
+  const params = { MessageSid: 'SM1', From: '+15551234567', Body: 'hi' };
+  const sign = token => crypto.createHmac('sha1', token)
+    .update(`${url}BodyhiFrom+15551234567MessageSidSM1`)
+    .digest('base64');
+
+  it('accepts a signature over the URL and sorted params', () => {
+    expect(smsService.verifySignature('token', url, params, sign('token'))).toBe(true);
+  });
+
+  it('rejects a signature made with another token', () => {
+    expect(smsService.verifySignature('token', url, params, sign('other'))).toBe(false);
+  });
+
+  it('rejects modified params', () => {
+    expect(smsService.verifySignature('token', url, { ...params, Body: 'STOP' }, sign('token'))).toBe(false);
+  });
+
+  it('rejects requests when no token is known', () => {
+    expect(smsService.verifySignature('', url, params, sign(''))).toBe(false);
+  });
+});
+
+describe('smsService.getExternalId', () => {
+  it('uses the digits of the sending number', () => {
+    expect(smsService.getExternalId({ accountSid: 'AC1', fromNumber: '+1 (555) 123-4567' })).toBe('15551234567');
+  });
+
+  it('uses the account SID for messaging services', () => {
+    expect(smsService.getExternalId({ accountSid: 'AC1', messagingServiceSid: 'MG1', fromNumber: '+15551234567' })).toBe('AC1');
+  });
+});
+
+describe('smsService.findChannel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.channelConfig.findMany.mockResolvedValue([]);
+  });
+
+  it('looks channels up by number or account SID instead of scanning all of them', async () => {
+    await smsService.findChannel('AC1', '+15551234567');
+
+    const { where } = prisma.channelConfig.findMany.mock.calls[1][0];
+    expect(where).toEqual(expect.objectContaining({
+      channelType: 'SMS',
+      externalId: { in: ['15551234567', 'AC1'] },
+    }));
+  });
+
+  it('prefers the channel for our number and checks the account SID', async () => {
+    const pooled = channel(1, 'AC1', { accountSid: 'AC1', authToken: 't1', messagingServiceSid: 'MG1' });
+    const otherAccount = channel(2, '15551234567', { accountSid: 'AC2', authToken: 't2', fromNumber: '+15551234567' });
+    const own = channel(3, '15551234567', { accountSid: 'AC1', authToken: 't3', fromNumber: '+15551234567' });
+    prisma.channelConfig.findMany.mockResolvedValueOnce([]).mockResolvedValueOnce([pooled, otherAccount, own]);
+
+    const match = await smsService.findChannel('AC1', '+15551234567');
+    expect(match.channel.id).toBe(3);
+    expect(match.credentials.authToken).toBe('t3');
+  });
+
+  it('saves the lookup key of channels created before it existed', async () => {
+    const legacy = channel(4, null, { accountSid: 'AC1', fromNumber: '+15550000000' });
+    prisma.channelConfig.findMany.mockResolvedValueOnce([legacy]);
+
+    await smsService.findChannel('AC1', '+15550000000');
+
+    expect(prisma.channelConfig.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { externalId: '15550000000' } });
+  });
+});
+
+describe('smsService.handleStatus', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('matches later parts of a long text by the first SID', async () => {
+    await smsService.handleStatus({ MessageSid: 'SM2', MessageStatus: 'failed' }, 'SM1');
+
+    expect(prisma.contactAttempt.updateMany).toHaveBeenCalledWith({
+      where: { externalId: 'SM1', channelType: 'SMS' },
+      data: { status: 'FAILED' },
+    });
+  });
+
+  it('does not mark a failed attempt delivered', async () => {
+    await smsService.handleStatus({ MessageSid: 'SM1', MessageStatus: 'delivered' });
+
+    const { where } = prisma.contactAttempt.updateMany.mock.calls[0][0];
+    expect(where).toEqual({ externalId: 'SM1', channelType: 'SMS', status: { not: 'FAILED' } });
+  });
+});
+
+describe('smsService.send', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('passes the first SID to the status callbacks of later parts', async () => {
+    let sid = 0;
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ sid: `SM${++sid}` }) }));
+    config.appUrl = 'https://app.example.com';
+
+    const result = await smsService.send(
+      { accountSid: 'AC1', authToken: 't', fromNumber: '+15550000000' },
+      '+15551234567',
+      'word '.repeat(500)
+    );
+
+    const callbacks = global.fetch.mock.calls.map(([, options]) => options.body.get('StatusCallback'));
+    expect(callbacks).toEqual([
+      'https://app.example.com/api/v1/webhooks/twilio',
+      'https://app.example.com/api/v1/webhooks/twilio?messageSid=SM1',
+    ]);
+    expect(result.messageId).toBe('SM1');
+    expect(result.metadata.sids).toEqual(['SM1', 'SM2']);
+  });
+});
+
+describe('smsService.handleInbound', () => {
+  it('only loads contacts sharing the sender\'s phone key', async () => {
+    prisma.contact.findMany.mockResolvedValue([]);
+
+    await smsService.handleInbound({ id: 1, tenantId: 5 }, { MessageSid: 'SM1', From: '+1 555 123 4567', Body: 'hi' });
+
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { tenantId: 5, phoneKey: '51234567' },
+    }));
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../src/config/database', () => ({
+  suppression: { createMany: jest.fn() },
+}));
+jest.mock('../../src/utils/logger');
+
+const prisma = require('../../src/config/database');
+const suppressionService = require('../../src/services/suppression.service');
+
+describe('suppressionService.add', () => {
+  beforeEach(() => {
+    prisma.suppression.createMany.mockReset();
+    prisma.suppression.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+  });
+
+  it('normalizes entries and inserts them in one batch, skipping existing rows', async () => {
+    prisma.suppression.createMany.mockResolvedValueOnce({ count: 1 });
+
+    const result = await suppressionService.add(1, [
+      { type: 'email', value: ' Jane@Example.com ' },
+      { type: 'PHONE', value: '+1 (555) 123-4567' },
+    ], { reason: 'IMPORTED', createdById: 7 });
+
+    expect(prisma.suppression.createMany).toHaveBeenCalledTimes(1);
+    const { data, skipDuplicates } = prisma.suppression.createMany.mock.calls[0][0];
+    expect(skipDuplicates).toBe(true);
+    expect(data).toEqual([
+      expect.objectContaining({ tenantId: 1, type: 'EMAIL', value: 'jane@example.com', reason: 'IMPORTED', createdById: 7 }),
+      expect.objectContaining({ tenantId: 1, type: 'PHONE', reason: 'IMPORTED' }),
+    ]);
+    expect(result).toEqual({ added: 1, skipped: 1 });
+  });
+
+  it('skips invalid and repeated identifiers before inserting', async () => {
+    const result = await suppressionService.add(1, [
+      { type: 'EMAIL', value: 'a@example.com' },
+      { type: 'EMAIL', value: 'A@example.com' },
+      { type: 'EMAIL', value: 'not-an-email' },
+      { type: 'FAX', value: '123456' },
+    ]);
+
+    expect(prisma.suppression.createMany.mock.calls[0][0].data).toHaveLength(1);
+    expect(result).toEqual({ added: 1, skipped: 3 });
+  });
+
+  it('ignores reasons outside the enum', async () => {
+    await suppressionService.add(1, [
+      { type: 'EMAIL', value: 'a@example.com', reason: 'SPAM' },
+      { type: 'EMAIL', value: 'b@example.com', reason: 'BOUNCED' },
+    ], { reason: 'IMPORTED' });
+
+    const { data } = prisma.suppression.createMany.mock.calls[0][0];
+    expect(data.map(row => row.reason)).toEqual(['IMPORTED', 'BOUNCED']);
+  });
+
+  it('inserts large imports in batches', async () => {
+    const entries = Array.from({ length: 2500 }, (_, i) => ({ type: 'EMAIL', value: `user${i}@example.com` }));
+
+    const result = await suppressionService.add(1, entries);
+
+    expect(prisma.suppression.createMany).toHaveBeenCalledTimes(3);
+    expect(result).toEqual({ added: 2500, skipped: 0 });
+  });
+
+  it('does not query the database when nothing is valid', async () => {
+    const result = await suppressionService.add(1, [{ type: 'EMAIL', value: '' }]);
+
+    expect(prisma.suppression.createMany).not.toHaveBeenCalled();
+    expect(result).toEqual({ added: 0, skipped: 1 });
+  });
+});
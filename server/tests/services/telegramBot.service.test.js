@@ -0,0 +1,71 @@
+jest.mock('../../src/config/database', () => ({
+  contact: { findFirst: jest.fn(), update: jest.fn() },
+  conversation: { findFirst: jest.fn(), update: jest.fn() },
+  message: { create: jest.fn() },
+  lead: { update: jest.fn() },
+  contactAttempt: { findFirst: jest.fn(), update: jest.fn() },
+  campaignRecipient: { updateMany: jest.fn() },
+  suppression: { createMany: jest.fn() },
+  $queryRaw: jest.fn(),
+}));
+jest.mock('../../src/utils/logger');
+
+const prisma = require('../../src/config/database');
+const { encrypt } = require('../../src/utils/encryption');
+const telegramBotService = require('../../src/services/telegramBot.service');
+
+const channel = {
+  id: 5,
+  tenantId: 1,
+  credentials: { encrypted: encrypt(JSON.stringify({ botToken: '123:abc' })) },
+};
+
+describe('telegramBotService.verifyWebhook', () => {
+  it('accepts the channel\'s own secret only', () => {
+    const secret = telegramBotService.getWebhookSecret(channel);
+    expect(telegramBotService.verifyWebhook(channel, secret)).toBe(true);
+    expect(telegramBotService.verifyWebhook({ id: 6 }, secret)).toBe(false);
+    expect(telegramBotService.verifyWebhook(channel, undefined)).toBe(false);
+  });
+});
+
+describe('telegramBotService.handleUpdate', () => {
+  const update = text => ({
+    update_id: 10,
+    message: { message_id: 1, text, chat: { id: 42 }, from: { id: 42, username: 'jane' } },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.contact.findFirst.mockResolvedValue({ id: 3, leadId: 2, telegramChatId: '42', lead: { status: 'CONTACTED' } });
+    prisma.conversation.findFirst.mockResolvedValue({ id: 8 });
+    prisma.$queryRaw.mockResolvedValue([]);
+    prisma.message.create.mockResolvedValue({ id: 9 });
+    prisma.suppression.createMany.mockResolvedValue({ count: 2 });
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 2 });
+  });
+
+  it('unsubscribes the contact from every active campaign on /stop', async () => {
+    await telegramBotService.handleUpdate(channel, update('/stop'));
+
+    expect(prisma.suppression.createMany).toHaveBeenCalled();
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+      where: { contactId: 3, status: { in: ['PENDING', 'IN_PROGRESS'] } },
+      data: { status: 'UNSUBSCRIBED', nextActionAt: null },
+    });
+  });
+
+  it('marks every active campaign recipient replied on a message', async () => {
+    await telegramBotService.handleUpdate(channel, update('Sounds good'));
+
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'REPLIED', nextActionAt: null },
+    }));
+  });
+
+  it('leaves campaigns alone on /start', async () => {
+    await telegramBotService.handleUpdate(channel, update('/start'));
+
+    expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const templateService = require('../../src/services/template.service');
+
+const context = {
+  contact: { first_name: 'jane', name: 'Jane Doe', email: '' },
+  lead: { company_name: 'Acme', website: 'acme.example.com', industry: 'Retail' },
+};
+const first = () => 0;
+const last = () => 0.999;
+
+describe('templateService.render', () => {
+  it('substitutes variables and renders missing ones as empty', () => {
+    expect(templateService.render('Hi {{contact.name}}{{contact.phone}}!', context)).toBe('Hi Jane Doe!');
+  });
+
+  it('applies defaults and filters left to right', () => {
+    expect(templateService.render('{{contact.email | default: "there" | upcase}}', context)).toBe('THERE');
+    expect(templateService.render('{{contact.first_name | capitalize}}', context)).toBe('Jane');
+    expect(templateService.render('{{lead.company_name | truncate: 3, "."}}', context)).toBe('Ac.');
+  });
+
+  it('renders conditionals and comparisons', () => {
+    const template = '{{#if lead.website}}site{{else}}none{{/if}} {{#unless contact.email}}no email{{/unless}}'
+      + ' {{#if lead.industry == "retail"}}shop{{/if}}';
+    expect(templateService.render(template, context)).toBe('site no email shop');
+  });
+
+  it('leaves tags that are not valid expressions as written', () => {
+    expect(templateService.render('Hi {{contact.first name}} {{contact.name | shout}}', context))
+      .toBe('Hi {{contact.first name}} {{contact.name | shout}}');
+  });
+});
+
+describe('spintax', () => {
+  it('picks one option per group, including nested groups', () => {
+    const template = '{Hi|Hello {there|friend}} {{contact.first_name}}';
+    expect(templateService.renderWithMissing(template, context, { random: first }).text).toBe('Hi jane');
+    expect(templateService.renderWithMissing(template, context, { random: last }).text).toBe('Hello friend jane');
+  });
+
+  it('keeps CSS in <style> blocks and attributes intact', () => {
+    const template = '<style>p{color:red|blue}</style><p style="a{b|c}">{Hi|Hello}</p>';
+    expect(templateService.renderWithMissing(template, context, { random: first }).text)
+      .toBe('<style>p{color:red|blue}</style><p style="a{b|c}">Hi</p>');
+  });
+
+  it('spins around inline markup', () => {
+    expect(templateService.renderWithMissing('{<b>Hi</b>|Hello}', context, { random: first }).text).toBe('<b>Hi</b>');
+  });
+
+  it('does not treat filter pipes in tags as spintax', () => {
+    expect(templateService.renderWithMissing('{{contact.email | default: "a|b"}}', context, { random: last }).text).toBe('a|b');
+  });
+});
+
+describe('templateService.renderWithMissing', () => {
+  it('reports variables without a value or default, outside untaken branches', () => {
+    const template = '{{contact.phone}} {{contact.email | default: "x"}} {{#if lead.website}}{{lead.city}}{{else}}{{lead.size}}{{/if}}';
+    expect(templateService.renderWithMissing(template, context).missing).toEqual(['contact.phone', 'lead.city']);
+  });
+});
+
+describe('templateService.validateSyntax', () => {
+  it('accepts valid templates', () => {
+    expect(templateService.validateSyntax('{{#if a}}{{b}}{{else}}c{{/if}}')).toBeNull();
+  });
+
+  it('reports unbalanced blocks', () => {
+    expect(templateService.validateSyntax('{{#if a}}b')).toMatch(/Unclosed/);
+    expect(templateService.validateSyntax('b{{/if}}')).toMatch(/without a matching/);
+    expect(templateService.validateSyntax('{{else}}')).toMatch(/without a matching/);
+  });
+});
+
+describe('templateService.extractVariables', () => {
+  it('lists rendered and tested variables once, skipping literal tags', () => {
+    expect(templateService.extractVariables('{{a.b}} {{#if c == "x"}}{{a.b | upcase}}{{/if}} {{first name}}')).toEqual(['a.b', 'c']);
+  });
+});
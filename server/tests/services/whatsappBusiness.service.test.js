@@ -0,0 +1,92 @@
+jest.mock('../../src/config/database', () => ({
+  channelConfig: { findMany: jest.fn(), update: jest.fn() },
+  contactAttempt: { findFirst: jest.fn(), update: jest.fn() },
+}));
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const prisma = require('../../src/config/database');
+const config = require('../../src/config');
+const { encrypt } = require('../../src/utils/encryption');
+const whatsappBusinessService = require('../../src/services/whatsappBusiness.service');
+
+const rawBody = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+const sign = secret => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+const candidate = (id, tenantId, appSecret) => ({
+  channel: { id, tenantId },
+  credentials: { phoneNumberId: '1001', ...(appSecret && { appSecret }) },
+});
+
+describe('whatsappBusinessService.verifySignature', () => {
+  it('accepts the HMAC of the raw body', () => {
+    expect(whatsappBusinessService.verifySignature(rawBody, sign('secret'), 'secret')).toBe(true);
+  });
+
+  it('rejects other secrets, missing prefixes and empty secrets', () => {
+    expect(whatsappBusinessService.verifySignature(rawBody, sign('other'), 'secret')).toBe(false);
+    expect(whatsappBusinessService.verifySignature(rawBody, sign('secret').slice(7), 'secret')).toBe(false);
+    expect(whatsappBusinessService.verifySignature(rawBody, sign(''), '')).toBe(false);
+  });
+});
+
+describe('whatsappBusinessService.findSignedChannel', () => {
+  beforeEach(() => {
+    config.whatsapp.appSecret = 'global-secret';
+  });
+
+  it('only trusts a channel\'s own secret when it has one', () => {
+    const candidates = [candidate(1, 1, 'victim-secret')];
+    expect(whatsappBusinessService.findSignedChannel(candidates, rawBody, sign('global-secret'))).toBeNull();
+    expect(whatsappBusinessService.findSignedChannel(candidates, rawBody, sign('victim-secret')).channel.id).toBe(1);
+  });
+
+  it('does not let another tenant\'s secret sign for the channel', () => {
+    const victim = candidate(1, 1, 'victim-secret');
+    const attacker = candidate(2, 2, 'attacker-secret');
+    // The attacker's channel claims the same phone number ID
+    expect(whatsappBusinessService.findSignedChannel([victim, attacker], rawBody, sign('attacker-secret')).channel.id).toBe(2);
+    expect(whatsappBusinessService.findSignedChannel([victim, attacker], rawBody, sign('victim-secret')).channel.id).toBe(1);
+  });
+
+  it('falls back to the global secret for channels without one', () => {
+    expect(whatsappBusinessService.findSignedChannel([candidate(3, 3)], rawBody, sign('global-secret')).channel.id).toBe(3);
+    expect(whatsappBusinessService.findSignedChannel([candidate(3, 3)], rawBody, sign('other'))).toBeNull();
+  });
+});
+
+describe('whatsappBusinessService.findChannels', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('looks channels up by phone number ID and groups them', async () => {
+    const channel = (id, credentials) => ({
+      id,
+      externalId: '1001',
+      credentials: { encrypted: encrypt(JSON.stringify(credentials)) },
+    });
+    prisma.channelConfig.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([channel(1, { phoneNumberId: '1001' }), channel(2, { phoneNumberId: '1001' })]);
+
+    const result = await whatsappBusinessService.findChannels(['1001']);
+
+    expect(prisma.channelConfig.findMany.mock.calls[1][0].where).toEqual(expect.objectContaining({
+      externalId: { in: ['1001'] },
+    }));
+    expect(result.get('1001').map(match => match.channel.id)).toEqual([1, 2]);
+  });
+});
+
+describe('whatsappBusinessService.handleStatus', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('only updates attempts sent from the channel the status was reported for', async () => {
+    prisma.contactAttempt.findFirst.mockResolvedValue(null);
+
+    await whatsappBusinessService.handleStatus({ id: 7, tenantId: 3 }, { id: 'wamid.1', status: 'delivered' });
+
+    expect(prisma.contactAttempt.findFirst).toHaveBeenCalledWith({
+      where: { externalId: 'wamid.1', channelType: 'WHATSAPP_BUSINESS', channelConfigId: 7, tenantId: 3 },
+    });
+    expect(prisma.contactAttempt.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const jsonPath = require('../../src/utils/jsonPath');
+
+const data = {
+  meta: { next: 'abc', 'total count': 3 },
+  companies: [
+    { name: 'Acme', status: 'active', employees: 50, contacts: [{ email: 'a@acme.com' }, { email: 'b@acme.com' }] },
+    { name: 'Globex', status: 'inactive', employees: 5, contacts: [] },
+    { name: 'Initech', status: 'active', employees: 8, contacts: [{ email: 'c@initech.com' }] },
+  ],
+};
+
+describe('jsonPath.value', () => {
+  it('reads single values by dot path, brackets and indexes', () => {
+    expect(jsonPath.value(data, '$.meta.next')).toBe('abc');
+    expect(jsonPath.value(data, 'meta.next')).toBe('abc');
+    expect(jsonPath.value(data, "$.meta['total count']")).toBe(3);
+    expect(jsonPath.value(data, '$.companies[0].name')).toBe('Acme');
+    expect(jsonPath.value(data, '$.companies[-1].name')).toBe('Initech');
+    expect(jsonPath.value(data, '$.companies[9].name')).toBeUndefined();
+  });
+
+  it('returns arrays for paths that can match several values', () => {
+    expect(jsonPath.value(data, '$.companies[*].name')).toEqual(['Acme', 'Globex', 'Initech']);
+    expect(jsonPath.value(data, '$.companies[9].contacts[*]')).toEqual([]);
+  });
+});
+
+describe('jsonPath.query', () => {
+  it('supports recursion, unions and slices', () => {
+    expect(jsonPath.query(data, '$..email')).toEqual(['a@acme.com', 'b@acme.com', 'c@initech.com']);
+    expect(jsonPath.query(data, "$.companies[0]['name','status']")).toEqual(['Acme', 'active']);
+    expect(jsonPath.query(data, '$.companies[0,2].name')).toEqual(['Acme', 'Initech']);
+    expect(jsonPath.query(data, '$.companies[1:].name')).toEqual(['Globex', 'Initech']);
+    expect(jsonPath.query(data, '$.companies[::-1].name')).toEqual(['Initech', 'Globex', 'Acme']);
+  });
+
+  it('supports filters with comparisons, && and ||', () => {
+    expect(jsonPath.query(data, "$.companies[?(@.status == 'active' && @.employees > 10)].name")).toEqual(['Acme']);
+    expect(jsonPath.query(data, '$.companies[?(@.employees < 6 || @.name == "Initech")].name')).toEqual(['Globex', 'Initech']);
+    expect(jsonPath.query(data, '$.companies[?(@.contacts[0].email)].name')).toEqual(['Acme', 'Initech']);
+  });
+
+  it('does not read inherited properties', () => {
+    expect(jsonPath.query(data, '$.meta.constructor')).toEqual([]);
+    expect(jsonPath.query(data, '$.meta.__proto__')).toEqual([]);
+  });
+});
+
+describe('jsonPath.validate', () => {
+  it('returns null for valid paths and the syntax error otherwise', () => {
+    expect(jsonPath.validate('$.companies[?(@.employees >= 10)].name')).toBeNull();
+    expect(jsonPath.validate('')).toBe('Empty path');
+    expect(jsonPath.validate('$.companies[0')).toBe('Missing ]');
+    expect(jsonPath.validate('$.companies[?(status == 1)]')).toMatch(/must start with @/);
+    expect(jsonPath.validate('$.companies[?(@.a == bogus)]')).toBe('Invalid value "bogus"');
+  });
+});
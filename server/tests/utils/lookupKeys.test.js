@@ -0,0 +1,100 @@
+const { phonesMatch } = require('../../src/utils/helpers');
+const { phoneKey, domainKey, companyNameKey, emailKey, syncLookupKeys } = require('../../src/utils/lookupKeys');
+
+describe('phoneKey', () => {
+  it('gives numbers phonesMatch accepts the same key', () => {
+    const pairs = [
+      ['+1 (555) 123-4567', '15551234567'],
+      ['0044 20 7946 0958', '+442079460958'],
+      ['+49 151 23456789', '15123456789'],
+    ];
+    for (const [a, b] of pairs) {
+      expect(phonesMatch(a, b)).toBe(true);
+      expect(phoneKey(a)).toBe(phoneKey(b));
+    }
+  });
+
+  it('returns null for empty numbers', () => {
+    expect(phoneKey('')).toBeNull();
+    expect(phoneKey(null)).toBeNull();
+    expect(phoneKey('n/a')).toBeNull();
+  });
+});
+
+describe('dedupe keys', () => {
+  it('reduces websites to their host', () => {
+    expect(domainKey('https://www.Acme.com/about?x=1')).toBe('acme.com');
+    expect(domainKey('user@www2.acme.co.uk:8080')).toBe('acme.co.uk');
+    expect(domainKey('https://facebook.com/acme')).toBeNull();
+    expect(domainKey('localhost')).toBeNull();
+  });
+
+  it('drops case, accents, punctuation and legal suffixes from company names', () => {
+    expect(companyNameKey('The Acme Café, Inc.')).toBe('acme cafe');
+    expect(companyNameKey('ACME CAFE LLC')).toBe('acme cafe');
+    expect(companyNameKey('Smith & Co')).toBe('smith');
+    expect(companyNameKey('Unknown Company')).toBeNull();
+  });
+
+  it('lower-cases emails', () => {
+    expect(emailKey(' Jane@Acme.com ')).toBe('jane@acme.com');
+    expect(emailKey('not an email')).toBeNull();
+  });
+});
+
+describe('syncLookupKeys', () => {
+  it('sets the phone key on contact writes', () => {
+    const params = syncLookupKeys({ model: 'Contact', action: 'update', args: { where: { id: 1 }, data: { phone: '+15551234567' } } });
+    expect(params.args.data.phoneKey).toBe('51234567');
+  });
+
+  it('clears the phone key when the phone is removed', () => {
+    const params = syncLookupKeys({ model: 'Contact', action: 'updateMany', args: { data: { phone: null } } });
+    expect(params.args.data.phoneKey).toBeNull();
+  });
+
+  it('leaves writes that do not touch the phone alone', () => {
+    const params = syncLookupKeys({ model: 'Contact', action: 'update', args: { data: { name: 'Jane' } } });
+    expect(params.args.data).toEqual({ name: 'Jane' });
+  });
+
+  it('covers upserts, bulk inserts and contacts created with a lead', () => {
+    const upsert = syncLookupKeys({
+      model: 'Contact',
+      action: 'upsert',
+      args: { create: { phone: '+15551234567' }, update: { phone: '+15557654321' } },
+    });
+    expect(upsert.args.create.phoneKey).toBe('51234567');
+    expect(upsert.args.update.phoneKey).toBe('57654321');
+
+    const many = syncLookupKeys({ model: 'Contact', action: 'createMany', args: { data: [{ phone: '5551234567' }, { email: 'a@b.c' }] } });
+    expect(many.args.data.map(c => c.phoneKey)).toEqual(['51234567', undefined]);
+
+    const lead = syncLookupKeys({
+      model: 'Lead',
+      action: 'create',
+      args: { data: { companyName: 'Acme', contacts: { create: [{ phone: '+15551234567' }] } } },
+    });
+    expect(lead.args.data.contacts.create[0].phoneKey).toBe('51234567');
+  });
+
+  it('sets the email key on contact writes', () => {
+    const params = syncLookupKeys({ model: 'Contact', action: 'create', args: { data: { email: 'Jane@Acme.com' } } });
+    expect(params.args.data).toEqual({ email: 'Jane@Acme.com', emailKey: 'jane@acme.com' });
+  });
+
+  it('sets lead keys, storing an empty key when none can be derived', () => {
+    const created = syncLookupKeys({
+      model: 'Lead',
+      action: 'create',
+      args: { data: { companyName: 'Acme Inc.', website: 'https://facebook.com/acme' } },
+    });
+    expect(created.args.data).toMatchObject({ nameKey: 'acme', domainKey: '' });
+
+    const updated = syncLookupKeys({ model: 'Lead', action: 'update', args: { data: { website: 'acme.com' } } });
+    expect(updated.args.data).toEqual({ website: 'acme.com', domainKey: 'acme.com' });
+
+    const untouched = syncLookupKeys({ model: 'Lead', action: 'updateMany', args: { data: { status: 'WON' } } });
+    expect(untouched.args.data).toEqual({ status: 'WON' });
+  });
+});
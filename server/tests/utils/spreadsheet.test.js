@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+const { decodeText, detectDelimiter, parseCsvRows, parseCsv, parseXlsx } = require('../../src/utils/spreadsheet');
+
+/**
+ * Build a ZIP archive of deflated entries
+ * @param {Object} files - Path => contents (string or Buffer); Buffers are stored pre-deflated
+ */
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.isBuffer(contents) ? contents : zlib.deflateRawSync(Buffer.from(contents));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+const workbook = '<workbook><sheets><sheet name="Leads &amp; Co" sheetId="1" r:id="rId1"/></sheets></workbook>';
+const rels = '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>';
+
+function xlsx(sheetData, extra = {}) {
+  return zip({
+    'xl/workbook.xml': workbook,
+    'xl/_rels/workbook.xml.rels': rels,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetData}</sheetData></worksheet>`,
+    ...extra,
+  });
+}
+
+describe('decodeText', () => {
+  it('detects BOMs and falls back to Windows-1252', () => {
+    expect(decodeText(Buffer.from([0xEF, 0xBB, 0xBF, 0x61]))).toEqual({ text: 'a', encoding: 'utf-8' });
+    expect(decodeText(Buffer.from([0xFF, 0xFE, 0x61, 0x00]))).toEqual({ text: 'a', encoding: 'utf-16le' });
+    expect(decodeText(Buffer.from([0xFE, 0xFF, 0x00, 0x61]))).toEqual({ text: 'a', encoding: 'utf-16be' });
+    expect(decodeText(Buffer.from('Müller'))).toEqual({ text: 'Müller', encoding: 'utf-8' });
+    expect(decodeText(Buffer.from([0x4D, 0xFC, 0x6C]))).toEqual({ text: 'Mül', encoding: 'windows-1252' });
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter giving consistent columns', () => {
+    expect(detectDelimiter('a;b;c\n1;2,5;3\n4;5;6')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('"x,y"|b\n1|2')).toBe('|');
+    expect(detectDelimiter('single')).toBe(',');
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('handles quotes, escaped quotes, newlines in quotes and blank lines', () => {
+    const text = 'name,note\r\n"Doe, Jane","said ""hi""\nthen left"\n\n,\nBob,';
+    expect(parseCsvRows(text, ',')).toEqual([
+      ['name', 'note'],
+      ['Doe, Jane', 'said "hi"\nthen left'],
+      ['Bob', ''],
+    ]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys rows by de-duplicated, trimmed headers', () => {
+    const result = parseCsv(Buffer.from('Email; Name ;Email;\na@example.com;Ann;b@example.com;x\nc@example.com'));
+    expect(result.delimiter).toBe(';');
+    expect(result.columns).toEqual(['Email', 'Name', 'Email (2)', 'Column 4']);
+    expect(result.rows).toEqual([
+      { Email: 'a@example.com', Name: 'Ann', 'Email (2)': 'b@example.com', 'Column 4': 'x' },
+      { Email: 'c@example.com', Name: '', 'Email (2)': '', 'Column 4': '' },
+    ]);
+  });
+});
+
+describe('parseXlsx', () => {
+  it('reads shared, inline, numeric and boolean cells of the first sheet', () => {
+    const buffer = xlsx(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Active</t></is></c></row>'
+      + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>42</v></c><c r="C2" t="b"><v>1</v></c></row>'
+      + '<row r="3"/>',
+      { 'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><r><t>Jane </t></r><r><t>&amp; Co</t></r></si></sst>' },
+    );
+
+    expect(parseXlsx(buffer)).toEqual({
+      sheetName: 'Leads & Co',
+      columns: ['Name', 'Column 2', 'Active'],
+      rows: [{ Name: 'Jane & Co', 'Column 2': '42', Active: 'TRUE' }],
+    });
+  });
+
+  it('ignores cells beyond the last Excel column', () => {
+    const buffer = xlsx(
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c>'
+      + '<c r="XFE1" t="inlineStr"><is><t>Far</t></is></c>'
+      + '<c r="ZZZZZZZ1" t="inlineStr"><is><t>Farther</t></is></c></row>',
+    );
+
+    expect(parseXlsx(buffer).columns).toEqual(['Name']);
+  });
+
+  it('rejects files that are not ZIP archives or lack a workbook', () => {
+    expect(() => parseXlsx(Buffer.from('name,email\n'))).toThrow('Not a valid XLSX file');
+    expect(() => parseXlsx(zip({ 'hello.txt': 'hi' }))).toThrow('Not a valid XLSX file');
+  });
+
+  it('rejects archives that inflate beyond the size limit', () => {
+    const bomb = zlib.deflateRawSync(Buffer.alloc(64 * 1024 * 1024));
+    const buffer = zip({ 'a.xml': bomb, 'b.xml': bomb, 'c.xml': bomb, 'd.xml': bomb });
+    expect(() => parseXlsx(buffer)).toThrow('XLSX file is too large when uncompressed');
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  parseTimeOfDay,
+  nextTimeInWindow,
+} = require('../../src/utils/timezone');
+
+describe('resolveTimeZone', () => {
+  it('keeps known zones and falls back to UTC', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(resolveTimeZone('Asia/Kolkata')).toBe('Asia/Kolkata');
+    expect(resolveTimeZone('Mars/Olympus')).toBe('UTC');
+    expect(resolveTimeZone(null)).toBe('UTC');
+  });
+});
+
+describe('getZonedParts', () => {
+  it('returns the wall-clock time and weekday in the zone', () => {
+    expect(getZonedParts(new Date('2026-10-19T12:00:00Z'), 'Asia/Tokyo')).toEqual({
+      year: 2026, month: 10, day: 19, hour: 21, minute: 0, second: 0, weekday: 1,
+    });
+  });
+
+  it('crosses the date line', () => {
+    expect(getZonedParts(new Date('2026-10-19T03:00:00Z'), 'America/Los_Angeles')).toEqual(
+      expect.objectContaining({ day: 18, hour: 20, weekday: 0 })
+    );
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts a wall-clock time using the offset in effect on that date', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, 'Europe/Berlin')).toEqual(new Date('2026-07-01T07:00:00Z'));
+    expect(zonedTimeToUtc({ year: 2026, month: 12, day: 1, hour: 9 }, 'Europe/Berlin')).toEqual(new Date('2026-12-01T08:00:00Z'));
+  });
+
+  it('rolls out-of-range days over into the next month', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 1, day: 32, hour: 9 }, 'America/New_York')).toEqual(new Date('2026-02-01T14:00:00Z'));
+  });
+
+  it('moves times skipped by the spring DST change past the gap', () => {
+    // 02:30 does not exist in Berlin on 2026-03-29; clocks jump from 02:00 to 03:00
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin'))
+      .toEqual(new Date('2026-03-29T01:30:00Z'));
+  });
+
+  it('resolves times repeated by the autumn DST change to that wall-clock time', () => {
+    const result = zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin');
+    expect(getZonedParts(result, 'Europe/Berlin')).toEqual(expect.objectContaining({ day: 25, hour: 2, minute: 30 }));
+  });
+});
+
+describe('startOfZonedDay', () => {
+  it('returns local midnight of the instant\'s date', () => {
+    // 03:00 UTC is still the 18th in New York
+    expect(startOfZonedDay(new Date('2026-10-19T03:00:00Z'), 'America/New_York')).toEqual(new Date('2026-10-18T04:00:00Z'));
+  });
+
+  it('moves whole calendar days across a DST change', () => {
+    expect(startOfZonedDay(new Date('2026-03-07T12:00:00Z'), 'America/New_York', 1)).toEqual(new Date('2026-03-08T05:00:00Z'));
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it('parses HH:MM into minutes after midnight', () => {
+    expect(parseTimeOfDay('09:30')).toBe(570);
+    expect(parseTimeOfDay('0:00')).toBe(0);
+    expect(parseTimeOfDay('24:00')).toBe(1440);
+  });
+
+  it('rejects anything else', () => {
+    expect(parseTimeOfDay('24:01')).toBeNull();
+    expect(parseTimeOfDay('9:60')).toBeNull();
+    expect(parseTimeOfDay('9am')).toBeNull();
+    expect(parseTimeOfDay(undefined)).toBeNull();
+  });
+});
+
+describe('nextTimeInWindow', () => {
+  const weekdays = { start: 9 * 60, end: 17 * 60, days: [1, 2, 3, 4, 5] };
+
+  it('returns the time itself when inside the window', () => {
+    const from = new Date('2026-10-19T10:00:00Z');
+    expect(nextTimeInWindow(from, 'Europe/Berlin', weekdays)).toBe(from);
+  });
+
+  it('moves times after hours to the next opening', () => {
+    // Monday 18:00 in Berlin -> Tuesday 09:00
+    expect(nextTimeInWindow(new Date('2026-10-19T16:00:00Z'), 'Europe/Berlin', weekdays)).toEqual(new Date('2026-10-20T07:00:00Z'));
+  });
+
+  it('skips days outside the window', () => {
+    // Saturday 00:00 in Berlin -> Monday 09:00
+    expect(nextTimeInWindow(new Date('2026-10-16T22:00:00Z'), 'Europe/Berlin', weekdays)).toEqual(new Date('2026-10-19T07:00:00Z'));
+  });
+
+  it('returns null for windows that never open', () => {
+    expect(nextTimeInWindow(new Date(), 'UTC', { start: 540, end: 1020, days: [] })).toBeNull();
+    expect(nextTimeInWindow(new Date(), 'UTC', { start: 1020, end: 540, days: [1] })).toBeNull();
+  });
+});